@@ -0,0 +1,27 @@
+/**
+ * CommonJS build of the entrypoints, for consumers that can't import ESM yet.
+ * Like Node's `require('path')`, `module.exports` carries the path API (resolve, join, win32, posix, ...)
+ * of the default export as properties, together with the remaining named exports (e.g. setCwd).
+ * It's a new object, since the default export is a win32 or posix namespace that the others reference.
+ */
+export default {
+  input: {
+    index: 'src/index.js',
+    win32: 'src/win32.js',
+    posix: 'src/posix.js',
+    auto: 'src/auto.js',
+    url: 'src/url.js',
+    alias: 'src/alias.js',
+  },
+  output: {
+    dir: 'dist',
+    format: 'cjs',
+    entryFileNames: '[name].cjs',
+    chunkFileNames: '[name].cjs',
+    exports: 'named',
+    footer: (chunk) =>
+      chunk.isEntry && chunk.exports.includes('default')
+        ? 'module.exports = Object.assign({}, exports.default, exports);'
+        : '',
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Compares createCachedPath with createPath for a bundler-like workload:
+ * many calls with a few thousand distinct inputs.
+ *   npm run bench
+ */
+import { createCachedPath, createPath } from '../src/auto.js';
+
+const DISTINCT = 2000;
+const CALLS = 500_000;
+
+const specifiers = Array.from(
+  { length: DISTINCT },
+  (_, i) => `./src/components/feature-${i % 50}/../shared/${i}/index.js`,
+);
+const importers = Array.from({ length: DISTINCT }, (_, i) => `/project/src/pages/page-${i}.js`);
+
+/**
+ * @param {ReturnType<typeof createPath>} path
+ */
+const workloads = (path) => ({
+  resolve: (/** @type {number} */ i) => path.resolve('/project', specifiers[i % DISTINCT]),
+  normalize: (/** @type {number} */ i) => path.normalize(specifiers[i % DISTINCT]),
+  relative: (/** @type {number} */ i) =>
+    path.relative(importers[i % DISTINCT], importers[(i * 7) % DISTINCT]),
+});
+
+/**
+ * @param {(i: number) => string} fn
+ * @returns {number} calls per second
+ */
+function measure(fn) {
+  // warm up, which also fills the cache
+  for (let i = 0; i < DISTINCT * 2; i++) fn(i);
+  const start = performance.now();
+  for (let i = 0; i < CALLS; i++) fn(i);
+  return CALLS / ((performance.now() - start) / 1000);
+}
+
+const uncached = workloads(createPath({ platform: 'posix' }));
+const cached = workloads(createCachedPath({ platform: 'posix', maxEntries: DISTINCT * 2 }));
+
+const results = Object.keys(uncached).map((name) => {
+  const key = /** @type {keyof typeof uncached} */ (name);
+  const before = measure(uncached[key]);
+  const after = measure(cached[key]);
+  return {
+    function: name,
+    'uncached (ops/s)': Math.round(before).toLocaleString('en'),
+    'cached (ops/s)': Math.round(after).toLocaleString('en'),
+    speedup: `${(after / before).toFixed(1)}x`,
+  };
+});
+console.table(results);
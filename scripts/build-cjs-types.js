@@ -0,0 +1,20 @@
+/**
+ * Copies the declarations that tsc emits to types/ as .d.cts, for the "require" condition.
+ * TypeScript treats .d.ts files as ESM in a "type": "module" package,
+ * so CommonJS consumers need declarations that refer to each other with .cjs specifiers.
+ *   npm run types
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+
+const dir = new URL('../types/', import.meta.url);
+// e.g. from './path.js' and import("./types.js")
+const relativeSpecifier = /(['"])(\.{1,2}\/[^'"]+)\.js\1/g;
+
+for (const file of await readdir(dir)) {
+  if (!file.endsWith('.d.ts')) continue;
+  const contents = await readFile(new URL(file, dir), 'utf-8');
+  await writeFile(
+    new URL(file.replace(/\.d\.ts$/, '.d.cts'), dir),
+    contents.replace(relativeSpecifier, '$1$2.cjs$1'),
+  );
+}
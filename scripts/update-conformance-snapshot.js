@@ -0,0 +1,43 @@
+/**
+ * Records the results of Node's built-in path module for the conformance cases,
+ * so that browsers, which don't have node:path, can be tested against them.
+ * The results are written to test/conformance/snapshots/<node version>.js,
+ * conformance.test.js checks the ones listed in SNAPSHOT_VERSIONS, see test/conformance/cases.js.
+ * Run on a POSIX host (Windows has drive-specific cwds that would leak into the results):
+ *   npm run test:update-snapshot
+ */
+import { writeFile } from 'node:fs/promises';
+import nodePath from 'node:path';
+import { fileURLToPath } from 'node:url';
+import prettier from 'prettier';
+import { SNAPSHOT_CWD, snapshotCases } from '../test/conformance/cases.js';
+import { caseKey, runCase } from '../test/conformance/run.js';
+
+if (process.platform === 'win32') {
+  throw new Error('The conformance snapshot must be recorded on a POSIX host');
+}
+
+process.chdir(SNAPSHOT_CWD);
+
+/** @type {Record<string, import('../test/conformance/run.js').ConformanceResult>} */
+const snapshot = {};
+for (const testCase of snapshotCases()) {
+  const fn = /** @type {Record<string, any>} */ (nodePath[testCase.flavor])[testCase.fn];
+  snapshot[caseKey(testCase)] = runCase(fn, testCase.args);
+}
+
+const file = fileURLToPath(
+  new URL(`../test/conformance/snapshots/${process.version}.js`, import.meta.url),
+);
+const source = `// Generated by scripts/update-conformance-snapshot.js with Node ${
+  process.version
+}, do not edit.
+export const nodeVersion = '${process.version}';
+
+export default ${JSON.stringify(snapshot)};
+`;
+await writeFile(
+  file,
+  await prettier.format(source, { ...(await prettier.resolveConfig(file)), filepath: file }),
+);
+console.log(`Recorded ${Object.keys(snapshot).length} results in ${file}`);
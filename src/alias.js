@@ -0,0 +1,169 @@
+import { fileURLToPath } from './index.js';
+import { validateObject, validateString } from './validators.js';
+
+/**
+ * Aliases node:path to path-unified in bundlers and browsers, so that unmodified packages
+ * that import or require `path`, `node:path`, `path/posix` or `path/win32` run in the browser.
+ * The plugins are meant for bundler configs, which run in Node.
+ */
+
+/**
+ * @typedef {Object} ImportMap
+ * @property {Record<string, string>} imports
+ */
+
+/**
+ * @typedef {Object} RollupPlugin
+ * @property {string} name
+ * @property {(source: string) => string|null} resolveId
+ */
+
+/**
+ * @typedef {Object} VitePlugin
+ * @property {string} name
+ * @property {'pre'} enforce
+ * @property {() => { resolve: { alias: { find: RegExp, replacement: string }[] } }} config
+ */
+
+/**
+ * @typedef {Object} EsbuildPluginBuild
+ * @property {(options: { filter: RegExp }, callback: (args: { path: string }) => { path: string }) => void} onResolve
+ */
+
+/**
+ * @typedef {Object} EsbuildPlugin
+ * @property {string} name
+ * @property {(build: EsbuildPluginBuild) => void} setup
+ */
+
+/**
+ * @typedef {Object} WebpackCompiler
+ * @property {{ normalModuleFactory: { tap: (name: string, callback: (factory: WebpackNormalModuleFactory) => void) => void } }} hooks
+ */
+
+/**
+ * @typedef {Object} WebpackNormalModuleFactory
+ * @property {{ beforeResolve: { tap: (name: string, callback: (resolveData: { request: string }) => void) => void } }} hooks
+ */
+
+/**
+ * @typedef {Object} WebpackPlugin
+ * @property {(compiler: WebpackCompiler) => void} apply
+ */
+
+const name = 'path-unified';
+
+// the node:path specifiers, without the node: prefix, and the files in src/ that replace them
+const entrypoints = {
+  path: 'index.js',
+  'path/posix': 'posix.js',
+  'path/win32': 'win32.js',
+};
+
+/**
+ * @param {(file: string) => string} toTarget
+ * @returns {Record<string, string>}
+ */
+function mapSpecifiers(toTarget) {
+  /** @type {Record<string, string>} */
+  const map = {};
+  for (const [specifier, file] of Object.entries(entrypoints)) {
+    map[specifier] = map[`node:${specifier}`] = toTarget(file);
+  }
+  return map;
+}
+
+/**
+ * The absolute file paths that `path`, `node:path`, `path/posix`, `path/win32`,
+ * `node:path/posix` and `node:path/win32` are aliased to, for tools that aren't covered by the plugins.
+ * @returns {Record<string, string>}
+ */
+export function aliases() {
+  // also correct for the CommonJS build, since dist/ is next to src/
+  return mapSpecifiers((file) => fileURLToPath(new URL(`../src/${file}`, import.meta.url)));
+}
+
+/**
+ * An import map that aliases the node:path specifiers, for unbundled code in browsers, e.g.
+ * `<script type="importmap">${JSON.stringify(importMap())}</script>`
+ * @param {{ base?: string }} [options] URL of the path-unified package directory,
+ * defaults to '/node_modules/path-unified/'
+ * @returns {ImportMap}
+ */
+export function importMap(options = {}) {
+  validateObject(options, 'options');
+  const { base = '/node_modules/path-unified/' } = options;
+  validateString(base, 'options.base');
+  const dir = base.endsWith('/') ? base : `${base}/`;
+  return { imports: mapSpecifiers((file) => `${dir}src/${file}`) };
+}
+
+/**
+ * Rollup plugin that aliases the node:path specifiers.
+ * Add @rollup/plugin-commonjs as well for packages that require them.
+ * @returns {RollupPlugin}
+ */
+export function rollupPlugin() {
+  const map = aliases();
+  return {
+    name,
+    resolveId: (source) => (Object.hasOwn(map, source) ? map[source] : null),
+  };
+}
+
+/**
+ * Vite plugin that aliases the node:path specifiers.
+ * This uses resolve.alias, which the dependency optimizer of the dev server applies as well.
+ * @returns {VitePlugin}
+ */
+export function vitePlugin() {
+  const map = aliases();
+  return {
+    name,
+    enforce: 'pre',
+    config: () => ({
+      resolve: {
+        // exact matches, a string would alias 'path/foo' as well
+        alias: Object.entries(map).map(([specifier, replacement]) => ({
+          find: new RegExp(`^${specifier}$`),
+          replacement,
+        })),
+      },
+    }),
+  };
+}
+
+/**
+ * esbuild plugin that aliases the node:path specifiers.
+ * @returns {EsbuildPlugin}
+ */
+export function esbuildPlugin() {
+  const map = aliases();
+  return {
+    name,
+    setup: (build) => {
+      build.onResolve({ filter: new RegExp(`^(${Object.keys(map).join('|')})$`) }, (args) => ({
+        path: map[args.path],
+      }));
+    },
+  };
+}
+
+/**
+ * webpack plugin that aliases the node:path specifiers, before webpack handles the node: scheme.
+ * @returns {WebpackPlugin}
+ */
+export function webpackPlugin() {
+  const map = aliases();
+  return {
+    apply: (compiler) => {
+      compiler.hooks.normalModuleFactory.tap(name, (factory) => {
+        factory.hooks.beforeResolve.tap(name, (resolveData) => {
+          if (Object.hasOwn(map, resolveData.request)) {
+            resolveData.request = map[resolveData.request];
+          }
+        });
+      });
+    },
+  };
+}
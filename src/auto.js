@@ -0,0 +1,129 @@
+import { getCwdVersion } from './cwd.js';
+import { isWindows } from './isWindows.js';
+import { win32, posix } from './index.js';
+import { LRUCache } from './lru.js';
+import { validateInteger, validateObject, validateOneOf } from './validators.js';
+
+/**
+ * @typedef {'posix'|'win32'|'auto'} Platform
+ */
+
+/**
+ * Creates a path object for the given platform, so that all functions, `sep`, `delimiter`
+ * and `EOL` agree with each other. Useful when the flavor you need doesn't match the host,
+ * e.g. a web app with a POSIX virtual filesystem that may run on Windows.
+ * 'auto' detects the platform, which relies on the user agent in browsers.
+ * @param {{ platform?: Platform }} [options]
+ */
+export function createPath(options = {}) {
+  validateObject(options, 'options');
+  const { platform = 'auto' } = options;
+  validateOneOf(platform, 'options.platform', ['posix', 'win32', 'auto']);
+
+  const platformIsWin32 = platform === 'auto' ? isWindows() : platform === 'win32';
+  return {
+    ...(platformIsWin32 ? win32 : posix),
+    EOL: platformIsWin32 ? '\r\n' : '\n',
+  };
+}
+
+/**
+ * Non-string arguments aren't cached, the uncached function is called to throw the validation error.
+ * @param {unknown[]} args
+ * @returns {boolean}
+ */
+function allStrings(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (typeof args[i] !== 'string') return false;
+  }
+  return true;
+}
+
+/**
+ * Same as createPath, but resolve, normalize and relative are memoized in an LRU cache,
+ * for hot loops that call them many times with a limited set of inputs, e.g. bundler plugins.
+ * Each of them keeps the results of the `maxEntries` to 2 × `maxEntries` most recently used inputs,
+ * the caches of resolve and relative are cleared when setCwd or setDriveCwd changes the cwd.
+ * Changes of the environment's own cwd, e.g. through `process.chdir()` or the `=C:` style
+ * environment variables of drive cwds, aren't detected, call clearCache() after those.
+ * @param {{ platform?: Platform, maxEntries?: number }} [options]
+ */
+export function createCachedPath(options = {}) {
+  validateObject(options, 'options');
+  const { maxEntries = 1000, ...pathOptions } = options;
+  validateInteger(maxEntries, 'options.maxEntries', 1);
+
+  const path = createPath(pathOptions);
+  const { resolve, normalize, relative } = path;
+
+  /** @type {LRUCache<string>} */
+  const normalizeCache = new LRUCache(maxEntries);
+  /** @type {LRUCache<string>} */
+  const resolveCache = new LRUCache(maxEntries);
+  /** @type {LRUCache<string>} */
+  const relativeCache = new LRUCache(maxEntries);
+  // setCwd and setDriveCwd bump the version, so that cached calls never read the cwd itself
+  let cachedCwdVersion = getCwdVersion();
+
+  function checkCwd() {
+    const cwdVersion = getCwdVersion();
+    if (cwdVersion !== cachedCwdVersion) {
+      resolveCache.clear();
+      relativeCache.clear();
+      cachedCwdVersion = cwdVersion;
+    }
+  }
+
+  return {
+    ...path,
+    /**
+     * @param {...string} args
+     * @returns {string}
+     */
+    resolve(...args) {
+      if (!allStrings(args)) return resolve(...args);
+      checkCwd();
+      let result = resolveCache.get(args);
+      if (result === undefined) {
+        result = resolve(...args);
+        resolveCache.set(args, result);
+      }
+      return result;
+    },
+    /**
+     * @param {string} p
+     * @returns {string}
+     */
+    normalize(p) {
+      const args = [p];
+      if (!allStrings(args)) return normalize(p);
+      let result = normalizeCache.get(args);
+      if (result === undefined) {
+        result = normalize(p);
+        normalizeCache.set(args, result);
+      }
+      return result;
+    },
+    /**
+     * @param {string} from
+     * @param {string} to
+     * @returns {string}
+     */
+    relative(from, to) {
+      const args = [from, to];
+      if (!allStrings(args)) return relative(from, to);
+      checkCwd();
+      let result = relativeCache.get(args);
+      if (result === undefined) {
+        result = relative(from, to);
+        relativeCache.set(args, result);
+      }
+      return result;
+    },
+    clearCache() {
+      normalizeCache.clear();
+      resolveCache.clear();
+      relativeCache.clear();
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { posResolve, winResolve } from './path.js';
+import { posFromSegments, posSplit, winFromSegments, winSplit } from './segments.js';
+import { validateArray, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(...paths: string[]) => string} resolve
+ * @property {(path: string) => { root: string, segments: string[] }} split
+ * @property {(root: string, segments: string[]) => string} fromSegments
+ * @property {boolean} ignoreCase
+ */
+
+/** @type {Flavor} */
+const win = {
+  resolve: winResolve,
+  split: winSplit,
+  fromSegments: winFromSegments,
+  ignoreCase: true,
+};
+
+/** @type {Flavor} */
+const pos = {
+  resolve: posResolve,
+  split: posSplit,
+  fromSegments: posFromSegments,
+  ignoreCase: false,
+};
+
+/**
+ * @param {Flavor} flavor
+ * @param {string[]} paths
+ * @returns {string|null}
+ */
+function commonPath(flavor, paths) {
+  validateArray(paths, 'paths');
+  if (paths.length === 0) {
+    throw new ERR_INVALID_ARG_VALUE('paths', paths, 'must not be empty');
+  }
+  for (let i = 0; i < paths.length; i++) {
+    validateString(paths[i], `paths[${i}]`);
+  }
+
+  /** @param {string} value */
+  const toKey = (value) => (flavor.ignoreCase ? value.toLowerCase() : value);
+  const { root, segments } = flavor.split(flavor.resolve(paths[0]));
+  const rootKey = toKey(root);
+  let length = segments.length;
+  for (let i = 1; i < paths.length; i++) {
+    const other = flavor.split(flavor.resolve(paths[i]));
+    // resolved paths on different drives or UNC roots have nothing in common
+    if (toKey(other.root) !== rootKey) return null;
+    length = Math.min(length, other.segments.length);
+    for (let j = 0; j < length; j++) {
+      if (toKey(segments[j]) !== toKey(other.segments[j])) {
+        length = j;
+        break;
+      }
+    }
+  }
+  return flavor.fromSegments(root, segments.slice(0, length));
+}
+
+/**
+ * The deepest path that all paths are in, after resolving them, e.g. C:\foo for C:\foo\a.js and c:\FOO\b\c.js.
+ * Case-insensitive, and null for paths on different drives or UNC roots.
+ * For a single path, that path is returned resolved.
+ * @param {string[]} paths
+ * @returns {string|null}
+ */
+export function winCommonPath(paths) {
+  return commonPath(win, paths);
+}
+
+/**
+ * The deepest path that all paths are in, after resolving them, e.g. /foo for /foo/a.js and /foo/b/c.js.
+ * For a single path, that path is returned resolved.
+ * @param {string[]} paths
+ * @returns {string|null}
+ */
+export function posCommonPath(paths) {
+  return commonPath(pos, paths);
+}
@@ -0,0 +1,145 @@
+import { posResolve, posSep, winResolve, winSep } from './path.js';
+import { validateBoolean, validateObject, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} CompareOptions
+ * @property {boolean} [ignoreCase] compare case-insensitively, defaults to true for win32 and false for posix
+ * @property {boolean} [normalizeUnicode] compare the NFC form, so e.g. NFD file names created on macOS
+ * are equal to their NFC form (default false)
+ */
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(path: string) => string} resolve
+ * @property {string} sep
+ * @property {boolean} ignoreCase
+ */
+
+/** @type {Flavor} */
+const win = {
+  // \\?\C:\foo and \\?\UNC\server\share are the same locations as C:\foo and \\server\share
+  resolve: (path) =>
+    winResolve(
+      path.replace(/^\\\\\?\\UNC\\/i, '\\\\').replace(/^\\\\\?\\([a-zA-Z]:(?:\\|$))/, '$1'),
+    ),
+  sep: winSep,
+  ignoreCase: true,
+};
+
+/** @type {Flavor} */
+const pos = {
+  resolve: posResolve,
+  sep: posSep,
+  ignoreCase: false,
+};
+
+/**
+ * @param {Flavor} flavor
+ * @param {CompareOptions} options
+ * @returns {(path: string, name: string) => string}
+ */
+function getKeyFn(flavor, options) {
+  validateObject(options, 'options');
+  const { ignoreCase = flavor.ignoreCase, normalizeUnicode = false } = options;
+  validateBoolean(ignoreCase, 'options.ignoreCase');
+  validateBoolean(normalizeUnicode, 'options.normalizeUnicode');
+  return (path, name) => {
+    validateString(path, name);
+    let key = flavor.resolve(path);
+    if (normalizeUnicode) key = key.normalize('NFC');
+    if (ignoreCase) key = key.toLowerCase();
+    return key;
+  };
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} options
+ * @returns {boolean}
+ */
+function equals(flavor, a, b, options) {
+  const getKey = getKeyFn(flavor, options);
+  return getKey(a, 'a') === getKey(b, 'b');
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {-1|0|1}
+ */
+function compareStrings(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} options
+ * @returns {-1|0|1}
+ */
+function compare(flavor, a, b, options) {
+  const getKey = getKeyFn(flavor, options);
+  const aSegments = getKey(a, 'a').split(flavor.sep);
+  const bSegments = getKey(b, 'b').split(flavor.sep);
+  // compare per segment, so a directory's contents are sorted directly after it, e.g. a, a/b, a-b
+  const length = Math.min(aSegments.length, bSegments.length);
+  for (let i = 0; i < length; i++) {
+    const result = compareStrings(aSegments[i], bSegments[i]);
+    if (result !== 0) return result;
+  }
+  if (aSegments.length !== bSegments.length) return aSegments.length < bSegments.length ? -1 : 1;
+  // equal paths are sorted by their original string, so the order doesn't depend on the input order
+  return compareStrings(a, b);
+}
+
+/**
+ * Whether both paths point to the same location after resolving them.
+ * Case-insensitive by default, and \\?\ namespaced paths equal their plain form.
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} [options]
+ * @returns {boolean}
+ */
+export function winEquals(a, b, options = {}) {
+  return equals(win, a, b, options);
+}
+
+/**
+ * Whether both paths point to the same location after resolving them.
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} [options]
+ * @returns {boolean}
+ */
+export function posEquals(a, b, options = {}) {
+  return equals(pos, a, b, options);
+}
+
+/**
+ * Sort comparator for resolved paths, per segment and with the same options as winEquals.
+ * Only returns 0 for identical strings, equal paths are ordered by their original string.
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} [options]
+ * @returns {-1|0|1}
+ */
+export function winCompare(a, b, options = {}) {
+  return compare(win, a, b, options);
+}
+
+/**
+ * Sort comparator for resolved paths, per segment and with the same options as posEquals.
+ * Only returns 0 for identical strings, equal paths are ordered by their original string.
+ * @param {string} a
+ * @param {string} b
+ * @param {CompareOptions} [options]
+ * @returns {-1|0|1}
+ */
+export function posCompare(a, b, options = {}) {
+  return compare(pos, a, b, options);
+}
@@ -44,9 +44,10 @@ export const CHAR_GRAVE_ACCENT = 96; /* ` */
 export const CHAR_AT = 64; /* @ */
 export const CHAR_AMPERSAND = 38; /* & */
 export const CHAR_EQUAL = 61; /* = */
+export const CHAR_COMMA = 44; /* , */
 
 // Digits
 export const CHAR_0 = 48; /* 0 */
 export const CHAR_9 = 57; /* 9 */
 
-export const EOL = isWindows() ? '\r\n' : '\n';
+export const EOL = /* @__PURE__ */ isWindows() ? '\r\n' : '\n';
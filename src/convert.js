@@ -0,0 +1,91 @@
+import {
+  CHAR_COLON,
+  CHAR_FORWARD_SLASH,
+  CHAR_LOWERCASE_A,
+  CHAR_LOWERCASE_Z,
+  CHAR_UPPERCASE_A,
+  CHAR_UPPERCASE_Z,
+} from './constants.js';
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { winParse } from './path.js';
+import { validateObject, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} ConvertOptions
+ * @property {string} [mountPoint] posix directory that drive letters are mounted in:
+ * '/' maps C:\ to /c/ like MSYS2 and Git Bash (default), '/mnt' maps it to /mnt/c/ like WSL
+ */
+
+/**
+ * @param {ConvertOptions} options
+ * @returns {string} the mount point without trailing slashes, so '' for '/'
+ */
+function getMountPoint(options) {
+  validateObject(options, 'options');
+  const { mountPoint = '/' } = options;
+  validateString(mountPoint, 'options.mountPoint');
+  if (mountPoint.charCodeAt(0) !== CHAR_FORWARD_SLASH) {
+    throw new ERR_INVALID_ARG_VALUE('options.mountPoint', mountPoint, 'must be an absolute path');
+  }
+  return mountPoint.replace(/\/+$/, '');
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isDriveLetter(code) {
+  return (
+    (code >= CHAR_UPPERCASE_A && code <= CHAR_UPPERCASE_Z) ||
+    (code >= CHAR_LOWERCASE_A && code <= CHAR_LOWERCASE_Z)
+  );
+}
+
+/**
+ * Converts a win32 path to a posix path, mapping drive roots to the mount point,
+ * e.g. C:\foo\bar -> /c/foo/bar. UNC and device paths keep their root,
+ * e.g. \\server\share\foo -> //server/share/foo and \\?\C:\foo -> //?/C:/foo.
+ * Drive letters are lowercased.
+ * @param {string} path
+ * @param {ConvertOptions} [options]
+ * @returns {string}
+ */
+export function toPosix(path, options = {}) {
+  validateString(path, 'path');
+  const mountPoint = getMountPoint(options);
+  const { root } = winParse(path);
+  if (root.charCodeAt(1) === CHAR_COLON) {
+    if (root.length === 2) {
+      throw new ERR_INVALID_ARG_VALUE('path', path, 'must not be drive-relative');
+    }
+    const rest = path.slice(root.length).replace(/\\/g, '/');
+    return `${mountPoint}/${root[0].toLowerCase()}/${rest}`;
+  }
+  return path.replace(/\\/g, '/');
+}
+
+/**
+ * Converts a posix path to a win32 path, mapping directories in the mount point to drive roots,
+ * e.g. /c/foo/bar -> C:\foo\bar. Other paths only get their separators swapped,
+ * so UNC and device paths come back as well, e.g. //server/share/foo -> \\server\share\foo.
+ * Drive letters are uppercased.
+ * @param {string} path
+ * @param {ConvertOptions} [options]
+ * @returns {string}
+ */
+export function toWin32(path, options = {}) {
+  validateString(path, 'path');
+  const mountPoint = getMountPoint(options);
+  if (path.startsWith(mountPoint)) {
+    // e.g. '/c' or '/c/foo' for mount point ''
+    const rest = path.slice(mountPoint.length);
+    if (
+      rest.charCodeAt(0) === CHAR_FORWARD_SLASH &&
+      isDriveLetter(rest.charCodeAt(1)) &&
+      (rest.length === 2 || rest.charCodeAt(2) === CHAR_FORWARD_SLASH)
+    ) {
+      return `${rest[1].toUpperCase()}:\\${rest.slice(3).replace(/\//g, '\\')}`;
+    }
+  }
+  return path.replace(/\//g, '\\');
+}
@@ -0,0 +1,74 @@
+import { envCwd, envVar } from './env.js';
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { validateString } from './validators.js';
+
+/** @type {string|undefined} */
+let cwdOverride;
+
+/** @type {Map<string, string>} */
+const driveCwdOverrides = new Map();
+
+// bumped on every override, so caches of resolved paths know when to invalidate
+let version = 0;
+
+/**
+ * Overrides the current working directory that relative paths are resolved against,
+ * e.g. the directory of the project that is opened in a web IDE.
+ * Only for the module system it's called through, the CommonJS build has its own copy of this state.
+ * Pass `undefined` to go back to the environment's own cwd (`process.cwd()`, or `'/'` in browsers).
+ * This should be an absolute path without trailing separator, like `process.cwd()` returns,
+ * since resolve() returns it as it is, like Node does.
+ * @param {string} [cwd]
+ */
+export function setCwd(cwd) {
+  if (cwd !== undefined) validateString(cwd, 'cwd');
+  cwdOverride = cwd;
+  version++;
+}
+
+/**
+ * Windows has the concept of drive-specific current working directories,
+ * which Node reads from the hidden `=C:` style environment variables.
+ * This overrides the cwd for a single drive, e.g. `setDriveCwd('D:', 'D:\\projects')`.
+ * Pass `undefined` as cwd to remove the override for that drive.
+ * @param {string} drive
+ * @param {string} [cwd]
+ */
+export function setDriveCwd(drive, cwd) {
+  validateString(drive, 'drive');
+  if (!/^[a-zA-Z]:?$/.test(drive)) {
+    throw new ERR_INVALID_ARG_VALUE('drive', drive, "must be a drive letter, like 'D' or 'D:'");
+  }
+  // drive letters are case-insensitive, normalize 'd', 'd:' and 'D:' to 'D:'
+  const key = `${drive[0].toUpperCase()}:`;
+  if (cwd === undefined) {
+    driveCwdOverrides.delete(key);
+  } else {
+    validateString(cwd, 'cwd');
+    driveCwdOverrides.set(key, cwd);
+  }
+  version++;
+}
+
+/**
+ * @returns {string}
+ */
+export function getCwd() {
+  return cwdOverride ?? envCwd();
+}
+
+/**
+ * @param {string} device e.g. 'C:'
+ * @returns {string|undefined}
+ */
+export function getDriveCwd(device) {
+  return driveCwdOverrides.get(device.toUpperCase()) ?? envVar(`=${device}`);
+}
+
+/**
+ * Changes whenever setCwd or setDriveCwd is called
+ * @returns {number}
+ */
+export function getCwdVersion() {
+  return version;
+}
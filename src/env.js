@@ -0,0 +1,120 @@
+/**
+ * Reads what we need from the host environment (platform, cwd and environment variables)
+ * without assuming Node and without shimming or mutating any globals,
+ * so that importing this library has no side effects.
+ *
+ * Supports Node, Bun (which implements Node's process), Deno, browsers,
+ * Web/Service Workers and edge runtimes that have neither `window` nor `process`.
+ * Every function accepts the global scope to inspect, which defaults to `globalThis`.
+ */
+
+/**
+ * The subset of (runtime-specific) globals that we look at.
+ * @typedef {{
+ *   Deno?: {
+ *     build?: { os?: string };
+ *     cwd?: () => string;
+ *     env?: { get(name: string): string|undefined };
+ *   };
+ *   process?: {
+ *     platform?: string;
+ *     cwd?: () => string;
+ *     env?: Record<string, string|undefined>;
+ *   };
+ *   navigator?: {
+ *     userAgent?: string;
+ *     userAgentData?: { platform?: string };
+ *   };
+ * }} EnvScope
+ */
+
+/**
+ * @param {EnvScope} scope
+ * @returns {EnvScope['process']}
+ */
+function getProcess(scope) {
+  const proc = scope.process;
+  return typeof proc === 'object' && proc !== null ? proc : undefined;
+}
+
+/**
+ * Deno exposes a `process` global as well (for Node compat), but we prefer its own APIs.
+ * @param {EnvScope} scope
+ * @returns {EnvScope['Deno']}
+ */
+function getDeno(scope) {
+  const deno = scope.Deno;
+  return typeof deno === 'object' && deno !== null ? deno : undefined;
+}
+
+/**
+ * Whether the host runs on Windows.
+ * For browsers and workers this relies on the user agent, edge runtimes are assumed to be POSIX.
+ * @param {EnvScope} [scope]
+ * @returns {boolean}
+ */
+export function envIsWindows(scope = /** @type {EnvScope} */ (globalThis)) {
+  // deno
+  const denoOs = getDeno(scope)?.build?.os;
+  if (typeof denoOs === 'string') {
+    return denoOs === 'windows';
+  }
+  // node, bun
+  // (browser polyfills for process usually don't have a platform, so fall through for those)
+  const platform = getProcess(scope)?.platform;
+  if (typeof platform === 'string') {
+    return platform === 'win32';
+  }
+  // browser, web worker, service worker
+  const navigator = scope.navigator;
+  if (typeof navigator === 'object' && navigator !== null) {
+    return (
+      // some browsers support userAgentData.platform, not all though...
+      navigator.userAgentData?.platform === 'Windows' ||
+      navigator.userAgent?.includes('Windows') === true
+    );
+  }
+  // edge runtimes without navigator
+  return false;
+}
+
+/**
+ * The host's current working directory.
+ * Outside of Node, Bun and Deno (e.g. browsers), there is no such thing, so we use root '/'.
+ * @param {EnvScope} [scope]
+ * @returns {string}
+ */
+export function envCwd(scope = /** @type {EnvScope} */ (globalThis)) {
+  const deno = getDeno(scope);
+  if (typeof deno?.cwd === 'function') {
+    try {
+      return deno.cwd();
+    } catch {
+      // Deno throws when lacking --allow-read permission
+      return '/';
+    }
+  }
+  const proc = getProcess(scope);
+  if (typeof proc?.cwd === 'function') {
+    return proc.cwd();
+  }
+  return '/';
+}
+
+/**
+ * @param {string} name
+ * @param {EnvScope} [scope]
+ * @returns {string|undefined}
+ */
+export function envVar(name, scope = /** @type {EnvScope} */ (globalThis)) {
+  const deno = getDeno(scope);
+  if (typeof deno?.env?.get === 'function') {
+    try {
+      return deno.env.get(name);
+    } catch {
+      // Deno throws when lacking --allow-env permission
+      return undefined;
+    }
+  }
+  return getProcess(scope)?.env?.[name];
+}
@@ -0,0 +1,381 @@
+/**
+ * Create a list string in the form like 'A and B' or 'A, B, ..., and Z'.
+ * We cannot use Intl.ListFormat because it's not available in
+ * --without-intl builds.
+ * @param {string[]} array An array of strings.
+ * @param {string} [type] The list type to be inserted before the last element.
+ * @returns {string}
+ */
+function formatList(array, type = 'and') {
+  switch (array.length) {
+    case 0:
+      return '';
+    case 1:
+      return `${array[0]}`;
+    case 2:
+      return `${array[0]} ${type} ${array[1]}`;
+    case 3:
+      return `${array[0]}, ${array[1]}, ${type} ${array[2]}`;
+    default:
+      return `${array.slice(0, -1).join(', ')}, ${type} ${array[array.length - 1]}`;
+  }
+}
+
+const kTypes = [
+  'string',
+  'function',
+  'number',
+  'object',
+  // Accept 'Function' and 'Object' as alternative to the lower cased version.
+  'Function',
+  'Object',
+  'boolean',
+  'bigint',
+  'symbol',
+];
+
+const classRegExp = /^[A-Z][a-zA-Z0-9]*$/;
+
+/**
+ * @param {string} name
+ * @param {string|string[]} expected
+ * @param {*} actual
+ */
+function getMessage(name, expected, actual) {
+  if (!Array.isArray(expected)) {
+    expected = [expected];
+  }
+
+  let msg = 'The ';
+  if (name.endsWith(' argument')) {
+    // For cases like 'first argument'
+    msg += `${name} `;
+  } else {
+    const type = name.includes('.') ? 'property' : 'argument';
+    msg += `"${name}" ${type} `;
+  }
+  msg += 'must be ';
+
+  const types = [];
+  const instances = [];
+  const other = [];
+
+  for (const value of expected) {
+    if (kTypes.includes(value)) {
+      types.push(value.toLowerCase());
+    } else if (classRegExp.exec(value) !== null) {
+      instances.push(value);
+    } else {
+      other.push(value);
+    }
+  }
+
+  // Special handle `object` in case other instances are allowed to outline
+  // the differences between each other.
+  if (instances.length > 0) {
+    const pos = types.indexOf('object');
+    if (pos !== -1) {
+      types.splice(pos, 1);
+      instances.push('Object');
+    }
+  }
+
+  if (types.length > 0) {
+    msg += `${types.length > 1 ? 'one of type' : 'of type'} ${formatList(types, 'or')}`;
+    if (instances.length > 0 || other.length > 0) msg += ' or ';
+  }
+
+  if (instances.length > 0) {
+    msg += `an instance of ${formatList(instances, 'or')}`;
+    if (other.length > 0) msg += ' or ';
+  }
+
+  if (other.length > 0) {
+    if (other.length > 1) {
+      msg += `one of ${formatList(other, 'or')}`;
+    } else {
+      if (other[0].toLowerCase() !== other[0]) msg += 'an ';
+      msg += `${other[0]}`;
+    }
+  }
+
+  msg += `. Received ${determineSpecificType(actual)}`;
+  return msg;
+}
+
+/**
+ * Describes a received value the way Node's internal errors do,
+ * without util.inspect, which isn't available in browsers.
+ * @param {*} value
+ * @returns {string}
+ */
+function determineSpecificType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+
+  const type = typeof value;
+
+  switch (type) {
+    case 'bigint':
+      return `type bigint (${value}n)`;
+    case 'number':
+      if (value === 0) {
+        return 1 / value === -Infinity ? 'type number (-0)' : 'type number (0)';
+      }
+      return `type number (${value})`;
+    case 'boolean':
+      return value ? 'type boolean (true)' : 'type boolean (false)';
+    case 'symbol':
+      return `type symbol (${String(value)})`;
+    case 'function':
+      return `function ${value.name}`;
+    case 'object':
+      if (value.constructor && 'name' in value.constructor) {
+        return `an instance of ${value.constructor.name}`;
+      }
+      // util.inspect(value, { depth: -1 }) for objects without prototype
+      return Object.keys(value).length > 0
+        ? '[Object: null prototype]'
+        : '[Object: null prototype] {}';
+    case 'string':
+      if (value.length > 28) {
+        value = `${value.slice(0, 25)}...`;
+      }
+      if (value.indexOf("'") === -1) {
+        return `type string ('${value}')`;
+      }
+      return `type string (${JSON.stringify(value)})`;
+    default:
+      return `type ${type} (${String(value)})`;
+  }
+}
+
+/** @type {Record<string, string>} */
+const kEscapes = {
+  '\\': '\\\\',
+  '\b': '\\b',
+  '\t': '\\t',
+  '\n': '\\n',
+  '\v': '\\v',
+  '\f': '\\f',
+  '\r': '\\r',
+};
+
+/**
+ * Quotes and escapes a string the way util.inspect does,
+ * e.g. a UNC path is shown as '\\\\server'.
+ * @param {string} value
+ * @returns {string}
+ */
+export function inspectString(value) {
+  let quote = "'";
+  if (value.includes("'")) {
+    if (!value.includes('"')) quote = '"';
+    else if (!value.includes('`') && !value.includes('${')) quote = '`';
+  }
+  const escaped = value.replace(/[\\\x00-\x1f\x7f]/g, (char) => {
+    return kEscapes[char] ?? `\\x${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+  });
+  return quote + (quote === "'" ? escaped.replaceAll("'", "\\'") : escaped) + quote;
+}
+
+/**
+ * Like Node's internal errors, includes the error `code` in the stack trace as `Name [CODE]: message`,
+ * while `name` stays the name inherited from the prototype, e.g. 'TypeError'.
+ * @param {Error & { code: string }} error
+ */
+function addCodeToStack(error) {
+  const { name } = error;
+  // Add the error code to the name to include it in the stack trace.
+  error.name = `${name} [${error.code}]`;
+  // Access the stack to generate the error message including the error code from the name.
+  error.stack;
+  // Reset the name to the actual name, inherited from the prototype.
+  // @ts-expect-error deleting to fall back to the prototype
+  delete error.name;
+}
+
+/**
+ * Exposes the error `code` and includes it in the stack trace and `toString()`
+ * as `TypeError [CODE]: message`, see addCodeToStack
+ */
+class NodeTypeError extends TypeError {
+  /**
+   * @param {string} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    addCodeToStack(this);
+  }
+
+  toString() {
+    return `${this.name} [${this.code}]: ${this.message}`;
+  }
+}
+
+/**
+ * Same as NodeTypeError, as `RangeError [CODE]: message`
+ */
+class NodeRangeError extends RangeError {
+  /**
+   * @param {string} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    addCodeToStack(this);
+  }
+
+  toString() {
+    return `${this.name} [${this.code}]: ${this.message}`;
+  }
+}
+
+/**
+ * Same as NodeTypeError, as `Error [CODE]: message`
+ */
+class NodeError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    addCodeToStack(this);
+  }
+
+  toString() {
+    return `${this.name} [${this.code}]: ${this.message}`;
+  }
+}
+
+export class ERR_INVALID_ARG_TYPE extends NodeTypeError {
+  /**
+   * @param {string} name
+   * @param {string|string[]} expected
+   * @param {*} actual
+   */
+  constructor(name, expected, actual) {
+    super('ERR_INVALID_ARG_TYPE', getMessage(name, expected, actual));
+  }
+}
+
+/**
+ * Formats strings and arrays the way util.inspect does for short values, e.g. [ 'a', 'b' ]
+ * @param {*} value
+ * @returns {string}
+ */
+function inspectValue(value) {
+  if (typeof value === 'string') return inspectString(value);
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : `[ ${value.map(inspectValue).join(', ')} ]`;
+  }
+  return String(value);
+}
+
+export class ERR_INVALID_ARG_VALUE extends NodeTypeError {
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @param {string} [reason]
+   */
+  constructor(name, value, reason = 'is invalid') {
+    const type = name.includes('.') ? 'property' : 'argument';
+    super(
+      'ERR_INVALID_ARG_VALUE',
+      `The ${type} '${name}' ${reason}. Received ${inspectValue(value)}`,
+    );
+  }
+}
+
+/**
+ * @param {string} val
+ * @returns {string}
+ */
+function addNumericalSeparator(val) {
+  let res = '';
+  let i = val.length;
+  const start = val[0] === '-' ? 1 : 0;
+  for (; i >= start + 4; i -= 3) {
+    res = `_${val.slice(i - 3, i)}${res}`;
+  }
+  return `${val.slice(0, i)}${res}`;
+}
+
+export class ERR_OUT_OF_RANGE extends NodeRangeError {
+  /**
+   * @param {string} str
+   * @param {string} range
+   * @param {number} input
+   */
+  constructor(str, range, input) {
+    let received;
+    if (Number.isInteger(input) && Math.abs(input) > 2 ** 32) {
+      received = addNumericalSeparator(String(input));
+    } else {
+      received = Object.is(input, -0) ? '-0' : String(input);
+    }
+    super(
+      'ERR_OUT_OF_RANGE',
+      `The value of "${str}" is out of range. It must be ${range}. Received ${received}`,
+    );
+  }
+}
+
+export class ERR_INVALID_FILE_URL_HOST extends NodeTypeError {
+  /**
+   * @param {string} platform
+   */
+  constructor(platform) {
+    super('ERR_INVALID_FILE_URL_HOST', `File URL host must be "localhost" or empty on ${platform}`);
+  }
+}
+
+export class ERR_INVALID_FILE_URL_PATH extends NodeTypeError {
+  /**
+   * @param {string} reason
+   */
+  constructor(reason) {
+    super('ERR_INVALID_FILE_URL_PATH', `File URL path ${reason}`);
+  }
+}
+
+export class ERR_INVALID_URL_SCHEME extends NodeTypeError {
+  /**
+   * @param {string} expected
+   */
+  constructor(expected) {
+    super('ERR_INVALID_URL_SCHEME', `The URL must be of scheme ${expected}`);
+  }
+}
+
+/**
+ * Thrown by safeJoin when an untrusted path would end up outside of the root directory.
+ * Exported so it can be checked with instanceof, its code is 'ERR_UNSAFE_PATH'.
+ */
+export class UnsafePathError extends NodeError {
+  /**
+   * @param {string} path
+   * @param {string} reason
+   */
+  constructor(path, reason) {
+    super('ERR_UNSAFE_PATH', `The path ${inspectString(path)} ${reason}`);
+  }
+}
+
+export class ERR_INVALID_STATE extends NodeError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super('ERR_INVALID_STATE', `Invalid state: ${message}`);
+  }
+}
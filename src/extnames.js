@@ -0,0 +1,162 @@
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { posBasename, posExtname, winBasename, winExtname } from './path.js';
+import { validateBoolean, validateObject, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(path: string) => string} basename
+ * @property {(path: string) => string} extname
+ * @property {RegExp} separators
+ * @property {RegExp} trailingSeparators
+ */
+
+/** @type {Flavor} */
+const win = {
+  basename: winBasename,
+  extname: winExtname,
+  separators: /[\\/]/,
+  trailingSeparators: /[\\/]*$/,
+};
+
+/** @type {Flavor} */
+const pos = {
+  basename: posBasename,
+  extname: posExtname,
+  separators: /\//,
+  trailingSeparators: /\/*$/,
+};
+
+/**
+ * @typedef {Object} ReplaceExtOptions
+ * @property {boolean} [all] replace all extensions instead of only the last one, e.g. .tar.gz
+ */
+
+/**
+ * Applies extname to the rest of the file name until there is no extension left,
+ * so the dot-file rules stay the same, e.g. .eslintrc.json only has .json
+ * @param {Flavor} flavor
+ * @param {string} base
+ * @returns {string[]}
+ */
+function getExtnames(flavor, base) {
+  const exts = [];
+  let ext = flavor.extname(base);
+  while (ext !== '') {
+    exts.unshift(ext);
+    base = base.slice(0, -ext.length);
+    ext = flavor.extname(base);
+  }
+  return exts;
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @returns {string[]}
+ */
+function extnames(flavor, path) {
+  validateString(path, 'path');
+  return getExtnames(flavor, flavor.basename(path));
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @returns {string}
+ */
+function stem(flavor, path) {
+  validateString(path, 'path');
+  const base = flavor.basename(path);
+  return base.slice(0, base.length - getExtnames(flavor, base).join('').length);
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @param {string} ext
+ * @param {ReplaceExtOptions} options
+ * @returns {string}
+ */
+function replaceExt(flavor, path, ext, options) {
+  validateString(path, 'path');
+  validateString(ext, 'ext');
+  validateObject(options, 'options');
+  const { all = false } = options;
+  validateBoolean(all, 'options.all');
+  if (ext === '.' || flavor.separators.test(ext)) {
+    throw new ERR_INVALID_ARG_VALUE('ext', ext, 'must be an extension without separators');
+  }
+  const base = flavor.basename(path);
+  if (base === '' || base === '.' || base === '..') {
+    throw new ERR_INVALID_ARG_VALUE('path', path, 'must end with a file name');
+  }
+
+  const exts = getExtnames(flavor, base);
+  const removed = all ? exts.join('') : exts.at(-1) ?? '';
+  // keep trailing separators, like basename ignores them
+  const end = path.search(flavor.trailingSeparators);
+  const added = ext === '' || ext[0] === '.' ? ext : `.${ext}`;
+  return `${path.slice(0, end - removed.length)}${added}${path.slice(end)}`;
+}
+
+/**
+ * All extensions of the file name, e.g. ['.tar', '.gz'] for archive.tar.gz.
+ * Leading dots belong to the name like in extname, so .eslintrc.json has ['.json'].
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function winExtnames(path) {
+  return extnames(win, path);
+}
+
+/**
+ * All extensions of the file name, e.g. ['.tar', '.gz'] for archive.tar.gz.
+ * Leading dots belong to the name like in extname, so .eslintrc.json has ['.json'].
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function posExtnames(path) {
+  return extnames(pos, path);
+}
+
+/**
+ * The file name without any extensions, e.g. archive for C:\foo\archive.tar.gz
+ * @param {string} path
+ * @returns {string}
+ */
+export function winStem(path) {
+  return stem(win, path);
+}
+
+/**
+ * The file name without any extensions, e.g. archive for /foo/archive.tar.gz
+ * @param {string} path
+ * @returns {string}
+ */
+export function posStem(path) {
+  return stem(pos, path);
+}
+
+/**
+ * Replaces the last extension, or all of them with `{ all: true }`, and keeps the rest of the path as is.
+ * An empty ext removes the extension, and a missing leading dot is added like in format.
+ * @param {string} path
+ * @param {string} ext
+ * @param {ReplaceExtOptions} [options]
+ * @returns {string}
+ */
+export function winReplaceExt(path, ext, options = {}) {
+  return replaceExt(win, path, ext, options);
+}
+
+/**
+ * Replaces the last extension, or all of them with `{ all: true }`, and keeps the rest of the path as is.
+ * An empty ext removes the extension, and a missing leading dot is added like in format.
+ * @param {string} path
+ * @param {string} ext
+ * @param {ReplaceExtOptions} [options]
+ * @returns {string}
+ */
+export function posReplaceExt(path, ext, options = {}) {
+  return replaceExt(pos, path, ext, options);
+}
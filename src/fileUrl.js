@@ -0,0 +1,201 @@
+/**
+ * ESM copy of fileURLToPath and pathToFileURL from https://github.com/nodejs/node/blob/v22.12.0/lib/internal/url.js
+ * Changes:
+ * - Split into win32 and posix variants instead of deciding on the host platform (or the `windows` option)
+ * - Resolve relative paths with winResolve/posResolve, so the configured cwd is used, see cwd.js
+ * - No domainToASCII/domainToUnicode, since browsers don't expose them:
+ *   the URL hostname setter converts IDNs to punycode, and UNC hosts are not converted back to unicode
+ * - The posix invalid host error mentions 'posix' instead of process.platform
+ */
+
+import {
+  CHAR_BACKWARD_SLASH,
+  CHAR_FORWARD_SLASH,
+  CHAR_LOWERCASE_A,
+  CHAR_LOWERCASE_Z,
+} from './constants.js';
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_URL_SCHEME,
+} from './errors.js';
+import { posResolve, winResolve } from './path.js';
+import { validateString } from './validators.js';
+
+const percentRegEx = /%/g;
+const backslashRegEx = /\\/g;
+const forwardSlashRegEx = /\//g;
+const newlineRegEx = /\n/g;
+const carriageReturnRegEx = /\r/g;
+const tabRegEx = /\t/g;
+const questionRegex = /\?/g;
+const hashRegex = /#/g;
+
+/**
+ * Same check as Node's isURL, which also accepts URL instances from other realms,
+ * but not legacy url.parse() objects.
+ * @param {*} self
+ * @returns {self is URL}
+ */
+function isURL(self) {
+  return Boolean(self?.href && self.protocol && self.auth === undefined && self.path === undefined);
+}
+
+/**
+ * @param {string|URL} path
+ * @returns {URL}
+ */
+function toFileURL(path) {
+  if (typeof path === 'string') path = new URL(path);
+  else if (!isURL(path)) throw new ERR_INVALID_ARG_TYPE('path', ['string', 'URL'], path);
+  if (path.protocol !== 'file:') throw new ERR_INVALID_URL_SCHEME('file');
+  return path;
+}
+
+/**
+ * Converts a file URL to a win32 path, e.g. file:///C:/foo%20bar -> C:\foo bar
+ * and file://server/share/foo -> \\server\share\foo
+ * @param {string|URL} path
+ * @returns {string}
+ */
+export function winFileURLToPath(path) {
+  const url = toFileURL(path);
+  const hostname = url.hostname;
+  let pathname = url.pathname;
+  for (let n = 0; n < pathname.length; n++) {
+    if (pathname[n] === '%') {
+      const third = /** @type {number} */ (pathname.codePointAt(n + 2)) | 0x20;
+      if (
+        (pathname[n + 1] === '2' && third === 102) || // 2f 2F /
+        (pathname[n + 1] === '5' && third === 99) // 5c 5C \
+      ) {
+        throw new ERR_INVALID_FILE_URL_PATH('must not include encoded \\ or / characters');
+      }
+    }
+  }
+  pathname = pathname.replace(forwardSlashRegEx, '\\');
+  pathname = decodeURIComponent(pathname);
+  if (hostname !== '') {
+    // If hostname is set, then we have a UNC path
+    return `\\\\${hostname}${pathname}`;
+  }
+  // Otherwise, it's a local path that requires a drive letter
+  const letter = /** @type {number} */ (pathname.codePointAt(1)) | 0x20;
+  const sep = pathname[2];
+  if (
+    letter < CHAR_LOWERCASE_A ||
+    letter > CHAR_LOWERCASE_Z || // a..z A..Z
+    sep !== ':'
+  ) {
+    throw new ERR_INVALID_FILE_URL_PATH('must be absolute');
+  }
+  return pathname.slice(1);
+}
+
+/**
+ * Converts a file URL to a posix path, e.g. file:///foo%20bar -> /foo bar
+ * @param {string|URL} path
+ * @returns {string}
+ */
+export function posFileURLToPath(path) {
+  const url = toFileURL(path);
+  if (url.hostname !== '') {
+    throw new ERR_INVALID_FILE_URL_HOST('posix');
+  }
+  const pathname = url.pathname;
+  for (let n = 0; n < pathname.length; n++) {
+    if (pathname[n] === '%') {
+      const third = /** @type {number} */ (pathname.codePointAt(n + 2)) | 0x20;
+      if (pathname[n + 1] === '2' && third === 102) {
+        throw new ERR_INVALID_FILE_URL_PATH('must not include encoded / characters');
+      }
+    }
+  }
+  return decodeURIComponent(pathname);
+}
+
+/**
+ * @param {string} filepath
+ * @param {boolean} windows
+ * @returns {string}
+ */
+function encodePathChars(filepath, windows) {
+  if (filepath.indexOf('%') !== -1) filepath = filepath.replace(percentRegEx, '%25');
+  // In posix, backslash is a valid character in paths:
+  if (!windows && filepath.indexOf('\\') !== -1) filepath = filepath.replace(backslashRegEx, '%5C');
+  if (filepath.indexOf('\n') !== -1) filepath = filepath.replace(newlineRegEx, '%0A');
+  if (filepath.indexOf('\r') !== -1) filepath = filepath.replace(carriageReturnRegEx, '%0D');
+  if (filepath.indexOf('\t') !== -1) filepath = filepath.replace(tabRegEx, '%09');
+  return filepath;
+}
+
+/**
+ * @param {string} filepath
+ * @param {boolean} windows
+ * @returns {URL}
+ */
+function pathToFileURL(filepath, windows) {
+  validateString(filepath, 'path');
+  if (windows && filepath.startsWith('\\\\')) {
+    const outURL = new URL('file://');
+    // UNC path format: \\server\share\resource
+    // Handle extended UNC path and standard UNC path
+    // "\\?\UNC\" path prefix should be ignored.
+    // Ref: https://learn.microsoft.com/en-us/windows/win32/fileio/maximum-file-path-limitation
+    const isExtendedUNC = filepath.startsWith('\\\\?\\UNC\\');
+    const prefixLength = isExtendedUNC ? 8 : 2;
+    const hostnameEndIndex = filepath.indexOf('\\', prefixLength);
+    if (hostnameEndIndex === -1) {
+      throw new ERR_INVALID_ARG_VALUE('path', filepath, 'Missing UNC resource path');
+    }
+    if (hostnameEndIndex === 2) {
+      throw new ERR_INVALID_ARG_VALUE('path', filepath, 'Empty UNC servername');
+    }
+    outURL.hostname = filepath.slice(prefixLength, hostnameEndIndex);
+    outURL.pathname = encodePathChars(
+      filepath.slice(hostnameEndIndex).replace(backslashRegEx, '/'),
+      windows,
+    );
+    return outURL;
+  }
+  let resolved = windows ? winResolve(filepath) : posResolve(filepath);
+  // path.resolve strips trailing slashes so we must add them back
+  const filePathLast = filepath.charCodeAt(filepath.length - 1);
+  if (
+    (filePathLast === CHAR_FORWARD_SLASH || (windows && filePathLast === CHAR_BACKWARD_SLASH)) &&
+    resolved[resolved.length - 1] !== (windows ? '\\' : '/')
+  )
+    resolved += '/';
+
+  // Call encodePathChars first to avoid encoding % again for ? and #.
+  resolved = encodePathChars(resolved, windows);
+
+  // Question and hash character should be included in pathname.
+  // Therefore, encoding is required to eliminate parsing them in different states.
+  // This is done as an optimization as well as preventing potential bugs if
+  // path is referenced as the first element.
+  if (resolved.indexOf('?') !== -1) resolved = resolved.replace(questionRegex, '%3F');
+  if (resolved.indexOf('#') !== -1) resolved = resolved.replace(hashRegex, '%23');
+  return new URL(`file://${resolved}`);
+}
+
+/**
+ * Resolves a win32 path and converts it to a file URL, e.g. C:\foo bar -> file:///C:/foo%20bar
+ * and \\server\share\foo -> file://server/share/foo
+ * @param {string} filepath
+ * @returns {URL}
+ */
+export function winPathToFileURL(filepath) {
+  return pathToFileURL(filepath, true);
+}
+
+/**
+ * Resolves a posix path and converts it to a file URL, e.g. /foo bar -> file:///foo%20bar
+ * @param {string} filepath
+ * @returns {URL}
+ */
+export function posPathToFileURL(filepath) {
+  return pathToFileURL(filepath, false);
+}
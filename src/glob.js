@@ -0,0 +1,389 @@
+/**
+ * Self-contained glob matcher backing `path.matchesGlob`.
+ * Node delegates to minimatch internally, which we don't want to bundle,
+ * so this implements the subset that matters for path matching:
+ * - `*`, `?` and `**` (globstar, only when it is the entire segment)
+ * - character classes `[abc]`, `[a-z]`, `[!abc]`/`[^abc]` and POSIX classes like `[[:alpha:]]`
+ * - brace expansion `{a,b}`, including nesting and ranges `{1..3}`/`{a..c}`
+ * - negation of the whole pattern with a leading `!`
+ *
+ * Like minimatch, wildcards never match a leading dot of a segment unless the pattern
+ * segment itself starts with a literal dot, and `.` / `..` segments are never matched by wildcards.
+ *
+ * For win32, both `\` and `/` are separators (in the path as well as the pattern, so there
+ * is no escape character) and matching is case-insensitive.
+ * For posix, `/` is the only separator and `\` escapes the next character in the pattern.
+ */
+
+import {
+  CHAR_BACKWARD_SLASH,
+  CHAR_COMMA,
+  CHAR_DOT,
+  CHAR_EXCLAMATION_MARK,
+  CHAR_LEFT_CURLY_BRACKET,
+  CHAR_RIGHT_CURLY_BRACKET,
+} from './constants.js';
+
+const GLOBSTAR = Symbol('globstar');
+
+/** @type {Record<string, string>} */
+const posixClasses = {
+  alnum: '\\p{L}\\p{Nl}\\p{Nd}',
+  alpha: '\\p{L}\\p{Nl}',
+  ascii: '\\x00-\\x7f',
+  blank: '\\p{Zs}\\t',
+  cntrl: '\\p{Cc}',
+  digit: '\\p{Nd}',
+  graph: '\\p{L}\\p{M}\\p{N}\\p{P}\\p{S}',
+  lower: '\\p{Ll}',
+  print: '\\p{L}\\p{M}\\p{N}\\p{P}\\p{S}\\p{Zs}',
+  punct: '\\p{P}',
+  space: '\\p{Z}\\t\\r\\n\\v\\f',
+  upper: '\\p{Lu}',
+  word: '\\p{L}\\p{Nl}\\p{Nd}\\p{Pc}',
+  xdigit: 'A-Fa-f0-9',
+};
+
+/**
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeRegExp(char) {
+  return char.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+}
+
+/**
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeClassChar(char) {
+  return char.replace(/[\\\][^-]/g, '\\$&');
+}
+
+/**
+ * Finds the index of the brace closing the one opened at `start`, or -1.
+ * @param {string} pattern
+ * @param {number} start
+ * @param {boolean} windows
+ * @returns {number}
+ */
+function findClosingBrace(pattern, start, windows) {
+  let depth = 0;
+  for (let i = start; i < pattern.length; i++) {
+    const code = pattern.charCodeAt(i);
+    if (!windows && code === CHAR_BACKWARD_SLASH) {
+      i++;
+    } else if (code === CHAR_LEFT_CURLY_BRACKET) {
+      depth++;
+    } else if (code === CHAR_RIGHT_CURLY_BRACKET && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits the body of a brace set on its top-level commas.
+ * @param {string} body
+ * @param {boolean} windows
+ * @returns {string[]}
+ */
+function splitBraceBody(body, windows) {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+  for (let i = 0; i < body.length; i++) {
+    const code = body.charCodeAt(i);
+    if (!windows && code === CHAR_BACKWARD_SLASH) {
+      i++;
+    } else if (code === CHAR_LEFT_CURLY_BRACKET) {
+      depth++;
+    } else if (code === CHAR_RIGHT_CURLY_BRACKET) {
+      depth--;
+    } else if (code === CHAR_COMMA && depth === 0) {
+      parts.push(body.slice(last, i));
+      last = i + 1;
+    }
+  }
+  parts.push(body.slice(last));
+  return parts;
+}
+
+/**
+ * Expands `{1..5}`, `{01..10..2}` or `{a..e}` style sequences.
+ * Returns undefined if the body is not a sequence.
+ * @param {string} body
+ * @returns {string[]|undefined}
+ */
+function expandSequence(body) {
+  const numeric = /^(-?\d+)\.\.(-?\d+)(?:\.\.(-?\d+))?$/.exec(body);
+  const alpha = numeric ? null : /^([a-zA-Z])\.\.([a-zA-Z])(?:\.\.(-?\d+))?$/.exec(body);
+  const match = numeric || alpha;
+  if (!match) return undefined;
+
+  const start = numeric ? parseInt(match[1], 10) : match[1].charCodeAt(0);
+  const end = numeric ? parseInt(match[2], 10) : match[2].charCodeAt(0);
+  const step = Math.abs(parseInt(match[3] ?? '1', 10)) || 1;
+  // zero-padding applies when either side has a leading zero, e.g. {01..10}
+  const paddedWidth =
+    numeric && (/^-?0\d/.test(match[1]) || /^-?0\d/.test(match[2]))
+      ? Math.max(match[1].length, match[2].length)
+      : 0;
+
+  const result = [];
+  const dir = start <= end ? 1 : -1;
+  for (let i = start; dir === 1 ? i <= end : i >= end; i += step * dir) {
+    if (!numeric) {
+      result.push(String.fromCharCode(i));
+    } else if (paddedWidth > 0) {
+      const digits = String(Math.abs(i)).padStart(paddedWidth - (i < 0 ? 1 : 0), '0');
+      result.push(i < 0 ? `-${digits}` : digits);
+    } else {
+      result.push(String(i));
+    }
+  }
+  return result;
+}
+
+/**
+ * Brace expansion, e.g. `a/{b,c{d,e}}/{1..2}` -> `a/b/1`, `a/b/2`, `a/cd/1`, ...
+ * Braces without a comma or sequence inside of them are kept literally.
+ * @param {string} pattern
+ * @param {boolean} windows
+ * @returns {string[]}
+ */
+export function expandBraces(pattern, windows) {
+  for (let i = 0; i < pattern.length; i++) {
+    const code = pattern.charCodeAt(i);
+    if (!windows && code === CHAR_BACKWARD_SLASH) {
+      i++;
+      continue;
+    }
+    if (code !== CHAR_LEFT_CURLY_BRACKET) continue;
+
+    const close = findClosingBrace(pattern, i, windows);
+    if (close === -1) break;
+
+    const body = pattern.slice(i + 1, close);
+    const alternatives = expandSequence(body) ?? splitBraceBody(body, windows);
+    if (alternatives.length < 2) continue;
+
+    const prefix = pattern.slice(0, i);
+    const suffixes = expandBraces(pattern.slice(close + 1), windows);
+    const result = [];
+    for (const alternative of alternatives) {
+      for (const expanded of expandBraces(alternative, windows)) {
+        for (const suffix of suffixes) {
+          result.push(`${prefix}${expanded}${suffix}`);
+        }
+      }
+    }
+    return result;
+  }
+  return [pattern];
+}
+
+/**
+ * Parses a bracket expression starting at `start` (pointing at `[`).
+ * Returns the regexp source and the index of the closing `]`,
+ * or undefined if the class is never closed, in which case `[` is a literal.
+ * @param {string} segment
+ * @param {number} start
+ * @param {boolean} windows
+ * @returns {{ source: string, end: number }|undefined}
+ */
+function parseClass(segment, start, windows) {
+  let i = start + 1;
+  let negate = false;
+  if (segment[i] === '!' || segment[i] === '^') {
+    negate = true;
+    i++;
+  }
+  let source = '';
+  let first = true;
+  for (; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === ']' && !first) {
+      if (source.length === 0) return undefined;
+      return { source: negate ? `[^/${source}]` : `[${source}]`, end: i };
+    }
+    first = false;
+    if (char === '[' && segment[i + 1] === ':') {
+      const classEnd = segment.indexOf(':]', i + 2);
+      const name = classEnd === -1 ? '' : segment.slice(i + 2, classEnd);
+      if (posixClasses.hasOwnProperty(name)) {
+        source += posixClasses[name];
+        i = classEnd + 1;
+        continue;
+      }
+    }
+    if (!windows && char === '\\' && i + 1 < segment.length) {
+      i++;
+      source += escapeClassChar(segment[i]);
+      continue;
+    }
+    if (char === '-' && source.length > 0 && segment[i + 1] !== ']') {
+      source += '-';
+      continue;
+    }
+    source += escapeClassChar(char);
+  }
+  return undefined;
+}
+
+/**
+ * Converts a single pattern segment (no separators) into a matcher,
+ * either a plain string for literal segments or a RegExp.
+ * @param {string} segment
+ * @param {boolean} windows
+ * @returns {string|RegExp|typeof GLOBSTAR}
+ */
+function compileSegment(segment, windows) {
+  if (segment === '**') return GLOBSTAR;
+
+  let source = '';
+  let hasMagic = false;
+  let literal = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (!windows && char === '\\' && i + 1 < segment.length) {
+      i++;
+      source += escapeRegExp(segment[i]);
+      literal += segment[i];
+    } else if (char === '*') {
+      hasMagic = true;
+      // collapse consecutive stars
+      if (!source.endsWith('[^/]*?')) source += '[^/]*?';
+    } else if (char === '?') {
+      hasMagic = true;
+      source += '[^/]';
+    } else if (char === '[') {
+      const parsed = parseClass(segment, i, windows);
+      if (parsed) {
+        hasMagic = true;
+        source += parsed.source;
+        i = parsed.end;
+      } else {
+        source += '\\[';
+        literal += char;
+      }
+    } else {
+      source += escapeRegExp(char);
+      literal += char;
+    }
+  }
+
+  if (!hasMagic) return windows ? literal.toLowerCase() : literal;
+
+  // Wildcards must not match a leading dot, nor the `.` and `..` entries,
+  // unless the pattern explicitly starts with a dot.
+  const prefix = segment.charCodeAt(0) === CHAR_DOT ? '' : '(?!\\.)';
+  return new RegExp(`^${prefix}${source}$`, windows ? 'iu' : 'u');
+}
+
+/**
+ * Splits a path or pattern into segments, collapsing repeated separators.
+ * For paths, `segment/..` pairs are resolved as well, like minimatch does.
+ * @param {string} path
+ * @param {boolean} [resolveParents]
+ * @returns {string[]}
+ */
+function splitPath(path, resolveParents = false) {
+  /** @type {string[]} */
+  const segments = [];
+  const parts = path.split('/');
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    // keep leading (root / UNC) and trailing empty segments
+    if (part === '' && i !== 0 && i !== parts.length - 1) continue;
+    if (i === 1 && parts[0] === '' && part === '') {
+      segments.push(part);
+      continue;
+    }
+    const prev = segments[segments.length - 1];
+    if (
+      resolveParents &&
+      part === '..' &&
+      prev !== undefined &&
+      prev !== '' &&
+      prev !== '.' &&
+      prev !== '..'
+    ) {
+      segments.pop();
+      continue;
+    }
+    segments.push(part);
+  }
+  return segments;
+}
+
+/**
+ * @param {string[]} file
+ * @param {number} fi
+ * @param {Array<string|RegExp|typeof GLOBSTAR>} pattern
+ * @param {number} pi
+ * @param {boolean} windows
+ * @returns {boolean}
+ */
+function matchSegments(file, fi, pattern, pi, windows) {
+  for (; pi < pattern.length; pi++, fi++) {
+    const matcher = pattern[pi];
+
+    if (matcher === GLOBSTAR) {
+      // ** at the end swallows the rest of the path (at least one segment),
+      // as long as it doesn't traverse dot entries
+      if (pi === pattern.length - 1) {
+        if (fi >= file.length) return false;
+        for (; fi < file.length; fi++) {
+          if (file[fi].charCodeAt(0) === CHAR_DOT) return false;
+        }
+        return true;
+      }
+      // otherwise try to match the remainder of the pattern against every possible tail
+      for (let fr = fi; fr < file.length; fr++) {
+        if (matchSegments(file, fr, pattern, pi + 1, windows)) return true;
+        if (file[fr].charCodeAt(0) === CHAR_DOT) return false;
+      }
+      return false;
+    }
+
+    if (fi >= file.length) return false;
+    const segment = file[fi];
+    if (typeof matcher === 'string') {
+      if ((windows ? segment.toLowerCase() : segment) !== matcher) return false;
+    } else if (segment === '.' || segment === '..' || !matcher.test(segment)) {
+      return false;
+    }
+  }
+
+  // Ran out of pattern: only acceptable if what's left is a single trailing separator
+  return fi === file.length || (fi === file.length - 1 && file[fi] === '');
+}
+
+/**
+ * @param {string} path
+ * @param {string} pattern
+ * @param {boolean} windows
+ * @returns {boolean}
+ */
+export function matchGlob(path, pattern, windows) {
+  let negate = false;
+  let start = 0;
+  while (pattern.charCodeAt(start) === CHAR_EXCLAMATION_MARK) {
+    negate = !negate;
+    start++;
+  }
+  pattern = pattern.slice(start);
+
+  if (windows) {
+    path = path.replace(/\\/g, '/');
+    pattern = pattern.replace(/\\/g, '/');
+  }
+
+  const file = splitPath(path, true);
+  const matched = expandBraces(pattern, windows).some((expanded) => {
+    const segments = splitPath(expanded).map((segment) => compileSegment(segment, windows));
+    return matchSegments(file, 0, segments, 0, windows);
+  });
+  return negate ? !matched : matched;
+}
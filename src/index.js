@@ -11,6 +11,7 @@ import {
   winExtname,
   winFormat,
   winParse,
+  winMatchesGlob,
   winSep,
   winDelimiter,
   posResolve,
@@ -24,58 +25,67 @@ import {
   posExtname,
   posFormat,
   posParse,
+  posMatchesGlob,
   posSep,
   posDelimiter,
+  upstreamVersion,
 } from './path.js';
+import {
+  winFileURLToPath,
+  winPathToFileURL,
+  posFileURLToPath,
+  posPathToFileURL,
+} from './fileUrl.js';
+import { winSafeJoin, winIsInside, posSafeJoin, posIsInside } from './safeJoin.js';
+import {
+  winExtnames,
+  winStem,
+  winReplaceExt,
+  posExtnames,
+  posStem,
+  posReplaceExt,
+} from './extnames.js';
+import { winEquals, winCompare, posEquals, posCompare } from './compare.js';
+import {
+  winSplit,
+  winSegments,
+  winFromSegments,
+  posSplit,
+  posSegments,
+  posFromSegments,
+} from './segments.js';
+import { winCommonPath, posCommonPath } from './commonPath.js';
+import {
+  winParsePathList,
+  winFormatPathList,
+  winDedupePathList,
+  winPrependPathList,
+  posParsePathList,
+  posFormatPathList,
+  posDedupePathList,
+  posPrependPathList,
+} from './pathList.js';
+import { Win32Path, PosixPath } from './pathObject.js';
+import { win32, posix } from './namespaces.js';
 
-// browser-compatible windows check
-const platformIsWin32 = isWindows();
-
-const __win32 = {
-  resolve: winResolve,
-  normalize: winNormalize,
-  isAbsolute: winIsAbsolute,
-  join: winJoin,
-  relative: winRelative,
-  toNamespacedPath: winToNamespacedPath,
-  dirname: winDirname,
-  basename: winBasename,
-  extname: winExtname,
-  format: winFormat,
-  parse: winParse,
-  sep: winSep,
-  delimiter: winDelimiter,
-};
+/**
+ * @typedef {import('./types.js').PlatformPath} PlatformPath
+ * @typedef {import('./types.js').ParsedPath} ParsedPath
+ * @typedef {import('./types.js').FormatInputPathObject} FormatInputPathObject
+ */
 
-const __posix = {
-  resolve: posResolve,
-  normalize: posNormalize,
-  isAbsolute: posIsAbsolute,
-  join: posJoin,
-  relative: posRelative,
-  toNamespacedPath: posToNamespacedPath,
-  dirname: posDirname,
-  basename: posBasename,
-  extname: posExtname,
-  format: posFormat,
-  parse: posParse,
-  sep: posSep,
-  delimiter: posDelimiter,
-};
+// browser-compatible windows check
+const platformIsWin32 = /* @__PURE__ */ isWindows();
 
-// import { win32 } from 'path-unified' -> bad for treeshaking
-export const win32 = {
-  ...__win32,
-  posix: __posix, // this makes it bad for treeshaking too since otherwise we'd only need to load posix stuff... but keeping it to support current path API
-  win32: __win32,
-};
+// import { win32 } from 'path-unified' -> bad for treeshaking, see namespaces.js
+export { win32, posix };
 
-// import { posix } from 'path-unified' -> bad for treeshaking
-export const posix = {
-  ...__posix,
-  posix: __posix,
-  win32: __win32, // this makes it bad for treeshaking too since otherwise we'd only need to load posix stuff... but keeping it to support current path API
-};
+export { upstreamVersion };
+export { toPosix, toWin32 } from './convert.js';
+export { UnsafePathError } from './errors.js';
+export { Win32Path, PosixPath };
+export { setCwd, setDriveCwd } from './cwd.js';
+export { EOL } from './constants.js';
 
 // import path from 'path-unified' -> bad for treeshaking
 export default platformIsWin32 ? win32 : posix;
@@ -92,5 +102,26 @@ export const basename = platformIsWin32 ? winBasename : posBasename;
 export const extname = platformIsWin32 ? winExtname : posExtname;
 export const format = platformIsWin32 ? winFormat : posFormat;
 export const parse = platformIsWin32 ? winParse : posParse;
+export const matchesGlob = platformIsWin32 ? winMatchesGlob : posMatchesGlob;
 export const sep = platformIsWin32 ? winSep : posSep;
 export const delimiter = platformIsWin32 ? winDelimiter : posDelimiter;
+
+// not part of Node's path module, see url.fileURLToPath and url.pathToFileURL
+export const fileURLToPath = platformIsWin32 ? winFileURLToPath : posFileURLToPath;
+export const pathToFileURL = platformIsWin32 ? winPathToFileURL : posPathToFileURL;
+export const safeJoin = platformIsWin32 ? winSafeJoin : posSafeJoin;
+export const isInside = platformIsWin32 ? winIsInside : posIsInside;
+export const extnames = platformIsWin32 ? winExtnames : posExtnames;
+export const stem = platformIsWin32 ? winStem : posStem;
+export const replaceExt = platformIsWin32 ? winReplaceExt : posReplaceExt;
+export const equals = platformIsWin32 ? winEquals : posEquals;
+export const compare = platformIsWin32 ? winCompare : posCompare;
+export const split = platformIsWin32 ? winSplit : posSplit;
+export const segments = platformIsWin32 ? winSegments : posSegments;
+export const fromSegments = platformIsWin32 ? winFromSegments : posFromSegments;
+export const commonPath = platformIsWin32 ? winCommonPath : posCommonPath;
+export const parsePathList = platformIsWin32 ? winParsePathList : posParsePathList;
+export const formatPathList = platformIsWin32 ? winFormatPathList : posFormatPathList;
+export const dedupePathList = platformIsWin32 ? winDedupePathList : posDedupePathList;
+export const prependPathList = platformIsWin32 ? winPrependPathList : posPrependPathList;
+export const Path = platformIsWin32 ? Win32Path : PosixPath;
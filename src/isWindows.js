@@ -1,15 +1,8 @@
+import { envIsWindows } from './env.js';
+
 /**
+ * Works in Node, Bun, Deno, browsers, workers and edge runtimes, see env.js
+ * @param {import('./env.js').EnvScope} [scope] global scope to inspect, defaults to globalThis
  * @returns {boolean}
  */
-export const isWindows = () => {
-  // browser
-  if (typeof window === 'object') {
-    return (
-      // @ts-expect-error some browsers support userAgentData.platform, not all though...
-      window.navigator.userAgentData?.platform === 'Windows' ||
-      window.navigator.userAgent.includes('Windows')
-    );
-  }
-  // node
-  return process?.platform === 'win32';
-};
+export const isWindows = (scope) => envIsWindows(scope);
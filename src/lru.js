@@ -0,0 +1,88 @@
+/**
+ * @template V
+ * @typedef {Object} Node
+ * @property {V} [value]
+ * @property {Map<string, Node<V>>} [children]
+ */
+
+/**
+ * @template V
+ * @param {Node<V>} node
+ * @param {string[]} keys
+ * @returns {Node<V>|undefined}
+ */
+function find(node, keys) {
+  /** @type {Node<V>|undefined} */
+  let current = node;
+  for (let i = 0; i < keys.length && current !== undefined; i++) {
+    current = current.children?.get(keys[i]);
+  }
+  return current;
+}
+
+/**
+ * Least recently used cache keyed by lists of strings, e.g. the arguments of resolve.
+ * Uses nested Maps instead of joining the strings into one key,
+ * because a new key string has to be hashed again on every lookup, which defeats the purpose.
+ * Evicts in two generations, like quick-lru: when the current generation has maxEntries entries,
+ * it replaces the old generation, and reading an entry from the old generation moves it to the current one.
+ * @template V
+ */
+export class LRUCache {
+  /** @type {Node<V>} */
+  #current = {};
+
+  /** @type {Node<V>} */
+  #old = {};
+
+  #size = 0;
+
+  /**
+   * @param {number} maxEntries
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string[]} keys
+   * @returns {V|undefined}
+   */
+  get(keys) {
+    const value = find(this.#current, keys)?.value;
+    if (value !== undefined) return value;
+    const oldValue = find(this.#old, keys)?.value;
+    if (oldValue !== undefined) this.set(keys, oldValue);
+    return oldValue;
+  }
+
+  /**
+   * @param {string[]} keys
+   * @param {V} value
+   */
+  set(keys, value) {
+    let node = this.#current;
+    for (const key of keys) {
+      node.children ??= new Map();
+      let child = node.children.get(key);
+      if (child === undefined) {
+        child = {};
+        node.children.set(key, child);
+      }
+      node = child;
+    }
+    if (node.value === undefined) this.#size++;
+    node.value = value;
+    if (this.#size >= this.maxEntries) {
+      this.#old = this.#current;
+      this.#current = {};
+      this.#size = 0;
+    }
+  }
+
+  clear() {
+    this.#current = {};
+    this.#old = {};
+    this.#size = 0;
+  }
+}
@@ -0,0 +1,79 @@
+import {
+  winResolve,
+  winNormalize,
+  winIsAbsolute,
+  winJoin,
+  winRelative,
+  winToNamespacedPath,
+  winDirname,
+  winBasename,
+  winExtname,
+  winFormat,
+  winParse,
+  winMatchesGlob,
+  winSep,
+  winDelimiter,
+  posResolve,
+  posNormalize,
+  posIsAbsolute,
+  posJoin,
+  posRelative,
+  posToNamespacedPath,
+  posDirname,
+  posBasename,
+  posExtname,
+  posFormat,
+  posParse,
+  posMatchesGlob,
+  posSep,
+  posDelimiter,
+} from './path.js';
+
+/**
+ * @typedef {import('./types.js').PlatformPath} PlatformPath
+ */
+
+// import { win32 } from 'path-unified' -> bad for treeshaking, since it references posix as well.
+// Created together in a pure function, so bundlers can leave out both when neither is imported,
+// top-level assignments to them would keep them alive.
+export const { win32, posix } = /* @__PURE__ */ (() => {
+  const win32 = /** @type {PlatformPath} */ ({
+    resolve: winResolve,
+    normalize: winNormalize,
+    isAbsolute: winIsAbsolute,
+    join: winJoin,
+    relative: winRelative,
+    toNamespacedPath: winToNamespacedPath,
+    dirname: winDirname,
+    basename: winBasename,
+    extname: winExtname,
+    format: winFormat,
+    parse: winParse,
+    matchesGlob: winMatchesGlob,
+    sep: winSep,
+    delimiter: winDelimiter,
+  });
+  const posix = /** @type {PlatformPath} */ ({
+    resolve: posResolve,
+    normalize: posNormalize,
+    isAbsolute: posIsAbsolute,
+    join: posJoin,
+    relative: posRelative,
+    toNamespacedPath: posToNamespacedPath,
+    dirname: posDirname,
+    basename: posBasename,
+    extname: posExtname,
+    format: posFormat,
+    parse: posParse,
+    matchesGlob: posMatchesGlob,
+    sep: posSep,
+    delimiter: posDelimiter,
+  });
+  // Same as Node's path module, so that path.win32.posix === path.posix
+  posix.win32 = win32.win32 = win32;
+  posix.posix = win32.posix = posix;
+  // Legacy alias that Node still has, deprecated (DEP0080)
+  /** @type {Record<string, unknown>} */ (win32)._makeLong = win32.toNamespacedPath;
+  /** @type {Record<string, unknown>} */ (posix)._makeLong = posix.toNamespacedPath;
+  return { win32, posix };
+})();
@@ -1,14 +1,31 @@
 /**
- * Essentially an ESM copy of https://github.com/nodejs/node/blob/v21.5.0/lib/path.js
+ * Essentially an ESM copy of https://github.com/nodejs/node/blob/v24.21.0/lib/path.js, see upstreamVersion.
+ * Originally copied from v21.5.0, later synced with the v20 and then the v24 LTS line, which have these upstream fixes on top:
+ * - win32.normalize/join: don't turn relative paths into drive or device paths (CVE-2024-36139, CVE-2025-27210)
+ * - win32.relative: compare path segments when lowercasing changes the length of the path
+ * - win32.toNamespacedPath: return the resolved path for paths without a drive or UNC root
+ * - win32.resolve/normalize: match \\.\ and \\?\ device roots, e.g. \\.\PHYSICALDRIVE0, instead of reading them as UNC roots
+ * - win32.join: leave paths with a reserved device name segment like CON: as they are, only replacing / with \
+ * - win32: COM¹, COM², COM³, LPT¹, LPT² and LPT³ are reserved device names too
+ * - basename: validate the `suffix` argument under its documented name
+ * - resolve: return the cwd as it is when resolving nothing, '' or '.'
+ * - posix.resolve, posix.join, posix.extname, normalizeString: performance improvements
  * Changes:
  * - Convert to ESM -> make sure everything is importable as old, and tree-shakeable
  * - Hardcopy Node internal/constants, since node does not expose them
  * - Refactor primordials usage into just regular methods on String/Function prototype,
  *   since node does not expose primordials
  *   https://github.com/nodejs/node/pull/40733 was unfortunately closed: "not a common ask"
- * - Hardcopy 2 validators from internal/validators, since node does not expose them
+ * - Hardcopy validators from internal/validators and errors from internal/errors, since node does not expose them
  * - Use a browser-compatible isWindows check
- * - Shim process.cwd() for browser (should return '/')
+ * - Read cwd and env vars through env.js instead of shimming process.cwd() for browser,
+ *   where the cwd is root '/'
+ * - Allow overriding the cwd and drive-specific cwds, see cwd.js
+ * - matchesGlob uses our own glob matcher instead of minimatch
+ * - Only export the win32 and posix functions, the namespaces are in namespaces.js,
+ *   which also adds the deprecated _makeLong alias of toNamespacedPath to them
+ *   and the functions for the detected platform in index.js.
+ *   Top-level calls are annotated as pure, so bundlers can leave out what isn't imported.
  */
 
 import {
@@ -22,22 +39,24 @@ import {
   CHAR_COLON,
   CHAR_QUESTION_MARK,
 } from './constants.js';
+import { getCwd, getDriveCwd } from './cwd.js';
+import { matchGlob } from './glob.js';
 import { isWindows } from './isWindows.js';
 import { validateObject, validateString } from './validators.js';
 
-// shim process.cwd for browser
-if (typeof window === 'object') {
-  // careful not to remove other process methods shims that might be added by other modules
-  if (!window.process) {
-    // @ts-expect-error shimming Node process
-    window.process = {};
-  }
-  // In browser context, the "current working directory" is usually just root '/'
-  window.process.cwd = () => '/';
-}
+/**
+ * @typedef {import('./types.js').ParsedPath} ParsedPath
+ * @typedef {import('./types.js').FormatInputPathObject} FormatInputPathObject
+ */
+
+/**
+ * The Node version whose lib/path.js this copy is in sync with, the current LTS,
+ * the conformance tests check against a snapshot of that version.
+ */
+export const upstreamVersion = 'v24.21.0';
 
 // browser-compatible windows check
-const platformIsWin32 = isWindows();
+const platformIsWin32 = /* @__PURE__ */ isWindows();
 
 /**
  * @param {number} code
@@ -66,6 +85,47 @@ function isWindowsDeviceRoot(code) {
   );
 }
 
+const WINDOWS_RESERVED_NAMES = [
+  'CON',
+  'PRN',
+  'AUX',
+  'NUL',
+  'COM1',
+  'COM2',
+  'COM3',
+  'COM4',
+  'COM5',
+  'COM6',
+  'COM7',
+  'COM8',
+  'COM9',
+  'LPT1',
+  'LPT2',
+  'LPT3',
+  'LPT4',
+  'LPT5',
+  'LPT6',
+  'LPT7',
+  'LPT8',
+  'LPT9',
+  'COM\xb9',
+  'COM\xb2',
+  'COM\xb3',
+  'LPT\xb9',
+  'LPT\xb2',
+  'LPT\xb3',
+];
+
+/**
+ * @param {string} path
+ * @param {number} colonIndex
+ * @returns {boolean}
+ */
+function isWindowsReservedName(path, colonIndex) {
+  const devicePart = path.slice(0, colonIndex).toUpperCase();
+  return WINDOWS_RESERVED_NAMES.includes(devicePart);
+}
+
 /**
  * Resolves . and .. elements in a path with directory names
  * @param {string} path
@@ -96,7 +156,7 @@ function normalizeString(path, allowAboveRoot, separator, isPathSeparator) {
           res.charCodeAt(res.length - 2) !== CHAR_DOT
         ) {
           if (res.length > 2) {
-            const lastSlashIndex = res.lastIndexOf(separator);
+            const lastSlashIndex = res.length - lastSegmentLength - 1;
             if (lastSlashIndex === -1) {
               res = '';
               lastSegmentLength = 0;
@@ -145,13 +205,7 @@ function formatExt(ext) {
 
 /**
  * @param {string} sep
- * @param {{
- *  dir?: string;
- *  root?: string;
- *  base?: string;
- *  name?: string;
- *  ext?: string;
- *  }} pathObject
+ * @param {FormatInputPathObject} pathObject
  * @returns {string}
  */
 function _format(sep, pathObject) {
@@ -164,6 +218,8 @@ function _format(sep, pathObject) {
   return dir === pathObject.root ? `${dir}${base}` : `${dir}${sep}${base}`;
 }
 
+const forwardSlashRegExp = /\//g;
+
 /**
  * path.resolve([from ...], to)
  * @param {...string} args
@@ -185,14 +241,26 @@ export function winResolve(...args) {
         continue;
       }
     } else if (resolvedDevice.length === 0) {
-      path = process.cwd();
+      path = getCwd();
+      // Fast path for current directory
+      if (
+        args.length === 0 ||
+        (args.length === 1 &&
+          (args[0] === '' || args[0] === '.') &&
+          isPathSeparator(path.charCodeAt(0)))
+      ) {
+        if (!platformIsWin32) {
+          path = path.replace(forwardSlashRegExp, '\\');
+        }
+        return path;
+      }
     } else {
       // Windows has the concept of drive-specific current working
       // directories. If we've resolved a drive letter but not yet an
       // absolute path, get cwd for that drive, or the process cwd if
       // the drive cwd is not available. We're sure the device is not
       // a UNC path at this points, because UNC paths are always absolute.
-      path = process?.env[`=${resolvedDevice}`] || process.cwd();
+      path = getDriveCwd(resolvedDevice) || getCwd();
 
       // Verify that a cwd was found and that it actually points
       // to our drive. If not, default to the drive's root.
@@ -249,9 +317,15 @@ export function winResolve(...args) {
               j++;
             }
             if (j === len || j !== last) {
-              // We matched a UNC root
-              device = `\\\\${firstPart}\\${path.slice(last, j)}`;
-              rootEnd = j;
+              if (firstPart !== '.' && firstPart !== '?') {
+                // We matched a UNC root
+                device = `\\\\${firstPart}\\${path.slice(last, j)}`;
+                rootEnd = j;
+              } else {
+                // We matched a device root (e.g. \\\\.\\PHYSICALDRIVE0)
+                device = `\\\\${firstPart}`;
+                rootEnd = 4;
+              }
             }
           }
         }
@@ -352,31 +426,48 @@ export function winNormalize(path) {
           while (j < len && !isPathSeparator(path.charCodeAt(j))) {
             j++;
           }
-          if (j === len) {
-            // We matched a UNC root only
-            // Return the normalized version of the UNC root since there
-            // is nothing left to process
-            return `\\\\${firstPart}\\${path.slice(last)}\\`;
-          }
-          if (j !== last) {
-            // We matched a UNC root with leftovers
-            device = `\\\\${firstPart}\\${path.slice(last, j)}`;
-            rootEnd = j;
+          if (j === len || j !== last) {
+            if (firstPart === '.' || firstPart === '?') {
+              // We matched a device root (e.g. \\\\.\\PHYSICALDRIVE0)
+              device = `\\\\${firstPart}`;
+              rootEnd = 4;
+              const colonIndex = path.indexOf(':');
+              // Special case: handle \\?\COM1: or similar reserved device paths
+              const possibleDevice = path.slice(4, colonIndex + 1);
+              if (isWindowsReservedName(possibleDevice, possibleDevice.length - 1)) {
+                device = `\\\\?\\${possibleDevice}`;
+                rootEnd = 4 + possibleDevice.length;
+              }
+            } else if (j === len) {
+              // We matched a UNC root only
+              // Return the normalized version of the UNC root since there
+              // is nothing left to process
+              return `\\\\${firstPart}\\${path.slice(last)}\\`;
+            } else {
+              // We matched a UNC root with leftovers
+              device = `\\\\${firstPart}\\${path.slice(last, j)}`;
+              rootEnd = j;
+            }
           }
         }
       }
     } else {
       rootEnd = 1;
     }
-  } else if (isWindowsDeviceRoot(code) && path.charCodeAt(1) === CHAR_COLON) {
-    // Possible device root
-    device = path.slice(0, 2);
-    rootEnd = 2;
-    if (len > 2 && isPathSeparator(path.charCodeAt(2))) {
-      // Treat separator following drive name as an absolute path
-      // indicator
-      isAbsolute = true;
-      rootEnd = 3;
+  } else {
+    const colonIndex = path.indexOf(':');
+    if (colonIndex > 0) {
+      if (isWindowsDeviceRoot(code) && colonIndex === 1) {
+        device = path.slice(0, 2);
+        rootEnd = 2;
+        if (len > 2 && isPathSeparator(path.charCodeAt(2))) {
+          isAbsolute = true;
+          rootEnd = 3;
+        }
+      } else if (isWindowsReservedName(path, colonIndex)) {
+        device = path.slice(0, colonIndex + 1);
+        rootEnd = colonIndex + 1;
+      }
     }
   }
 
@@ -384,6 +475,32 @@ export function winNormalize(path) {
     rootEnd < len ? normalizeString(path.slice(rootEnd), !isAbsolute, '\\', isPathSeparator) : '';
   if (tail.length === 0 && !isAbsolute) tail = '.';
   if (tail.length > 0 && isPathSeparator(path.charCodeAt(len - 1))) tail += '\\';
+  if (!isAbsolute && device === undefined && path.includes(':')) {
+    // If the original path was not absolute and if we have not been able to
+    // resolve it relative to a particular device, we need to ensure that the
+    // `tail` has not become something that Windows might interpret as an
+    // absolute path. See CVE-2024-36139.
+    if (
+      tail.length >= 2 &&
+      isWindowsDeviceRoot(tail.charCodeAt(0)) &&
+      tail.charCodeAt(1) === CHAR_COLON
+    ) {
+      return `.\\${tail}`;
+    }
+    let index = path.indexOf(':');
+
+    do {
+      if (index === len - 1 || isPathSeparator(path.charCodeAt(index + 1))) {
+        return `.\\${tail}`;
+      }
+    } while ((index = path.indexOf(':', index + 1)) !== -1);
+  }
+  const colonIndex = path.indexOf(':');
+  if (isWindowsReservedName(path, colonIndex)) {
+    // Prefix reserved device names like CON: so they can't be interpreted as devices,
+    // see CVE-2025-27210.
+    return `.\\${device ?? ''}${tail}`;
+  }
   if (device === undefined) {
     return isAbsolute ? `\\${tail}` : tail;
   }
@@ -417,18 +534,20 @@ export function winIsAbsolute(path) {
 export function winJoin(...args) {
   if (args.length === 0) return '.';
 
-  let joined;
-  let firstPart;
+  /** @type {string[]} */
+  const path = [];
   for (let i = 0; i < args.length; ++i) {
     const arg = args[i];
     validateString(arg, 'path');
     if (arg.length > 0) {
-      if (joined === undefined) joined = firstPart = arg;
-      else joined += `\\${arg}`;
+      path.push(arg);
     }
   }
 
-  if (joined === undefined) return '.';
+  if (path.length === 0) return '.';
+
+  const firstPart = path[0];
+  let joined = path.join('\\');
 
   // Make sure that the joined path doesn't start with two slashes, because
   // normalize() will mistake it for a UNC path then.
@@ -445,7 +564,7 @@ export function winJoin(...args) {
   //   path.join('//server', 'share') -> '\\\\server\\share\\')
   let needsReplace = true;
   let slashCount = 0;
-  if (firstPart !== undefined && isPathSeparator(firstPart.charCodeAt(0))) {
+  if (isPathSeparator(firstPart.charCodeAt(0))) {
     ++slashCount;
     const firstLen = firstPart.length;
     if (firstLen > 1 && isPathSeparator(firstPart.charCodeAt(1))) {
@@ -469,6 +588,38 @@ export function winJoin(...args) {
     if (slashCount >= 2) joined = `\\${joined.slice(slashCount)}`;
   }
 
+  // Skip normalization when reserved device names are present
+  const parts = [];
+  let part = '';
+
+  for (let i = 0; i < joined.length; i++) {
+    if (joined[i] === '\\') {
+      if (part) parts.push(part);
+      part = '';
+      // Skip consecutive backslashes
+      while (i + 1 < joined.length && joined[i + 1] === '\\') i++;
+    } else {
+      part += joined[i];
+    }
+  }
+  // Add the final part if any
+  if (part) parts.push(part);
+
+  // Check if any part has a Windows reserved name
+  if (
+    parts.some((p) => {
+      const colonIndex = p.indexOf(':');
+      return colonIndex !== -1 && isWindowsReservedName(p, colonIndex);
+    })
+  ) {
+    // Replace forward slashes with backslashes
+    let result = '';
+    for (let i = 0; i < joined.length; i++) {
+      result += joined[i] === '/' ? '\\' : joined[i];
+    }
+    return result;
+  }
+
   return winNormalize(joined);
 }
 
@@ -497,6 +648,42 @@ export function winRelative(from, to) {
 
   if (from === to) return '';
 
+  if (fromOrig.length !== from.length || toOrig.length !== to.length) {
+    const fromSplit = fromOrig.split('\\');
+    const toSplit = toOrig.split('\\');
+    if (fromSplit[fromSplit.length - 1] === '') {
+      fromSplit.pop();
+    }
+    if (toSplit[toSplit.length - 1] === '') {
+      toSplit.pop();
+    }
+
+    const fromLen = fromSplit.length;
+    const toLen = toSplit.length;
+    const length = fromLen < toLen ? fromLen : toLen;
+
+    let i;
+    for (i = 0; i < length; i++) {
+      if (fromSplit[i].toLowerCase() !== toSplit[i].toLowerCase()) {
+        break;
+      }
+    }
+
+    if (i === 0) {
+      return toOrig;
+    } else if (i === length) {
+      if (toLen > length) {
+        return toSplit.slice(i).join('\\');
+      }
+      if (fromLen > length) {
+        return '..\\'.repeat(fromLen - 1 - i) + '..';
+      }
+      return '';
+    }
+
+    return '..\\'.repeat(fromLen - i) + toSplit.slice(i).join('\\');
+  }
+
   // Trim any leading backslashes
   let fromStart = 0;
   while (fromStart < from.length && from.charCodeAt(fromStart) === CHAR_BACKWARD_SLASH) {
@@ -611,7 +798,7 @@ export function winToNamespacedPath(path) {
     return `\\\\?\\${resolvedPath}`;
   }
 
-  return path;
+  return resolvedPath;
 }
 
 /**
@@ -708,7 +895,7 @@ export function winDirname(path) {
  * @returns {string}
  */
 export function winBasename(path, suffix) {
-  if (suffix !== undefined) validateString(suffix, 'ext');
+  if (suffix !== undefined) validateString(suffix, 'suffix');
   validateString(path, 'path');
   let start = 0;
   let end = -1;
@@ -857,26 +1044,14 @@ export function winExtname(path) {
 
 /**
  * @param {string} sep
- * @param {{
- *  dir?: string;
- *  root?: string;
- *  base?: string;
- *  name?: string;
- *  ext?: string;
- *  }} pathObject
+ * @param {FormatInputPathObject} pathObject
  * @returns {string}
  */
-export const winFormat = _format.bind(null, '\\');
+export const winFormat = /* @__PURE__ */ _format.bind(null, '\\');
 
 /**
  * @param {string} path
- * @returns {{
- *  dir: string;
- *  root: string;
- *  base: string;
- *  name: string;
- *  ext: string;
- *  }}
+ * @returns {ParsedPath}
  */
 export function winParse(path) {
   validateString(path, 'path');
@@ -1020,22 +1195,33 @@ export function winParse(path) {
   return ret;
 }
 
+/**
+ * @param {string} path
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function winMatchesGlob(path, pattern) {
+  validateString(path, 'path');
+  validateString(pattern, 'pattern');
+  return matchGlob(path, pattern, true);
+}
+
 export const winSep = '\\';
 export const winDelimiter = ';';
 
-const posixCwd = (() => {
+const posixCwd = /* @__PURE__ */ (() => {
   if (platformIsWin32) {
     // Converts Windows' backslash path separators to POSIX forward slashes
     // and truncates any drive indicator
     const regexp = /\\/g;
     return () => {
-      const cwd = process.cwd().replace(regexp, '/');
+      const cwd = getCwd().replace(regexp, '/');
       return cwd.slice(cwd.indexOf('/'));
     };
   }
 
   // We're already on POSIX, no need for any transformations
-  return () => process.cwd();
+  return () => getCwd();
 })();
 
 /**
@@ -1044,11 +1230,17 @@ const posixCwd = (() => {
  * @returns {string}
  */
 export function posResolve(...args) {
+  if (args.length === 0 || (args.length === 1 && (args[0] === '' || args[0] === '.'))) {
+    const cwd = posixCwd();
+    if (cwd.charCodeAt(0) === CHAR_FORWARD_SLASH) {
+      return cwd;
+    }
+  }
   let resolvedPath = '';
   let resolvedAbsolute = false;
 
-  for (let i = args.length - 1; i >= -1 && !resolvedAbsolute; i--) {
-    const path = i >= 0 ? args[i] : posixCwd();
+  for (let i = args.length - 1; i >= 0 && !resolvedAbsolute; i--) {
+    const path = args[i];
     validateString(path, `paths[${i}]`);
 
     // Skip empty entries
@@ -1060,6 +1252,12 @@ export function posResolve(...args) {
     resolvedAbsolute = path.charCodeAt(0) === CHAR_FORWARD_SLASH;
   }
 
+  if (!resolvedAbsolute) {
+    const cwd = posixCwd();
+    resolvedPath = `${cwd}/${resolvedPath}`;
+    resolvedAbsolute = cwd.charCodeAt(0) === CHAR_FORWARD_SLASH;
+  }
+
   // At this point the path should be resolved to a full absolute path, but
   // handle relative paths to be safe (might happen when process.cwd() fails)
 
@@ -1111,17 +1309,19 @@ export function posIsAbsolute(path) {
  */
 export function posJoin(...args) {
   if (args.length === 0) return '.';
-  let joined;
+
+  const path = [];
   for (let i = 0; i < args.length; ++i) {
     const arg = args[i];
     validateString(arg, 'path');
     if (arg.length > 0) {
-      if (joined === undefined) joined = arg;
-      else joined += `/${arg}`;
+      path.push(arg);
     }
   }
-  if (joined === undefined) return '.';
-  return posNormalize(joined);
+
+  if (path.length === 0) return '.';
+
+  return posNormalize(path.join('/'));
 }
 
 /**
@@ -1237,7 +1437,7 @@ export function posDirname(path) {
  * @returns {string}
  */
 export function posBasename(path, suffix) {
-  if (suffix !== undefined) validateString(suffix, 'ext');
+  if (suffix !== undefined) validateString(suffix, 'suffix');
   validateString(path, 'path');
 
   let start = 0;
@@ -1320,8 +1520,8 @@ export function posExtname(path) {
   // after any path separator we find
   let preDotState = 0;
   for (let i = path.length - 1; i >= 0; --i) {
-    const code = path.charCodeAt(i);
-    if (code === CHAR_FORWARD_SLASH) {
+    const char = path[i];
+    if (char === '/') {
       // If we reached a path separator that was not part of a set of path
       // separators at the end of the string, stop now
       if (!matchedSlash) {
@@ -1336,7 +1536,7 @@ export function posExtname(path) {
       matchedSlash = false;
       end = i + 1;
     }
-    if (code === CHAR_DOT) {
+    if (char === '.') {
       // If this is our first dot, mark it as the start of our extension
       if (startDot === -1) startDot = i;
       else if (preDotState !== 1) preDotState = 1;
@@ -1362,26 +1562,14 @@ export function posExtname(path) {
 
 /**
  * @param {string} sep
- * @param {{
- *  dir?: string;
- *  root?: string;
- *  base?: string;
- *  name?: string;
- *  ext?: string;
- *  }} pathObject
+ * @param {FormatInputPathObject} pathObject
  * @returns {string}
  */
-export const posFormat = _format.bind(null, '/');
+export const posFormat = /* @__PURE__ */ _format.bind(null, '/');
 
 /**
  * @param {string} path
- * @returns {{
- *   dir: string;
- *   root: string;
- *   base: string;
- *   name: string;
- *   ext: string;
- *   }}
+ * @returns {ParsedPath}
  */
 export function posParse(path) {
   validateString(path, 'path');
@@ -1458,76 +1646,16 @@ export function posParse(path) {
   return ret;
 }
 
+/**
+ * @param {string} path
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function posMatchesGlob(path, pattern) {
+  validateString(path, 'path');
+  validateString(pattern, 'pattern');
+  return matchGlob(path, pattern, false);
+}
+
 export const posSep = '/';
 export const posDelimiter = ':';
-
-// _posix.win32 = _win32.win32 = _win32;
-// _posix.posix = _win32.posix = _posix;
-
-// // Legacy internal API, docs-only deprecated: DEP0080
-// _win32._makeLong = _win32.toNamespacedPath;
-// _posix._makeLong = _posix.toNamespacedPath;
-
-const __win32 = {
-  resolve: winResolve,
-  normalize: winNormalize,
-  isAbsolute: winIsAbsolute,
-  join: winJoin,
-  relative: winRelative,
-  toNamespacedPath: winToNamespacedPath,
-  dirname: winDirname,
-  basename: winBasename,
-  extname: winExtname,
-  format: winFormat,
-  parse: winParse,
-  sep: winSep,
-  delimiter: winDelimiter,
-};
-
-const __posix = {
-  resolve: posResolve,
-  normalize: posNormalize,
-  isAbsolute: posIsAbsolute,
-  join: posJoin,
-  relative: posRelative,
-  toNamespacedPath: posToNamespacedPath,
-  dirname: posDirname,
-  basename: posBasename,
-  extname: posExtname,
-  format: posFormat,
-  parse: posParse,
-  sep: posSep,
-  delimiter: posDelimiter,
-};
-
-// import { win32 } from 'path-unified' -> bad for treeshaking
-export const win32 = {
-  ...__win32,
-  posix: __posix, // this makes it bad for treeshaking too since otherwise we'd only need to load posix stuff... but keeping it to support current path API
-  win32: __win32,
-};
-
-// import { posix } from 'path-unified' -> bad for treeshaking
-export const posix = {
-  ...__posix,
-  posix: __posix,
-  win32: __win32, // this makes it bad for treeshaking too since otherwise we'd only need to load posix stuff... but keeping it to support current path API
-};
-
-// import path from 'path-unified' -> bad for treeshaking
-export default platformIsWin32 ? win32 : posix;
-
-// import { resolve } from 'path-unified' -> ideal for treeshaking
-export const resolve = platformIsWin32 ? winResolve : posResolve;
-export const normalize = platformIsWin32 ? winNormalize : posNormalize;
-export const isAbsolute = platformIsWin32 ? winIsAbsolute : posIsAbsolute;
-export const join = platformIsWin32 ? winJoin : posJoin;
-export const relative = platformIsWin32 ? winRelative : posRelative;
-export const toNamespacedPath = platformIsWin32 ? winToNamespacedPath : posToNamespacedPath;
-export const dirname = platformIsWin32 ? winDirname : posDirname;
-export const basename = platformIsWin32 ? winBasename : posBasename;
-export const extname = platformIsWin32 ? winExtname : posExtname;
-export const format = platformIsWin32 ? winFormat : posFormat;
-export const parse = platformIsWin32 ? winParse : posParse;
-export const sep = platformIsWin32 ? winSep : posSep;
-export const delimiter = platformIsWin32 ? winDelimiter : posDelimiter;
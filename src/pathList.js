@@ -0,0 +1,225 @@
+import { CHAR_BACKWARD_SLASH, CHAR_FORWARD_SLASH } from './constants.js';
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { posDelimiter, posNormalize, winDelimiter, winNormalize } from './path.js';
+import { validateArray, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(value: string) => string[]} split
+ * @property {(entry: string, name: string) => string} quote
+ * @property {(path: string) => string} normalize
+ * @property {(entry: string) => string} toKey
+ * @property {string} delimiter
+ */
+
+/** @type {Flavor} */
+const win = {
+  // like cmd.exe, quotes can wrap entries containing ; and are removed, empty entries are skipped
+  split: (value) => {
+    const entries = [];
+    let entry = '';
+    let inQuotes = false;
+    for (const char of value) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === winDelimiter && !inQuotes) {
+        if (entry !== '') entries.push(entry);
+        entry = '';
+      } else {
+        entry += char;
+      }
+    }
+    if (entry !== '') entries.push(entry);
+    return entries;
+  },
+  quote: (entry, name) => {
+    if (entry.includes('"')) {
+      throw new ERR_INVALID_ARG_VALUE(name, entry, 'must not contain "');
+    }
+    return entry.includes(winDelimiter) ? `"${entry}"` : entry;
+  },
+  normalize: winNormalize,
+  toKey: (entry) => stripTrailingSeparators(entry, true).toLowerCase(),
+  delimiter: winDelimiter,
+};
+
+/** @type {Flavor} */
+const pos = {
+  // empty entries mean the cwd, and are normalized to '.'
+  split: (value) => value.split(posDelimiter),
+  quote: (entry, name) => {
+    if (entry.includes(posDelimiter)) {
+      throw new ERR_INVALID_ARG_VALUE(name, entry, `must not contain ${posDelimiter}`);
+    }
+    return entry;
+  },
+  normalize: posNormalize,
+  toKey: (entry) => stripTrailingSeparators(entry, false),
+  delimiter: posDelimiter,
+};
+
+/**
+ * Normalized entries keep a trailing separator, but /usr/bin/ is the same directory as /usr/bin
+ * @param {string} entry
+ * @param {boolean} windows
+ * @returns {string}
+ */
+function stripTrailingSeparators(entry, windows) {
+  let end = entry.length;
+  while (
+    end > 1 &&
+    (entry.charCodeAt(end - 1) === CHAR_FORWARD_SLASH ||
+      (windows && entry.charCodeAt(end - 1) === CHAR_BACKWARD_SLASH)) &&
+    // keep the separator of a drive root like C:\
+    !(windows && end === 3 && entry[1] === ':')
+  ) {
+    end--;
+  }
+  return entry.slice(0, end);
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parsePathList(flavor, value) {
+  validateString(value, 'value');
+  if (value === '') return [];
+  return flavor.split(value).map((entry) => flavor.normalize(entry));
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string[]} entries
+ * @returns {string}
+ */
+function formatPathList(flavor, entries) {
+  validateArray(entries, 'entries');
+  return entries
+    .map((entry, i) => {
+      validateString(entry, `entries[${i}]`);
+      return flavor.quote(flavor.normalize(entry), `entries[${i}]`);
+    })
+    .join(flavor.delimiter);
+}
+
+/**
+ * Keeps the first occurrence of every entry, since that is the one that is found first when looking up commands
+ * @param {Flavor} flavor
+ * @param {string[]} entries
+ * @returns {string[]}
+ */
+function dedupe(flavor, entries) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const key = flavor.toKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} value
+ * @returns {string}
+ */
+function dedupePathList(flavor, value) {
+  return formatPathList(flavor, dedupe(flavor, parsePathList(flavor, value)));
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} value
+ * @param {string[]} entries
+ * @returns {string}
+ */
+function prependPathList(flavor, value, entries) {
+  const list = parsePathList(flavor, value);
+  for (let i = 0; i < entries.length; i++) {
+    validateString(entries[i], `entries[${i}]`);
+  }
+  const prepended = entries.map((entry) => flavor.normalize(entry));
+  return formatPathList(flavor, dedupe(flavor, [...prepended, ...list]));
+}
+
+/**
+ * Splits a PATH-like list on ; into normalized entries.
+ * Quotes around entries containing ; are removed, and empty entries are skipped, like cmd.exe does.
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function winParsePathList(value) {
+  return parsePathList(win, value);
+}
+
+/**
+ * Splits a PATH-like list on : into normalized entries.
+ * Empty entries mean the cwd and are returned as '.', an empty list returns [].
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function posParsePathList(value) {
+  return parsePathList(pos, value);
+}
+
+/**
+ * Joins normalized entries with ;, quoting entries that contain ;.
+ * Throws for entries containing ", which can't be quoted.
+ * @param {string[]} entries
+ * @returns {string}
+ */
+export function winFormatPathList(entries) {
+  return formatPathList(win, entries);
+}
+
+/**
+ * Joins normalized entries with :.
+ * Throws for entries containing :, which can't be represented.
+ * @param {string[]} entries
+ * @returns {string}
+ */
+export function posFormatPathList(entries) {
+  return formatPathList(pos, entries);
+}
+
+/**
+ * Removes duplicate entries from a PATH-like list, keeping the first one.
+ * Entries are compared case-insensitively and without trailing separators.
+ * @param {string} value
+ * @returns {string}
+ */
+export function winDedupePathList(value) {
+  return dedupePathList(win, value);
+}
+
+/**
+ * Removes duplicate entries from a PATH-like list, keeping the first one.
+ * Entries are compared without trailing separators.
+ * @param {string} value
+ * @returns {string}
+ */
+export function posDedupePathList(value) {
+  return dedupePathList(pos, value);
+}
+
+/**
+ * Adds entries to the start of a PATH-like list, moving them to the front if they are already in it.
+ * @param {string} value
+ * @param {...string} entries
+ * @returns {string}
+ */
+export function winPrependPathList(value, ...entries) {
+  return prependPathList(win, value, entries);
+}
+
+/**
+ * Adds entries to the start of a PATH-like list, moving them to the front if they are already in it.
+ * @param {string} value
+ * @param {...string} entries
+ * @returns {string}
+ */
+export function posPrependPathList(value, ...entries) {
+  return prependPathList(pos, value, entries);
+}
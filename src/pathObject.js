@@ -0,0 +1,313 @@
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_STATE,
+  inspectString,
+} from './errors.js';
+import {
+  posDirname,
+  posFormat,
+  posIsAbsolute,
+  posJoin,
+  posParse,
+  posRelative,
+  winDirname,
+  winFormat,
+  winIsAbsolute,
+  winJoin,
+  winParse,
+  winRelative,
+} from './path.js';
+import { posSplit, winSplit } from './segments.js';
+import { validateString } from './validators.js';
+
+/**
+ * @typedef {import('./types.js').ParsedPath} ParsedPath
+ * @typedef {import('./types.js').FormatInputPathObject} FormatInputPathObject
+ */
+
+/**
+ * @typedef {Object} Flavor
+ * @property {string} className used in inspect output, so it survives minification
+ * @property {(...paths: string[]) => string} join
+ * @property {(path: string) => string} dirname
+ * @property {(path: string) => ParsedPath} parse
+ * @property {(pathObject: FormatInputPathObject) => string} format
+ * @property {(from: string, to: string) => string} relative
+ * @property {(path: string) => boolean} isAbsolute
+ * @property {(path: string) => { root: string, segments: string[] }} split
+ * @property {RegExp} separators
+ * @property {boolean} caseInsensitive
+ */
+
+/** @type {Flavor} */
+const win = {
+  className: 'Win32Path',
+  join: winJoin,
+  dirname: winDirname,
+  parse: winParse,
+  format: winFormat,
+  relative: winRelative,
+  isAbsolute: winIsAbsolute,
+  split: winSplit,
+  separators: /[\\/]/,
+  caseInsensitive: true,
+};
+
+/** @type {Flavor} */
+const pos = {
+  className: 'PosixPath',
+  join: posJoin,
+  dirname: posDirname,
+  parse: posParse,
+  format: posFormat,
+  relative: posRelative,
+  isAbsolute: posIsAbsolute,
+  split: posSplit,
+  separators: /\//,
+  caseInsensitive: false,
+};
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} value
+ * @param {string} name
+ */
+function validateFileName(flavor, value, name) {
+  validateString(value, name);
+  if (value === '' || value === '.' || value === '..' || flavor.separators.test(value)) {
+    throw new ERR_INVALID_ARG_VALUE(name, value, 'must be a file name without separators');
+  }
+}
+
+/**
+ * Immutable path value, see PosixPath and Win32Path.
+ * Paths are normalized with join() and trailing separators are removed,
+ * so new PosixPath('a//b/../c/') is 'a/c'.
+ */
+export class PathObject {
+  /** @type {Flavor} */
+  #flavor;
+
+  /** @type {string} */
+  #path;
+
+  /** @type {ParsedPath|undefined} */
+  #parsed;
+
+  /**
+   * @param {Flavor} flavor
+   * @param {Array<string|PathObject>} segments
+   */
+  constructor(flavor, segments) {
+    const paths = segments.map((segment, i) => {
+      if (segment instanceof PathObject) return segment.toString();
+      if (typeof segment !== 'string') {
+        throw new ERR_INVALID_ARG_TYPE(`segments[${i}]`, ['string', 'PathObject'], segment);
+      }
+      return segment;
+    });
+    let path = flavor.join(...paths);
+    const { root } = flavor.parse(path);
+    while (path.length > root.length && flavor.separators.test(path[path.length - 1])) {
+      path = path.slice(0, -1);
+    }
+    this.#flavor = flavor;
+    this.#path = path;
+  }
+
+  /**
+   * @param {...(string|PathObject)} segments
+   * @returns {this}
+   */
+  #create(...segments) {
+    const PathClass = /** @type {new (...segments: Array<string|PathObject>) => this} */ (
+      this.constructor
+    );
+    return new PathClass(...segments);
+  }
+
+  /**
+   * @returns {ParsedPath}
+   */
+  #parse() {
+    this.#parsed ??= this.#flavor.parse(this.#path);
+    return this.#parsed;
+  }
+
+  /**
+   * @param {string} operation
+   */
+  #assertFileName(operation) {
+    const { base } = this.#parse();
+    if (base === '' || base === '.' || base === '..') {
+      throw new ERR_INVALID_STATE(`cannot ${operation} of ${inspectString(this.#path)}`);
+    }
+  }
+
+  /** e.g. '/' or 'C:\', '' for relative paths */
+  get root() {
+    return this.#parse().root;
+  }
+
+  get dir() {
+    return this.#parse().dir;
+  }
+
+  /** file name including the extension */
+  get base() {
+    return this.#parse().base;
+  }
+
+  /** file name without the extension */
+  get name() {
+    return this.#parse().name;
+  }
+
+  get ext() {
+    return this.#parse().ext;
+  }
+
+  /**
+   * The directory containing this path, the root is its own parent.
+   * @returns {this}
+   */
+  get parent() {
+    return this.#create(this.#flavor.dirname(this.#path));
+  }
+
+  /**
+   * The root followed by the names of the directories and file, e.g. ['/', 'a', 'b'] for /a/b.
+   * Empty for '.'.
+   * @returns {string[]}
+   */
+  get segments() {
+    const { root, segments } = this.#flavor.split(this.#path);
+    const names = segments.filter((name) => name !== '.');
+    return root === '' ? names : [root, ...names];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isAbsolute() {
+    return this.#flavor.isAbsolute(this.#path);
+  }
+
+  /**
+   * Appends segments like join(), so absolute segments are appended rather than replacing the path.
+   * @param {...(string|PathObject)} segments
+   * @returns {this}
+   */
+  join(...segments) {
+    return this.#create(this.#path, ...segments);
+  }
+
+  /**
+   * Replaces the extension, e.g. '.md' or 'md', or removes it for ''.
+   * @param {string} ext
+   * @returns {this}
+   */
+  withExt(ext) {
+    validateString(ext, 'ext');
+    if (ext !== '' && (ext === '.' || this.#flavor.separators.test(ext))) {
+      throw new ERR_INVALID_ARG_VALUE('ext', ext, 'must be an extension without separators');
+    }
+    this.#assertFileName('set the extension');
+    const { root, dir, name } = this.#parse();
+    return this.#create(this.#flavor.format({ root, dir, name, ext }));
+  }
+
+  /**
+   * Replaces the file name and keeps the extension, e.g. a/b.txt -> a/c.txt.
+   * Uses the same naming as parse(), see withBase to replace both.
+   * @param {string} name
+   * @returns {this}
+   */
+  withName(name) {
+    validateFileName(this.#flavor, name, 'name');
+    this.#assertFileName('set the name');
+    const { root, dir, ext } = this.#parse();
+    return this.#create(this.#flavor.format({ root, dir, name, ext }));
+  }
+
+  /**
+   * Replaces the file name including the extension, e.g. a/b.txt -> a/c.md.
+   * @param {string} base
+   * @returns {this}
+   */
+  withBase(base) {
+    validateFileName(this.#flavor, base, 'base');
+    this.#assertFileName('set the base');
+    const { root, dir } = this.#parse();
+    return this.#create(this.#flavor.format({ root, dir, base }));
+  }
+
+  /**
+   * The path from `from` to this path, using relative(), so both are resolved against the cwd
+   * and the result may start with '..'.
+   * @param {string|PathObject} from
+   * @returns {this}
+   */
+  relativeTo(from) {
+    const fromPath = this.#create(from).#path;
+    return this.#create(this.#flavor.relative(fromPath, this.#path));
+  }
+
+  /**
+   * Whether both paths are the same after normalizing, case-insensitive for win32.
+   * Strings are converted with the same flavor, paths of another flavor are never equal.
+   * @param {string|PathObject} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    if (other instanceof PathObject) {
+      if (other.#flavor !== this.#flavor) return false;
+    } else {
+      validateString(other, 'other');
+    }
+    const a = this.#path;
+    const b = this.#create(other).#path;
+    return this.#flavor.caseInsensitive ? a.toLowerCase() === b.toLowerCase() : a === b;
+  }
+
+  toString() {
+    return this.#path;
+  }
+
+  toJSON() {
+    return this.#path;
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `${this.#flavor.className}(${inspectString(this.#path)})`;
+  }
+}
+
+/**
+ * Immutable posix path with chainable operations, similar to Python's PurePosixPath.
+ * Only instances of PosixPath itself are frozen, so that subclasses can add their own fields.
+ */
+export class PosixPath extends PathObject {
+  /**
+   * @param {...(string|PathObject)} segments
+   */
+  constructor(...segments) {
+    super(pos, segments);
+    if (new.target === PosixPath) Object.freeze(this);
+  }
+}
+
+/**
+ * Immutable win32 path with chainable operations, similar to Python's PureWindowsPath.
+ * Only instances of Win32Path itself are frozen, so that subclasses can add their own fields.
+ */
+export class Win32Path extends PathObject {
+  /**
+   * @param {...(string|PathObject)} segments
+   */
+  constructor(...segments) {
+    super(win, segments);
+    if (new.target === Win32Path) Object.freeze(this);
+  }
+}
@@ -10,9 +10,29 @@ import {
   posExtname,
   posFormat,
   posParse,
+  posMatchesGlob,
   posSep,
   posDelimiter,
+  upstreamVersion,
 } from './path.js';
+import { posFileURLToPath, posPathToFileURL } from './fileUrl.js';
+import { posSafeJoin, posIsInside } from './safeJoin.js';
+import { posExtnames, posStem, posReplaceExt } from './extnames.js';
+import { posEquals, posCompare } from './compare.js';
+import { posSplit, posSegments, posFromSegments } from './segments.js';
+import { posCommonPath } from './commonPath.js';
+import {
+  posParsePathList,
+  posFormatPathList,
+  posDedupePathList,
+  posPrependPathList,
+} from './pathList.js';
+
+/**
+ * @typedef {import('./types.js').PlatformPath} PlatformPath
+ * @typedef {import('./types.js').ParsedPath} ParsedPath
+ * @typedef {import('./types.js').FormatInputPathObject} FormatInputPathObject
+ */
 
 export const resolve = posResolve;
 export const normalize = posNormalize;
@@ -25,21 +45,33 @@ export const basename = posBasename;
 export const extname = posExtname;
 export const format = posFormat;
 export const parse = posParse;
+export const matchesGlob = posMatchesGlob;
 export const sep = posSep;
 export const delimiter = posDelimiter;
+export const fileURLToPath = posFileURLToPath;
+export const pathToFileURL = posPathToFileURL;
+export const safeJoin = posSafeJoin;
+export const isInside = posIsInside;
+export const extnames = posExtnames;
+export const stem = posStem;
+export const replaceExt = posReplaceExt;
+export const equals = posEquals;
+export const compare = posCompare;
+export const split = posSplit;
+export const segments = posSegments;
+export const fromSegments = posFromSegments;
+export const commonPath = posCommonPath;
+export const parsePathList = posParsePathList;
+export const formatPathList = posFormatPathList;
+export const dedupePathList = posDedupePathList;
+export const prependPathList = posPrependPathList;
+export const EOL = '\n';
+
+export { upstreamVersion };
+export { toPosix, toWin32 } from './convert.js';
+export { UnsafePathError } from './errors.js';
+export { PosixPath, PosixPath as Path } from './pathObject.js';
+export { setCwd } from './cwd.js';
 
-export default {
-  resolve,
-  normalize,
-  isAbsolute,
-  join,
-  relative,
-  toNamespacedPath,
-  dirname,
-  basename,
-  extname,
-  format,
-  parse,
-  sep,
-  delimiter,
-};
+// import path from 'path-unified/posix' -> bad for treeshaking, like in Node this is the same object as path.posix
+export { posix as default } from './namespaces.js';
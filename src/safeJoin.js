@@ -0,0 +1,144 @@
+import { UnsafePathError } from './errors.js';
+import {
+  posIsAbsolute,
+  posRelative,
+  posResolve,
+  posSep,
+  winIsAbsolute,
+  winParse,
+  winRelative,
+  winResolve,
+  winSep,
+} from './path.js';
+import { validateString } from './validators.js';
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(...paths: string[]) => string} resolve
+ * @property {(from: string, to: string) => string} relative
+ * @property {(path: string) => boolean} isAbsolute
+ * @property {string} sep
+ */
+
+/** @type {Flavor} */
+const win = { resolve: winResolve, relative: winRelative, isAbsolute: winIsAbsolute, sep: winSep };
+
+/** @type {Flavor} */
+const pos = { resolve: posResolve, relative: posRelative, isAbsolute: posIsAbsolute, sep: posSep };
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} resolvedRoot
+ * @param {string} resolvedCandidate
+ * @returns {boolean}
+ */
+function contains(flavor, resolvedRoot, resolvedCandidate) {
+  const rel = flavor.relative(resolvedRoot, resolvedCandidate);
+  // relative() returns an absolute path on win32 when the paths are on different devices
+  return rel !== '..' && !rel.startsWith(`..${flavor.sep}`) && !flavor.isAbsolute(rel);
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} root
+ * @param {string} candidate
+ * @returns {boolean}
+ */
+function isInside(flavor, root, candidate) {
+  validateString(root, 'root');
+  validateString(candidate, 'candidate');
+  if (root.includes('\u0000') || candidate.includes('\u0000')) return false;
+  return contains(flavor, flavor.resolve(root), flavor.resolve(candidate));
+}
+
+/**
+ * The drive (C:) or UNC root (\\server\share) of a win32 path, lowercased, or '' if it has none
+ * @param {string} path
+ * @returns {string}
+ */
+function getWinDevice(path) {
+  const { root } = winParse(path);
+  if (root.length < 2 || root === '\\\\' || root === '//') return '';
+  return root
+    .replace(/[\\/]+$/, '')
+    .replace(/\//g, '\\')
+    .toLowerCase();
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} root
+ * @param {string[]} paths
+ * @returns {string}
+ */
+function safeJoin(flavor, root, paths) {
+  validateString(root, 'root');
+  for (let i = 0; i < paths.length; i++) {
+    validateString(paths[i], `paths[${i}]`);
+  }
+  for (const path of [root, ...paths]) {
+    if (path.includes('\u0000')) throw new UnsafePathError(path, 'must not contain null bytes');
+  }
+
+  const resolvedRoot = flavor.resolve(root);
+  if (flavor === win) {
+    const rootDevice = getWinDevice(resolvedRoot);
+    for (const path of paths) {
+      const device = getWinDevice(path);
+      if (device !== '' && device !== rootDevice) {
+        throw new UnsafePathError(path, `must not switch to another device than ${resolvedRoot}`);
+      }
+    }
+  }
+
+  const resolved = flavor.resolve(resolvedRoot, ...paths);
+  if (!contains(flavor, resolvedRoot, resolved)) {
+    throw new UnsafePathError(resolved, `must not escape ${resolvedRoot}`);
+  }
+  return resolved;
+}
+
+/**
+ * Whether the candidate path is the root directory or inside of it, after resolving both.
+ * Returns false for paths containing null bytes.
+ * @param {string} root
+ * @param {string} candidate
+ * @returns {boolean}
+ */
+export function winIsInside(root, candidate) {
+  return isInside(win, root, candidate);
+}
+
+/**
+ * Whether the candidate path is the root directory or inside of it, after resolving both.
+ * Returns false for paths containing null bytes.
+ * @param {string} root
+ * @param {string} candidate
+ * @returns {boolean}
+ */
+export function posIsInside(root, candidate) {
+  return isInside(pos, root, candidate);
+}
+
+/**
+ * Resolves untrusted paths inside of the root directory, e.g. for user uploads.
+ * Throws an UnsafePathError if the result would escape the root, if any path contains a null byte,
+ * or if a path switches to another drive or UNC root.
+ * @param {string} root
+ * @param {...string} paths
+ * @returns {string}
+ */
+export function winSafeJoin(root, ...paths) {
+  return safeJoin(win, root, paths);
+}
+
+/**
+ * Resolves untrusted paths inside of the root directory, e.g. for user uploads.
+ * Throws an UnsafePathError if the result would escape the root or if any path contains a null byte.
+ * @param {string} root
+ * @param {...string} paths
+ * @returns {string}
+ */
+export function posSafeJoin(root, ...paths) {
+  return safeJoin(pos, root, paths);
+}
@@ -0,0 +1,165 @@
+import { CHAR_BACKWARD_SLASH, CHAR_COLON, CHAR_FORWARD_SLASH } from './constants.js';
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { posParse, posSep, winParse, winSep } from './path.js';
+import { validateArray, validateString } from './validators.js';
+
+/**
+ * @typedef {Object} SplitPath
+ * @property {string} root e.g. '/', 'C:\', 'C:' or '\\server\share\', '' for relative paths
+ * @property {string[]} segments
+ */
+
+/**
+ * @typedef {Object} Flavor
+ * @property {(path: string) => { root: string }} parse
+ * @property {(code: number) => boolean} isSeparator
+ * @property {RegExp} separators
+ * @property {string} sep
+ */
+
+/** @type {Flavor} */
+const win = {
+  parse: winParse,
+  isSeparator: (code) => code === CHAR_FORWARD_SLASH || code === CHAR_BACKWARD_SLASH,
+  separators: /[\\/]/,
+  sep: winSep,
+};
+
+/** @type {Flavor} */
+const pos = {
+  parse: posParse,
+  isSeparator: (code) => code === CHAR_FORWARD_SLASH,
+  separators: /\//,
+  sep: posSep,
+};
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @param {number} start
+ * @returns {Generator<string, void, undefined>}
+ */
+function* iterate(flavor, path, start) {
+  for (let i = start; i <= path.length; i++) {
+    if (i === path.length || flavor.isSeparator(path.charCodeAt(i))) {
+      // repeated separators don't make empty segments
+      if (i > start) yield path.slice(start, i);
+      start = i + 1;
+    }
+  }
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @returns {Generator<string, void, undefined>}
+ */
+function segments(flavor, path) {
+  validateString(path, 'path');
+  return iterate(flavor, path, flavor.parse(path).root.length);
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} path
+ * @returns {SplitPath}
+ */
+function split(flavor, path) {
+  validateString(path, 'path');
+  const { root } = flavor.parse(path);
+  return { root, segments: [...iterate(flavor, path, root.length)] };
+}
+
+/**
+ * @param {Flavor} flavor
+ * @param {string} root
+ * @param {string[]} segments
+ * @returns {string}
+ */
+function fromSegments(flavor, root, segments) {
+  validateString(root, 'root');
+  validateArray(segments, 'segments');
+  if (flavor.parse(root).root !== root) {
+    throw new ERR_INVALID_ARG_VALUE('root', root, 'must be a root like the one returned by split');
+  }
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    validateString(segment, `segments[${i}]`);
+    if (segment === '' || flavor.separators.test(segment)) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `segments[${i}]`,
+        segment,
+        'must be a non-empty segment without separators',
+      );
+    }
+  }
+  if (root === '' && segments.length > 0 && flavor.parse(segments[0]).root !== '') {
+    // e.g. C:foo, which would turn into a drive-relative path
+    throw new ERR_INVALID_ARG_VALUE('segments[0]', segments[0], 'must not start with a root');
+  }
+  const rest = segments.join(flavor.sep);
+  const last = root.charCodeAt(root.length - 1);
+  // roots without a trailing separator are '', drive-relative like C: or a bare UNC root like \\server\share
+  if (rest === '' || root === '' || flavor.isSeparator(last) || last === CHAR_COLON) {
+    return `${root}${rest}`;
+  }
+  return `${root}${flavor.sep}${rest}`;
+}
+
+/**
+ * Splits the path into its root, using the same root detection as parse, and its segments.
+ * Empty segments from repeated or trailing separators are skipped, '.' and '..' are kept.
+ * @param {string} path
+ * @returns {SplitPath}
+ */
+export function winSplit(path) {
+  return split(win, path);
+}
+
+/**
+ * Splits the path into its root, using the same root detection as parse, and its segments.
+ * Empty segments from repeated or trailing separators are skipped, '.' and '..' are kept.
+ * @param {string} path
+ * @returns {SplitPath}
+ */
+export function posSplit(path) {
+  return split(pos, path);
+}
+
+/**
+ * Lazily iterates over the segments of the path after its root, like winSplit.
+ * @param {string} path
+ * @returns {Generator<string, void, undefined>}
+ */
+export function winSegments(path) {
+  return segments(win, path);
+}
+
+/**
+ * Lazily iterates over the segments of the path after its root, like posSplit.
+ * @param {string} path
+ * @returns {Generator<string, void, undefined>}
+ */
+export function posSegments(path) {
+  return segments(pos, path);
+}
+
+/**
+ * The inverse of winSplit, joins the segments with backslashes after the root.
+ * @param {string} root
+ * @param {string[]} segments
+ * @returns {string}
+ */
+export function winFromSegments(root, segments) {
+  return fromSegments(win, root, segments);
+}
+
+/**
+ * The inverse of posSplit, joins the segments with slashes after the root.
+ * @param {string} root
+ * @param {string[]} segments
+ * @returns {string}
+ */
+export function posFromSegments(root, segments) {
+  return fromSegments(pos, root, segments);
+}
@@ -0,0 +1,48 @@
+/**
+ * Types of the path API, named and shaped like the ones in @types/node's path module,
+ * so path-unified can be used where node:path is expected.
+ */
+
+/**
+ * A parsed path object generated by parse()
+ * @typedef {Object} ParsedPath
+ * @property {string} root the root of the path such as '/' or 'c:\'
+ * @property {string} dir the full directory path such as '/home/user/dir' or 'c:\path\dir'
+ * @property {string} base the file name including extension (if any) such as 'index.html'
+ * @property {string} ext the file extension (if any) such as '.html'
+ * @property {string} name the file name without extension (if any) such as 'index'
+ */
+
+/**
+ * Input of format(), base takes precedence over name and ext, and dir over root
+ * @typedef {Object} FormatInputPathObject
+ * @property {string} [root] the root of the path such as '/' or 'c:\'
+ * @property {string} [dir] the full directory path such as '/home/user/dir' or 'c:\path\dir'
+ * @property {string} [base] the file name including extension (if any) such as 'index.html'
+ * @property {string} [ext] the file extension (if any) such as '.html'
+ * @property {string} [name] the file name without extension (if any) such as 'index'
+ */
+
+/**
+ * The path API of one platform, like Node's path.win32 and path.posix.
+ * Both reference each other through posix and win32, like in Node.
+ * @typedef {Object} PlatformPath
+ * @property {(path: string) => string} normalize
+ * @property {(...paths: string[]) => string} join
+ * @property {(...paths: string[]) => string} resolve
+ * @property {(path: string) => boolean} isAbsolute
+ * @property {(from: string, to: string) => string} relative
+ * @property {(path: string) => string} dirname
+ * @property {(path: string, suffix?: string) => string} basename
+ * @property {(path: string) => string} extname
+ * @property {'\\' | '/'} sep
+ * @property {';' | ':'} delimiter
+ * @property {(path: string) => ParsedPath} parse
+ * @property {(pathObject: FormatInputPathObject) => string} format
+ * @property {(path: string) => string} toNamespacedPath
+ * @property {(path: string, pattern: string) => boolean} matchesGlob
+ * @property {PlatformPath} posix
+ * @property {PlatformPath} win32
+ */
+
+export {};
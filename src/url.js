@@ -0,0 +1,34 @@
+import {
+  urlResolve,
+  urlNormalize,
+  urlIsAbsolute,
+  urlJoin,
+  urlRelative,
+  urlDirname,
+  urlBasename,
+  urlExtname,
+  urlSep,
+} from './urlPath.js';
+
+export const resolve = urlResolve;
+export const normalize = urlNormalize;
+export const isAbsolute = urlIsAbsolute;
+export const join = urlJoin;
+export const relative = urlRelative;
+export const dirname = urlDirname;
+export const basename = urlBasename;
+export const extname = urlExtname;
+export const sep = urlSep;
+
+// import path from 'path-unified/url' -> bad for treeshaking
+export default {
+  resolve,
+  normalize,
+  isAbsolute,
+  join,
+  relative,
+  dirname,
+  basename,
+  extname,
+  sep,
+};
@@ -0,0 +1,297 @@
+import { CHAR_FORWARD_SLASH } from './constants.js';
+import { ERR_INVALID_ARG_VALUE } from './errors.js';
+import { posBasename, posDirname, posExtname } from './path.js';
+import { validateString } from './validators.js';
+
+/**
+ * Paths of URLs, for browser routing and fetch paths: a pathname with an optional scheme and authority
+ * before it, and an optional query and hash after it, e.g. https://example.com/a/b?c#d or /a/b?c#d.
+ * Unlike posix paths:
+ * - the query and hash are kept as they are
+ * - percent-encoded characters are never decoded, so %2F is part of a segment and not a separator
+ * - trailing slashes are kept, since /docs/ is a directory for URLs and /docs is not
+ * - . and .. segments and relative URLs are resolved like browsers do (RFC 3986), so empty segments are kept
+ */
+
+/**
+ * @typedef {Object} UrlParts
+ * @property {string} scheme e.g. 'https:', or ''
+ * @property {string} authority e.g. '//example.com', or ''
+ * @property {string} pathname
+ * @property {string} query including the '?', or ''
+ * @property {string} hash including the '#', or ''
+ */
+
+// RFC 3986 appendix B, matches every string
+const urlRegExp = /^([a-zA-Z][a-zA-Z\d+\-.]*:)?(\/\/[^/?#]*)?([^?#]*)(\?[^#]*)?(#.*)?$/s;
+
+/**
+ * @param {string} url
+ * @returns {UrlParts}
+ */
+function splitUrl(url) {
+  const [, scheme = '', authority = '', pathname, query = '', hash = ''] =
+    /** @type {RegExpExecArray} */ (urlRegExp.exec(url));
+  return { scheme, authority, pathname, query, hash };
+}
+
+/**
+ * Splits a path that isn't the first one in join, where only an authority makes it absolute,
+ * so a colon is part of a segment and not a scheme, e.g. 'projects:list'
+ * @param {string} path
+ * @returns {UrlParts}
+ */
+function splitJoinedUrl(path) {
+  if (path.startsWith('//')) return splitUrl(path);
+  const url = splitUrl(`./${path}`);
+  return { ...url, pathname: url.pathname.slice(2) };
+}
+
+/**
+ * @param {UrlParts} url
+ * @returns {string}
+ */
+function formatUrl({ scheme, authority, pathname, query, hash }) {
+  return `${scheme}${authority}${pathname}${query}${hash}`;
+}
+
+/**
+ * Prefixes ./ to relative paths that would otherwise be read as absolute or as a scheme, like .//a and ./a:b
+ * @param {string} path
+ * @returns {string}
+ */
+function toRelativeReference(path) {
+  const end = path.indexOf('/');
+  const firstSegment = end === -1 ? path : path.slice(0, end);
+  return firstSegment === '' || firstSegment.includes(':') ? `./${path}` : path;
+}
+
+/**
+ * Resolves . and .. segments, where a trailing one leaves a trailing slash, since it refers to a directory.
+ * Relative paths keep their leading .. segments.
+ * @param {string} pathname
+ * @returns {string}
+ */
+function removeDotSegments(pathname) {
+  if (pathname === '') return '';
+  const absolute = pathname.charCodeAt(0) === CHAR_FORWARD_SLASH;
+  const segments = pathname.split('/');
+  if (absolute) segments.shift();
+
+  /** @type {string[]} */
+  const output = [];
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment === '..') {
+      if (output.length > 0 && output[output.length - 1] !== '..') {
+        output.pop();
+      } else if (!absolute) {
+        output.push('..');
+      }
+    } else if (segment !== '.') {
+      output.push(segment);
+      continue;
+    }
+    if (i === segments.length - 1 && output[output.length - 1] !== '..') {
+      output.push('');
+    }
+  }
+
+  const path = output.join('/');
+  if (absolute) return `/${path}`;
+  // only dot segments or a trailing slash leave nothing, both refer to the directory
+  if (path === '') return './';
+  return toRelativeReference(path);
+}
+
+/**
+ * Resolves a relative URL against a base, RFC 3986 section 5.2.2
+ * @param {UrlParts} base
+ * @param {UrlParts} ref
+ * @returns {UrlParts}
+ */
+function resolveReference(base, ref) {
+  if (ref.scheme !== '') {
+    return { ...ref, pathname: removeDotSegments(ref.pathname) };
+  }
+  if (ref.authority !== '') {
+    return { ...ref, scheme: base.scheme, pathname: removeDotSegments(ref.pathname) };
+  }
+  // like in browsers, the empty path of a base with an authority is /, e.g. https://example.com
+  const basePathname = base.authority !== '' && base.pathname === '' ? '/' : base.pathname;
+  if (ref.pathname === '') {
+    return { ...base, pathname: basePathname, query: ref.query || base.query, hash: ref.hash };
+  }
+  let pathname = ref.pathname;
+  if (pathname.charCodeAt(0) !== CHAR_FORWARD_SLASH) {
+    // relative to the directory of the base, so a base without trailing slash loses its last segment
+    pathname = basePathname.slice(0, basePathname.lastIndexOf('/') + 1) + pathname;
+  }
+  return { ...base, pathname: removeDotSegments(pathname), query: ref.query, hash: ref.hash };
+}
+
+/**
+ * Resolves a sequence of URLs or paths into an absolute one, like a browser resolves each one against the previous,
+ * e.g. resolve(location.href, '../api?page=2').
+ * Paths are resolved against '/' when none of them has a scheme or authority.
+ * @param {...string} paths
+ * @returns {string}
+ */
+export function urlResolve(...paths) {
+  /** @type {UrlParts} */
+  let resolved = { scheme: '', authority: '', pathname: '/', query: '', hash: '' };
+  for (let i = 0; i < paths.length; i++) {
+    validateString(paths[i], `paths[${i}]`);
+    resolved = resolveReference(resolved, splitUrl(paths[i]));
+  }
+  return formatUrl(resolved);
+}
+
+/**
+ * Resolves . and .. segments, keeping empty segments, the trailing slash, the query and the hash.
+ * @param {string} path
+ * @returns {string}
+ */
+export function urlNormalize(path) {
+  validateString(path, 'path');
+  if (path === '') return '.';
+  const url = splitUrl(path);
+  return formatUrl({ ...url, pathname: removeDotSegments(url.pathname) });
+}
+
+/**
+ * Whether the path is an absolute URL, a protocol-relative URL like //example.com, or starts with /
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function urlIsAbsolute(path) {
+  validateString(path, 'path');
+  const { scheme, authority, pathname } = splitUrl(path);
+  return scheme !== '' || authority !== '' || pathname.charCodeAt(0) === CHAR_FORWARD_SLASH;
+}
+
+/**
+ * Joins the paths with / and normalizes the result.
+ * Only the first path can have a scheme or authority, and only the last one a query or hash.
+ * Colons in the other paths are part of a segment, e.g. join('/v1', 'projects:list').
+ * @param {...string} paths
+ * @returns {string}
+ */
+export function urlJoin(...paths) {
+  /** @type {{ url: UrlParts, index: number }[]} */
+  const parts = [];
+  for (let i = 0; i < paths.length; i++) {
+    validateString(paths[i], `paths[${i}]`);
+    if (paths[i] !== '') {
+      const url = parts.length === 0 ? splitUrl(paths[i]) : splitJoinedUrl(paths[i]);
+      parts.push({ url, index: i });
+    }
+  }
+  if (parts.length === 0) return '.';
+
+  let pathname = '';
+  for (let i = 0; i < parts.length; i++) {
+    const { url, index } = parts[i];
+    if (i > 0 && url.authority !== '') {
+      throw new ERR_INVALID_ARG_VALUE(
+        `paths[${index}]`,
+        paths[index],
+        'must be relative, only the first path can be an absolute URL',
+      );
+    }
+    if (i < parts.length - 1 && (url.query !== '' || url.hash !== '')) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `paths[${index}]`,
+        paths[index],
+        'must not have a query or hash, only the last path can',
+      );
+    }
+    if (pathname === '' || url.pathname === '') {
+      pathname += url.pathname;
+    } else {
+      pathname = `${pathname.replace(/\/+$/, '')}/${url.pathname.replace(/^\/+/, '')}`;
+    }
+  }
+
+  const { scheme, authority } = parts[0].url;
+  const { query, hash } = parts[parts.length - 1].url;
+  if (authority !== '' && pathname !== '' && pathname.charCodeAt(0) !== CHAR_FORWARD_SLASH) {
+    pathname = `/${pathname}`;
+  }
+  return formatUrl({ scheme, authority, pathname: removeDotSegments(pathname), query, hash });
+}
+
+/**
+ * The relative URL from the from URL to the to URL, after resolving both like resolve(from) and resolve(from, to),
+ * so that resolve(from, relative(from, to)) is the same as resolve(from, to).
+ * Like in browsers, a from URL without trailing slash is relative to its directory,
+ * and one with an authority and no path, like https://example.com, to /.
+ * Returns the resolved to URL for URLs with a different scheme or authority, or without a path.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+export function urlRelative(from, to) {
+  validateString(from, 'from');
+  validateString(to, 'to');
+  const fromUrl = splitUrl(urlResolve(from));
+  const toUrl = splitUrl(urlResolve(from, to));
+  if (
+    fromUrl.scheme.toLowerCase() !== toUrl.scheme.toLowerCase() ||
+    fromUrl.authority.toLowerCase() !== toUrl.authority.toLowerCase() ||
+    // relative URLs resolve to / instead, e.g. https://example.com/
+    (toUrl.authority !== '' && toUrl.pathname === '')
+  ) {
+    return formatUrl(toUrl);
+  }
+
+  // the last segment of from is a file name, or '' for a directory
+  const fromDir = (fromUrl.pathname || '/').split('/').slice(0, -1);
+  const toSegments = (toUrl.pathname || '/').split('/');
+  let i = 0;
+  // the last segment of to is always part of the relative path
+  while (i < fromDir.length && i < toSegments.length - 1 && fromDir[i] === toSegments[i]) {
+    i++;
+  }
+  const rest = toSegments.slice(i).join('/');
+  const pathname =
+    i < fromDir.length ? '../'.repeat(fromDir.length - i) + rest : toRelativeReference(rest);
+  return `${pathname}${toUrl.query}${toUrl.hash}`;
+}
+
+/**
+ * Same as posix.dirname for the pathname, keeping the scheme and authority, but not the query and hash.
+ * @param {string} path
+ * @returns {string}
+ */
+export function urlDirname(path) {
+  validateString(path, 'path');
+  const { scheme, authority, pathname } = splitUrl(path);
+  if (scheme !== '' || authority !== '') {
+    return `${scheme}${authority}${pathname === '' ? '' : posDirname(pathname)}`;
+  }
+  return posDirname(pathname);
+}
+
+/**
+ * Same as posix.basename for the pathname, without the query and hash.
+ * @param {string} path
+ * @param {string} [suffix]
+ * @returns {string}
+ */
+export function urlBasename(path, suffix) {
+  validateString(path, 'path');
+  return posBasename(splitUrl(path).pathname, suffix);
+}
+
+/**
+ * Same as posix.extname for the pathname, without the query and hash.
+ * @param {string} path
+ * @returns {string}
+ */
+export function urlExtname(path) {
+  validateString(path, 'path');
+  return posExtname(splitUrl(path).pathname);
+}
+
+export const urlSep = '/';
@@ -10,9 +10,29 @@ import {
   winExtname,
   winFormat,
   winParse,
+  winMatchesGlob,
   winSep,
   winDelimiter,
+  upstreamVersion,
 } from './path.js';
+import { winFileURLToPath, winPathToFileURL } from './fileUrl.js';
+import { winSafeJoin, winIsInside } from './safeJoin.js';
+import { winExtnames, winStem, winReplaceExt } from './extnames.js';
+import { winEquals, winCompare } from './compare.js';
+import { winSplit, winSegments, winFromSegments } from './segments.js';
+import { winCommonPath } from './commonPath.js';
+import {
+  winParsePathList,
+  winFormatPathList,
+  winDedupePathList,
+  winPrependPathList,
+} from './pathList.js';
+
+/**
+ * @typedef {import('./types.js').PlatformPath} PlatformPath
+ * @typedef {import('./types.js').ParsedPath} ParsedPath
+ * @typedef {import('./types.js').FormatInputPathObject} FormatInputPathObject
+ */
 
 export const resolve = winResolve;
 export const normalize = winNormalize;
@@ -25,21 +45,33 @@ export const basename = winBasename;
 export const extname = winExtname;
 export const format = winFormat;
 export const parse = winParse;
+export const matchesGlob = winMatchesGlob;
 export const sep = winSep;
 export const delimiter = winDelimiter;
+export const fileURLToPath = winFileURLToPath;
+export const pathToFileURL = winPathToFileURL;
+export const safeJoin = winSafeJoin;
+export const isInside = winIsInside;
+export const extnames = winExtnames;
+export const stem = winStem;
+export const replaceExt = winReplaceExt;
+export const equals = winEquals;
+export const compare = winCompare;
+export const split = winSplit;
+export const segments = winSegments;
+export const fromSegments = winFromSegments;
+export const commonPath = winCommonPath;
+export const parsePathList = winParsePathList;
+export const formatPathList = winFormatPathList;
+export const dedupePathList = winDedupePathList;
+export const prependPathList = winPrependPathList;
+export const EOL = '\r\n';
+
+export { upstreamVersion };
+export { toPosix, toWin32 } from './convert.js';
+export { UnsafePathError } from './errors.js';
+export { Win32Path, Win32Path as Path } from './pathObject.js';
+export { setCwd, setDriveCwd } from './cwd.js';
 
-export default {
-  resolve,
-  normalize,
-  isAbsolute,
-  join,
-  relative,
-  toNamespacedPath,
-  dirname,
-  basename,
-  extname,
-  format,
-  parse,
-  sep,
-  delimiter,
-};
+// import path from 'path-unified/win32' -> bad for treeshaking, like in Node this is the same object as path.win32
+export { win32 as default } from './namespaces.js';
@@ -0,0 +1,174 @@
+import { expect } from 'chai';
+import commonjsModule from '@rollup/plugin-commonjs';
+import * as esbuild from 'esbuild';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { rollup } from 'rollup';
+import * as vite from 'vite';
+import webpack from 'webpack';
+import {
+  aliases,
+  esbuildPlugin,
+  importMap,
+  rollupPlugin,
+  vitePlugin,
+  webpackPlugin,
+} from '../src/alias.js';
+import { upstreamVersion } from '../src/index.js';
+import { catchError } from './catchError.js';
+
+// its types only describe the CommonJS build, where the plugin is the default export's default
+const commonjs = /** @type {typeof commonjsModule.default} */ (
+  /** @type {unknown} */ (commonjsModule)
+);
+
+// imports and requires node:path in every supported way, see test/alias/
+const input = fileURLToPath(new URL('./alias/main.js', import.meta.url));
+
+/**
+ * Bundles the fixture as a script for browsers
+ * @type {Record<string, () => Promise<string>>}
+ */
+const bundlers = {
+  rollup: async () => {
+    const bundle = await rollup({
+      input,
+      plugins: [rollupPlugin(), commonjs({ extensions: ['.js', '.cjs'] })],
+    });
+    const { output } = await bundle.generate({ format: 'iife' });
+    await bundle.close();
+    return output[0].code;
+  },
+  vite: async () => {
+    const result = await vite.build({
+      configFile: false,
+      logLevel: 'silent',
+      plugins: [vitePlugin()],
+      build: {
+        write: false,
+        minify: false,
+        lib: { entry: input, formats: ['iife'], name: 'fixture' },
+        // vite only expects CommonJS in node_modules
+        commonjsOptions: { include: [/\.cjs$/] },
+      },
+    });
+    const [{ output }] = /** @type {import('rollup').RollupOutput[]} */ (result);
+    return output[0].code;
+  },
+  esbuild: async () => {
+    const { outputFiles } = await esbuild.build({
+      entryPoints: [input],
+      bundle: true,
+      format: 'iife',
+      write: false,
+      logLevel: 'silent',
+      plugins: [esbuildPlugin()],
+    });
+    return outputFiles[0].text;
+  },
+  webpack: async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'path-unified-'));
+    try {
+      await new Promise((resolve, reject) => {
+        const compiler = webpack({
+          mode: 'none',
+          target: 'web',
+          entry: input,
+          output: { path: dir, filename: 'main.js' },
+          plugins: [webpackPlugin()],
+        });
+        compiler.run((err, stats) => {
+          compiler.close(() => {
+            if (err || stats?.hasErrors()) {
+              reject(err ?? new Error(stats?.toString('errors-only')));
+            } else {
+              resolve(undefined);
+            }
+          });
+        });
+      });
+      return await readFile(join(dir, 'main.js'), 'utf-8');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  },
+};
+
+describe('alias', () => {
+  describe('aliases', () => {
+    it('maps every node:path specifier to its entrypoint in src/', () => {
+      const src = fileURLToPath(new URL('../src/', import.meta.url));
+      expect(aliases()).to.eql({
+        path: join(src, 'index.js'),
+        'node:path': join(src, 'index.js'),
+        'path/posix': join(src, 'posix.js'),
+        'node:path/posix': join(src, 'posix.js'),
+        'path/win32': join(src, 'win32.js'),
+        'node:path/win32': join(src, 'win32.js'),
+      });
+    });
+
+    it('maps to src/ from the CommonJS build as well', () => {
+      const require = createRequire(import.meta.url);
+      expect(require('path-unified/alias').aliases()).to.eql(aliases());
+    });
+  });
+
+  describe('importMap', () => {
+    it('maps the node:path specifiers to URLs in the package directory', () => {
+      expect(importMap()).to.eql({
+        imports: {
+          path: '/node_modules/path-unified/src/index.js',
+          'node:path': '/node_modules/path-unified/src/index.js',
+          'path/posix': '/node_modules/path-unified/src/posix.js',
+          'node:path/posix': '/node_modules/path-unified/src/posix.js',
+          'path/win32': '/node_modules/path-unified/src/win32.js',
+          'node:path/win32': '/node_modules/path-unified/src/win32.js',
+        },
+      });
+    });
+
+    it('supports a custom base URL, with or without trailing slash', () => {
+      const { imports } = importMap({ base: 'https://cdn.example.com/path-unified@1' });
+      expect(imports['node:path']).to.equal('https://cdn.example.com/path-unified@1/src/index.js');
+      expect(importMap({ base: './vendor/' }).imports.path).to.equal('./vendor/src/index.js');
+    });
+
+    it('validates its options', () => {
+      // @ts-expect-error testing invalid input
+      expect(catchError(() => importMap(null)).code).to.equal('ERR_INVALID_ARG_TYPE');
+      // @ts-expect-error testing invalid input
+      expect(catchError(() => importMap({ base: 1 })).code).to.equal('ERR_INVALID_ARG_TYPE');
+    });
+  });
+
+  for (const [name, bundle] of Object.entries(bundlers)) {
+    describe(`${name} plugin`, () => {
+      it('bundles imports and requires of node:path as path-unified, for browsers', async function () {
+        this.timeout(60000);
+        const code = await bundle();
+        // a browser-like realm without require, process or node:path
+        const context = vm.createContext({
+          navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64)' },
+        });
+        vm.runInContext(code, context);
+        const expected = {
+          upstreamVersion,
+          // relative to '/', the cwd in browsers
+          resolve: '/foo/bar',
+          join: 'foo/bar',
+          posix: 'foo/bar',
+          win32: '\\',
+        };
+        expect(JSON.parse(JSON.stringify(context.result))).to.eql({
+          esm: expected,
+          cjs: expected,
+        });
+      });
+    });
+  }
+});
@@ -0,0 +1,13 @@
+// Like an unmodified package written for Node, requiring the path module in every supported way
+const path = require('path');
+const { join, upstreamVersion } = require('node:path');
+const posix = require('path/posix');
+const { sep } = require('node:path/win32');
+
+module.exports = {
+  upstreamVersion,
+  resolve: path.resolve('foo', 'bar'),
+  join: join('foo', 'bar'),
+  posix: posix.join('foo', 'bar'),
+  win32: sep,
+};
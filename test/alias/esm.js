@@ -0,0 +1,14 @@
+// Like an unmodified package written for Node, importing the path module in every supported way
+import path from 'path';
+import { join, upstreamVersion } from 'node:path';
+import posix from 'path/posix';
+import { sep } from 'node:path/win32';
+
+export default {
+  // only path-unified has upstreamVersion, node:path polyfills don't
+  upstreamVersion,
+  resolve: path.resolve('foo', 'bar'),
+  join: join('foo', 'bar'),
+  posix: posix.join('foo', 'bar'),
+  win32: sep,
+};
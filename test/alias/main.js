@@ -0,0 +1,4 @@
+import esm from './esm.js';
+import cjs from './cjs.cjs';
+
+globalThis.result = { esm, cjs };
@@ -0,0 +1,215 @@
+import { expect } from 'chai';
+import { createCachedPath, createPath } from '../src/auto.js';
+import { win32, posix, setCwd, setDriveCwd } from '../src/index.js';
+import { LRUCache } from '../src/lru.js';
+
+describe('createPath', () => {
+  it('pins the posix flavor', () => {
+    const path = createPath({ platform: 'posix' });
+    expect(path.sep).to.equal('/');
+    expect(path.delimiter).to.equal(':');
+    expect(path.EOL).to.equal('\n');
+    expect(path.join('foo', 'bar')).to.equal('foo/bar');
+    expect(path.resolve).to.equal(posix.resolve);
+  });
+
+  it('pins the win32 flavor', () => {
+    const path = createPath({ platform: 'win32' });
+    expect(path.sep).to.equal('\\');
+    expect(path.delimiter).to.equal(';');
+    expect(path.EOL).to.equal('\r\n');
+    expect(path.join('foo', 'bar')).to.equal('foo\\bar');
+    expect(path.resolve).to.equal(win32.resolve);
+  });
+
+  it('detects the platform by default', () => {
+    const path = createPath();
+    expect(createPath({ platform: 'auto' }).sep).to.equal(path.sep);
+    expect(path.EOL).to.equal(path.sep === '\\' ? '\r\n' : '\n');
+  });
+
+  it('keeps access to both flavors', () => {
+    const path = createPath({ platform: 'posix' });
+    expect(path.win32.join('foo', 'bar')).to.equal('foo\\bar');
+  });
+
+  it('validates the options', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => createPath({ platform: 'darwin' })).to.throw(
+      "The property 'options.platform' must be one of: 'posix', 'win32', 'auto'. Received 'darwin'",
+    );
+    // @ts-expect-error testing invalid input
+    expect(() => createPath('posix')).to.throw('The "options" argument must be of type object');
+  });
+});
+
+describe('createCachedPath', () => {
+  afterEach(() => {
+    setCwd(undefined);
+    setDriveCwd('D:', undefined);
+  });
+
+  it('returns the same results as the uncached functions', () => {
+    for (const platform of /** @type {const} */ (['posix', 'win32'])) {
+      const cached = createCachedPath({ platform });
+      const path = createPath({ platform });
+      for (const args of [['foo', '..', 'bar'], ['/a/b', './c'], ['C:\\a', 'b'], []]) {
+        expect(cached.resolve(...args)).to.equal(path.resolve(...args));
+        expect(cached.resolve(...args)).to.equal(path.resolve(...args));
+      }
+      for (const p of ['a//b/../c', '', 'C:\\a\\.\\b']) {
+        expect(cached.normalize(p)).to.equal(path.normalize(p));
+        expect(cached.normalize(p)).to.equal(path.normalize(p));
+      }
+      expect(cached.relative('/a/b', '/a/c')).to.equal(path.relative('/a/b', '/a/c'));
+      expect(cached.relative('/a/b', '/a/c')).to.equal(path.relative('/a/b', '/a/c'));
+      expect(cached.join).to.equal(path.join);
+      expect(cached.sep).to.equal(path.sep);
+    }
+  });
+
+  it('does not mix up arguments that concatenate to the same string', () => {
+    const path = createCachedPath({ platform: 'posix' });
+    expect(path.resolve('/a', 'b/c')).to.equal('/a/b/c');
+    expect(path.resolve('/a/b', 'c')).to.equal('/a/b/c');
+    expect(path.resolve('/ab', 'c')).to.equal('/ab/c');
+    expect(path.resolve('/a', 'bc')).to.equal('/a/bc');
+    expect(path.relative('/a', '/ab')).to.equal('../ab');
+    expect(path.relative('/ab', '/a')).to.equal('../a');
+  });
+
+  it('invalidates resolve and relative when the cwd changes', () => {
+    const path = createCachedPath({ platform: 'posix' });
+    setCwd('/one');
+    expect(path.resolve('foo')).to.equal('/one/foo');
+    expect(path.relative('foo', '/one/bar')).to.equal('../bar');
+    setCwd('/two');
+    expect(path.resolve('foo')).to.equal('/two/foo');
+    expect(path.relative('foo', '/one/bar')).to.equal('../../one/bar');
+  });
+
+  it("reads the environment's cwd only for results that aren't cached", function () {
+    if (typeof process !== 'object' || typeof process.cwd !== 'function') this.skip();
+    const path = createCachedPath({ platform: 'posix' });
+    const processCwd = process.cwd;
+    let cwd = '/one';
+    let reads = 0;
+    process.cwd = () => {
+      reads++;
+      return cwd;
+    };
+    try {
+      expect(path.resolve('foo')).to.equal('/one/foo');
+      expect(path.relative('foo', '/one/bar')).to.equal('../bar');
+      reads = 0;
+      expect(path.resolve('foo')).to.equal('/one/foo');
+      expect(path.relative('foo', '/one/bar')).to.equal('../bar');
+      expect(reads).to.equal(0);
+      // e.g. process.chdir()
+      cwd = '/two';
+      expect(path.resolve('foo')).to.equal('/one/foo');
+      path.clearCache();
+      expect(path.resolve('foo')).to.equal('/two/foo');
+      expect(path.relative('foo', '/one/bar')).to.equal('../../one/bar');
+    } finally {
+      process.cwd = processCwd;
+    }
+  });
+
+  it('invalidates resolve and relative when a drive cwd changes', () => {
+    const path = createCachedPath({ platform: 'win32' });
+    setCwd('C:\\projects');
+    setDriveCwd('D:', 'D:\\one');
+    expect(path.resolve('D:foo')).to.equal('D:\\one\\foo');
+    expect(path.relative('D:foo', 'D:bar')).to.equal('..\\bar');
+    expect(path.relative('D:foo', 'D:\\one\\bar')).to.equal('..\\bar');
+    setDriveCwd('D:', 'D:\\two');
+    expect(path.resolve('D:foo')).to.equal('D:\\two\\foo');
+    expect(path.relative('D:foo', 'D:\\one\\bar')).to.equal('..\\..\\one\\bar');
+    setDriveCwd('d', undefined);
+    expect(path.resolve('D:foo')).to.equal('D:\\foo');
+  });
+
+  it("picks up the environment's drive cwds after clearing the cache", function () {
+    if (typeof process !== 'object' || typeof process.env !== 'object') this.skip();
+    const path = createCachedPath({ platform: 'win32' });
+    setCwd('C:\\projects');
+    const env = process.env;
+    process.env = { ...env, '=D:': 'D:\\one' };
+    try {
+      expect(path.resolve('D:foo')).to.equal('D:\\one\\foo');
+      process.env['=D:'] = 'D:\\two';
+      path.clearCache();
+      expect(path.resolve('D:foo')).to.equal('D:\\two\\foo');
+    } finally {
+      process.env = env;
+    }
+  });
+
+  it('still validates the arguments', () => {
+    const path = createCachedPath({ platform: 'posix' });
+    expect(path.resolve('1')).to.be.a('string');
+    // @ts-expect-error testing invalid input
+    expect(() => path.resolve(1)).to.throw('The "paths[0]" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => path.resolve(['1'])).to.throw('The "paths[0]" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => path.normalize(null)).to.throw('The "path" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => path.relative('a', {})).to.throw('The "to" argument must be of type string');
+  });
+
+  it('can be cleared', () => {
+    const path = createCachedPath({ platform: 'posix' });
+    path.normalize('a/../b');
+    path.clearCache();
+    expect(path.normalize('a/../b')).to.equal('b');
+  });
+
+  it('validates the options', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => createCachedPath({ maxEntries: '10' })).to.throw(
+      'The "options.maxEntries" property must be of type number. Received type string (\'10\')',
+    );
+    expect(() => createCachedPath({ maxEntries: 0 })).to.throw(
+      'The value of "options.maxEntries" is out of range. It must be >= 1 && <= 9007199254740991. Received 0',
+    );
+    expect(() => createCachedPath({ maxEntries: 1.5 })).to.throw(
+      RangeError,
+      'It must be an integer',
+    );
+    // @ts-expect-error testing invalid input
+    expect(() => createCachedPath({ platform: 'darwin' })).to.throw('options.platform');
+  });
+});
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entries', () => {
+    /** @type {LRUCache<number>} */
+    const cache = new LRUCache(3);
+    cache.set(['a'], 1);
+    cache.set(['b'], 2);
+    cache.set(['c'], 3);
+    // reading a moves it to the new generation
+    expect(cache.get(['a'])).to.equal(1);
+    cache.set(['d'], 4);
+    cache.set(['e'], 5);
+    expect(cache.get(['b'])).to.be.undefined;
+    expect(cache.get(['c'])).to.be.undefined;
+    expect(cache.get(['a'])).to.equal(1);
+    expect(cache.get(['e'])).to.equal(5);
+  });
+
+  it('is keyed by lists of strings', () => {
+    /** @type {LRUCache<string>} */
+    const cache = new LRUCache(10);
+    cache.set([], 'none');
+    cache.set(['a', 'b'], 'a,b');
+    cache.set(['a'], 'a');
+    expect(cache.get([])).to.equal('none');
+    expect(cache.get(['a'])).to.equal('a');
+    expect(cache.get(['a', 'b'])).to.equal('a,b');
+    expect(cache.get(['ab'])).to.be.undefined;
+    expect(cache.get(['a', 'b', 'c'])).to.be.undefined;
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Returns what the function throws, to assert on its code and message
+ * @param {() => unknown} fn
+ * @returns {Error & { code?: string }}
+ */
+export function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return /** @type {Error & { code?: string }} */ (e);
+  }
+  throw new Error('Expected function to throw');
+}
@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import { createRequire } from 'node:module';
+import * as esmIndex from '../src/index.js';
+import * as esmWin32 from '../src/win32.js';
+import * as esmPosix from '../src/posix.js';
+
+// Requires the build output through the package's own "exports" map, see "test:node" script
+const require = createRequire(import.meta.url);
+
+const entrypoints = [
+  { name: 'path-unified', esm: esmIndex },
+  { name: 'path-unified/win32', esm: esmWin32 },
+  { name: 'path-unified/posix', esm: esmPosix },
+];
+
+describe('CommonJS build', () => {
+  for (const { name, esm } of entrypoints) {
+    describe(name, () => {
+      /** @type {Record<string, any>} */
+      const cjs = require(name);
+      const { default: esmDefault, ...esmNamed } = esm;
+
+      it('exposes the named exports as properties of module.exports', () => {
+        expect(Object.keys(cjs).sort()).to.include.members(Object.keys(esmNamed).sort());
+        for (const key of Object.keys(esmNamed)) {
+          expect(typeof cjs[key]).to.equal(
+            typeof (/** @type {Record<string, any>} */ (esmNamed)[key]),
+          );
+        }
+      });
+
+      it('exposes the properties of the default export on module.exports', () => {
+        expect(Object.keys(cjs.default).sort()).to.eql(Object.keys(esmDefault).sort());
+        expect(cjs).to.include(cjs.default);
+      });
+
+      it('returns identical results to the ESM entrypoint', () => {
+        const calls = /** @type {const} */ ([
+          ['resolve', ['foo/bar', '../baz']],
+          ['normalize', ['/foo//bar/../baz/']],
+          ['isAbsolute', ['C:\\foo']],
+          ['join', ['foo', '..', 'bar', 'baz.js']],
+          ['relative', ['/data/orandea/test/aaa', '/data/orandea/impl/bbb']],
+          ['toNamespacedPath', ['C:\\foo\\bar']],
+          ['dirname', ['/foo/bar/baz.js']],
+          ['basename', ['/foo/bar/baz.js', '.js']],
+          ['extname', ['index.test.js']],
+          ['format', [{ dir: '/home/user', base: 'file.txt' }]],
+          ['parse', ['/home/user/dir/file.txt']],
+          ['matchesGlob', ['src/a/b.js', 'src/**/*.js']],
+        ]);
+        for (const [fn, args] of calls) {
+          // @ts-expect-error spreading heterogeneous argument tuples
+          expect(cjs[fn](...args)).to.eql(esmDefault[fn](...args));
+        }
+        expect(cjs.sep).to.equal(esmDefault.sep);
+        expect(cjs.delimiter).to.equal(esmDefault.delimiter);
+      });
+    });
+  }
+
+  it('exposes createPath on the auto entrypoint', () => {
+    const { createPath } = require('path-unified/auto');
+    expect(createPath({ platform: 'win32' }).join('foo', 'bar')).to.equal('foo\\bar');
+    expect(createPath({ platform: 'posix' }).EOL).to.equal('\n');
+  });
+
+  it('exposes the url flavor', () => {
+    const cjs = require('path-unified/url');
+    expect(cjs).to.include(cjs.default);
+    expect(cjs.join('/api/', 'users?page=2')).to.equal('/api/users?page=2');
+  });
+
+  it('exposes the win32 and posix namespaces on the main entrypoint', () => {
+    const cjs = require('path-unified');
+    expect(cjs.win32.join('foo', 'bar')).to.equal('foo\\bar');
+    expect(cjs.posix.join('foo', 'bar')).to.equal('foo/bar');
+  });
+
+  it('keeps the win32 and posix namespaces the same as the ESM ones', () => {
+    // requires every entrypoint first, which must not add their exports to the shared namespaces
+    const [cjs, cjsWin32, cjsPosix] = entrypoints.map(({ name }) => require(name));
+    for (const namespace of [cjs.win32, cjs.posix, cjsWin32.posix, cjsPosix.win32]) {
+      expect(Object.keys(namespace).sort()).to.eql(Object.keys(esmIndex.posix).sort());
+    }
+    expect(cjsWin32.default).to.equal(cjs.win32);
+    expect(cjsPosix.default).to.equal(cjs.posix);
+    expect(cjs.posix.win32).to.equal(cjs.win32);
+  });
+
+  it('shares the cwd between the CommonJS entrypoints, but not with the ESM ones', () => {
+    const cjs = require('path-unified');
+    const cjsPosix = require('path-unified/posix');
+    const { createPath } = require('path-unified/auto');
+    cjs.setCwd('/cjs');
+    try {
+      expect(cjsPosix.resolve('a')).to.equal('/cjs/a');
+      expect(createPath({ platform: 'posix' }).resolve('a')).to.equal('/cjs/a');
+      expect(esmPosix.resolve('a')).to.not.equal('/cjs/a');
+    } finally {
+      cjs.setCwd(undefined);
+    }
+  });
+});
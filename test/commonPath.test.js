@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { commonPath, setCwd } from '../src/index.js';
+import { posCommonPath, winCommonPath } from '../src/commonPath.js';
+import { catchError } from './catchError.js';
+
+describe('commonPath', () => {
+  afterEach(() => {
+    setCwd(undefined);
+  });
+
+  it('picks the variant for the detected platform', () => {
+    expect([posCommonPath, winCommonPath]).to.include(commonPath);
+  });
+
+  it('returns the deepest common directory', () => {
+    expect(posCommonPath(['/repo/a/index.js', '/repo/b/c/index.js'])).to.equal('/repo');
+    expect(posCommonPath(['/repo/a/index.js', '/repo/a/b.js', '/repo/a/c/d.js'])).to.equal(
+      '/repo/a',
+    );
+    // compares whole segments, not characters
+    expect(posCommonPath(['/repo/a', '/repo/ab'])).to.equal('/repo');
+    expect(posCommonPath(['/repo/a', '/repo/a/b'])).to.equal('/repo/a');
+    expect(posCommonPath(['/repo', '/tmp'])).to.equal('/');
+  });
+
+  it('returns a single path resolved', () => {
+    expect(posCommonPath(['/repo/a/../b/'])).to.equal('/repo/b');
+    expect(winCommonPath(['C:\\'])).to.equal('C:\\');
+  });
+
+  it('resolves relative paths against the cwd', () => {
+    setCwd('/repo');
+    expect(posCommonPath(['src/a.js', './src/b/c.js', '/repo/src/d.js'])).to.equal('/repo/src');
+    setCwd('C:\\repo');
+    expect(winCommonPath(['src\\a.js', 'src/b.js'])).to.equal('C:\\repo\\src');
+  });
+
+  it('compares case-insensitively on win32', () => {
+    expect(winCommonPath(['C:\\Repo\\a.js', 'c:\\repo\\B\\c.js'])).to.equal('C:\\Repo');
+    expect(posCommonPath(['/Repo/a.js', '/repo/b.js'])).to.equal('/');
+  });
+
+  it('returns null for different drives or UNC roots on win32', () => {
+    expect(winCommonPath(['C:\\repo', 'D:\\repo'])).to.equal(null);
+    expect(winCommonPath(['C:\\a', 'C:\\b', 'D:\\a'])).to.equal(null);
+    expect(winCommonPath(['\\\\server\\share\\a', '\\\\other\\share\\a'])).to.equal(null);
+    expect(winCommonPath(['\\\\Server\\Share\\a\\x', '\\\\server\\share\\A\\y'])).to.equal(
+      '\\\\Server\\Share\\a',
+    );
+    expect(winCommonPath(['\\\\server\\share\\a', '\\\\server\\share\\b'])).to.equal(
+      '\\\\server\\share\\',
+    );
+  });
+
+  it('validates the arguments', () => {
+    expect(catchError(() => posCommonPath([])).message).to.equal(
+      "The argument 'paths' must not be empty. Received []",
+    );
+    expect(catchError(() => posCommonPath(['/a', /** @type {any} */ (1)])).message).to.equal(
+      'The "paths[1]" argument must be of type string. Received type number (1)',
+    );
+    expect(catchError(() => posCommonPath(/** @type {any} */ ('/a'))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+  });
+});
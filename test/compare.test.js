@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { compare, equals, setCwd } from '../src/index.js';
+import { posCompare, posEquals, winCompare, winEquals } from '../src/compare.js';
+import { catchError } from './catchError.js';
+
+describe('equals / compare', () => {
+  afterEach(() => {
+    setCwd(undefined);
+  });
+
+  it('picks the variants for the detected platform', () => {
+    expect([posEquals, winEquals]).to.include(equals);
+    expect([posCompare, winCompare]).to.include(compare);
+  });
+
+  it('compares resolved paths', () => {
+    setCwd('/home');
+    expect(posEquals('/a/b/', '/a/./c/../b')).to.be.true;
+    expect(posEquals('foo', '/home/foo')).to.be.true;
+    expect(posEquals('/a/b', '/a/c')).to.be.false;
+    setCwd('C:\\work');
+    expect(winEquals('foo', 'C:\\work\\foo')).to.be.true;
+    expect(winEquals('C:/a/b', 'C:\\a\\b\\')).to.be.true;
+    expect(winEquals('C:\\a', 'D:\\a')).to.be.false;
+  });
+
+  it('ignores case for win32 by default', () => {
+    expect(winEquals('C:\\Foo\\BAR', 'c:\\foo\\bar')).to.be.true;
+    expect(winEquals('C:\\Foo', 'c:\\foo', { ignoreCase: false })).to.be.false;
+    expect(posEquals('/Foo', '/foo')).to.be.false;
+    expect(posEquals('/Foo', '/foo', { ignoreCase: true })).to.be.true;
+  });
+
+  it('treats namespaced win32 paths as their plain form', () => {
+    expect(winEquals('\\\\?\\C:\\foo', 'C:\\foo')).to.be.true;
+    expect(winEquals('\\\\?\\c:\\', 'C:\\')).to.be.true;
+    expect(winEquals('\\\\?\\UNC\\server\\share\\foo', '\\\\server\\share\\foo')).to.be.true;
+    expect(winEquals('\\\\?\\unc\\server\\share\\foo', '\\\\server\\share\\foo')).to.be.true;
+    // device paths are not file paths
+    expect(winEquals('\\\\.\\C:\\foo', 'C:\\foo')).to.be.false;
+  });
+
+  it('optionally normalizes unicode', () => {
+    const nfd = '/caf\u0065\u0301';
+    const nfc = '/caf\u00e9';
+    expect(posEquals(nfd, nfc)).to.be.false;
+    expect(posEquals(nfd, nfc, { normalizeUnicode: true })).to.be.true;
+    expect(winEquals(`C:${nfd.toUpperCase()}`, `C:${nfc}`, { normalizeUnicode: true })).to.be.true;
+  });
+
+  it('sorts per segment', () => {
+    expect(['/a-b', '/a/b', '/b', '/a', '/'].sort(posCompare)).to.eql([
+      '/',
+      '/a',
+      '/a/b',
+      '/a-b',
+      '/b',
+    ]);
+    expect(['/b', '/B', '/a'].sort(posCompare)).to.eql(['/B', '/a', '/b']);
+    expect(['C:\\b', 'c:\\B\\c', 'C:\\a'].sort(winCompare)).to.eql(['C:\\a', 'C:\\b', 'c:\\B\\c']);
+    expect(posCompare('/a', '/b')).to.equal(-1);
+    expect(posCompare('/b', '/a')).to.equal(1);
+    expect(posCompare('/a', '/a')).to.equal(0);
+  });
+
+  it('orders equal paths by their original string', () => {
+    expect(['C:\\a', 'c:\\A'].sort(winCompare)).to.eql(['C:\\a', 'c:\\A']);
+    expect(['c:\\A', 'C:\\a'].sort(winCompare)).to.eql(['C:\\a', 'c:\\A']);
+    expect(winCompare('C:\\a', 'c:\\A')).to.equal(-1);
+    expect(winEquals('C:\\a', 'c:\\A')).to.be.true;
+  });
+
+  it('validates the arguments', () => {
+    expect(catchError(() => posEquals('/a', /** @type {any} */ (1))).message).to.equal(
+      'The "b" argument must be of type string. Received type number (1)',
+    );
+    expect(
+      catchError(() => posCompare('/a', '/b', { ignoreCase: /** @type {any} */ ('yes') })).code,
+    ).to.equal('ERR_INVALID_ARG_TYPE');
+  });
+});
@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import nodePath from 'node:path';
+import * as path from '../src/path.js';
+import { SNAPSHOT_CWD, SNAPSHOT_VERSIONS, snapshotCases } from './conformance/cases.js';
+import { fixtureCases, fuzzCases } from './conformance/fixtures.js';
+import { caseKey, getOwnFunction, runCase } from './conformance/run.js';
+import { isKnownDifference } from './conformance/known-differences.js';
+
+/**
+ * Differential tests against Node's built-in path module of the Node version running the tests.
+ */
+
+// A new seed on every run, to keep finding new paths. Failures print it in the test title,
+// rerun with e.g. FUZZ_SEED=1234 npm run test:node to reproduce them.
+const fuzzSeed = process.env.FUZZ_SEED ? Number(process.env.FUZZ_SEED) : Date.now();
+
+/**
+ * @param {import('./conformance/fixtures.js').ConformanceCase[]} cases
+ */
+function compareToNode(cases) {
+  const mismatches = [];
+  for (const testCase of cases) {
+    const key = caseKey(testCase);
+    if (isKnownDifference(testCase, process.version)) continue;
+    const expected = runCase(
+      /** @type {Record<string, any>} */ (nodePath[testCase.flavor])[testCase.fn],
+      testCase.args,
+    );
+    const actual = runCase(getOwnFunction(testCase), testCase.args);
+    try {
+      expect(actual).to.eql(expected);
+    } catch {
+      mismatches.push(
+        `${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+      );
+    }
+  }
+  expect(mismatches, mismatches.join('\n')).to.eql([]);
+}
+
+describe('conformance with node:path', () => {
+  it('has the same separators and delimiters', () => {
+    expect(path.winSep).to.equal(nodePath.win32.sep);
+    expect(path.winDelimiter).to.equal(nodePath.win32.delimiter);
+    expect(path.posSep).to.equal(nodePath.posix.sep);
+    expect(path.posDelimiter).to.equal(nodePath.posix.delimiter);
+  });
+
+  it("passes Node's own path tests", () => {
+    compareToNode(fixtureCases());
+  });
+
+  it(`returns the same results for random paths (FUZZ_SEED=${fuzzSeed})`, () => {
+    compareToNode(fuzzCases(fuzzSeed, 1000));
+  });
+
+  // so that a snapshot can only be recorded with the Node version it is named after
+  it(`has the same results as the snapshot of ${process.version}, if there is one`, async function () {
+    if (!SNAPSHOT_VERSIONS.includes(process.version) || process.platform === 'win32') this.skip();
+    const { default: snapshot, nodeVersion } = await import(
+      `./conformance/snapshots/${process.version}.js`
+    );
+    expect(nodeVersion).to.equal(process.version);
+    const cwd = process.cwd();
+    process.chdir(SNAPSHOT_CWD);
+    try {
+      const mismatches = [];
+      for (const testCase of snapshotCases()) {
+        const key = caseKey(testCase);
+        const actual = runCase(
+          /** @type {Record<string, any>} */ (nodePath[testCase.flavor])[testCase.fn],
+          testCase.args,
+        );
+        try {
+          expect(snapshot[key]).to.eql(actual);
+        } catch {
+          mismatches.push(
+            `${key}: recorded ${JSON.stringify(snapshot[key])}, got ${JSON.stringify(actual)}`,
+          );
+        }
+      }
+      expect(mismatches, mismatches.join('\n')).to.eql([]);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+import { setCwd, setDriveCwd, upstreamVersion } from '../src/index.js';
+import {
+  SNAPSHOT_CWD,
+  SNAPSHOT_DRIVES,
+  SNAPSHOT_VERSIONS,
+  snapshotCases,
+} from './conformance/cases.js';
+import { isKnownDifference } from './conformance/known-differences.js';
+import { caseKey, getOwnFunction, runCase } from './conformance/run.js';
+
+/** @type {Array<{ version: string, snapshot: Record<string, unknown> }>} */
+const snapshots = await Promise.all(
+  SNAPSHOT_VERSIONS.map(async (version) => ({
+    version,
+    snapshot: (await import(`./conformance/snapshots/${version}.js`)).default,
+  })),
+);
+
+// Runs in browsers too, where node:path isn't available to compare against,
+// see conformance.node.test.js for the live comparison.
+describe('conformance with node:path snapshots', () => {
+  before(() => {
+    setCwd(SNAPSHOT_CWD);
+    for (const drive of SNAPSHOT_DRIVES) setDriveCwd(drive, SNAPSHOT_CWD);
+  });
+
+  after(() => {
+    setCwd(undefined);
+    for (const drive of SNAPSHOT_DRIVES) setDriveCwd(drive, undefined);
+  });
+
+  it(`has a snapshot of the upstreamVersion ${upstreamVersion}`, () => {
+    expect(SNAPSHOT_VERSIONS).to.include(upstreamVersion);
+  });
+
+  for (const { version, snapshot } of snapshots) {
+    it(`returns the results recorded with ${version}`, () => {
+      const mismatches = [];
+      for (const testCase of snapshotCases()) {
+        if (isKnownDifference(testCase, version)) continue;
+        const key = caseKey(testCase);
+        const expected = snapshot[key];
+        expect(expected, `${key} is missing in the snapshot, run npm run test:update-snapshot`).to
+          .exist;
+        const actual = runCase(getOwnFunction(testCase), testCase.args);
+        try {
+          expect(actual).to.eql(expected);
+        } catch {
+          mismatches.push(
+            `${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+          );
+        }
+      }
+      expect(mismatches, mismatches.join('\n')).to.eql([]);
+    });
+  }
+});
@@ -0,0 +1,21 @@
+import { fixtureCases, fuzzCases } from './fixtures.js';
+
+// Fixed seed and count for the fuzz cases that are recorded in the snapshots
+export const SNAPSHOT_FUZZ_SEED = 20240101;
+export const SNAPSHOT_FUZZ_COUNT = 64;
+
+/**
+ * The cases recorded in the snapshots, which are also what browsers are tested against.
+ * @returns {import('./fixtures.js').ConformanceCase[]}
+ */
+export function snapshotCases() {
+  return [...fixtureCases(), ...fuzzCases(SNAPSHOT_FUZZ_SEED, SNAPSHOT_FUZZ_COUNT)];
+}
+
+// Node versions with a snapshot, the upstreamVersion and the other supported LTS versions
+export const SNAPSHOT_VERSIONS = ['v24.21.0', 'v22.20.0'];
+
+// Resolving depends on the cwd, so snapshots are recorded and tested with '/' as cwd,
+// and the drive-specific cwds for the drives that appear in the cases set to the same.
+export const SNAPSHOT_CWD = '/';
+export const SNAPSHOT_DRIVES = ['C:', 'D:'];
@@ -0,0 +1,114 @@
+/**
+ * @typedef {import('./fixtures.js').ConformanceCase} ConformanceCase
+ */
+
+const WINDOWS_RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9¹²³]|LPT[1-9¹²³])$/i;
+
+/**
+ * Whether win32.join of Node >= 22 leaves the joined path as it is, because a segment is a reserved device name
+ * @param {unknown[]} args
+ * @returns {boolean}
+ */
+function joinsReservedName(args) {
+  return args
+    .join('\\')
+    .split(/[\\/]/)
+    .some(
+      (part) => part.includes(':') && WINDOWS_RESERVED_NAMES.test(part.slice(0, part.indexOf(':'))),
+    );
+}
+
+/**
+ * Whether the path starts with a device root like \\.\PHYSICALDRIVE0 or \\?\C:
+ * @param {unknown} path
+ * @returns {boolean}
+ */
+function hasDeviceRoot(path) {
+  return typeof path === 'string' && /^[\\/]{2}[.?][\\/]+[^\\/]/.test(path);
+}
+
+/**
+ * Whether the case is a matchesGlob call of the flavor with one of the [path, pattern] pairs,
+ * so that each deliberate difference of src/glob.js is pinned down to the cases that show it
+ * @param {Array<'win32'|'posix'>} flavors
+ * @param {string[][]} pairs
+ * @returns {(testCase: ConformanceCase) => boolean}
+ */
+function isGlobCase(flavors, pairs) {
+  return ({ flavor, fn, args }) =>
+    fn === 'matchesGlob' &&
+    flavors.includes(flavor) &&
+    pairs.some(([path, pattern]) => args[0] === path && args[1] === pattern);
+}
+
+/**
+ * Differences with Node, listed explicitly so that they are easy to review.
+ * Those with `majors` only apply to Node versions other than the upstreamVersion our copy is synced with,
+ * remove them once those versions are no longer supported. The others are deliberate, see the README.
+ * @type {Array<{ reason: string, majors?: number[], applies: (testCase: ConformanceCase) => boolean }>}
+ */
+export const knownDifferences = [
+  {
+    reason: 'matchesGlob negates patterns with a leading !, Node matches the ! literally',
+    applies: isGlobCase(['win32', 'posix'], [['x', '!y']]),
+  },
+  {
+    reason:
+      'posix.matchesGlob escapes the next character with \\, Node reads \\ as a separator in patterns',
+    applies: isGlobCase(
+      ['posix'],
+      [
+        ['a*', 'a\\*'],
+        ['a/b', 'a\\b'],
+      ],
+    ),
+  },
+  {
+    reason:
+      'win32.matchesGlob is case-insensitive on every host, Node only for patterns with wildcards on Windows and macOS hosts',
+    applies: isGlobCase(
+      ['win32'],
+      [
+        ['SRC/a.js', 'src/a.js'],
+        ['src/A.JS', 'src/*.js'],
+      ],
+    ),
+  },
+  {
+    reason:
+      'Node 20 normalizes win32.join results with a reserved device name segment like CON:, and prefixes them with .\\',
+    majors: [20],
+    applies: ({ flavor, fn, args }) =>
+      flavor === 'win32' && fn === 'join' && joinsReservedName(args.filter((arg) => arg !== '')),
+  },
+  {
+    reason:
+      'Node 20 reads \\\\.\\ and \\\\?\\ device roots as UNC roots in win32.normalize and win32.resolve, so they get a trailing \\',
+    majors: [20],
+    applies: ({ flavor, fn, args }) =>
+      flavor === 'win32' &&
+      ['normalize', 'resolve', 'relative', 'toNamespacedPath'].includes(fn) &&
+      args.some(hasDeviceRoot),
+  },
+  {
+    reason:
+      'Same as above, for win32.join, where the device root can be spread over the first paths',
+    majors: [20],
+    applies: ({ flavor, fn, args }) =>
+      flavor === 'win32' &&
+      fn === 'join' &&
+      hasDeviceRoot(args.filter((arg) => arg !== '').join('\\')),
+  },
+];
+
+/**
+ * @param {ConformanceCase} testCase
+ * @param {string} nodeVersion the Node version that the results are compared to, e.g. 'v20.19.5'
+ * @returns {boolean}
+ */
+export function isKnownDifference(testCase, nodeVersion) {
+  const major = Number(nodeVersion.slice(1).split('.')[0]);
+  return knownDifferences.some(
+    ({ majors, applies }) => (majors === undefined || majors.includes(major)) && applies(testCase),
+  );
+}
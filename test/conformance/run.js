@@ -0,0 +1,44 @@
+import * as path from '../../src/path.js';
+
+/**
+ * @typedef {import('./fixtures.js').ConformanceCase} ConformanceCase
+ * @typedef {{ value: unknown }|{ error: string }} ConformanceResult
+ */
+
+/**
+ * Looks up e.g. `winResolve` or `posBasename` from src/path.js
+ * @param {ConformanceCase} testCase
+ * @returns {(...args: unknown[]) => unknown}
+ */
+export function getOwnFunction({ flavor, fn }) {
+  const name = `${flavor === 'win32' ? 'win' : 'pos'}${fn[0].toUpperCase()}${fn.slice(1)}`;
+  return /** @type {Record<string, any>} */ (path)[name];
+}
+
+/**
+ * Calls a path function, capturing thrown errors by their code,
+ * so that results can be compared and serialized.
+ * @param {(...args: unknown[]) => unknown} fn
+ * @param {unknown[]} args
+ * @returns {ConformanceResult}
+ */
+export function runCase(fn, args) {
+  try {
+    return { value: fn(...args) };
+  } catch (e) {
+    const err = /** @type {Error & { code?: string }} */ (e);
+    return { error: err.code ?? err.name };
+  }
+}
+
+/**
+ * Unique and readable key for a case, e.g. `win32.join(["foo","bar"])`
+ * @param {ConformanceCase} testCase
+ * @returns {string}
+ */
+export function caseKey({ flavor, fn, args }) {
+  const serialized = JSON.stringify(args, (_, value) =>
+    typeof value === 'function' ? '[Function]' : value,
+  );
+  return `${flavor}.${fn}(${serialized})`;
+}
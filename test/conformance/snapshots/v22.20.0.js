@@ -0,0 +1,3393 @@
+// Generated by scripts/update-conformance-snapshot.js with Node v22.20.0, do not edit.
+export const nodeVersion = 'v22.20.0';
+
+export default {
+  'win32.join([".","x/b","..","/b/c.js"])': { value: 'x\\b\\c.js' },
+  'win32.join([])': { value: '.' },
+  'win32.join(["/.","x/b","..","/b/c.js"])': { value: '\\x\\b\\c.js' },
+  'win32.join(["/foo","../../../bar"])': { value: '\\bar' },
+  'win32.join(["foo","../../../bar"])': { value: '..\\..\\bar' },
+  'win32.join(["foo/","../../../bar"])': { value: '..\\..\\bar' },
+  'win32.join(["foo/x","../../../bar"])': { value: '..\\bar' },
+  'win32.join(["foo/x","./bar"])': { value: 'foo\\x\\bar' },
+  'win32.join(["foo/x/","./bar"])': { value: 'foo\\x\\bar' },
+  'win32.join(["foo/x/",".","bar"])': { value: 'foo\\x\\bar' },
+  'win32.join(["./"])': { value: '.\\' },
+  'win32.join([".","./"])': { value: '.\\' },
+  'win32.join([".",".","."])': { value: '.' },
+  'win32.join([".","./","."])': { value: '.' },
+  'win32.join([".","/./","."])': { value: '.' },
+  'win32.join([".","/////./","."])': { value: '.' },
+  'win32.join(["."])': { value: '.' },
+  'win32.join(["","."])': { value: '.' },
+  'win32.join(["","foo"])': { value: 'foo' },
+  'win32.join(["foo","/bar"])': { value: 'foo\\bar' },
+  'win32.join(["","/foo"])': { value: '\\foo' },
+  'win32.join(["","","/foo"])': { value: '\\foo' },
+  'win32.join(["","","foo"])': { value: 'foo' },
+  'win32.join(["foo",""])': { value: 'foo' },
+  'win32.join(["foo/",""])': { value: 'foo\\' },
+  'win32.join(["foo","","/bar"])': { value: 'foo\\bar' },
+  'win32.join(["./","..","/foo"])': { value: '..\\foo' },
+  'win32.join(["./","..","..","/foo"])': { value: '..\\..\\foo' },
+  'win32.join([".","..","..","/foo"])': { value: '..\\..\\foo' },
+  'win32.join(["","..","..","/foo"])': { value: '..\\..\\foo' },
+  'win32.join(["/"])': { value: '\\' },
+  'win32.join(["/","."])': { value: '\\' },
+  'win32.join(["/",".."])': { value: '\\' },
+  'win32.join(["/","..",".."])': { value: '\\' },
+  'win32.join([""])': { value: '.' },
+  'win32.join(["",""])': { value: '.' },
+  'win32.join([" /foo"])': { value: ' \\foo' },
+  'win32.join([" ","foo"])': { value: ' \\foo' },
+  'win32.join([" ","."])': { value: ' ' },
+  'win32.join([" ","/"])': { value: ' \\' },
+  'win32.join([" ",""])': { value: ' ' },
+  'win32.join(["/","foo"])': { value: '\\foo' },
+  'win32.join(["/","/foo"])': { value: '\\foo' },
+  'win32.join(["/","//foo"])': { value: '\\foo' },
+  'win32.join(["/","","/foo"])': { value: '\\foo' },
+  'win32.join(["","/","foo"])': { value: '\\foo' },
+  'win32.join(["","/","/foo"])': { value: '\\foo' },
+  'win32.join(["//foo/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["\\\\/foo/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["\\\\\\\\foo/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo/","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo","/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo","","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo/","","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["//foo/","","/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["","//foo","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["","//foo/","bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["","//foo/","/bar"])': { value: '\\\\foo\\bar\\' },
+  'win32.join(["\\\\","foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["\\\\","/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["","/","/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["//","foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["//","/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["\\\\\\\\","/","/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["//"])': { value: '\\' },
+  'win32.join(["//foo"])': { value: '\\foo' },
+  'win32.join(["//foo/"])': { value: '\\foo\\' },
+  'win32.join(["//foo","/"])': { value: '\\foo\\' },
+  'win32.join(["//foo","","/"])': { value: '\\foo\\' },
+  'win32.join(["///foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["////foo","bar"])': { value: '\\foo\\bar' },
+  'win32.join(["\\\\\\\\\\\\/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.join(["c:"])': { value: 'c:.' },
+  'win32.join(["c:."])': { value: 'c:.' },
+  'win32.join(["c:",""])': { value: 'c:.' },
+  'win32.join(["","c:"])': { value: 'c:.' },
+  'win32.join(["c:.","/"])': { value: 'c:.\\' },
+  'win32.join(["c:.","file"])': { value: 'c:file' },
+  'win32.join(["c:","/"])': { value: 'c:\\' },
+  'win32.join(["c:","file"])': { value: 'c:\\file' },
+  'win32.join(["test","../C:/Windows"])': { value: '.\\C:\\Windows' },
+  'win32.join(["uploads","CON:../foo"])': { value: 'uploads\\CON:..\\foo' },
+  'win32.join(["uploads","AUX:..\\\\x"])': { value: 'uploads\\AUX:..\\x' },
+  'win32.join(["CON:","x"])': { value: 'CON:\\x' },
+  'win32.join(["uploads","CON:"])': { value: 'uploads\\CON:' },
+  'win32.join(["uploads","NUL:\\\\x"])': { value: 'uploads\\NUL:\\x' },
+  'win32.join(["uploads","\\\\\\\\.\\\\CON"])': { value: 'uploads\\CON' },
+  'win32.normalize(["./fixtures///b/../b/c.js"])': { value: 'fixtures\\b\\c.js' },
+  'win32.normalize(["/foo/../../../bar"])': { value: '\\bar' },
+  'win32.normalize(["a//b//../b"])': { value: 'a\\b' },
+  'win32.normalize(["a//b//./c"])': { value: 'a\\b\\c' },
+  'win32.normalize(["a//b//."])': { value: 'a\\b' },
+  'win32.normalize(["//server/share/dir/file.ext"])': { value: '\\\\server\\share\\dir\\file.ext' },
+  'win32.normalize(["/a/b/c/../../../x/y/z"])': { value: '\\x\\y\\z' },
+  'win32.normalize(["///..//./foo/.//bar"])': { value: '\\foo\\bar' },
+  'win32.normalize(["C:"])': { value: 'C:.' },
+  'win32.normalize(["C:..\\\\abc"])': { value: 'C:..\\abc' },
+  'win32.normalize(["C:..\\\\..\\\\abc\\\\..\\\\def"])': { value: 'C:..\\..\\def' },
+  'win32.normalize(["C:\\\\."])': { value: 'C:\\' },
+  'win32.normalize(["file:stream"])': { value: 'file:stream' },
+  'win32.normalize(["bar\\\\foo..\\\\..\\\\"])': { value: 'bar\\' },
+  'win32.normalize(["bar\\\\foo..\\\\.."])': { value: 'bar' },
+  'win32.normalize(["bar\\\\foo..\\\\..\\\\baz"])': { value: 'bar\\baz' },
+  'win32.normalize(["bar\\\\foo..\\\\"])': { value: 'bar\\foo..\\' },
+  'win32.normalize(["bar\\\\foo.."])': { value: 'bar\\foo..' },
+  'win32.normalize(["..\\\\foo..\\\\..\\\\..\\\\bar"])': { value: '..\\..\\bar' },
+  'win32.normalize(["..\\\\...\\\\..\\\\.\\\\...\\\\..\\\\..\\\\bar"])': { value: '..\\..\\bar' },
+  'win32.normalize(["bar/foo../../"])': { value: 'bar\\' },
+  'win32.normalize(["bar/foo../.."])': { value: 'bar' },
+  'win32.normalize(["bar/foo../../baz"])': { value: 'bar\\baz' },
+  'win32.normalize(["bar/foo../"])': { value: 'bar\\foo..\\' },
+  'win32.normalize(["bar/foo.."])': { value: 'bar\\foo..' },
+  'win32.normalize(["../foo../../../bar"])': { value: '..\\..\\bar' },
+  'win32.normalize(["../.../.././.../../../bar"])': { value: '..\\..\\bar' },
+  'win32.normalize(["../../../foo/../../../bar"])': { value: '..\\..\\..\\..\\..\\bar' },
+  'win32.normalize(["../../../foo/../../../bar/../../"])': { value: '..\\..\\..\\..\\..\\..\\' },
+  'win32.normalize(["../foobar/barfoo/foo/../../../bar/../../"])': { value: '..\\..\\' },
+  'win32.normalize(["../.../../foobar/../../../bar/../../baz"])': { value: '..\\..\\..\\..\\baz' },
+  'win32.normalize(["foo/bar\\\\baz"])': { value: 'foo\\bar\\baz' },
+  'win32.normalize(["\\\\\\\\.\\\\foo"])': { value: '\\\\.\\foo' },
+  'win32.normalize(["\\\\\\\\.\\\\foo\\\\"])': { value: '\\\\.\\foo\\' },
+  'win32.normalize([""])': { value: '.' },
+  'win32.normalize(["."])': { value: '.' },
+  'win32.normalize(["./"])': { value: '.\\' },
+  'win32.normalize(["/"])': { value: '\\' },
+  'win32.normalize(["//"])': { value: '\\' },
+  'win32.normalize(["test/../C:/Windows"])': { value: '.\\C:\\Windows' },
+  'win32.normalize(["test/../C:Windows"])': { value: '.\\C:Windows' },
+  'win32.normalize(["./upload/../C:/Windows"])': { value: '.\\C:\\Windows' },
+  'win32.normalize(["./upload/../C:x"])': { value: '.\\C:x' },
+  'win32.normalize(["test/../??/D:/Test"])': { value: '.\\??\\D:\\Test' },
+  'win32.normalize(["test/C:/../../F:"])': { value: '.\\F:' },
+  'win32.normalize(["test/C:foo/../../F:"])': { value: '.\\F:' },
+  'win32.normalize(["test/C:/../../F:\\\\"])': { value: '.\\F:\\' },
+  'win32.normalize(["test/C:foo/../../F:\\\\"])': { value: '.\\F:\\' },
+  'win32.normalize(["test/C:/../../F:x"])': { value: '.\\F:x' },
+  'win32.normalize(["test/C:foo/../../F:x"])': { value: '.\\F:x' },
+  'win32.normalize(["/test/../??/D:/Test"])': { value: '\\??\\D:\\Test' },
+  'win32.normalize(["/test/../?/D:/Test"])': { value: '\\?\\D:\\Test' },
+  'win32.normalize(["test/../?/D:/Test"])': { value: '.\\?\\D:\\Test' },
+  'win32.normalize(["test/../D:/Test"])': { value: '.\\D:\\Test' },
+  'win32.normalize(["test/../D:Test"])': { value: '.\\D:Test' },
+  'win32.normalize(["CON:../foo"])': { value: '.\\CON:..\\foo' },
+  'win32.normalize(["AUX:..\\\\x"])': { value: '.\\AUX:..\\x' },
+  'win32.normalize(["con:foo"])': { value: '.\\con:foo' },
+  'win32.normalize(["PRN:"])': { value: '.\\PRN:.' },
+  'win32.normalize(["NUL:\\\\x"])': { value: '.\\NUL:x' },
+  'win32.normalize(["COM1:../a"])': { value: '.\\COM1:..\\a' },
+  'win32.normalize(["lpt9:..\\\\..\\\\b"])': { value: '.\\lpt9:..\\..\\b' },
+  'win32.normalize(["COM0:../a"])': { value: 'COM0:..\\a' },
+  'win32.normalize(["\\\\\\\\.\\\\CON"])': { value: '\\\\.\\CON' },
+  'win32.normalize(["C:\\\\CON:..\\\\x"])': { value: 'C:\\CON:..\\x' },
+  'win32.resolve(["c:/blah\\\\blah","d:/games","c:../a"])': { value: 'c:\\blah\\a' },
+  'win32.resolve(["c:/ignore","d:\\\\a/b\\\\c/d","\\\\e.exe"])': { value: 'd:\\e.exe' },
+  'win32.resolve(["c:/ignore","c:/some/file"])': { value: 'c:\\some\\file' },
+  'win32.resolve(["d:/ignore","d:some/dir//"])': { value: 'd:\\ignore\\some\\dir' },
+  'win32.resolve(["."])': { value: '\\' },
+  'win32.resolve(["//server/share","..","relative\\\\"])': { value: '\\\\server\\share\\relative' },
+  'win32.resolve(["c:/","//"])': { value: 'c:\\' },
+  'win32.resolve(["c:/","//dir"])': { value: 'c:\\dir' },
+  'win32.resolve(["c:/","//server/share"])': { value: '\\\\server\\share\\' },
+  'win32.resolve(["c:/","//server//share"])': { value: '\\\\server\\share\\' },
+  'win32.resolve(["c:/","///some//dir"])': { value: 'c:\\some\\dir' },
+  'win32.resolve(["C:\\\\foo\\\\tmp.3\\\\","..\\\\tmp.3\\\\cycles\\\\root.js"])': {
+    value: 'C:\\foo\\tmp.3\\cycles\\root.js',
+  },
+  'win32.resolve(["/var/lib","../","file/"])': { value: '\\var\\file' },
+  'win32.resolve(["/var/lib","/../","file/"])': { value: '\\file' },
+  'win32.resolve(["a/b/c/","../../.."])': { value: '\\' },
+  'win32.resolve(["/some/dir",".","/absolute/"])': { value: '\\absolute' },
+  'win32.resolve(["/foo/tmp.3/","../tmp.3/cycles/root.js"])': {
+    value: '\\foo\\tmp.3\\cycles\\root.js',
+  },
+  'win32.resolve([""])': { value: '\\' },
+  'win32.resolve(["",""])': { value: '\\' },
+  'win32.resolve([])': { value: '\\' },
+  'win32.relative(["c:/blah\\\\blah","d:/games"])': { value: 'd:\\games' },
+  'win32.relative(["c:/aaaa/bbbb","c:/aaaa"])': { value: '..' },
+  'win32.relative(["c:/aaaa/bbbb","c:/cccc"])': { value: '..\\..\\cccc' },
+  'win32.relative(["c:/aaaa/bbbb","c:/aaaa/bbbb"])': { value: '' },
+  'win32.relative(["c:/aaaa/bbbb","c:/aaaa/cccc"])': { value: '..\\cccc' },
+  'win32.relative(["c:/aaaa/","c:/aaaa/cccc"])': { value: 'cccc' },
+  'win32.relative(["c:/","c:\\\\aaaa\\\\bbbb"])': { value: 'aaaa\\bbbb' },
+  'win32.relative(["c:/aaaa/bbbb","d:\\\\"])': { value: 'd:\\' },
+  'win32.relative(["c:/AaAa/bbbb","c:/aaaa/bbbb"])': { value: '' },
+  'win32.relative(["c:/aaaaa/","c:/aaaa/cccc"])': { value: '..\\aaaa\\cccc' },
+  'win32.relative(["C:\\\\foo\\\\bar\\\\baz\\\\quux","C:\\\\"])': { value: '..\\..\\..\\..' },
+  'win32.relative(["C:\\\\foo\\\\test","C:\\\\foo\\\\test\\\\bar\\\\package.json"])': {
+    value: 'bar\\package.json',
+  },
+  'win32.relative(["C:\\\\foo\\\\bar\\\\baz-quux","C:\\\\foo\\\\bar\\\\baz"])': {
+    value: '..\\baz',
+  },
+  'win32.relative(["C:\\\\foo\\\\bar\\\\baz","C:\\\\foo\\\\bar\\\\baz-quux"])': {
+    value: '..\\baz-quux',
+  },
+  'win32.relative(["\\\\\\\\foo\\\\bar","\\\\\\\\foo\\\\bar\\\\baz"])': { value: 'baz' },
+  'win32.relative(["\\\\\\\\foo\\\\bar\\\\baz","\\\\\\\\foo\\\\bar"])': { value: '..' },
+  'win32.relative(["\\\\\\\\foo\\\\bar\\\\baz-quux","\\\\\\\\foo\\\\bar\\\\baz"])': {
+    value: '..\\baz',
+  },
+  'win32.relative(["\\\\\\\\foo\\\\bar\\\\baz","\\\\\\\\foo\\\\bar\\\\baz-quux"])': {
+    value: '..\\baz-quux',
+  },
+  'win32.relative(["C:\\\\baz-quux","C:\\\\baz"])': { value: '..\\baz' },
+  'win32.relative(["C:\\\\baz","C:\\\\baz-quux"])': { value: '..\\baz-quux' },
+  'win32.relative(["\\\\\\\\foo\\\\baz-quux","\\\\\\\\foo\\\\baz"])': { value: '..\\baz' },
+  'win32.relative(["\\\\\\\\foo\\\\baz","\\\\\\\\foo\\\\baz-quux"])': { value: '..\\baz-quux' },
+  'win32.relative(["C:\\\\baz","\\\\\\\\foo\\\\bar\\\\baz"])': { value: '\\\\foo\\bar\\baz' },
+  'win32.relative(["\\\\\\\\foo\\\\bar\\\\baz","C:\\\\baz"])': { value: 'C:\\baz' },
+  'win32.relative(["c:/İ\\\\a","c:/İ\\\\b"])': { value: '..\\b' },
+  'win32.relative(["c:/İ\\\\a","c:/i̇\\\\b"])': { value: '..\\b' },
+  'win32.relative(["c:/İ","c:/İ\\\\a\\\\b"])': { value: 'a\\b' },
+  'win32.relative(["c:/İ\\\\a\\\\b","c:/İ"])': { value: '..\\..' },
+  'win32.relative(["c:/İ\\\\a","d:/İ\\\\a"])': { value: 'd:\\İ\\a' },
+  'win32.relative(["/var/lib","/var"])': { value: '..' },
+  'win32.relative(["/var/lib","/bin"])': { value: '\\bin' },
+  'win32.relative(["/var/lib","/var/lib"])': { value: '' },
+  'win32.relative(["/var/lib","/var/apache"])': { value: '..\\apache' },
+  'win32.relative(["/var/","/var/lib"])': { value: 'lib' },
+  'win32.relative(["/","/var/lib"])': { value: 'var\\lib' },
+  'win32.relative(["/foo/test","/foo/test/bar/package.json"])': { value: 'bar\\package.json' },
+  'win32.relative(["/Users/a/web/b/test/mails","/Users/a/web/b"])': { value: '..\\..' },
+  'win32.relative(["/foo/bar/baz-quux","/foo/bar/baz"])': { value: '..\\baz' },
+  'win32.relative(["/foo/bar/baz","/foo/bar/baz-quux"])': { value: '..\\baz-quux' },
+  'win32.relative(["/baz-quux","/baz"])': { value: '..baz' },
+  'win32.relative(["/baz","/baz-quux"])': { value: '..baz-quux' },
+  'win32.relative(["/page1/page2/foo","/"])': { value: '..\\..\\..' },
+  'win32.relative(["",""])': { value: '' },
+  'win32.relative(["","/"])': { value: '' },
+  'win32.relative(["/",""])': { value: '' },
+  'win32.dirname(["/a/b/"])': { value: '/a' },
+  'win32.dirname(["/a/b"])': { value: '/a' },
+  'win32.dirname(["/a"])': { value: '/' },
+  'win32.dirname([""])': { value: '.' },
+  'win32.dirname(["/"])': { value: '/' },
+  'win32.dirname(["////"])': { value: '/' },
+  'win32.dirname(["//a"])': { value: '/' },
+  'win32.dirname(["foo"])': { value: '.' },
+  'win32.dirname(["c:\\\\"])': { value: 'c:\\' },
+  'win32.dirname(["c:\\\\foo"])': { value: 'c:\\' },
+  'win32.dirname(["c:\\\\foo\\\\"])': { value: 'c:\\' },
+  'win32.dirname(["c:\\\\foo\\\\bar"])': { value: 'c:\\foo' },
+  'win32.dirname(["c:\\\\foo\\\\bar\\\\"])': { value: 'c:\\foo' },
+  'win32.dirname(["c:\\\\foo\\\\bar\\\\baz"])': { value: 'c:\\foo\\bar' },
+  'win32.dirname(["c:\\\\foo bar\\\\baz"])': { value: 'c:\\foo bar' },
+  'win32.dirname(["\\\\"])': { value: '\\' },
+  'win32.dirname(["\\\\foo"])': { value: '\\' },
+  'win32.dirname(["\\\\foo\\\\"])': { value: '\\' },
+  'win32.dirname(["\\\\foo\\\\bar"])': { value: '\\foo' },
+  'win32.dirname(["\\\\foo\\\\bar\\\\"])': { value: '\\foo' },
+  'win32.dirname(["\\\\foo\\\\bar\\\\baz"])': { value: '\\foo\\bar' },
+  'win32.dirname(["\\\\foo bar\\\\baz"])': { value: '\\foo bar' },
+  'win32.dirname(["c:"])': { value: 'c:' },
+  'win32.dirname(["c:foo"])': { value: 'c:' },
+  'win32.dirname(["c:foo\\\\"])': { value: 'c:' },
+  'win32.dirname(["c:foo\\\\bar"])': { value: 'c:foo' },
+  'win32.dirname(["c:foo\\\\bar\\\\"])': { value: 'c:foo' },
+  'win32.dirname(["c:foo\\\\bar\\\\baz"])': { value: 'c:foo\\bar' },
+  'win32.dirname(["c:foo bar\\\\baz"])': { value: 'c:foo bar' },
+  'win32.dirname(["file:stream"])': { value: '.' },
+  'win32.dirname(["dir\\\\file:stream"])': { value: 'dir' },
+  'win32.dirname(["\\\\\\\\unc\\\\share"])': { value: '\\\\unc\\share' },
+  'win32.dirname(["\\\\\\\\unc\\\\share\\\\foo"])': { value: '\\\\unc\\share\\' },
+  'win32.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\"])': { value: '\\\\unc\\share\\' },
+  'win32.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar"])': { value: '\\\\unc\\share\\foo' },
+  'win32.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar\\\\"])': { value: '\\\\unc\\share\\foo' },
+  'win32.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar\\\\baz"])': {
+    value: '\\\\unc\\share\\foo\\bar',
+  },
+  'win32.basename([".js"])': { value: '.js' },
+  'win32.basename(["",".js"])': { value: '' },
+  'win32.basename(["/dir/basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["/basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["basename.ext/"])': { value: 'basename.ext' },
+  'win32.basename(["basename.ext//"])': { value: 'basename.ext' },
+  'win32.basename(["aaa/bbb","/bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa/bbb","a/bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa/bbb","bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa/bbb//","bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa/bbb","bb"])': { value: 'b' },
+  'win32.basename(["aaa/bbb","b"])': { value: 'bb' },
+  'win32.basename(["/aaa/bbb","/bbb"])': { value: 'bbb' },
+  'win32.basename(["/aaa/bbb","a/bbb"])': { value: 'bbb' },
+  'win32.basename(["/aaa/bbb","bbb"])': { value: 'bbb' },
+  'win32.basename(["/aaa/bbb//","bbb"])': { value: 'bbb' },
+  'win32.basename(["/aaa/bbb","bb"])': { value: 'b' },
+  'win32.basename(["/aaa/bbb","b"])': { value: 'bb' },
+  'win32.basename(["/aaa/bbb"])': { value: 'bbb' },
+  'win32.basename(["/aaa/"])': { value: 'aaa' },
+  'win32.basename(["/aaa/b"])': { value: 'b' },
+  'win32.basename(["/a/b"])': { value: 'b' },
+  'win32.basename(["//a"])': { value: 'a' },
+  'win32.basename(["a","a"])': { value: '' },
+  'win32.basename(["file.js",".js"])': { value: 'file' },
+  'win32.basename(["file",".js"])': { value: 'file' },
+  'win32.basename(["file.js.old",".js.old"])': { value: 'file' },
+  'win32.basename(["js",".js"])': { value: 'js' },
+  'win32.basename(["file.js","file.js"])': { value: '' },
+  'win32.basename(["\\\\dir\\\\basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["\\\\basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["basename.ext\\\\"])': { value: 'basename.ext' },
+  'win32.basename(["basename.ext\\\\\\\\"])': { value: 'basename.ext' },
+  'win32.basename(["foo"])': { value: 'foo' },
+  'win32.basename(["aaa\\\\bbb","\\\\bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa\\\\bbb","a\\\\bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa\\\\bbb","bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa\\\\bbb\\\\\\\\\\\\\\\\","bbb"])': { value: 'bbb' },
+  'win32.basename(["aaa\\\\bbb","bb"])': { value: 'b' },
+  'win32.basename(["aaa\\\\bbb","b"])': { value: 'bb' },
+  'win32.basename(["C:"])': { value: '' },
+  'win32.basename(["C:."])': { value: '.' },
+  'win32.basename(["C:\\\\"])': { value: '' },
+  'win32.basename(["C:\\\\dir\\\\base.ext"])': { value: 'base.ext' },
+  'win32.basename(["C:\\\\basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["C:basename.ext"])': { value: 'basename.ext' },
+  'win32.basename(["C:basename.ext\\\\"])': { value: 'basename.ext' },
+  'win32.basename(["C:basename.ext\\\\\\\\"])': { value: 'basename.ext' },
+  'win32.basename(["C:foo"])': { value: 'foo' },
+  'win32.basename(["file:stream"])': { value: 'file:stream' },
+  'win32.basename(["/a/b/Icon\\r"])': { value: 'Icon\r' },
+  'win32.basename(["Icon\\r"])': { value: 'Icon\r' },
+  'win32.extname([""])': { value: '' },
+  'win32.extname(["/path/to/file"])': { value: '' },
+  'win32.extname(["/path/to/file.ext"])': { value: '.ext' },
+  'win32.extname(["/path.to/file.ext"])': { value: '.ext' },
+  'win32.extname(["/path.to/file"])': { value: '' },
+  'win32.extname(["/path.to/.file"])': { value: '' },
+  'win32.extname(["/path.to/.file.ext"])': { value: '.ext' },
+  'win32.extname(["/path/to/f.ext"])': { value: '.ext' },
+  'win32.extname(["/path/to/..ext"])': { value: '.ext' },
+  'win32.extname(["/path/to/.."])': { value: '' },
+  'win32.extname(["file"])': { value: '' },
+  'win32.extname(["file.ext"])': { value: '.ext' },
+  'win32.extname([".file"])': { value: '' },
+  'win32.extname([".file.ext"])': { value: '.ext' },
+  'win32.extname(["/file"])': { value: '' },
+  'win32.extname(["/file.ext"])': { value: '.ext' },
+  'win32.extname(["/.file"])': { value: '' },
+  'win32.extname(["/.file.ext"])': { value: '.ext' },
+  'win32.extname([".path/file.ext"])': { value: '.ext' },
+  'win32.extname(["file.ext.ext"])': { value: '.ext' },
+  'win32.extname(["file."])': { value: '.' },
+  'win32.extname(["."])': { value: '' },
+  'win32.extname(["./"])': { value: '' },
+  'win32.extname([".file."])': { value: '.' },
+  'win32.extname([".file.."])': { value: '.' },
+  'win32.extname([".."])': { value: '' },
+  'win32.extname(["../"])': { value: '' },
+  'win32.extname(["..file.ext"])': { value: '.ext' },
+  'win32.extname(["..file"])': { value: '.file' },
+  'win32.extname(["..file."])': { value: '.' },
+  'win32.extname(["..file.."])': { value: '.' },
+  'win32.extname(["..."])': { value: '.' },
+  'win32.extname(["...ext"])': { value: '.ext' },
+  'win32.extname(["...."])': { value: '.' },
+  'win32.extname(["file.ext/"])': { value: '.ext' },
+  'win32.extname(["file.ext//"])': { value: '.ext' },
+  'win32.extname(["file/"])': { value: '' },
+  'win32.extname(["file//"])': { value: '' },
+  'win32.extname(["file./"])': { value: '.' },
+  'win32.extname(["file.//"])': { value: '.' },
+  'win32.extname([".\\\\"])': { value: '' },
+  'win32.extname(["..\\\\"])': { value: '' },
+  'win32.extname(["file.ext\\\\"])': { value: '.ext' },
+  'win32.extname(["file.ext\\\\\\\\"])': { value: '.ext' },
+  'win32.extname(["file\\\\"])': { value: '' },
+  'win32.extname(["file\\\\\\\\"])': { value: '' },
+  'win32.extname(["file.\\\\"])': { value: '.' },
+  'win32.extname(["file.\\\\\\\\"])': { value: '.' },
+  'win32.parse(["C:\\\\path\\\\dir\\\\index.html"])': {
+    value: { root: 'C:\\', dir: 'C:\\path\\dir', base: 'index.html', ext: '.html', name: 'index' },
+  },
+  'win32.parse(["C:\\\\another_path\\\\DIR\\\\1\\\\2\\\\33\\\\\\\\index"])': {
+    value: {
+      root: 'C:\\',
+      dir: 'C:\\another_path\\DIR\\1\\2\\33\\',
+      base: 'index',
+      ext: '',
+      name: 'index',
+    },
+  },
+  'win32.parse(["another_path\\\\DIR with spaces\\\\1\\\\2\\\\33\\\\index"])': {
+    value: {
+      root: '',
+      dir: 'another_path\\DIR with spaces\\1\\2\\33',
+      base: 'index',
+      ext: '',
+      name: 'index',
+    },
+  },
+  'win32.parse(["\\\\"])': { value: { root: '\\', dir: '\\', base: '', ext: '', name: '' } },
+  'win32.parse(["\\\\foo\\\\C:"])': {
+    value: { root: '\\', dir: '\\foo', base: 'C:', ext: '', name: 'C:' },
+  },
+  'win32.parse(["file"])': { value: { root: '', dir: '', base: 'file', ext: '', name: 'file' } },
+  'win32.parse(["file:stream"])': {
+    value: { root: '', dir: '', base: 'file:stream', ext: '', name: 'file:stream' },
+  },
+  'win32.parse([".\\\\file"])': {
+    value: { root: '', dir: '.', base: 'file', ext: '', name: 'file' },
+  },
+  'win32.parse(["C:"])': { value: { root: 'C:', dir: 'C:', base: '', ext: '', name: '' } },
+  'win32.parse(["C:."])': { value: { root: 'C:', dir: 'C:', base: '.', ext: '', name: '.' } },
+  'win32.parse(["C:.."])': { value: { root: 'C:', dir: 'C:', base: '..', ext: '', name: '..' } },
+  'win32.parse(["C:abc"])': { value: { root: 'C:', dir: 'C:', base: 'abc', ext: '', name: 'abc' } },
+  'win32.parse(["C:\\\\"])': { value: { root: 'C:\\', dir: 'C:\\', base: '', ext: '', name: '' } },
+  'win32.parse(["C:\\\\abc"])': {
+    value: { root: 'C:\\', dir: 'C:\\', base: 'abc', ext: '', name: 'abc' },
+  },
+  'win32.parse([""])': { value: { root: '', dir: '', base: '', ext: '', name: '' } },
+  'win32.parse(["\\\\\\\\server\\\\share\\\\"])': {
+    value: { root: '\\\\server\\share\\', dir: '\\\\server\\share\\', base: '', ext: '', name: '' },
+  },
+  'win32.parse(["\\\\\\\\server two\\\\shared folder\\\\file path.zip"])': {
+    value: {
+      root: '\\\\server two\\shared folder\\',
+      dir: '\\\\server two\\shared folder\\',
+      base: 'file path.zip',
+      ext: '.zip',
+      name: 'file path',
+    },
+  },
+  'win32.parse(["\\\\\\\\teela\\\\admin$\\\\system32"])': {
+    value: {
+      root: '\\\\teela\\admin$\\',
+      dir: '\\\\teela\\admin$\\',
+      base: 'system32',
+      ext: '',
+      name: 'system32',
+    },
+  },
+  'win32.parse(["\\\\\\\\?\\\\UNC\\\\server\\\\share"])': {
+    value: {
+      root: '\\\\?\\UNC\\',
+      dir: '\\\\?\\UNC\\server',
+      base: 'share',
+      ext: '',
+      name: 'share',
+    },
+  },
+  'win32.parse(["/home/user/dir/file.txt"])': {
+    value: { root: '/', dir: '/home/user/dir', base: 'file.txt', ext: '.txt', name: 'file' },
+  },
+  'win32.parse(["/home/user/a dir/another File.zip"])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a dir',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'win32.parse(["/home/user/a dir//another&File."])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a dir/',
+      base: 'another&File.',
+      ext: '.',
+      name: 'another&File',
+    },
+  },
+  'win32.parse(["/home/user/a$$$dir//another File.zip"])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a$$$dir/',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'win32.parse(["user/dir/another File.zip"])': {
+    value: {
+      root: '',
+      dir: 'user/dir',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'win32.parse(["./file"])': { value: { root: '', dir: '.', base: 'file', ext: '', name: 'file' } },
+  'win32.parse(["C:\\\\foo"])': {
+    value: { root: 'C:\\', dir: 'C:\\', base: 'foo', ext: '', name: 'foo' },
+  },
+  'win32.parse(["/"])': { value: { root: '/', dir: '/', base: '', ext: '', name: '' } },
+  'win32.parse(["."])': { value: { root: '', dir: '', base: '.', ext: '', name: '.' } },
+  'win32.parse([".."])': { value: { root: '', dir: '', base: '..', ext: '', name: '..' } },
+  'win32.parse(["/foo"])': { value: { root: '/', dir: '/', base: 'foo', ext: '', name: 'foo' } },
+  'win32.parse(["/foo."])': { value: { root: '/', dir: '/', base: 'foo.', ext: '.', name: 'foo' } },
+  'win32.parse(["/foo.bar"])': {
+    value: { root: '/', dir: '/', base: 'foo.bar', ext: '.bar', name: 'foo' },
+  },
+  'win32.parse(["/."])': { value: { root: '/', dir: '/', base: '.', ext: '', name: '.' } },
+  'win32.parse(["/.foo"])': { value: { root: '/', dir: '/', base: '.foo', ext: '', name: '.foo' } },
+  'win32.parse(["/.foo.bar"])': {
+    value: { root: '/', dir: '/', base: '.foo.bar', ext: '.bar', name: '.foo' },
+  },
+  'win32.parse(["/foo/bar.baz"])': {
+    value: { root: '/', dir: '/foo', base: 'bar.baz', ext: '.baz', name: 'bar' },
+  },
+  'win32.format([{"dir":"some/dir"}])': { value: 'some/dir\\' },
+  'win32.format([{"base":"index.html"}])': { value: 'index.html' },
+  'win32.format([{"root":"/"}])': { value: '/' },
+  'win32.format([{"name":"index","ext":".html"}])': { value: 'index.html' },
+  'win32.format([{"dir":"some/dir","name":"index","ext":".html"}])': {
+    value: 'some/dir\\index.html',
+  },
+  'win32.format([{"root":"/","name":"index","ext":".html"}])': { value: '/index.html' },
+  'win32.format([{}])': { value: '' },
+  'win32.format([{"name":"x","ext":"png"}])': { value: 'x.png' },
+  'win32.format([{"dir":"C:\\\\path\\\\dir","base":"index.html"}])': {
+    value: 'C:\\path\\dir\\index.html',
+  },
+  'win32.format([{"root":"C:\\\\","base":"index.html"}])': { value: 'C:\\index.html' },
+  'win32.format([{"root":"/","dir":"/","base":"file.txt"}])': { value: '/file.txt' },
+  'win32.format([{"root":"/foo/","base":"bar"}])': { value: '/foo/bar' },
+  'win32.isAbsolute(["/"])': { value: true },
+  'win32.isAbsolute(["//"])': { value: true },
+  'win32.isAbsolute(["//server"])': { value: true },
+  'win32.isAbsolute(["//server/file"])': { value: true },
+  'win32.isAbsolute(["\\\\\\\\server\\\\file"])': { value: true },
+  'win32.isAbsolute(["\\\\\\\\server"])': { value: true },
+  'win32.isAbsolute(["\\\\\\\\"])': { value: true },
+  'win32.isAbsolute(["c"])': { value: false },
+  'win32.isAbsolute(["c:"])': { value: false },
+  'win32.isAbsolute(["c:\\\\"])': { value: true },
+  'win32.isAbsolute(["c:/"])': { value: true },
+  'win32.isAbsolute(["c://"])': { value: true },
+  'win32.isAbsolute(["C:/Users/"])': { value: true },
+  'win32.isAbsolute(["C:\\\\Users\\\\"])': { value: true },
+  'win32.isAbsolute(["C:cwd/another"])': { value: false },
+  'win32.isAbsolute(["C:cwd\\\\another"])': { value: false },
+  'win32.isAbsolute(["directory/directory"])': { value: false },
+  'win32.isAbsolute(["directory\\\\directory"])': { value: false },
+  'win32.isAbsolute(["/home/foo"])': { value: true },
+  'win32.isAbsolute(["/home/foo/.."])': { value: true },
+  'win32.isAbsolute(["bar/"])': { value: false },
+  'win32.isAbsolute(["./baz"])': { value: false },
+  'win32.isAbsolute([""])': { value: false },
+  'win32.toNamespacedPath(["C:\\\\foo"])': { value: '\\\\?\\C:\\foo' },
+  'win32.toNamespacedPath(["C:/foo"])': { value: '\\\\?\\C:\\foo' },
+  'win32.toNamespacedPath(["\\\\\\\\foo\\\\bar"])': { value: '\\\\?\\UNC\\foo\\bar\\' },
+  'win32.toNamespacedPath(["//foo//bar"])': { value: '\\\\?\\UNC\\foo\\bar\\' },
+  'win32.toNamespacedPath(["\\\\\\\\?\\\\foo"])': { value: '\\\\?\\foo' },
+  'win32.toNamespacedPath(["C:"])': { value: '\\\\?\\C:\\' },
+  'win32.toNamespacedPath(["C"])': { value: 'C' },
+  'win32.toNamespacedPath(["\\\\\\\\.\\\\pipe\\\\somepipe"])': { value: '\\\\.\\pipe\\somepipe' },
+  'win32.toNamespacedPath(["\\\\\\\\?\\\\c:\\\\"])': { value: '\\\\?\\c:' },
+  'win32.toNamespacedPath(["c:\\\\foo\\\\..\\\\bar"])': { value: '\\\\?\\c:\\bar' },
+  'win32.toNamespacedPath([""])': { value: '' },
+  'win32.toNamespacedPath(["/foo/bar"])': { value: '\\foo\\bar' },
+  'win32.toNamespacedPath(["foo"])': { value: '\\foo' },
+  'win32.toNamespacedPath(["foo\\\\bar"])': { value: '\\foo\\bar' },
+  'win32.toNamespacedPath(["\\\\foo"])': { value: '\\foo' },
+  'win32.matchesGlob(["foo/bar/baz","foo/[bcr]ar/baz"])': { value: true },
+  'win32.matchesGlob(["foo/bar/baz","foo/[!bcr]ar/baz"])': { value: false },
+  'win32.matchesGlob(["foo/bar/baz","foo/[bc-r]ar/baz"])': { value: true },
+  'win32.matchesGlob(["foo/bar/baz","foo/*/!bar/*/baz"])': { value: false },
+  'win32.matchesGlob(["foo/bar1/baz","foo/bar[0-9]/baz"])': { value: true },
+  'win32.matchesGlob(["foo/bar5/baz","foo/bar[0-9]/baz"])': { value: true },
+  'win32.matchesGlob(["foo/barx/baz","foo/bar[a-z]/baz"])': { value: true },
+  'win32.matchesGlob(["foo/bar/baz/boo","foo/[bc-r]ar/baz/*"])': { value: true },
+  'win32.matchesGlob(["foo/bar/baz","foo/**"])': { value: true },
+  'win32.matchesGlob(["foo/bar/baz","*"])': { value: false },
+  'win32.matchesGlob(["foo\\\\bar\\\\baz","foo\\\\[bcr]ar\\\\baz"])': { value: true },
+  'win32.matchesGlob(["foo\\\\bar\\\\baz","foo/**"])': { value: true },
+  'win32.matchesGlob(["foo\\\\bar\\\\baz","foo\\\\*\\\\baz"])': { value: true },
+  'win32.matchesGlob(["a.js","*.js"])': { value: true },
+  'win32.matchesGlob(["a/b.js","*.js"])': { value: false },
+  'win32.matchesGlob(["a/b.js","**/*.js"])': { value: true },
+  'win32.matchesGlob(["b.js","**/*.js"])': { value: true },
+  'win32.matchesGlob(["a/b/c.ts","a/**/*.ts"])': { value: true },
+  'win32.matchesGlob(["a/c.ts","a/**/c.ts"])': { value: true },
+  'win32.matchesGlob(["a/b","a/?"])': { value: true },
+  'win32.matchesGlob(["a/bc","a/?"])': { value: false },
+  'win32.matchesGlob([".a","*"])': { value: false },
+  'win32.matchesGlob([".a",".*"])': { value: true },
+  'win32.matchesGlob(["a/.b","a/*"])': { value: false },
+  'win32.matchesGlob(["a/.b/c","a/**/c"])': { value: false },
+  'win32.matchesGlob(["a.ts","*.{js,ts}"])': { value: true },
+  'win32.matchesGlob(["a.md","*.{js,ts}"])': { value: false },
+  'win32.matchesGlob(["a2","a{1..3}"])': { value: true },
+  'win32.matchesGlob(["a4","a{1..3}"])': { value: false },
+  'win32.matchesGlob(["acd","a{b,c{d,e}}"])': { value: true },
+  'win32.matchesGlob(["a1","a[[:digit:]]"])': { value: true },
+  'win32.matchesGlob(["ab","a[[:digit:]]"])': { value: false },
+  'win32.matchesGlob(["a-","a[!a-z]"])': { value: true },
+  'win32.matchesGlob(["/a/b","/a/*"])': { value: true },
+  'win32.matchesGlob(["a/b/","a/b"])': { value: true },
+  'win32.matchesGlob(["a/b","a/b/"])': { value: false },
+  'win32.matchesGlob(["a/../b","b"])': { value: true },
+  'win32.matchesGlob(["a",""])': { value: false },
+  'win32.matchesGlob(["",""])': { value: true },
+  'win32.matchesGlob(["x","!y"])': { value: false },
+  'win32.matchesGlob(["!y","!y"])': { value: true },
+  'win32.matchesGlob(["a*","a\\\\*"])': { value: false },
+  'win32.matchesGlob(["a/b","a\\\\b"])': { value: true },
+  'win32.matchesGlob(["SRC/a.js","src/a.js"])': { value: false },
+  'win32.matchesGlob(["src/A.JS","src/*.js"])': { value: false },
+  'win32.join([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.join(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.normalize(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.isAbsolute(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.dirname(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.extname(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.parse(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([null,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([{},"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([[],"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([false,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([true,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([1,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative([0,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.relative(["[Function]","foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo",0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.basename(["foo","[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([null,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([{},"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([[],"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([false,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([true,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([1,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob([0,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["[Function]","*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo",0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.matchesGlob(["foo","[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.format([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.format(["foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.format([42])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([".","x/b","..","/b/c.js"])': { value: 'x/b/c.js' },
+  'posix.join([])': { value: '.' },
+  'posix.join(["/.","x/b","..","/b/c.js"])': { value: '/x/b/c.js' },
+  'posix.join(["/foo","../../../bar"])': { value: '/bar' },
+  'posix.join(["foo","../../../bar"])': { value: '../../bar' },
+  'posix.join(["foo/","../../../bar"])': { value: '../../bar' },
+  'posix.join(["foo/x","../../../bar"])': { value: '../bar' },
+  'posix.join(["foo/x","./bar"])': { value: 'foo/x/bar' },
+  'posix.join(["foo/x/","./bar"])': { value: 'foo/x/bar' },
+  'posix.join(["foo/x/",".","bar"])': { value: 'foo/x/bar' },
+  'posix.join(["./"])': { value: './' },
+  'posix.join([".","./"])': { value: './' },
+  'posix.join([".",".","."])': { value: '.' },
+  'posix.join([".","./","."])': { value: '.' },
+  'posix.join([".","/./","."])': { value: '.' },
+  'posix.join([".","/////./","."])': { value: '.' },
+  'posix.join(["."])': { value: '.' },
+  'posix.join(["","."])': { value: '.' },
+  'posix.join(["","foo"])': { value: 'foo' },
+  'posix.join(["foo","/bar"])': { value: 'foo/bar' },
+  'posix.join(["","/foo"])': { value: '/foo' },
+  'posix.join(["","","/foo"])': { value: '/foo' },
+  'posix.join(["","","foo"])': { value: 'foo' },
+  'posix.join(["foo",""])': { value: 'foo' },
+  'posix.join(["foo/",""])': { value: 'foo/' },
+  'posix.join(["foo","","/bar"])': { value: 'foo/bar' },
+  'posix.join(["./","..","/foo"])': { value: '../foo' },
+  'posix.join(["./","..","..","/foo"])': { value: '../../foo' },
+  'posix.join([".","..","..","/foo"])': { value: '../../foo' },
+  'posix.join(["","..","..","/foo"])': { value: '../../foo' },
+  'posix.join(["/"])': { value: '/' },
+  'posix.join(["/","."])': { value: '/' },
+  'posix.join(["/",".."])': { value: '/' },
+  'posix.join(["/","..",".."])': { value: '/' },
+  'posix.join([""])': { value: '.' },
+  'posix.join(["",""])': { value: '.' },
+  'posix.join([" /foo"])': { value: ' /foo' },
+  'posix.join([" ","foo"])': { value: ' /foo' },
+  'posix.join([" ","."])': { value: ' ' },
+  'posix.join([" ","/"])': { value: ' /' },
+  'posix.join([" ",""])': { value: ' ' },
+  'posix.join(["/","foo"])': { value: '/foo' },
+  'posix.join(["/","/foo"])': { value: '/foo' },
+  'posix.join(["/","//foo"])': { value: '/foo' },
+  'posix.join(["/","","/foo"])': { value: '/foo' },
+  'posix.join(["","/","foo"])': { value: '/foo' },
+  'posix.join(["","/","/foo"])': { value: '/foo' },
+  'posix.join(["//foo/bar"])': { value: '/foo/bar' },
+  'posix.join(["\\\\/foo/bar"])': { value: '\\/foo/bar' },
+  'posix.join(["\\\\\\\\foo/bar"])': { value: '\\\\foo/bar' },
+  'posix.join(["//foo","bar"])': { value: '/foo/bar' },
+  'posix.join(["//foo/","bar"])': { value: '/foo/bar' },
+  'posix.join(["//foo","/bar"])': { value: '/foo/bar' },
+  'posix.join(["//foo","","bar"])': { value: '/foo/bar' },
+  'posix.join(["//foo/","","bar"])': { value: '/foo/bar' },
+  'posix.join(["//foo/","","/bar"])': { value: '/foo/bar' },
+  'posix.join(["","//foo","bar"])': { value: '/foo/bar' },
+  'posix.join(["","//foo/","bar"])': { value: '/foo/bar' },
+  'posix.join(["","//foo/","/bar"])': { value: '/foo/bar' },
+  'posix.join(["\\\\","foo/bar"])': { value: '\\/foo/bar' },
+  'posix.join(["\\\\","/foo/bar"])': { value: '\\/foo/bar' },
+  'posix.join(["","/","/foo/bar"])': { value: '/foo/bar' },
+  'posix.join(["//","foo/bar"])': { value: '/foo/bar' },
+  'posix.join(["//","/foo/bar"])': { value: '/foo/bar' },
+  'posix.join(["\\\\\\\\","/","/foo/bar"])': { value: '\\\\/foo/bar' },
+  'posix.join(["//"])': { value: '/' },
+  'posix.join(["//foo"])': { value: '/foo' },
+  'posix.join(["//foo/"])': { value: '/foo/' },
+  'posix.join(["//foo","/"])': { value: '/foo/' },
+  'posix.join(["//foo","","/"])': { value: '/foo/' },
+  'posix.join(["///foo/bar"])': { value: '/foo/bar' },
+  'posix.join(["////foo","bar"])': { value: '/foo/bar' },
+  'posix.join(["\\\\\\\\\\\\/foo/bar"])': { value: '\\\\\\/foo/bar' },
+  'posix.join(["c:"])': { value: 'c:' },
+  'posix.join(["c:."])': { value: 'c:.' },
+  'posix.join(["c:",""])': { value: 'c:' },
+  'posix.join(["","c:"])': { value: 'c:' },
+  'posix.join(["c:.","/"])': { value: 'c:./' },
+  'posix.join(["c:.","file"])': { value: 'c:./file' },
+  'posix.join(["c:","/"])': { value: 'c:/' },
+  'posix.join(["c:","file"])': { value: 'c:/file' },
+  'posix.join(["test","../C:/Windows"])': { value: 'C:/Windows' },
+  'posix.join(["uploads","CON:../foo"])': { value: 'uploads/CON:../foo' },
+  'posix.join(["uploads","AUX:..\\\\x"])': { value: 'uploads/AUX:..\\x' },
+  'posix.join(["CON:","x"])': { value: 'CON:/x' },
+  'posix.join(["uploads","CON:"])': { value: 'uploads/CON:' },
+  'posix.join(["uploads","NUL:\\\\x"])': { value: 'uploads/NUL:\\x' },
+  'posix.join(["uploads","\\\\\\\\.\\\\CON"])': { value: 'uploads/\\\\.\\CON' },
+  'posix.normalize(["./fixtures///b/../b/c.js"])': { value: 'fixtures/b/c.js' },
+  'posix.normalize(["/foo/../../../bar"])': { value: '/bar' },
+  'posix.normalize(["a//b//../b"])': { value: 'a/b' },
+  'posix.normalize(["a//b//./c"])': { value: 'a/b/c' },
+  'posix.normalize(["a//b//."])': { value: 'a/b' },
+  'posix.normalize(["//server/share/dir/file.ext"])': { value: '/server/share/dir/file.ext' },
+  'posix.normalize(["/a/b/c/../../../x/y/z"])': { value: '/x/y/z' },
+  'posix.normalize(["///..//./foo/.//bar"])': { value: '/foo/bar' },
+  'posix.normalize(["C:"])': { value: 'C:' },
+  'posix.normalize(["C:..\\\\abc"])': { value: 'C:..\\abc' },
+  'posix.normalize(["C:..\\\\..\\\\abc\\\\..\\\\def"])': { value: 'C:..\\..\\abc\\..\\def' },
+  'posix.normalize(["C:\\\\."])': { value: 'C:\\.' },
+  'posix.normalize(["file:stream"])': { value: 'file:stream' },
+  'posix.normalize(["bar\\\\foo..\\\\..\\\\"])': { value: 'bar\\foo..\\..\\' },
+  'posix.normalize(["bar\\\\foo..\\\\.."])': { value: 'bar\\foo..\\..' },
+  'posix.normalize(["bar\\\\foo..\\\\..\\\\baz"])': { value: 'bar\\foo..\\..\\baz' },
+  'posix.normalize(["bar\\\\foo..\\\\"])': { value: 'bar\\foo..\\' },
+  'posix.normalize(["bar\\\\foo.."])': { value: 'bar\\foo..' },
+  'posix.normalize(["..\\\\foo..\\\\..\\\\..\\\\bar"])': { value: '..\\foo..\\..\\..\\bar' },
+  'posix.normalize(["..\\\\...\\\\..\\\\.\\\\...\\\\..\\\\..\\\\bar"])': {
+    value: '..\\...\\..\\.\\...\\..\\..\\bar',
+  },
+  'posix.normalize(["bar/foo../../"])': { value: 'bar/' },
+  'posix.normalize(["bar/foo../.."])': { value: 'bar' },
+  'posix.normalize(["bar/foo../../baz"])': { value: 'bar/baz' },
+  'posix.normalize(["bar/foo../"])': { value: 'bar/foo../' },
+  'posix.normalize(["bar/foo.."])': { value: 'bar/foo..' },
+  'posix.normalize(["../foo../../../bar"])': { value: '../../bar' },
+  'posix.normalize(["../.../.././.../../../bar"])': { value: '../../bar' },
+  'posix.normalize(["../../../foo/../../../bar"])': { value: '../../../../../bar' },
+  'posix.normalize(["../../../foo/../../../bar/../../"])': { value: '../../../../../../' },
+  'posix.normalize(["../foobar/barfoo/foo/../../../bar/../../"])': { value: '../../' },
+  'posix.normalize(["../.../../foobar/../../../bar/../../baz"])': { value: '../../../../baz' },
+  'posix.normalize(["foo/bar\\\\baz"])': { value: 'foo/bar\\baz' },
+  'posix.normalize(["\\\\\\\\.\\\\foo"])': { value: '\\\\.\\foo' },
+  'posix.normalize(["\\\\\\\\.\\\\foo\\\\"])': { value: '\\\\.\\foo\\' },
+  'posix.normalize([""])': { value: '.' },
+  'posix.normalize(["."])': { value: '.' },
+  'posix.normalize(["./"])': { value: './' },
+  'posix.normalize(["/"])': { value: '/' },
+  'posix.normalize(["//"])': { value: '/' },
+  'posix.normalize(["test/../C:/Windows"])': { value: 'C:/Windows' },
+  'posix.normalize(["test/../C:Windows"])': { value: 'C:Windows' },
+  'posix.normalize(["./upload/../C:/Windows"])': { value: 'C:/Windows' },
+  'posix.normalize(["./upload/../C:x"])': { value: 'C:x' },
+  'posix.normalize(["test/../??/D:/Test"])': { value: '??/D:/Test' },
+  'posix.normalize(["test/C:/../../F:"])': { value: 'F:' },
+  'posix.normalize(["test/C:foo/../../F:"])': { value: 'F:' },
+  'posix.normalize(["test/C:/../../F:\\\\"])': { value: 'F:\\' },
+  'posix.normalize(["test/C:foo/../../F:\\\\"])': { value: 'F:\\' },
+  'posix.normalize(["test/C:/../../F:x"])': { value: 'F:x' },
+  'posix.normalize(["test/C:foo/../../F:x"])': { value: 'F:x' },
+  'posix.normalize(["/test/../??/D:/Test"])': { value: '/??/D:/Test' },
+  'posix.normalize(["/test/../?/D:/Test"])': { value: '/?/D:/Test' },
+  'posix.normalize(["test/../?/D:/Test"])': { value: '?/D:/Test' },
+  'posix.normalize(["test/../D:/Test"])': { value: 'D:/Test' },
+  'posix.normalize(["test/../D:Test"])': { value: 'D:Test' },
+  'posix.normalize(["CON:../foo"])': { value: 'CON:../foo' },
+  'posix.normalize(["AUX:..\\\\x"])': { value: 'AUX:..\\x' },
+  'posix.normalize(["con:foo"])': { value: 'con:foo' },
+  'posix.normalize(["PRN:"])': { value: 'PRN:' },
+  'posix.normalize(["NUL:\\\\x"])': { value: 'NUL:\\x' },
+  'posix.normalize(["COM1:../a"])': { value: 'COM1:../a' },
+  'posix.normalize(["lpt9:..\\\\..\\\\b"])': { value: 'lpt9:..\\..\\b' },
+  'posix.normalize(["COM0:../a"])': { value: 'COM0:../a' },
+  'posix.normalize(["\\\\\\\\.\\\\CON"])': { value: '\\\\.\\CON' },
+  'posix.normalize(["C:\\\\CON:..\\\\x"])': { value: 'C:\\CON:..\\x' },
+  'posix.resolve(["c:/blah\\\\blah","d:/games","c:../a"])': {
+    value: '/c:/blah\\blah/d:/games/c:../a',
+  },
+  'posix.resolve(["c:/ignore","d:\\\\a/b\\\\c/d","\\\\e.exe"])': {
+    value: '/c:/ignore/d:\\a/b\\c/d/\\e.exe',
+  },
+  'posix.resolve(["c:/ignore","c:/some/file"])': { value: '/c:/ignore/c:/some/file' },
+  'posix.resolve(["d:/ignore","d:some/dir//"])': { value: '/d:/ignore/d:some/dir' },
+  'posix.resolve(["."])': { value: '/' },
+  'posix.resolve(["//server/share","..","relative\\\\"])': { value: '/server/relative\\' },
+  'posix.resolve(["c:/","//"])': { value: '/' },
+  'posix.resolve(["c:/","//dir"])': { value: '/dir' },
+  'posix.resolve(["c:/","//server/share"])': { value: '/server/share' },
+  'posix.resolve(["c:/","//server//share"])': { value: '/server/share' },
+  'posix.resolve(["c:/","///some//dir"])': { value: '/some/dir' },
+  'posix.resolve(["C:\\\\foo\\\\tmp.3\\\\","..\\\\tmp.3\\\\cycles\\\\root.js"])': {
+    value: '/C:\\foo\\tmp.3\\/..\\tmp.3\\cycles\\root.js',
+  },
+  'posix.resolve(["/var/lib","../","file/"])': { value: '/var/file' },
+  'posix.resolve(["/var/lib","/../","file/"])': { value: '/file' },
+  'posix.resolve(["a/b/c/","../../.."])': { value: '/' },
+  'posix.resolve(["/some/dir",".","/absolute/"])': { value: '/absolute' },
+  'posix.resolve(["/foo/tmp.3/","../tmp.3/cycles/root.js"])': {
+    value: '/foo/tmp.3/cycles/root.js',
+  },
+  'posix.resolve([""])': { value: '/' },
+  'posix.resolve(["",""])': { value: '/' },
+  'posix.resolve([])': { value: '/' },
+  'posix.relative(["c:/blah\\\\blah","d:/games"])': { value: '../../d:/games' },
+  'posix.relative(["c:/aaaa/bbbb","c:/aaaa"])': { value: '..' },
+  'posix.relative(["c:/aaaa/bbbb","c:/cccc"])': { value: '../../cccc' },
+  'posix.relative(["c:/aaaa/bbbb","c:/aaaa/bbbb"])': { value: '' },
+  'posix.relative(["c:/aaaa/bbbb","c:/aaaa/cccc"])': { value: '../cccc' },
+  'posix.relative(["c:/aaaa/","c:/aaaa/cccc"])': { value: 'cccc' },
+  'posix.relative(["c:/","c:\\\\aaaa\\\\bbbb"])': { value: '../c:\\aaaa\\bbbb' },
+  'posix.relative(["c:/aaaa/bbbb","d:\\\\"])': { value: '../../../d:\\' },
+  'posix.relative(["c:/AaAa/bbbb","c:/aaaa/bbbb"])': { value: '../../aaaa/bbbb' },
+  'posix.relative(["c:/aaaaa/","c:/aaaa/cccc"])': { value: '../aaaa/cccc' },
+  'posix.relative(["C:\\\\foo\\\\bar\\\\baz\\\\quux","C:\\\\"])': { value: '../C:\\' },
+  'posix.relative(["C:\\\\foo\\\\test","C:\\\\foo\\\\test\\\\bar\\\\package.json"])': {
+    value: '../C:\\foo\\test\\bar\\package.json',
+  },
+  'posix.relative(["C:\\\\foo\\\\bar\\\\baz-quux","C:\\\\foo\\\\bar\\\\baz"])': {
+    value: '../C:\\foo\\bar\\baz',
+  },
+  'posix.relative(["C:\\\\foo\\\\bar\\\\baz","C:\\\\foo\\\\bar\\\\baz-quux"])': {
+    value: '../C:\\foo\\bar\\baz-quux',
+  },
+  'posix.relative(["\\\\\\\\foo\\\\bar","\\\\\\\\foo\\\\bar\\\\baz"])': {
+    value: '../\\\\foo\\bar\\baz',
+  },
+  'posix.relative(["\\\\\\\\foo\\\\bar\\\\baz","\\\\\\\\foo\\\\bar"])': {
+    value: '../\\\\foo\\bar',
+  },
+  'posix.relative(["\\\\\\\\foo\\\\bar\\\\baz-quux","\\\\\\\\foo\\\\bar\\\\baz"])': {
+    value: '../\\\\foo\\bar\\baz',
+  },
+  'posix.relative(["\\\\\\\\foo\\\\bar\\\\baz","\\\\\\\\foo\\\\bar\\\\baz-quux"])': {
+    value: '../\\\\foo\\bar\\baz-quux',
+  },
+  'posix.relative(["C:\\\\baz-quux","C:\\\\baz"])': { value: '../C:\\baz' },
+  'posix.relative(["C:\\\\baz","C:\\\\baz-quux"])': { value: '../C:\\baz-quux' },
+  'posix.relative(["\\\\\\\\foo\\\\baz-quux","\\\\\\\\foo\\\\baz"])': { value: '../\\\\foo\\baz' },
+  'posix.relative(["\\\\\\\\foo\\\\baz","\\\\\\\\foo\\\\baz-quux"])': {
+    value: '../\\\\foo\\baz-quux',
+  },
+  'posix.relative(["C:\\\\baz","\\\\\\\\foo\\\\bar\\\\baz"])': { value: '../\\\\foo\\bar\\baz' },
+  'posix.relative(["\\\\\\\\foo\\\\bar\\\\baz","C:\\\\baz"])': { value: '../C:\\baz' },
+  'posix.relative(["c:/İ\\\\a","c:/İ\\\\b"])': { value: '../İ\\b' },
+  'posix.relative(["c:/İ\\\\a","c:/i̇\\\\b"])': { value: '../i̇\\b' },
+  'posix.relative(["c:/İ","c:/İ\\\\a\\\\b"])': { value: '../İ\\a\\b' },
+  'posix.relative(["c:/İ\\\\a\\\\b","c:/İ"])': { value: '../İ' },
+  'posix.relative(["c:/İ\\\\a","d:/İ\\\\a"])': { value: '../../d:/İ\\a' },
+  'posix.relative(["/var/lib","/var"])': { value: '..' },
+  'posix.relative(["/var/lib","/bin"])': { value: '../../bin' },
+  'posix.relative(["/var/lib","/var/lib"])': { value: '' },
+  'posix.relative(["/var/lib","/var/apache"])': { value: '../apache' },
+  'posix.relative(["/var/","/var/lib"])': { value: 'lib' },
+  'posix.relative(["/","/var/lib"])': { value: 'var/lib' },
+  'posix.relative(["/foo/test","/foo/test/bar/package.json"])': { value: 'bar/package.json' },
+  'posix.relative(["/Users/a/web/b/test/mails","/Users/a/web/b"])': { value: '../..' },
+  'posix.relative(["/foo/bar/baz-quux","/foo/bar/baz"])': { value: '../baz' },
+  'posix.relative(["/foo/bar/baz","/foo/bar/baz-quux"])': { value: '../baz-quux' },
+  'posix.relative(["/baz-quux","/baz"])': { value: '../baz' },
+  'posix.relative(["/baz","/baz-quux"])': { value: '../baz-quux' },
+  'posix.relative(["/page1/page2/foo","/"])': { value: '../../..' },
+  'posix.relative(["",""])': { value: '' },
+  'posix.relative(["","/"])': { value: '' },
+  'posix.relative(["/",""])': { value: '' },
+  'posix.dirname(["/a/b/"])': { value: '/a' },
+  'posix.dirname(["/a/b"])': { value: '/a' },
+  'posix.dirname(["/a"])': { value: '/' },
+  'posix.dirname([""])': { value: '.' },
+  'posix.dirname(["/"])': { value: '/' },
+  'posix.dirname(["////"])': { value: '/' },
+  'posix.dirname(["//a"])': { value: '//' },
+  'posix.dirname(["foo"])': { value: '.' },
+  'posix.dirname(["c:\\\\"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo\\\\"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo\\\\bar"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo\\\\bar\\\\"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo\\\\bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["c:\\\\foo bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["\\\\"])': { value: '.' },
+  'posix.dirname(["\\\\foo"])': { value: '.' },
+  'posix.dirname(["\\\\foo\\\\"])': { value: '.' },
+  'posix.dirname(["\\\\foo\\\\bar"])': { value: '.' },
+  'posix.dirname(["\\\\foo\\\\bar\\\\"])': { value: '.' },
+  'posix.dirname(["\\\\foo\\\\bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["\\\\foo bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["c:"])': { value: '.' },
+  'posix.dirname(["c:foo"])': { value: '.' },
+  'posix.dirname(["c:foo\\\\"])': { value: '.' },
+  'posix.dirname(["c:foo\\\\bar"])': { value: '.' },
+  'posix.dirname(["c:foo\\\\bar\\\\"])': { value: '.' },
+  'posix.dirname(["c:foo\\\\bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["c:foo bar\\\\baz"])': { value: '.' },
+  'posix.dirname(["file:stream"])': { value: '.' },
+  'posix.dirname(["dir\\\\file:stream"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share\\\\foo"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar\\\\"])': { value: '.' },
+  'posix.dirname(["\\\\\\\\unc\\\\share\\\\foo\\\\bar\\\\baz"])': { value: '.' },
+  'posix.basename([".js"])': { value: '.js' },
+  'posix.basename(["",".js"])': { value: '' },
+  'posix.basename(["/dir/basename.ext"])': { value: 'basename.ext' },
+  'posix.basename(["/basename.ext"])': { value: 'basename.ext' },
+  'posix.basename(["basename.ext"])': { value: 'basename.ext' },
+  'posix.basename(["basename.ext/"])': { value: 'basename.ext' },
+  'posix.basename(["basename.ext//"])': { value: 'basename.ext' },
+  'posix.basename(["aaa/bbb","/bbb"])': { value: 'bbb' },
+  'posix.basename(["aaa/bbb","a/bbb"])': { value: 'bbb' },
+  'posix.basename(["aaa/bbb","bbb"])': { value: 'bbb' },
+  'posix.basename(["aaa/bbb//","bbb"])': { value: 'bbb' },
+  'posix.basename(["aaa/bbb","bb"])': { value: 'b' },
+  'posix.basename(["aaa/bbb","b"])': { value: 'bb' },
+  'posix.basename(["/aaa/bbb","/bbb"])': { value: 'bbb' },
+  'posix.basename(["/aaa/bbb","a/bbb"])': { value: 'bbb' },
+  'posix.basename(["/aaa/bbb","bbb"])': { value: 'bbb' },
+  'posix.basename(["/aaa/bbb//","bbb"])': { value: 'bbb' },
+  'posix.basename(["/aaa/bbb","bb"])': { value: 'b' },
+  'posix.basename(["/aaa/bbb","b"])': { value: 'bb' },
+  'posix.basename(["/aaa/bbb"])': { value: 'bbb' },
+  'posix.basename(["/aaa/"])': { value: 'aaa' },
+  'posix.basename(["/aaa/b"])': { value: 'b' },
+  'posix.basename(["/a/b"])': { value: 'b' },
+  'posix.basename(["//a"])': { value: 'a' },
+  'posix.basename(["a","a"])': { value: '' },
+  'posix.basename(["file.js",".js"])': { value: 'file' },
+  'posix.basename(["file",".js"])': { value: 'file' },
+  'posix.basename(["file.js.old",".js.old"])': { value: 'file' },
+  'posix.basename(["js",".js"])': { value: 'js' },
+  'posix.basename(["file.js","file.js"])': { value: '' },
+  'posix.basename(["\\\\dir\\\\basename.ext"])': { value: '\\dir\\basename.ext' },
+  'posix.basename(["\\\\basename.ext"])': { value: '\\basename.ext' },
+  'posix.basename(["basename.ext\\\\"])': { value: 'basename.ext\\' },
+  'posix.basename(["basename.ext\\\\\\\\"])': { value: 'basename.ext\\\\' },
+  'posix.basename(["foo"])': { value: 'foo' },
+  'posix.basename(["aaa\\\\bbb","\\\\bbb"])': { value: 'aaa' },
+  'posix.basename(["aaa\\\\bbb","a\\\\bbb"])': { value: 'aa' },
+  'posix.basename(["aaa\\\\bbb","bbb"])': { value: 'aaa\\' },
+  'posix.basename(["aaa\\\\bbb\\\\\\\\\\\\\\\\","bbb"])': { value: 'aaa\\bbb\\\\\\\\' },
+  'posix.basename(["aaa\\\\bbb","bb"])': { value: 'aaa\\b' },
+  'posix.basename(["aaa\\\\bbb","b"])': { value: 'aaa\\bb' },
+  'posix.basename(["C:"])': { value: 'C:' },
+  'posix.basename(["C:."])': { value: 'C:.' },
+  'posix.basename(["C:\\\\"])': { value: 'C:\\' },
+  'posix.basename(["C:\\\\dir\\\\base.ext"])': { value: 'C:\\dir\\base.ext' },
+  'posix.basename(["C:\\\\basename.ext"])': { value: 'C:\\basename.ext' },
+  'posix.basename(["C:basename.ext"])': { value: 'C:basename.ext' },
+  'posix.basename(["C:basename.ext\\\\"])': { value: 'C:basename.ext\\' },
+  'posix.basename(["C:basename.ext\\\\\\\\"])': { value: 'C:basename.ext\\\\' },
+  'posix.basename(["C:foo"])': { value: 'C:foo' },
+  'posix.basename(["file:stream"])': { value: 'file:stream' },
+  'posix.basename(["/a/b/Icon\\r"])': { value: 'Icon\r' },
+  'posix.basename(["Icon\\r"])': { value: 'Icon\r' },
+  'posix.extname([""])': { value: '' },
+  'posix.extname(["/path/to/file"])': { value: '' },
+  'posix.extname(["/path/to/file.ext"])': { value: '.ext' },
+  'posix.extname(["/path.to/file.ext"])': { value: '.ext' },
+  'posix.extname(["/path.to/file"])': { value: '' },
+  'posix.extname(["/path.to/.file"])': { value: '' },
+  'posix.extname(["/path.to/.file.ext"])': { value: '.ext' },
+  'posix.extname(["/path/to/f.ext"])': { value: '.ext' },
+  'posix.extname(["/path/to/..ext"])': { value: '.ext' },
+  'posix.extname(["/path/to/.."])': { value: '' },
+  'posix.extname(["file"])': { value: '' },
+  'posix.extname(["file.ext"])': { value: '.ext' },
+  'posix.extname([".file"])': { value: '' },
+  'posix.extname([".file.ext"])': { value: '.ext' },
+  'posix.extname(["/file"])': { value: '' },
+  'posix.extname(["/file.ext"])': { value: '.ext' },
+  'posix.extname(["/.file"])': { value: '' },
+  'posix.extname(["/.file.ext"])': { value: '.ext' },
+  'posix.extname([".path/file.ext"])': { value: '.ext' },
+  'posix.extname(["file.ext.ext"])': { value: '.ext' },
+  'posix.extname(["file."])': { value: '.' },
+  'posix.extname(["."])': { value: '' },
+  'posix.extname(["./"])': { value: '' },
+  'posix.extname([".file."])': { value: '.' },
+  'posix.extname([".file.."])': { value: '.' },
+  'posix.extname([".."])': { value: '' },
+  'posix.extname(["../"])': { value: '' },
+  'posix.extname(["..file.ext"])': { value: '.ext' },
+  'posix.extname(["..file"])': { value: '.file' },
+  'posix.extname(["..file."])': { value: '.' },
+  'posix.extname(["..file.."])': { value: '.' },
+  'posix.extname(["..."])': { value: '.' },
+  'posix.extname(["...ext"])': { value: '.ext' },
+  'posix.extname(["...."])': { value: '.' },
+  'posix.extname(["file.ext/"])': { value: '.ext' },
+  'posix.extname(["file.ext//"])': { value: '.ext' },
+  'posix.extname(["file/"])': { value: '' },
+  'posix.extname(["file//"])': { value: '' },
+  'posix.extname(["file./"])': { value: '.' },
+  'posix.extname(["file.//"])': { value: '.' },
+  'posix.extname([".\\\\"])': { value: '' },
+  'posix.extname(["..\\\\"])': { value: '.\\' },
+  'posix.extname(["file.ext\\\\"])': { value: '.ext\\' },
+  'posix.extname(["file.ext\\\\\\\\"])': { value: '.ext\\\\' },
+  'posix.extname(["file\\\\"])': { value: '' },
+  'posix.extname(["file\\\\\\\\"])': { value: '' },
+  'posix.extname(["file.\\\\"])': { value: '.\\' },
+  'posix.extname(["file.\\\\\\\\"])': { value: '.\\\\' },
+  'posix.parse(["C:\\\\path\\\\dir\\\\index.html"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: 'C:\\path\\dir\\index.html',
+      ext: '.html',
+      name: 'C:\\path\\dir\\index',
+    },
+  },
+  'posix.parse(["C:\\\\another_path\\\\DIR\\\\1\\\\2\\\\33\\\\\\\\index"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: 'C:\\another_path\\DIR\\1\\2\\33\\\\index',
+      ext: '',
+      name: 'C:\\another_path\\DIR\\1\\2\\33\\\\index',
+    },
+  },
+  'posix.parse(["another_path\\\\DIR with spaces\\\\1\\\\2\\\\33\\\\index"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: 'another_path\\DIR with spaces\\1\\2\\33\\index',
+      ext: '',
+      name: 'another_path\\DIR with spaces\\1\\2\\33\\index',
+    },
+  },
+  'posix.parse(["\\\\"])': { value: { root: '', dir: '', base: '\\', ext: '', name: '\\' } },
+  'posix.parse(["\\\\foo\\\\C:"])': {
+    value: { root: '', dir: '', base: '\\foo\\C:', ext: '', name: '\\foo\\C:' },
+  },
+  'posix.parse(["file"])': { value: { root: '', dir: '', base: 'file', ext: '', name: 'file' } },
+  'posix.parse(["file:stream"])': {
+    value: { root: '', dir: '', base: 'file:stream', ext: '', name: 'file:stream' },
+  },
+  'posix.parse([".\\\\file"])': {
+    value: { root: '', dir: '', base: '.\\file', ext: '', name: '.\\file' },
+  },
+  'posix.parse(["C:"])': { value: { root: '', dir: '', base: 'C:', ext: '', name: 'C:' } },
+  'posix.parse(["C:."])': { value: { root: '', dir: '', base: 'C:.', ext: '.', name: 'C:' } },
+  'posix.parse(["C:.."])': { value: { root: '', dir: '', base: 'C:..', ext: '.', name: 'C:.' } },
+  'posix.parse(["C:abc"])': { value: { root: '', dir: '', base: 'C:abc', ext: '', name: 'C:abc' } },
+  'posix.parse(["C:\\\\"])': { value: { root: '', dir: '', base: 'C:\\', ext: '', name: 'C:\\' } },
+  'posix.parse(["C:\\\\abc"])': {
+    value: { root: '', dir: '', base: 'C:\\abc', ext: '', name: 'C:\\abc' },
+  },
+  'posix.parse([""])': { value: { root: '', dir: '', base: '', ext: '', name: '' } },
+  'posix.parse(["\\\\\\\\server\\\\share\\\\"])': {
+    value: { root: '', dir: '', base: '\\\\server\\share\\', ext: '', name: '\\\\server\\share\\' },
+  },
+  'posix.parse(["\\\\\\\\server two\\\\shared folder\\\\file path.zip"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: '\\\\server two\\shared folder\\file path.zip',
+      ext: '.zip',
+      name: '\\\\server two\\shared folder\\file path',
+    },
+  },
+  'posix.parse(["\\\\\\\\teela\\\\admin$\\\\system32"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: '\\\\teela\\admin$\\system32',
+      ext: '',
+      name: '\\\\teela\\admin$\\system32',
+    },
+  },
+  'posix.parse(["\\\\\\\\?\\\\UNC\\\\server\\\\share"])': {
+    value: {
+      root: '',
+      dir: '',
+      base: '\\\\?\\UNC\\server\\share',
+      ext: '',
+      name: '\\\\?\\UNC\\server\\share',
+    },
+  },
+  'posix.parse(["/home/user/dir/file.txt"])': {
+    value: { root: '/', dir: '/home/user/dir', base: 'file.txt', ext: '.txt', name: 'file' },
+  },
+  'posix.parse(["/home/user/a dir/another File.zip"])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a dir',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'posix.parse(["/home/user/a dir//another&File."])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a dir/',
+      base: 'another&File.',
+      ext: '.',
+      name: 'another&File',
+    },
+  },
+  'posix.parse(["/home/user/a$$$dir//another File.zip"])': {
+    value: {
+      root: '/',
+      dir: '/home/user/a$$$dir/',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'posix.parse(["user/dir/another File.zip"])': {
+    value: {
+      root: '',
+      dir: 'user/dir',
+      base: 'another File.zip',
+      ext: '.zip',
+      name: 'another File',
+    },
+  },
+  'posix.parse(["./file"])': { value: { root: '', dir: '.', base: 'file', ext: '', name: 'file' } },
+  'posix.parse(["C:\\\\foo"])': {
+    value: { root: '', dir: '', base: 'C:\\foo', ext: '', name: 'C:\\foo' },
+  },
+  'posix.parse(["/"])': { value: { root: '/', dir: '/', base: '', ext: '', name: '' } },
+  'posix.parse(["."])': { value: { root: '', dir: '', base: '.', ext: '', name: '.' } },
+  'posix.parse([".."])': { value: { root: '', dir: '', base: '..', ext: '', name: '..' } },
+  'posix.parse(["/foo"])': { value: { root: '/', dir: '/', base: 'foo', ext: '', name: 'foo' } },
+  'posix.parse(["/foo."])': { value: { root: '/', dir: '/', base: 'foo.', ext: '.', name: 'foo' } },
+  'posix.parse(["/foo.bar"])': {
+    value: { root: '/', dir: '/', base: 'foo.bar', ext: '.bar', name: 'foo' },
+  },
+  'posix.parse(["/."])': { value: { root: '/', dir: '/', base: '.', ext: '', name: '.' } },
+  'posix.parse(["/.foo"])': { value: { root: '/', dir: '/', base: '.foo', ext: '', name: '.foo' } },
+  'posix.parse(["/.foo.bar"])': {
+    value: { root: '/', dir: '/', base: '.foo.bar', ext: '.bar', name: '.foo' },
+  },
+  'posix.parse(["/foo/bar.baz"])': {
+    value: { root: '/', dir: '/foo', base: 'bar.baz', ext: '.baz', name: 'bar' },
+  },
+  'posix.format([{"dir":"some/dir"}])': { value: 'some/dir/' },
+  'posix.format([{"base":"index.html"}])': { value: 'index.html' },
+  'posix.format([{"root":"/"}])': { value: '/' },
+  'posix.format([{"name":"index","ext":".html"}])': { value: 'index.html' },
+  'posix.format([{"dir":"some/dir","name":"index","ext":".html"}])': {
+    value: 'some/dir/index.html',
+  },
+  'posix.format([{"root":"/","name":"index","ext":".html"}])': { value: '/index.html' },
+  'posix.format([{}])': { value: '' },
+  'posix.format([{"name":"x","ext":"png"}])': { value: 'x.png' },
+  'posix.format([{"dir":"C:\\\\path\\\\dir","base":"index.html"}])': {
+    value: 'C:\\path\\dir/index.html',
+  },
+  'posix.format([{"root":"C:\\\\","base":"index.html"}])': { value: 'C:\\index.html' },
+  'posix.format([{"root":"/","dir":"/","base":"file.txt"}])': { value: '/file.txt' },
+  'posix.format([{"root":"/foo/","base":"bar"}])': { value: '/foo/bar' },
+  'posix.isAbsolute(["/"])': { value: true },
+  'posix.isAbsolute(["//"])': { value: true },
+  'posix.isAbsolute(["//server"])': { value: true },
+  'posix.isAbsolute(["//server/file"])': { value: true },
+  'posix.isAbsolute(["\\\\\\\\server\\\\file"])': { value: false },
+  'posix.isAbsolute(["\\\\\\\\server"])': { value: false },
+  'posix.isAbsolute(["\\\\\\\\"])': { value: false },
+  'posix.isAbsolute(["c"])': { value: false },
+  'posix.isAbsolute(["c:"])': { value: false },
+  'posix.isAbsolute(["c:\\\\"])': { value: false },
+  'posix.isAbsolute(["c:/"])': { value: false },
+  'posix.isAbsolute(["c://"])': { value: false },
+  'posix.isAbsolute(["C:/Users/"])': { value: false },
+  'posix.isAbsolute(["C:\\\\Users\\\\"])': { value: false },
+  'posix.isAbsolute(["C:cwd/another"])': { value: false },
+  'posix.isAbsolute(["C:cwd\\\\another"])': { value: false },
+  'posix.isAbsolute(["directory/directory"])': { value: false },
+  'posix.isAbsolute(["directory\\\\directory"])': { value: false },
+  'posix.isAbsolute(["/home/foo"])': { value: true },
+  'posix.isAbsolute(["/home/foo/.."])': { value: true },
+  'posix.isAbsolute(["bar/"])': { value: false },
+  'posix.isAbsolute(["./baz"])': { value: false },
+  'posix.isAbsolute([""])': { value: false },
+  'posix.toNamespacedPath(["C:\\\\foo"])': { value: 'C:\\foo' },
+  'posix.toNamespacedPath(["C:/foo"])': { value: 'C:/foo' },
+  'posix.toNamespacedPath(["\\\\\\\\foo\\\\bar"])': { value: '\\\\foo\\bar' },
+  'posix.toNamespacedPath(["//foo//bar"])': { value: '//foo//bar' },
+  'posix.toNamespacedPath(["\\\\\\\\?\\\\foo"])': { value: '\\\\?\\foo' },
+  'posix.toNamespacedPath(["C:"])': { value: 'C:' },
+  'posix.toNamespacedPath(["C"])': { value: 'C' },
+  'posix.toNamespacedPath(["\\\\\\\\.\\\\pipe\\\\somepipe"])': { value: '\\\\.\\pipe\\somepipe' },
+  'posix.toNamespacedPath(["\\\\\\\\?\\\\c:\\\\"])': { value: '\\\\?\\c:\\' },
+  'posix.toNamespacedPath(["c:\\\\foo\\\\..\\\\bar"])': { value: 'c:\\foo\\..\\bar' },
+  'posix.toNamespacedPath([""])': { value: '' },
+  'posix.toNamespacedPath(["/foo/bar"])': { value: '/foo/bar' },
+  'posix.toNamespacedPath(["foo"])': { value: 'foo' },
+  'posix.toNamespacedPath(["foo\\\\bar"])': { value: 'foo\\bar' },
+  'posix.toNamespacedPath(["\\\\foo"])': { value: '\\foo' },
+  'posix.matchesGlob(["foo/bar/baz","foo/[bcr]ar/baz"])': { value: true },
+  'posix.matchesGlob(["foo/bar/baz","foo/[!bcr]ar/baz"])': { value: false },
+  'posix.matchesGlob(["foo/bar/baz","foo/[bc-r]ar/baz"])': { value: true },
+  'posix.matchesGlob(["foo/bar/baz","foo/*/!bar/*/baz"])': { value: false },
+  'posix.matchesGlob(["foo/bar1/baz","foo/bar[0-9]/baz"])': { value: true },
+  'posix.matchesGlob(["foo/bar5/baz","foo/bar[0-9]/baz"])': { value: true },
+  'posix.matchesGlob(["foo/barx/baz","foo/bar[a-z]/baz"])': { value: true },
+  'posix.matchesGlob(["foo/bar/baz/boo","foo/[bc-r]ar/baz/*"])': { value: true },
+  'posix.matchesGlob(["foo/bar/baz","foo/**"])': { value: true },
+  'posix.matchesGlob(["foo/bar/baz","*"])': { value: false },
+  'posix.matchesGlob(["foo\\\\bar\\\\baz","foo\\\\[bcr]ar\\\\baz"])': { value: false },
+  'posix.matchesGlob(["foo\\\\bar\\\\baz","foo/**"])': { value: false },
+  'posix.matchesGlob(["foo\\\\bar\\\\baz","foo\\\\*\\\\baz"])': { value: false },
+  'posix.matchesGlob(["a.js","*.js"])': { value: true },
+  'posix.matchesGlob(["a/b.js","*.js"])': { value: false },
+  'posix.matchesGlob(["a/b.js","**/*.js"])': { value: true },
+  'posix.matchesGlob(["b.js","**/*.js"])': { value: true },
+  'posix.matchesGlob(["a/b/c.ts","a/**/*.ts"])': { value: true },
+  'posix.matchesGlob(["a/c.ts","a/**/c.ts"])': { value: true },
+  'posix.matchesGlob(["a/b","a/?"])': { value: true },
+  'posix.matchesGlob(["a/bc","a/?"])': { value: false },
+  'posix.matchesGlob([".a","*"])': { value: false },
+  'posix.matchesGlob([".a",".*"])': { value: true },
+  'posix.matchesGlob(["a/.b","a/*"])': { value: false },
+  'posix.matchesGlob(["a/.b/c","a/**/c"])': { value: false },
+  'posix.matchesGlob(["a.ts","*.{js,ts}"])': { value: true },
+  'posix.matchesGlob(["a.md","*.{js,ts}"])': { value: false },
+  'posix.matchesGlob(["a2","a{1..3}"])': { value: true },
+  'posix.matchesGlob(["a4","a{1..3}"])': { value: false },
+  'posix.matchesGlob(["acd","a{b,c{d,e}}"])': { value: true },
+  'posix.matchesGlob(["a1","a[[:digit:]]"])': { value: true },
+  'posix.matchesGlob(["ab","a[[:digit:]]"])': { value: false },
+  'posix.matchesGlob(["a-","a[!a-z]"])': { value: true },
+  'posix.matchesGlob(["/a/b","/a/*"])': { value: true },
+  'posix.matchesGlob(["a/b/","a/b"])': { value: true },
+  'posix.matchesGlob(["a/b","a/b/"])': { value: false },
+  'posix.matchesGlob(["a/../b","b"])': { value: true },
+  'posix.matchesGlob(["a",""])': { value: false },
+  'posix.matchesGlob(["",""])': { value: true },
+  'posix.matchesGlob(["x","!y"])': { value: false },
+  'posix.matchesGlob(["!y","!y"])': { value: true },
+  'posix.matchesGlob(["a*","a\\\\*"])': { value: false },
+  'posix.matchesGlob(["a/b","a\\\\b"])': { value: true },
+  'posix.matchesGlob(["SRC/a.js","src/a.js"])': { value: false },
+  'posix.matchesGlob(["src/A.JS","src/*.js"])': { value: false },
+  'posix.join([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.join(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.resolve(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.normalize(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.isAbsolute(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.dirname(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.extname(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse([0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.parse(["[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([null,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([{},"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([[],"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([false,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([true,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([1,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative([0,"foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.relative(["[Function]","foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo",0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.basename(["foo","[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([null,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([{},"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([[],"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([false,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([true,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([1,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob([0,"*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["[Function]","*"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",{}])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",[]])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",false])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",true])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",1])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo",0])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.matchesGlob(["foo","[Function]"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.format([null])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.format(["foo"])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'posix.format([42])': { error: 'ERR_INVALID_ARG_TYPE' },
+  'win32.resolve(["D::é"])': { value: 'D:\\:é' },
+  'win32.resolve(["D::é","","/bar.js:"])': { value: 'D:\\bar.js:' },
+  'win32.normalize(["D::é"])': { value: 'D::é' },
+  'win32.isAbsolute(["D::é"])': { value: false },
+  'win32.join(["D::é",""])': { value: 'D::é' },
+  'win32.join(["D::é","","/bar.js:"])': { value: 'D::é\\bar.js:' },
+  'win32.relative(["D::é",""])': { value: '..\\..' },
+  'win32.toNamespacedPath(["D::é"])': { value: '\\\\?\\D:\\:é' },
+  'win32.dirname(["D::é"])': { value: 'D:' },
+  'win32.basename(["D::é"])': { value: ':é' },
+  'win32.basename(["D::é",""])': { value: ':é' },
+  'win32.extname(["D::é"])': { value: '' },
+  'win32.parse(["D::é"])': { value: { root: 'D:', dir: 'D:', base: ':é', ext: '', name: ':é' } },
+  'win32.format([{"dir":"D::é","name":"","ext":"/bar.js:"}])': { value: 'D::é\\./bar.js:' },
+  'win32.resolve(["é"])': { value: '\\é' },
+  'win32.resolve(["é","~serverCON","..CON\\\\\\\\COND:/"])': {
+    value: '\\é\\~serverCON\\..CON\\COND:',
+  },
+  'win32.normalize(["é"])': { value: 'é' },
+  'win32.isAbsolute(["é"])': { value: false },
+  'win32.join(["é","~serverCON"])': { value: 'é\\~serverCON' },
+  'win32.join(["é","~serverCON","..CON\\\\\\\\COND:/"])': {
+    value: '.\\é\\~serverCON\\..CON\\COND:\\',
+  },
+  'win32.relative(["é","~serverCON"])': { value: '\\~serverCON' },
+  'win32.toNamespacedPath(["é"])': { value: 'é' },
+  'win32.dirname(["é"])': { value: '.' },
+  'win32.basename(["é"])': { value: 'é' },
+  'win32.basename(["é","~serverCON"])': { value: 'é' },
+  'win32.extname(["é"])': { value: '' },
+  'win32.parse(["é"])': { value: { root: '', dir: '', base: 'é', ext: '', name: 'é' } },
+  'win32.format([{"dir":"é","name":"~serverCON","ext":"..CON\\\\\\\\COND:/"}])': {
+    value: 'é\\~serverCON..CON\\\\COND:/',
+  },
+  'win32.resolve(["bar.js:\\\\/~server"])': { value: '\\bar.js:\\~server' },
+  'win32.resolve(["bar.js:\\\\/~server","\\\\\\\\.extshare","..~/:"])': {
+    value: '\\.extshare\\..~\\:',
+  },
+  'win32.normalize(["bar.js:\\\\/~server"])': { value: '.\\bar.js:\\~server' },
+  'win32.isAbsolute(["bar.js:\\\\/~server"])': { value: false },
+  'win32.join(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': {
+    value: '.\\bar.js:\\~server\\.extshare',
+  },
+  'win32.join(["bar.js:\\\\/~server","\\\\\\\\.extshare","..~/:"])': {
+    value: '.\\bar.js:\\~server\\.extshare\\..~\\:',
+  },
+  'win32.relative(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': { value: '\\.extshare' },
+  'win32.toNamespacedPath(["bar.js:\\\\/~server"])': { value: '\\bar.js:\\~server' },
+  'win32.dirname(["bar.js:\\\\/~server"])': { value: 'bar.js:\\' },
+  'win32.basename(["bar.js:\\\\/~server"])': { value: '~server' },
+  'win32.basename(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': { value: '~server' },
+  'win32.extname(["bar.js:\\\\/~server"])': { value: '' },
+  'win32.parse(["bar.js:\\\\/~server"])': {
+    value: { root: '', dir: 'bar.js:\\', base: '~server', ext: '', name: '~server' },
+  },
+  'win32.format([{"dir":"bar.js:\\\\/~server","name":"\\\\\\\\.extshare","ext":"..~/:"}])': {
+    value: 'bar.js:\\/~server\\\\\\.extshare..~/:',
+  },
+  'win32.resolve(["","?a.b.c//\\\\\\\\C:","~fooshare///"])': { value: '\\?a.b.c\\C:\\~fooshare' },
+  'win32.join(["","?a.b.c//\\\\\\\\C:"])': { value: '.\\?a.b.c\\C:' },
+  'win32.join(["","?a.b.c//\\\\\\\\C:","~fooshare///"])': { value: '.\\?a.b.c\\C:\\~fooshare\\' },
+  'win32.relative(["","?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c\\C:' },
+  'win32.basename([""])': { value: '' },
+  'win32.basename(["","?a.b.c//\\\\\\\\C:"])': { value: '' },
+  'win32.format([{"dir":"","name":"?a.b.c//\\\\\\\\C:","ext":"~fooshare///"}])': {
+    value: '?a.b.c//\\\\C:.~fooshare///',
+  },
+  'win32.resolve(["é?C:"])': { value: '\\é?C:' },
+  'win32.resolve(["é?C:","..~/:",""])': { value: '\\é?C:\\..~\\:' },
+  'win32.normalize(["é?C:"])': { value: '.\\é?C:' },
+  'win32.isAbsolute(["é?C:"])': { value: false },
+  'win32.join(["é?C:","..~/:"])': { value: '.\\é?C:\\..~\\:' },
+  'win32.join(["é?C:","..~/:",""])': { value: '.\\é?C:\\..~\\:' },
+  'win32.relative(["é?C:","..~/:"])': { value: '\\..~\\:' },
+  'win32.toNamespacedPath(["é?C:"])': { value: '\\é?C:' },
+  'win32.dirname(["é?C:"])': { value: '.' },
+  'win32.basename(["é?C:"])': { value: 'é?C:' },
+  'win32.basename(["é?C:","..~/:"])': { value: 'é?C:' },
+  'win32.extname(["é?C:"])': { value: '' },
+  'win32.parse(["é?C:"])': { value: { root: '', dir: '', base: 'é?C:', ext: '', name: 'é?C:' } },
+  'win32.format([{"dir":"é?C:","name":"..~/:","ext":""}])': { value: 'é?C:\\..~/:' },
+  'win32.resolve(["/bar.js:"])': { value: '\\bar.js:' },
+  'win32.resolve(["/bar.js:","bar.js","/"])': { value: '\\' },
+  'win32.normalize(["/bar.js:"])': { value: '\\bar.js:' },
+  'win32.isAbsolute(["/bar.js:"])': { value: true },
+  'win32.join(["/bar.js:","bar.js"])': { value: '\\bar.js:\\bar.js' },
+  'win32.join(["/bar.js:","bar.js","/"])': { value: '\\bar.js:\\bar.js\\' },
+  'win32.relative(["/bar.js:","bar.js"])': { value: '..bar.js' },
+  'win32.toNamespacedPath(["/bar.js:"])': { value: '\\bar.js:' },
+  'win32.dirname(["/bar.js:"])': { value: '/' },
+  'win32.basename(["/bar.js:"])': { value: 'bar.js:' },
+  'win32.basename(["/bar.js:","bar.js"])': { value: 'bar.js:' },
+  'win32.extname(["/bar.js:"])': { value: '.js:' },
+  'win32.parse(["/bar.js:"])': {
+    value: { root: '/', dir: '/', base: 'bar.js:', ext: '.js:', name: 'bar' },
+  },
+  'win32.format([{"dir":"/bar.js:","name":"bar.js","ext":"/"}])': { value: '/bar.js:\\bar.js./' },
+  'win32.resolve(["/"])': { value: '\\' },
+  'win32.resolve(["/","CONCONa.b.c/foo","c:."])': { value: 'c:\\CONCONa.b.c\\foo' },
+  'win32.join(["/","CONCONa.b.c/foo"])': { value: '\\CONCONa.b.c\\foo' },
+  'win32.join(["/","CONCONa.b.c/foo","c:."])': { value: '\\CONCONa.b.c\\foo\\c:.' },
+  'win32.relative(["/","CONCONa.b.c/foo"])': { value: 'CONCONa.b.c\\foo' },
+  'win32.toNamespacedPath(["/"])': { value: '/' },
+  'win32.basename(["/"])': { value: '' },
+  'win32.basename(["/","CONCONa.b.c/foo"])': { value: '' },
+  'win32.extname(["/"])': { value: '' },
+  'win32.format([{"dir":"/","name":"CONCONa.b.c/foo","ext":"c:."}])': {
+    value: '/\\CONCONa.b.c/foo.c:.',
+  },
+  'win32.resolve(["CON\\\\:.."])': { value: '\\CON\\:..' },
+  'win32.resolve(["CON\\\\:..","C:",""])': { value: 'C:\\CON\\:..' },
+  'win32.normalize(["CON\\\\:.."])': { value: 'CON\\:..' },
+  'win32.isAbsolute(["CON\\\\:.."])': { value: false },
+  'win32.join(["CON\\\\:..","C:"])': { value: '.\\CON\\:..\\C:' },
+  'win32.join(["CON\\\\:..","C:",""])': { value: '.\\CON\\:..\\C:' },
+  'win32.relative(["CON\\\\:..","C:"])': { value: 'C:\\' },
+  'win32.toNamespacedPath(["CON\\\\:.."])': { value: '\\CON\\:..' },
+  'win32.dirname(["CON\\\\:.."])': { value: 'CON' },
+  'win32.basename(["CON\\\\:.."])': { value: ':..' },
+  'win32.basename(["CON\\\\:..","C:"])': { value: ':..' },
+  'win32.extname(["CON\\\\:.."])': { value: '.' },
+  'win32.parse(["CON\\\\:.."])': {
+    value: { root: '', dir: 'CON', base: ':..', ext: '.', name: ':.' },
+  },
+  'win32.format([{"dir":"CON\\\\:..","name":"C:","ext":""}])': { value: 'CON\\:..\\C:' },
+  'win32.resolve([":..server"])': { value: '\\:..server' },
+  'win32.resolve([":..server","..CON../share","CONCONa.b.c/foo"])': {
+    value: '\\:..server\\..CON..\\share\\CONCONa.b.c\\foo',
+  },
+  'win32.normalize([":..server"])': { value: ':..server' },
+  'win32.isAbsolute([":..server"])': { value: false },
+  'win32.join([":..server","..CON../share"])': { value: ':..server\\..CON..\\share' },
+  'win32.join([":..server","..CON../share","CONCONa.b.c/foo"])': {
+    value: ':..server\\..CON..\\share\\CONCONa.b.c\\foo',
+  },
+  'win32.relative([":..server","..CON../share"])': { value: '\\..CON..\\share' },
+  'win32.toNamespacedPath([":..server"])': { value: '\\:..server' },
+  'win32.dirname([":..server"])': { value: '.' },
+  'win32.basename([":..server"])': { value: ':..server' },
+  'win32.basename([":..server","..CON../share"])': { value: ':..server' },
+  'win32.extname([":..server"])': { value: '.server' },
+  'win32.parse([":..server"])': {
+    value: { root: '', dir: '', base: ':..server', ext: '.server', name: ':.' },
+  },
+  'win32.format([{"dir":":..server","name":"..CON../share","ext":"CONCONa.b.c/foo"}])': {
+    value: ':..server\\..CON../share.CONCONa.b.c/foo',
+  },
+  'win32.resolve(["","bar.js:\\\\/~server",":"])': { value: '\\bar.js:\\~server\\:' },
+  'win32.join(["","bar.js:\\\\/~server"])': { value: '.\\bar.js:\\~server' },
+  'win32.join(["","bar.js:\\\\/~server",":"])': { value: '.\\bar.js:\\~server\\:' },
+  'win32.relative(["","bar.js:\\\\/~server"])': { value: 'bar.js:\\~server' },
+  'win32.basename(["","bar.js:\\\\/~server"])': { value: '' },
+  'win32.format([{"dir":"","name":"bar.js:\\\\/~server","ext":":"}])': {
+    value: 'bar.js:\\/~server.:',
+  },
+  'win32.resolve(["~serverCON"])': { value: '\\~serverCON' },
+  'win32.resolve(["~serverCON","","CON\\\\:.."])': { value: '\\~serverCON\\CON\\:..' },
+  'win32.normalize(["~serverCON"])': { value: '~serverCON' },
+  'win32.isAbsolute(["~serverCON"])': { value: false },
+  'win32.join(["~serverCON",""])': { value: '~serverCON' },
+  'win32.join(["~serverCON","","CON\\\\:.."])': { value: '~serverCON\\CON\\:..' },
+  'win32.relative(["~serverCON",""])': { value: '..' },
+  'win32.toNamespacedPath(["~serverCON"])': { value: '\\~serverCON' },
+  'win32.dirname(["~serverCON"])': { value: '.' },
+  'win32.basename(["~serverCON"])': { value: '~serverCON' },
+  'win32.basename(["~serverCON",""])': { value: '~serverCON' },
+  'win32.extname(["~serverCON"])': { value: '' },
+  'win32.parse(["~serverCON"])': {
+    value: { root: '', dir: '', base: '~serverCON', ext: '', name: '~serverCON' },
+  },
+  'win32.format([{"dir":"~serverCON","name":"","ext":"CON\\\\:.."}])': {
+    value: '~serverCON\\.CON\\:..',
+  },
+  'win32.resolve([".ext\\\\\\\\CON//foo"])': { value: '\\.ext\\CON\\foo' },
+  'win32.resolve([".ext\\\\\\\\CON//foo","c::.server","é:"])': {
+    value: 'c:\\.ext\\CON\\foo\\:.server\\é:',
+  },
+  'win32.normalize([".ext\\\\\\\\CON//foo"])': { value: '.ext\\CON\\foo' },
+  'win32.isAbsolute([".ext\\\\\\\\CON//foo"])': { value: false },
+  'win32.join([".ext\\\\\\\\CON//foo","c::.server"])': { value: '.ext\\CON\\foo\\c::.server' },
+  'win32.join([".ext\\\\\\\\CON//foo","c::.server","é:"])': {
+    value: '.\\.ext\\CON\\foo\\c::.server\\é:',
+  },
+  'win32.relative([".ext\\\\\\\\CON//foo","c::.server"])': { value: 'c:\\:.server' },
+  'win32.toNamespacedPath([".ext\\\\\\\\CON//foo"])': { value: '\\.ext\\CON\\foo' },
+  'win32.dirname([".ext\\\\\\\\CON//foo"])': { value: '.ext\\\\CON/' },
+  'win32.basename([".ext\\\\\\\\CON//foo"])': { value: 'foo' },
+  'win32.basename([".ext\\\\\\\\CON//foo","c::.server"])': { value: 'foo' },
+  'win32.extname([".ext\\\\\\\\CON//foo"])': { value: '' },
+  'win32.parse([".ext\\\\\\\\CON//foo"])': {
+    value: { root: '', dir: '.ext\\\\CON/', base: 'foo', ext: '', name: 'foo' },
+  },
+  'win32.format([{"dir":".ext\\\\\\\\CON//foo","name":"c::.server","ext":"é:"}])': {
+    value: '.ext\\\\CON//foo\\c::.server.é:',
+  },
+  'win32.resolve(["\\\\"])': { value: '\\' },
+  'win32.resolve(["\\\\","share",""])': { value: '\\share' },
+  'win32.normalize(["\\\\"])': { value: '\\' },
+  'win32.isAbsolute(["\\\\"])': { value: true },
+  'win32.join(["\\\\","share"])': { value: '\\share' },
+  'win32.join(["\\\\","share",""])': { value: '\\share' },
+  'win32.relative(["\\\\","share"])': { value: 'share' },
+  'win32.toNamespacedPath(["\\\\"])': { value: '\\' },
+  'win32.basename(["\\\\"])': { value: '' },
+  'win32.basename(["\\\\","share"])': { value: '' },
+  'win32.extname(["\\\\"])': { value: '' },
+  'win32.format([{"dir":"\\\\","name":"share","ext":""}])': { value: '\\\\share' },
+  'win32.resolve([".."])': { value: '\\' },
+  'win32.resolve(["..","server\\\\\\\\c:",""])': { value: '\\server\\c:' },
+  'win32.normalize([".."])': { value: '..' },
+  'win32.isAbsolute([".."])': { value: false },
+  'win32.join(["..","server\\\\\\\\c:"])': { value: '.\\..\\server\\c:' },
+  'win32.join(["..","server\\\\\\\\c:",""])': { value: '.\\..\\server\\c:' },
+  'win32.relative(["..","server\\\\\\\\c:"])': { value: 'server\\c:' },
+  'win32.toNamespacedPath([".."])': { value: '..' },
+  'win32.dirname([".."])': { value: '.' },
+  'win32.basename([".."])': { value: '..' },
+  'win32.basename(["..","server\\\\\\\\c:"])': { value: '..' },
+  'win32.format([{"dir":"..","name":"server\\\\\\\\c:","ext":""}])': { value: '..\\server\\\\c:' },
+  'win32.resolve(["CON/"])': { value: '\\CON' },
+  'win32.resolve(["CON/"," C://\\\\foo:","..CON../share"])': {
+    value: '\\CON\\ C:\\foo:\\..CON..\\share',
+  },
+  'win32.normalize(["CON/"])': { value: '.\\CON\\' },
+  'win32.isAbsolute(["CON/"])': { value: false },
+  'win32.join(["CON/"," C://\\\\foo:"])': { value: '.\\CON\\ C:\\foo:' },
+  'win32.join(["CON/"," C://\\\\foo:","..CON../share"])': {
+    value: '.\\CON\\ C:\\foo:\\..CON..\\share',
+  },
+  'win32.relative(["CON/"," C://\\\\foo:"])': { value: '\\ C:\\foo:' },
+  'win32.toNamespacedPath(["CON/"])': { value: '\\CON' },
+  'win32.dirname(["CON/"])': { value: '.' },
+  'win32.basename(["CON/"])': { value: 'CON' },
+  'win32.basename(["CON/"," C://\\\\foo:"])': { value: 'CON' },
+  'win32.extname(["CON/"])': { value: '' },
+  'win32.parse(["CON/"])': { value: { root: '', dir: '', base: 'CON', ext: '', name: 'CON' } },
+  'win32.format([{"dir":"CON/","name":" C://\\\\foo:","ext":"..CON../share"}])': {
+    value: 'CON/\\ C://\\foo:..CON../share',
+  },
+  'win32.resolve(["c:fooshare"])': { value: 'c:\\fooshare' },
+  'win32.resolve(["c:fooshare","~fooshare///",":..server"])': {
+    value: 'c:\\fooshare\\~fooshare\\:..server',
+  },
+  'win32.normalize(["c:fooshare"])': { value: 'c:fooshare' },
+  'win32.isAbsolute(["c:fooshare"])': { value: false },
+  'win32.join(["c:fooshare","~fooshare///"])': { value: 'c:fooshare\\~fooshare\\' },
+  'win32.join(["c:fooshare","~fooshare///",":..server"])': {
+    value: 'c:fooshare\\~fooshare\\:..server',
+  },
+  'win32.relative(["c:fooshare","~fooshare///"])': { value: '\\~fooshare' },
+  'win32.toNamespacedPath(["c:fooshare"])': { value: '\\\\?\\c:\\fooshare' },
+  'win32.dirname(["c:fooshare"])': { value: 'c:' },
+  'win32.basename(["c:fooshare"])': { value: 'fooshare' },
+  'win32.basename(["c:fooshare","~fooshare///"])': { value: 'fooshare' },
+  'win32.extname(["c:fooshare"])': { value: '' },
+  'win32.parse(["c:fooshare"])': {
+    value: { root: 'c:', dir: 'c:', base: 'fooshare', ext: '', name: 'fooshare' },
+  },
+  'win32.format([{"dir":"c:fooshare","name":"~fooshare///","ext":":..server"}])': {
+    value: 'c:fooshare\\~fooshare///.:..server',
+  },
+  'win32.resolve(["c::.server"])': { value: 'c:\\:.server' },
+  'win32.resolve(["c::.server","foo\\\\//D:","/.."])': { value: 'c:\\' },
+  'win32.normalize(["c::.server"])': { value: 'c::.server' },
+  'win32.isAbsolute(["c::.server"])': { value: false },
+  'win32.join(["c::.server","foo\\\\//D:"])': { value: 'c::.server\\foo\\D:' },
+  'win32.join(["c::.server","foo\\\\//D:","/.."])': { value: 'c::.server\\foo' },
+  'win32.relative(["c::.server","foo\\\\//D:"])': { value: '\\foo\\D:' },
+  'win32.toNamespacedPath(["c::.server"])': { value: '\\\\?\\c:\\:.server' },
+  'win32.dirname(["c::.server"])': { value: 'c:' },
+  'win32.basename(["c::.server"])': { value: ':.server' },
+  'win32.basename(["c::.server","foo\\\\//D:"])': { value: ':.server' },
+  'win32.extname(["c::.server"])': { value: '.server' },
+  'win32.parse(["c::.server"])': {
+    value: { root: 'c:', dir: 'c:', base: ':.server', ext: '.server', name: ':' },
+  },
+  'win32.format([{"dir":"c::.server","name":"foo\\\\//D:","ext":"/.."}])': {
+    value: 'c::.server\\foo\\//D:./..',
+  },
+  'win32.resolve(["\\\\\\\\.extshare"])': { value: '\\.extshare' },
+  'win32.resolve(["\\\\\\\\.extshare",":","share"])': { value: '\\.extshare\\:\\share' },
+  'win32.normalize(["\\\\\\\\.extshare"])': { value: '\\.extshare' },
+  'win32.isAbsolute(["\\\\\\\\.extshare"])': { value: true },
+  'win32.join(["\\\\\\\\.extshare",":"])': { value: '\\\\.extshare\\:\\' },
+  'win32.join(["\\\\\\\\.extshare",":","share"])': { value: '\\\\.extshare\\:\\share' },
+  'win32.relative(["\\\\\\\\.extshare",":"])': { value: '\\:' },
+  'win32.toNamespacedPath(["\\\\\\\\.extshare"])': { value: '\\.extshare' },
+  'win32.dirname(["\\\\\\\\.extshare"])': { value: '\\' },
+  'win32.basename(["\\\\\\\\.extshare"])': { value: '.extshare' },
+  'win32.basename(["\\\\\\\\.extshare",":"])': { value: '.extshare' },
+  'win32.extname(["\\\\\\\\.extshare"])': { value: '' },
+  'win32.parse(["\\\\\\\\.extshare"])': {
+    value: { root: '\\', dir: '\\', base: '.extshare', ext: '', name: '.extshare' },
+  },
+  'win32.format([{"dir":"\\\\\\\\.extshare","name":":","ext":"share"}])': {
+    value: '\\\\.extshare\\:.share',
+  },
+  'win32.resolve(["..CON\\\\\\\\COND:/"])': { value: '\\..CON\\COND:' },
+  'win32.resolve(["..CON\\\\\\\\COND:/","é","foo\\\\\\\\\\\\server"])': {
+    value: '\\..CON\\COND:\\é\\foo\\server',
+  },
+  'win32.normalize(["..CON\\\\\\\\COND:/"])': { value: '.\\..CON\\COND:\\' },
+  'win32.isAbsolute(["..CON\\\\\\\\COND:/"])': { value: false },
+  'win32.join(["..CON\\\\\\\\COND:/","é"])': { value: '.\\..CON\\COND:\\é' },
+  'win32.join(["..CON\\\\\\\\COND:/","é","foo\\\\\\\\\\\\server"])': {
+    value: '.\\..CON\\COND:\\é\\foo\\server',
+  },
+  'win32.relative(["..CON\\\\\\\\COND:/","é"])': { value: '\\é' },
+  'win32.toNamespacedPath(["..CON\\\\\\\\COND:/"])': { value: '\\..CON\\COND:' },
+  'win32.dirname(["..CON\\\\\\\\COND:/"])': { value: '..CON\\' },
+  'win32.basename(["..CON\\\\\\\\COND:/"])': { value: 'COND:' },
+  'win32.basename(["..CON\\\\\\\\COND:/","é"])': { value: 'COND:' },
+  'win32.extname(["..CON\\\\\\\\COND:/"])': { value: '' },
+  'win32.parse(["..CON\\\\\\\\COND:/"])': {
+    value: { root: '', dir: '..CON\\', base: 'COND:', ext: '', name: 'COND:' },
+  },
+  'win32.format([{"dir":"..CON\\\\\\\\COND:/","name":"é","ext":"foo\\\\\\\\\\\\server"}])': {
+    value: '..CON\\\\COND:/\\é.foo\\\\\\server',
+  },
+  'win32.resolve(["c:."])': { value: 'c:\\' },
+  'win32.resolve(["c:.",":..server",""])': { value: 'c:\\:..server' },
+  'win32.normalize(["c:."])': { value: 'c:.' },
+  'win32.isAbsolute(["c:."])': { value: false },
+  'win32.join(["c:.",":..server"])': { value: 'c::..server' },
+  'win32.join(["c:.",":..server",""])': { value: 'c::..server' },
+  'win32.relative(["c:.",":..server"])': { value: '\\:..server' },
+  'win32.toNamespacedPath(["c:."])': { value: '\\\\?\\c:\\' },
+  'win32.dirname(["c:."])': { value: 'c:' },
+  'win32.basename(["c:."])': { value: '.' },
+  'win32.basename(["c:.",":..server"])': { value: '.' },
+  'win32.extname(["c:."])': { value: '' },
+  'win32.parse(["c:."])': { value: { root: 'c:', dir: 'c:', base: '.', ext: '', name: '.' } },
+  'win32.format([{"dir":"c:.","name":":..server","ext":""}])': { value: 'c:.\\:..server' },
+  'win32.resolve(["é:"])': { value: '\\é:' },
+  'win32.resolve(["é:","c:fooshare",""])': { value: 'c:\\é:\\fooshare' },
+  'win32.normalize(["é:"])': { value: '.\\é:' },
+  'win32.isAbsolute(["é:"])': { value: false },
+  'win32.join(["é:","c:fooshare"])': { value: '.\\é:\\c:fooshare' },
+  'win32.join(["é:","c:fooshare",""])': { value: '.\\é:\\c:fooshare' },
+  'win32.relative(["é:","c:fooshare"])': { value: 'c:\\fooshare' },
+  'win32.toNamespacedPath(["é:"])': { value: '\\é:' },
+  'win32.dirname(["é:"])': { value: '.' },
+  'win32.basename(["é:"])': { value: 'é:' },
+  'win32.basename(["é:","c:fooshare"])': { value: 'é:' },
+  'win32.extname(["é:"])': { value: '' },
+  'win32.parse(["é:"])': { value: { root: '', dir: '', base: 'é:', ext: '', name: 'é:' } },
+  'win32.format([{"dir":"é:","name":"c:fooshare","ext":""}])': { value: 'é:\\c:fooshare' },
+  'win32.resolve(["/.."])': { value: '\\' },
+  'win32.resolve(["/..","\\\\\\\\é\\\\\\\\/","\\\\\\\\é\\\\\\\\/"])': { value: '\\é' },
+  'win32.normalize(["/.."])': { value: '\\' },
+  'win32.isAbsolute(["/.."])': { value: true },
+  'win32.join(["/..","\\\\\\\\é\\\\\\\\/"])': { value: '\\é\\' },
+  'win32.join(["/..","\\\\\\\\é\\\\\\\\/","\\\\\\\\é\\\\\\\\/"])': { value: '\\é\\é\\' },
+  'win32.relative(["/..","\\\\\\\\é\\\\\\\\/"])': { value: 'é' },
+  'win32.toNamespacedPath(["/.."])': { value: '/..' },
+  'win32.dirname(["/.."])': { value: '/' },
+  'win32.basename(["/.."])': { value: '..' },
+  'win32.basename(["/..","\\\\\\\\é\\\\\\\\/"])': { value: '..' },
+  'win32.extname(["/.."])': { value: '' },
+  'win32.parse(["/.."])': { value: { root: '/', dir: '/', base: '..', ext: '', name: '..' } },
+  'win32.format([{"dir":"/..","name":"\\\\\\\\é\\\\\\\\/","ext":"\\\\\\\\é\\\\\\\\/"}])': {
+    value: '/..\\\\\\é\\\\/.\\\\é\\\\/',
+  },
+  'win32.resolve(["\\\\\\\\é\\\\\\\\/"])': { value: '\\é' },
+  'win32.resolve(["\\\\\\\\é\\\\\\\\/",".ext..","c: ?.."])': { value: 'c:\\é\\.ext..\\ ?..' },
+  'win32.normalize(["\\\\\\\\é\\\\\\\\/"])': { value: '\\é\\' },
+  'win32.isAbsolute(["\\\\\\\\é\\\\\\\\/"])': { value: true },
+  'win32.join(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: '\\\\é\\.ext..\\' },
+  'win32.join(["\\\\\\\\é\\\\\\\\/",".ext..","c: ?.."])': { value: '\\\\é\\.ext..\\c: ?..' },
+  'win32.relative(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: '\\.ext..' },
+  'win32.toNamespacedPath(["\\\\\\\\é\\\\\\\\/"])': { value: '\\\\é\\\\/' },
+  'win32.dirname(["\\\\\\\\é\\\\\\\\/"])': { value: '\\' },
+  'win32.basename(["\\\\\\\\é\\\\\\\\/"])': { value: 'é' },
+  'win32.basename(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: 'é' },
+  'win32.extname(["\\\\\\\\é\\\\\\\\/"])': { value: '' },
+  'win32.parse(["\\\\\\\\é\\\\\\\\/"])': {
+    value: { root: '\\', dir: '\\', base: 'é', ext: '', name: 'é' },
+  },
+  'win32.format([{"dir":"\\\\\\\\é\\\\\\\\/","name":".ext..","ext":"c: ?.."}])': {
+    value: '\\\\é\\\\/\\.ext...c: ?..',
+  },
+  'win32.resolve(["share"])': { value: '\\share' },
+  'win32.resolve(["share",".ext~.~.exté","?//"])': { value: '\\share\\.ext~.~.exté\\?' },
+  'win32.normalize(["share"])': { value: 'share' },
+  'win32.isAbsolute(["share"])': { value: false },
+  'win32.join(["share",".ext~.~.exté"])': { value: 'share\\.ext~.~.exté' },
+  'win32.join(["share",".ext~.~.exté","?//"])': { value: 'share\\.ext~.~.exté\\?\\' },
+  'win32.relative(["share",".ext~.~.exté"])': { value: '\\.ext~.~.exté' },
+  'win32.toNamespacedPath(["share"])': { value: '\\share' },
+  'win32.dirname(["share"])': { value: '.' },
+  'win32.basename(["share"])': { value: 'share' },
+  'win32.basename(["share",".ext~.~.exté"])': { value: 'share' },
+  'win32.extname(["share"])': { value: '' },
+  'win32.parse(["share"])': { value: { root: '', dir: '', base: 'share', ext: '', name: 'share' } },
+  'win32.format([{"dir":"share","name":".ext~.~.exté","ext":"?//"}])': {
+    value: 'share\\.ext~.~.exté.?//',
+  },
+  'win32.resolve(["?a.b.c//\\\\\\\\C:"])': { value: '\\?a.b.c\\C:' },
+  'win32.resolve(["?a.b.c//\\\\\\\\C:","shareserver:é","c:CONshare.."])': {
+    value: 'c:\\?a.b.c\\C:\\shareserver:é\\CONshare..',
+  },
+  'win32.normalize(["?a.b.c//\\\\\\\\C:"])': { value: '.\\?a.b.c\\C:' },
+  'win32.isAbsolute(["?a.b.c//\\\\\\\\C:"])': { value: false },
+  'win32.join(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: '.\\?a.b.c\\C:\\shareserver:é' },
+  'win32.join(["?a.b.c//\\\\\\\\C:","shareserver:é","c:CONshare.."])': {
+    value: '.\\?a.b.c\\C:\\shareserver:é\\c:CONshare..',
+  },
+  'win32.relative(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: '\\shareserver:é' },
+  'win32.toNamespacedPath(["?a.b.c//\\\\\\\\C:"])': { value: '\\?a.b.c\\C:' },
+  'win32.dirname(["?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c//\\' },
+  'win32.basename(["?a.b.c//\\\\\\\\C:"])': { value: 'C:' },
+  'win32.basename(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: 'C:' },
+  'win32.extname(["?a.b.c//\\\\\\\\C:"])': { value: '' },
+  'win32.parse(["?a.b.c//\\\\\\\\C:"])': {
+    value: { root: '', dir: '?a.b.c//\\', base: 'C:', ext: '', name: 'C:' },
+  },
+  'win32.format([{"dir":"?a.b.c//\\\\\\\\C:","name":"shareserver:é","ext":"c:CONshare.."}])': {
+    value: '?a.b.c//\\\\C:\\shareserver:é.c:CONshare..',
+  },
+  'win32.resolve([".extC:bar.js/"])': { value: '\\.extC:bar.js' },
+  'win32.resolve([".extC:bar.js/","","~serverCON"])': { value: '\\.extC:bar.js\\~serverCON' },
+  'win32.normalize([".extC:bar.js/"])': { value: '.extC:bar.js\\' },
+  'win32.isAbsolute([".extC:bar.js/"])': { value: false },
+  'win32.join([".extC:bar.js/",""])': { value: '.extC:bar.js\\' },
+  'win32.join([".extC:bar.js/","","~serverCON"])': { value: '.extC:bar.js\\~serverCON' },
+  'win32.relative([".extC:bar.js/",""])': { value: '..' },
+  'win32.toNamespacedPath([".extC:bar.js/"])': { value: '\\.extC:bar.js' },
+  'win32.dirname([".extC:bar.js/"])': { value: '.' },
+  'win32.basename([".extC:bar.js/"])': { value: '.extC:bar.js' },
+  'win32.basename([".extC:bar.js/",""])': { value: '.extC:bar.js' },
+  'win32.extname([".extC:bar.js/"])': { value: '.js' },
+  'win32.parse([".extC:bar.js/"])': {
+    value: { root: '', dir: '', base: '.extC:bar.js', ext: '.js', name: '.extC:bar' },
+  },
+  'win32.format([{"dir":".extC:bar.js/","name":"","ext":"~serverCON"}])': {
+    value: '.extC:bar.js/\\.~serverCON',
+  },
+  'win32.resolve(["//..\\\\\\\\D:bar.js "])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.resolve(["//..\\\\\\\\D:bar.js ","","share"])': { value: '\\\\..\\D:bar.js \\share' },
+  'win32.normalize(["//..\\\\\\\\D:bar.js "])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.isAbsolute(["//..\\\\\\\\D:bar.js "])': { value: true },
+  'win32.join(["//..\\\\\\\\D:bar.js ",""])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.join(["//..\\\\\\\\D:bar.js ","","share"])': { value: '\\\\..\\D:bar.js \\share' },
+  'win32.relative(["//..\\\\\\\\D:bar.js ",""])': { value: '..\\..' },
+  'win32.toNamespacedPath(["//..\\\\\\\\D:bar.js "])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.dirname(["//..\\\\\\\\D:bar.js "])': { value: '//..\\\\D:bar.js ' },
+  'win32.basename(["//..\\\\\\\\D:bar.js "])': { value: 'D:bar.js ' },
+  'win32.basename(["//..\\\\\\\\D:bar.js ",""])': { value: 'D:bar.js ' },
+  'win32.extname(["//..\\\\\\\\D:bar.js "])': { value: '.js ' },
+  'win32.parse(["//..\\\\\\\\D:bar.js "])': {
+    value: { root: '//..\\\\D:bar.js ', dir: '//..\\\\D:bar.js ', base: '', ext: '', name: '' },
+  },
+  'win32.format([{"dir":"//..\\\\\\\\D:bar.js ","name":"","ext":"share"}])': {
+    value: '//..\\\\D:bar.js \\.share',
+  },
+  'win32.resolve([".\\\\fooa.b.c//"])': { value: '\\fooa.b.c' },
+  'win32.resolve([".\\\\fooa.b.c//","D::é",".ext~.~.exté"])': {
+    value: 'D:\\fooa.b.c\\:é\\.ext~.~.exté',
+  },
+  'win32.normalize([".\\\\fooa.b.c//"])': { value: 'fooa.b.c\\' },
+  'win32.isAbsolute([".\\\\fooa.b.c//"])': { value: false },
+  'win32.join([".\\\\fooa.b.c//","D::é"])': { value: 'fooa.b.c\\D::é' },
+  'win32.join([".\\\\fooa.b.c//","D::é",".ext~.~.exté"])': {
+    value: 'fooa.b.c\\D::é\\.ext~.~.exté',
+  },
+  'win32.relative([".\\\\fooa.b.c//","D::é"])': { value: 'D:\\:é' },
+  'win32.toNamespacedPath([".\\\\fooa.b.c//"])': { value: '\\fooa.b.c' },
+  'win32.dirname([".\\\\fooa.b.c//"])': { value: '.' },
+  'win32.basename([".\\\\fooa.b.c//"])': { value: 'fooa.b.c' },
+  'win32.basename([".\\\\fooa.b.c//","D::é"])': { value: 'fooa.b.c' },
+  'win32.extname([".\\\\fooa.b.c//"])': { value: '.c' },
+  'win32.parse([".\\\\fooa.b.c//"])': {
+    value: { root: '', dir: '.', base: 'fooa.b.c', ext: '.c', name: 'fooa.b' },
+  },
+  'win32.format([{"dir":".\\\\fooa.b.c//","name":"D::é","ext":".ext~.~.exté"}])': {
+    value: '.\\fooa.b.c//\\D::é.ext~.~.exté',
+  },
+  'win32.resolve(["bar.js\\\\\\\\"])': { value: '\\bar.js' },
+  'win32.resolve(["bar.js\\\\\\\\","CON\\\\:..","server~"])': {
+    value: '\\bar.js\\CON\\:..\\server~',
+  },
+  'win32.normalize(["bar.js\\\\\\\\"])': { value: 'bar.js\\' },
+  'win32.isAbsolute(["bar.js\\\\\\\\"])': { value: false },
+  'win32.join(["bar.js\\\\\\\\","CON\\\\:.."])': { value: 'bar.js\\CON\\:..' },
+  'win32.join(["bar.js\\\\\\\\","CON\\\\:..","server~"])': { value: 'bar.js\\CON\\:..\\server~' },
+  'win32.relative(["bar.js\\\\\\\\","CON\\\\:.."])': { value: '\\CON\\:..' },
+  'win32.toNamespacedPath(["bar.js\\\\\\\\"])': { value: '\\bar.js' },
+  'win32.dirname(["bar.js\\\\\\\\"])': { value: '.' },
+  'win32.basename(["bar.js\\\\\\\\"])': { value: 'bar.js' },
+  'win32.basename(["bar.js\\\\\\\\","CON\\\\:.."])': { value: 'bar.js' },
+  'win32.extname(["bar.js\\\\\\\\"])': { value: '.js' },
+  'win32.parse(["bar.js\\\\\\\\"])': {
+    value: { root: '', dir: '', base: 'bar.js', ext: '.js', name: 'bar' },
+  },
+  'win32.format([{"dir":"bar.js\\\\\\\\","name":"CON\\\\:..","ext":"server~"}])': {
+    value: 'bar.js\\\\\\CON\\:...server~',
+  },
+  'win32.resolve([".ext.."])': { value: '\\.ext..' },
+  'win32.resolve([".ext..","CON/",""])': { value: '\\.ext..\\CON' },
+  'win32.normalize([".ext.."])': { value: '.ext..' },
+  'win32.isAbsolute([".ext.."])': { value: false },
+  'win32.join([".ext..","CON/"])': { value: '.ext..\\CON\\' },
+  'win32.join([".ext..","CON/",""])': { value: '.ext..\\CON\\' },
+  'win32.relative([".ext..","CON/"])': { value: '\\CON' },
+  'win32.toNamespacedPath([".ext.."])': { value: '\\.ext..' },
+  'win32.dirname([".ext.."])': { value: '.' },
+  'win32.basename([".ext.."])': { value: '.ext..' },
+  'win32.basename([".ext..","CON/"])': { value: '.ext..' },
+  'win32.extname([".ext.."])': { value: '.' },
+  'win32.parse([".ext.."])': {
+    value: { root: '', dir: '', base: '.ext..', ext: '.', name: '.ext.' },
+  },
+  'win32.format([{"dir":".ext..","name":"CON/","ext":""}])': { value: '.ext..\\CON/' },
+  'win32.resolve(["server\\\\\\\\c:"])': { value: '\\server\\c:' },
+  'win32.resolve(["server\\\\\\\\c:","/..",".ext\\\\\\\\CON//foo"])': { value: '\\.ext\\CON\\foo' },
+  'win32.normalize(["server\\\\\\\\c:"])': { value: '.\\server\\c:' },
+  'win32.isAbsolute(["server\\\\\\\\c:"])': { value: false },
+  'win32.join(["server\\\\\\\\c:","/.."])': { value: '.\\server' },
+  'win32.join(["server\\\\\\\\c:","/..",".ext\\\\\\\\CON//foo"])': {
+    value: '.\\server\\.ext\\CON\\foo',
+  },
+  'win32.relative(["server\\\\\\\\c:","/.."])': { value: '..\\..' },
+  'win32.toNamespacedPath(["server\\\\\\\\c:"])': { value: '\\server\\c:' },
+  'win32.dirname(["server\\\\\\\\c:"])': { value: 'server\\' },
+  'win32.basename(["server\\\\\\\\c:"])': { value: 'c:' },
+  'win32.basename(["server\\\\\\\\c:","/.."])': { value: 'c:' },
+  'win32.extname(["server\\\\\\\\c:"])': { value: '' },
+  'win32.parse(["server\\\\\\\\c:"])': {
+    value: { root: '', dir: 'server\\', base: 'c:', ext: '', name: 'c:' },
+  },
+  'win32.format([{"dir":"server\\\\\\\\c:","name":"/..","ext":".ext\\\\\\\\CON//foo"}])': {
+    value: 'server\\\\c:\\/...ext\\\\CON//foo',
+  },
+  'win32.resolve(["..~/:"])': { value: '\\..~\\:' },
+  'win32.resolve(["..~/:","bar.js\\\\\\\\","?a.b.c//\\\\\\\\C:"])': {
+    value: '\\..~\\:\\bar.js\\?a.b.c\\C:',
+  },
+  'win32.normalize(["..~/:"])': { value: '.\\..~\\:' },
+  'win32.isAbsolute(["..~/:"])': { value: false },
+  'win32.join(["..~/:","bar.js\\\\\\\\"])': { value: '.\\..~\\:\\bar.js\\' },
+  'win32.join(["..~/:","bar.js\\\\\\\\","?a.b.c//\\\\\\\\C:"])': {
+    value: '.\\..~\\:\\bar.js\\?a.b.c\\C:',
+  },
+  'win32.relative(["..~/:","bar.js\\\\\\\\"])': { value: '\\bar.js' },
+  'win32.toNamespacedPath(["..~/:"])': { value: '\\..~\\:' },
+  'win32.dirname(["..~/:"])': { value: '..~' },
+  'win32.basename(["..~/:"])': { value: ':' },
+  'win32.basename(["..~/:","bar.js\\\\\\\\"])': { value: ':' },
+  'win32.extname(["..~/:"])': { value: '' },
+  'win32.parse(["..~/:"])': { value: { root: '', dir: '..~', base: ':', ext: '', name: ':' } },
+  'win32.format([{"dir":"..~/:","name":"bar.js\\\\\\\\","ext":"?a.b.c//\\\\\\\\C:"}])': {
+    value: '..~/:\\bar.js\\\\.?a.b.c//\\\\C:',
+  },
+  'win32.resolve(["","c: ?.."," C://\\\\foo:"])': { value: 'c:\\ ?..\\ C:\\foo:' },
+  'win32.join(["","c: ?.."])': { value: 'c: ?..' },
+  'win32.join(["","c: ?.."," C://\\\\foo:"])': { value: 'c: ?..\\ C:\\foo:' },
+  'win32.relative(["","c: ?.."])': { value: 'c:\\ ?..' },
+  'win32.basename(["","c: ?.."])': { value: '' },
+  'win32.format([{"dir":"","name":"c: ?..","ext":" C://\\\\foo:"}])': {
+    value: 'c: ?... C://\\foo:',
+  },
+  'win32.resolve(["","",""])': { value: '\\' },
+  'win32.join(["","",""])': { value: '.' },
+  'win32.basename(["",""])': { value: '' },
+  'win32.format([{"dir":"","name":"","ext":""}])': { value: '' },
+  'win32.resolve(["share","server~",""])': { value: '\\share\\server~' },
+  'win32.join(["share","server~"])': { value: 'share\\server~' },
+  'win32.join(["share","server~",""])': { value: 'share\\server~' },
+  'win32.relative(["share","server~"])': { value: '\\server~' },
+  'win32.basename(["share","server~"])': { value: 'share' },
+  'win32.format([{"dir":"share","name":"server~","ext":""}])': { value: 'share\\server~' },
+  'win32.resolve(["c: ?.."])': { value: 'c:\\ ?..' },
+  'win32.resolve(["c: ?..","fooD:.ext","\\\\"])': { value: 'c:\\' },
+  'win32.normalize(["c: ?.."])': { value: 'c: ?..' },
+  'win32.isAbsolute(["c: ?.."])': { value: false },
+  'win32.join(["c: ?..","fooD:.ext"])': { value: 'c: ?..\\fooD:.ext' },
+  'win32.join(["c: ?..","fooD:.ext","\\\\"])': { value: 'c: ?..\\fooD:.ext\\' },
+  'win32.relative(["c: ?..","fooD:.ext"])': { value: '\\fooD:.ext' },
+  'win32.toNamespacedPath(["c: ?.."])': { value: '\\\\?\\c:\\ ?..' },
+  'win32.dirname(["c: ?.."])': { value: 'c:' },
+  'win32.basename(["c: ?.."])': { value: ' ?..' },
+  'win32.basename(["c: ?..","fooD:.ext"])': { value: ' ?..' },
+  'win32.extname(["c: ?.."])': { value: '.' },
+  'win32.parse(["c: ?.."])': {
+    value: { root: 'c:', dir: 'c:', base: ' ?..', ext: '.', name: ' ?.' },
+  },
+  'win32.format([{"dir":"c: ?..","name":"fooD:.ext","ext":"\\\\"}])': {
+    value: 'c: ?..\\fooD:.ext.\\',
+  },
+  'win32.resolve([".ext~.~.exté"])': { value: '\\.ext~.~.exté' },
+  'win32.resolve([".ext~.~.exté","",".extC:bar.js/"])': { value: '\\.ext~.~.exté\\.extC:bar.js' },
+  'win32.normalize([".ext~.~.exté"])': { value: '.ext~.~.exté' },
+  'win32.isAbsolute([".ext~.~.exté"])': { value: false },
+  'win32.join([".ext~.~.exté",""])': { value: '.ext~.~.exté' },
+  'win32.join([".ext~.~.exté","",".extC:bar.js/"])': { value: '.ext~.~.exté\\.extC:bar.js\\' },
+  'win32.relative([".ext~.~.exté",""])': { value: '..' },
+  'win32.toNamespacedPath([".ext~.~.exté"])': { value: '\\.ext~.~.exté' },
+  'win32.dirname([".ext~.~.exté"])': { value: '.' },
+  'win32.basename([".ext~.~.exté"])': { value: '.ext~.~.exté' },
+  'win32.basename([".ext~.~.exté",""])': { value: '.ext~.~.exté' },
+  'win32.extname([".ext~.~.exté"])': { value: '.exté' },
+  'win32.parse([".ext~.~.exté"])': {
+    value: { root: '', dir: '', base: '.ext~.~.exté', ext: '.exté', name: '.ext~.~' },
+  },
+  'win32.format([{"dir":".ext~.~.exté","name":"","ext":".extC:bar.js/"}])': {
+    value: '.ext~.~.exté\\.extC:bar.js/',
+  },
+  'win32.resolve([" C://\\\\foo:"])': { value: '\\ C:\\foo:' },
+  'win32.resolve([" C://\\\\foo:","/","bar.js"])': { value: '\\bar.js' },
+  'win32.normalize([" C://\\\\foo:"])': { value: '.\\ C:\\foo:' },
+  'win32.isAbsolute([" C://\\\\foo:"])': { value: false },
+  'win32.join([" C://\\\\foo:","/"])': { value: '.\\ C:\\foo:\\' },
+  'win32.join([" C://\\\\foo:","/","bar.js"])': { value: '.\\ C:\\foo:\\bar.js' },
+  'win32.relative([" C://\\\\foo:","/"])': { value: '..\\..' },
+  'win32.toNamespacedPath([" C://\\\\foo:"])': { value: '\\ C:\\foo:' },
+  'win32.dirname([" C://\\\\foo:"])': { value: ' C://' },
+  'win32.basename([" C://\\\\foo:"])': { value: 'foo:' },
+  'win32.basename([" C://\\\\foo:","/"])': { value: 'foo:' },
+  'win32.extname([" C://\\\\foo:"])': { value: '' },
+  'win32.parse([" C://\\\\foo:"])': {
+    value: { root: '', dir: ' C://', base: 'foo:', ext: '', name: 'foo:' },
+  },
+  'win32.format([{"dir":" C://\\\\foo:","name":"/","ext":"bar.js"}])': {
+    value: ' C://\\foo:\\/.bar.js',
+  },
+  'win32.resolve(["bar.js"])': { value: '\\bar.js' },
+  'win32.resolve(["bar.js","..","foo\\\\//D:"])': { value: '\\foo\\D:' },
+  'win32.normalize(["bar.js"])': { value: 'bar.js' },
+  'win32.isAbsolute(["bar.js"])': { value: false },
+  'win32.join(["bar.js",".."])': { value: '.' },
+  'win32.join(["bar.js","..","foo\\\\//D:"])': { value: '.\\foo\\D:' },
+  'win32.relative(["bar.js",".."])': { value: '..' },
+  'win32.toNamespacedPath(["bar.js"])': { value: '\\bar.js' },
+  'win32.dirname(["bar.js"])': { value: '.' },
+  'win32.basename(["bar.js"])': { value: 'bar.js' },
+  'win32.basename(["bar.js",".."])': { value: 'bar.js' },
+  'win32.extname(["bar.js"])': { value: '.js' },
+  'win32.parse(["bar.js"])': {
+    value: { root: '', dir: '', base: 'bar.js', ext: '.js', name: 'bar' },
+  },
+  'win32.format([{"dir":"bar.js","name":"..","ext":"foo\\\\//D:"}])': {
+    value: 'bar.js\\...foo\\//D:',
+  },
+  'win32.resolve([" shareé.."])': { value: '\\ shareé..' },
+  'win32.resolve([" shareé..","é:","D::é"])': { value: 'D:\\ shareé..\\é:\\:é' },
+  'win32.normalize([" shareé.."])': { value: ' shareé..' },
+  'win32.isAbsolute([" shareé.."])': { value: false },
+  'win32.join([" shareé..","é:"])': { value: '.\\ shareé..\\é:' },
+  'win32.join([" shareé..","é:","D::é"])': { value: '.\\ shareé..\\é:\\D::é' },
+  'win32.relative([" shareé..","é:"])': { value: '\\é:' },
+  'win32.toNamespacedPath([" shareé.."])': { value: '\\ shareé..' },
+  'win32.dirname([" shareé.."])': { value: '.' },
+  'win32.basename([" shareé.."])': { value: ' shareé..' },
+  'win32.basename([" shareé..","é:"])': { value: ' shareé..' },
+  'win32.extname([" shareé.."])': { value: '.' },
+  'win32.parse([" shareé.."])': {
+    value: { root: '', dir: '', base: ' shareé..', ext: '.', name: ' shareé.' },
+  },
+  'win32.format([{"dir":" shareé..","name":"é:","ext":"D::é"}])': { value: ' shareé..\\é:.D::é' },
+  'win32.resolve(["c:C:..D:"])': { value: 'c:\\C:..D:' },
+  'win32.resolve(["c:C:..D:",".\\\\fooa.b.c//",".."])': { value: 'c:\\C:..D:' },
+  'win32.normalize(["c:C:..D:"])': { value: 'c:C:..D:' },
+  'win32.isAbsolute(["c:C:..D:"])': { value: false },
+  'win32.join(["c:C:..D:",".\\\\fooa.b.c//"])': { value: 'c:C:..D:\\fooa.b.c\\' },
+  'win32.join(["c:C:..D:",".\\\\fooa.b.c//",".."])': { value: 'c:C:..D:' },
+  'win32.relative(["c:C:..D:",".\\\\fooa.b.c//"])': { value: '\\fooa.b.c' },
+  'win32.toNamespacedPath(["c:C:..D:"])': { value: '\\\\?\\c:\\C:..D:' },
+  'win32.dirname(["c:C:..D:"])': { value: 'c:' },
+  'win32.basename(["c:C:..D:"])': { value: 'C:..D:' },
+  'win32.basename(["c:C:..D:",".\\\\fooa.b.c//"])': { value: 'C:..D:' },
+  'win32.extname(["c:C:..D:"])': { value: '.D:' },
+  'win32.parse(["c:C:..D:"])': {
+    value: { root: 'c:', dir: 'c:', base: 'C:..D:', ext: '.D:', name: 'C:.' },
+  },
+  'win32.format([{"dir":"c:C:..D:","name":".\\\\fooa.b.c//","ext":".."}])': {
+    value: 'c:C:..D:\\.\\fooa.b.c//..',
+  },
+  'win32.resolve(["share:"])': { value: '\\share:' },
+  'win32.resolve(["share:","share","//..\\\\\\\\D:bar.js "])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.normalize(["share:"])': { value: '.\\share:' },
+  'win32.isAbsolute(["share:"])': { value: false },
+  'win32.join(["share:","share"])': { value: '.\\share:\\share' },
+  'win32.join(["share:","share","//..\\\\\\\\D:bar.js "])': { value: '.\\share:\\D:bar.js ' },
+  'win32.relative(["share:","share"])': { value: '..share' },
+  'win32.toNamespacedPath(["share:"])': { value: '\\share:' },
+  'win32.dirname(["share:"])': { value: '.' },
+  'win32.basename(["share:"])': { value: 'share:' },
+  'win32.basename(["share:","share"])': { value: 'share:' },
+  'win32.extname(["share:"])': { value: '' },
+  'win32.parse(["share:"])': {
+    value: { root: '', dir: '', base: 'share:', ext: '', name: 'share:' },
+  },
+  'win32.format([{"dir":"share:","name":"share","ext":"//..\\\\\\\\D:bar.js "}])': {
+    value: 'share:\\share.//..\\\\D:bar.js ',
+  },
+  'win32.resolve(["","share:"," shareé.."])': { value: '\\share:\\ shareé..' },
+  'win32.join(["","share:"])': { value: '.\\share:' },
+  'win32.join(["","share:"," shareé.."])': { value: '.\\share:\\ shareé..' },
+  'win32.relative(["","share:"])': { value: 'share:' },
+  'win32.basename(["","share:"])': { value: '' },
+  'win32.format([{"dir":"","name":"share:","ext":" shareé.."}])': { value: 'share:. shareé..' },
+  'win32.resolve(["shareserver:é"])': { value: '\\shareserver:é' },
+  'win32.resolve(["shareserver:é","?//","C:"])': { value: 'C:\\shareserver:é\\?' },
+  'win32.normalize(["shareserver:é"])': { value: 'shareserver:é' },
+  'win32.isAbsolute(["shareserver:é"])': { value: false },
+  'win32.join(["shareserver:é","?//"])': { value: 'shareserver:é\\?\\' },
+  'win32.join(["shareserver:é","?//","C:"])': { value: '.\\shareserver:é\\?\\C:' },
+  'win32.relative(["shareserver:é","?//"])': { value: '\\?' },
+  'win32.toNamespacedPath(["shareserver:é"])': { value: '\\shareserver:é' },
+  'win32.dirname(["shareserver:é"])': { value: '.' },
+  'win32.basename(["shareserver:é"])': { value: 'shareserver:é' },
+  'win32.basename(["shareserver:é","?//"])': { value: 'shareserver:é' },
+  'win32.extname(["shareserver:é"])': { value: '' },
+  'win32.parse(["shareserver:é"])': {
+    value: { root: '', dir: '', base: 'shareserver:é', ext: '', name: 'shareserver:é' },
+  },
+  'win32.format([{"dir":"shareserver:é","name":"?//","ext":"C:"}])': {
+    value: 'shareserver:é\\?//.C:',
+  },
+  'win32.resolve(["~fooshare///"])': { value: '\\~fooshare' },
+  'win32.resolve(["~fooshare///","~","é"])': { value: '\\~fooshare\\~\\é' },
+  'win32.normalize(["~fooshare///"])': { value: '~fooshare\\' },
+  'win32.isAbsolute(["~fooshare///"])': { value: false },
+  'win32.join(["~fooshare///","~"])': { value: '~fooshare\\~' },
+  'win32.join(["~fooshare///","~","é"])': { value: '~fooshare\\~\\é' },
+  'win32.relative(["~fooshare///","~"])': { value: '..~' },
+  'win32.toNamespacedPath(["~fooshare///"])': { value: '\\~fooshare' },
+  'win32.dirname(["~fooshare///"])': { value: '.' },
+  'win32.basename(["~fooshare///"])': { value: '~fooshare' },
+  'win32.basename(["~fooshare///","~"])': { value: '~fooshare' },
+  'win32.extname(["~fooshare///"])': { value: '' },
+  'win32.parse(["~fooshare///"])': {
+    value: { root: '', dir: '', base: '~fooshare', ext: '', name: '~fooshare' },
+  },
+  'win32.format([{"dir":"~fooshare///","name":"~","ext":"é"}])': { value: '~fooshare///\\~.é' },
+  'win32.resolve(["CONCONa.b.c/foo"])': { value: '\\CONCONa.b.c\\foo' },
+  'win32.resolve(["CONCONa.b.c/foo","","CON/"])': { value: '\\CONCONa.b.c\\foo\\CON' },
+  'win32.normalize(["CONCONa.b.c/foo"])': { value: 'CONCONa.b.c\\foo' },
+  'win32.isAbsolute(["CONCONa.b.c/foo"])': { value: false },
+  'win32.join(["CONCONa.b.c/foo",""])': { value: 'CONCONa.b.c\\foo' },
+  'win32.join(["CONCONa.b.c/foo","","CON/"])': { value: 'CONCONa.b.c\\foo\\CON\\' },
+  'win32.relative(["CONCONa.b.c/foo",""])': { value: '..\\..' },
+  'win32.toNamespacedPath(["CONCONa.b.c/foo"])': { value: '\\CONCONa.b.c\\foo' },
+  'win32.dirname(["CONCONa.b.c/foo"])': { value: 'CONCONa.b.c' },
+  'win32.basename(["CONCONa.b.c/foo"])': { value: 'foo' },
+  'win32.basename(["CONCONa.b.c/foo",""])': { value: 'foo' },
+  'win32.extname(["CONCONa.b.c/foo"])': { value: '' },
+  'win32.parse(["CONCONa.b.c/foo"])': {
+    value: { root: '', dir: 'CONCONa.b.c', base: 'foo', ext: '', name: 'foo' },
+  },
+  'win32.format([{"dir":"CONCONa.b.c/foo","name":"","ext":"CON/"}])': {
+    value: 'CONCONa.b.c/foo\\.CON/',
+  },
+  'win32.resolve(["","/bar.js:",".\\\\fooa.b.c//"])': { value: '\\bar.js:\\fooa.b.c' },
+  'win32.join(["","/bar.js:"])': { value: '\\bar.js:' },
+  'win32.join(["","/bar.js:",".\\\\fooa.b.c//"])': { value: '\\bar.js:\\fooa.b.c\\' },
+  'win32.relative(["","/bar.js:"])': { value: 'bar.js:' },
+  'win32.basename(["","/bar.js:"])': { value: '' },
+  'win32.format([{"dir":"","name":"/bar.js:","ext":".\\\\fooa.b.c//"}])': {
+    value: '/bar.js:.\\fooa.b.c//',
+  },
+  'win32.resolve(["foo\\\\\\\\\\\\server"])': { value: '\\foo\\server' },
+  'win32.resolve(["foo\\\\\\\\\\\\server","\\\\","c:C:..D:"])': { value: 'c:\\C:..D:' },
+  'win32.normalize(["foo\\\\\\\\\\\\server"])': { value: 'foo\\server' },
+  'win32.isAbsolute(["foo\\\\\\\\\\\\server"])': { value: false },
+  'win32.join(["foo\\\\\\\\\\\\server","\\\\"])': { value: 'foo\\server\\' },
+  'win32.join(["foo\\\\\\\\\\\\server","\\\\","c:C:..D:"])': { value: '.\\foo\\server\\c:C:..D:' },
+  'win32.relative(["foo\\\\\\\\\\\\server","\\\\"])': { value: '..\\..' },
+  'win32.toNamespacedPath(["foo\\\\\\\\\\\\server"])': { value: '\\foo\\server' },
+  'win32.dirname(["foo\\\\\\\\\\\\server"])': { value: 'foo\\\\' },
+  'win32.basename(["foo\\\\\\\\\\\\server"])': { value: 'server' },
+  'win32.basename(["foo\\\\\\\\\\\\server","\\\\"])': { value: 'server' },
+  'win32.extname(["foo\\\\\\\\\\\\server"])': { value: '' },
+  'win32.parse(["foo\\\\\\\\\\\\server"])': {
+    value: { root: '', dir: 'foo\\\\', base: 'server', ext: '', name: 'server' },
+  },
+  'win32.format([{"dir":"foo\\\\\\\\\\\\server","name":"\\\\","ext":"c:C:..D:"}])': {
+    value: 'foo\\\\\\server\\\\.c:C:..D:',
+  },
+  'win32.resolve(["?//"])': { value: '\\?' },
+  'win32.resolve(["?//","c:.",""])': { value: 'c:\\?' },
+  'win32.normalize(["?//"])': { value: '?\\' },
+  'win32.isAbsolute(["?//"])': { value: false },
+  'win32.join(["?//","c:."])': { value: '?\\c:.' },
+  'win32.join(["?//","c:.",""])': { value: '?\\c:.' },
+  'win32.relative(["?//","c:."])': { value: 'c:\\' },
+  'win32.toNamespacedPath(["?//"])': { value: '?//' },
+  'win32.dirname(["?//"])': { value: '.' },
+  'win32.basename(["?//"])': { value: '?' },
+  'win32.basename(["?//","c:."])': { value: '?' },
+  'win32.extname(["?//"])': { value: '' },
+  'win32.parse(["?//"])': { value: { root: '', dir: '', base: '?', ext: '', name: '?' } },
+  'win32.format([{"dir":"?//","name":"c:.","ext":""}])': { value: '?//\\c:.' },
+  'win32.resolve(["server~"])': { value: '\\server~' },
+  'win32.resolve(["server~","//..\\\\\\\\D:bar.js ","bar.js:\\\\/~server"])': {
+    value: '\\\\..\\D:bar.js \\bar.js:\\~server',
+  },
+  'win32.normalize(["server~"])': { value: 'server~' },
+  'win32.isAbsolute(["server~"])': { value: false },
+  'win32.join(["server~","//..\\\\\\\\D:bar.js "])': { value: '.\\D:bar.js ' },
+  'win32.join(["server~","//..\\\\\\\\D:bar.js ","bar.js:\\\\/~server"])': {
+    value: '.\\D:bar.js \\bar.js:\\~server',
+  },
+  'win32.relative(["server~","//..\\\\\\\\D:bar.js "])': { value: '\\\\..\\D:bar.js \\' },
+  'win32.toNamespacedPath(["server~"])': { value: '\\server~' },
+  'win32.dirname(["server~"])': { value: '.' },
+  'win32.basename(["server~"])': { value: 'server~' },
+  'win32.basename(["server~","//..\\\\\\\\D:bar.js "])': { value: 'server~' },
+  'win32.extname(["server~"])': { value: '' },
+  'win32.parse(["server~"])': {
+    value: { root: '', dir: '', base: 'server~', ext: '', name: 'server~' },
+  },
+  'win32.format([{"dir":"server~","name":"//..\\\\\\\\D:bar.js ","ext":"bar.js:\\\\/~server"}])': {
+    value: 'server~\\//..\\\\D:bar.js .bar.js:\\/~server',
+  },
+  'win32.resolve(["","","c:fooshare"])': { value: 'c:\\fooshare' },
+  'win32.join(["","","c:fooshare"])': { value: 'c:fooshare' },
+  'win32.format([{"dir":"","name":"","ext":"c:fooshare"}])': { value: '.c:fooshare' },
+  'win32.resolve(["foo\\\\//D:"])': { value: '\\foo\\D:' },
+  'win32.resolve(["foo\\\\//D:","c:C:..D:","bar.js\\\\\\\\"])': {
+    value: 'c:\\foo\\D:\\C:..D:\\bar.js',
+  },
+  'win32.normalize(["foo\\\\//D:"])': { value: '.\\foo\\D:' },
+  'win32.isAbsolute(["foo\\\\//D:"])': { value: false },
+  'win32.join(["foo\\\\//D:","c:C:..D:"])': { value: '.\\foo\\D:\\c:C:..D:' },
+  'win32.join(["foo\\\\//D:","c:C:..D:","bar.js\\\\\\\\"])': {
+    value: '.\\foo\\D:\\c:C:..D:\\bar.js\\',
+  },
+  'win32.relative(["foo\\\\//D:","c:C:..D:"])': { value: 'c:\\C:..D:' },
+  'win32.toNamespacedPath(["foo\\\\//D:"])': { value: '\\foo\\D:' },
+  'win32.dirname(["foo\\\\//D:"])': { value: 'foo\\/' },
+  'win32.basename(["foo\\\\//D:"])': { value: 'D:' },
+  'win32.basename(["foo\\\\//D:","c:C:..D:"])': { value: 'D:' },
+  'win32.extname(["foo\\\\//D:"])': { value: '' },
+  'win32.parse(["foo\\\\//D:"])': {
+    value: { root: '', dir: 'foo\\/', base: 'D:', ext: '', name: 'D:' },
+  },
+  'win32.format([{"dir":"foo\\\\//D:","name":"c:C:..D:","ext":"bar.js\\\\\\\\"}])': {
+    value: 'foo\\//D:\\c:C:..D:.bar.js\\\\',
+  },
+  'win32.resolve(["C:"])': { value: 'C:\\' },
+  'win32.resolve(["C:","foo\\\\\\\\\\\\server","share:"])': { value: 'C:\\foo\\server\\share:' },
+  'win32.isAbsolute(["C:"])': { value: false },
+  'win32.join(["C:","foo\\\\\\\\\\\\server"])': { value: 'C:\\foo\\server' },
+  'win32.join(["C:","foo\\\\\\\\\\\\server","share:"])': { value: 'C:\\foo\\server\\share:' },
+  'win32.relative(["C:","foo\\\\\\\\\\\\server"])': { value: '\\foo\\server' },
+  'win32.dirname(["C:"])': { value: 'C:' },
+  'win32.basename(["C:","foo\\\\\\\\\\\\server"])': { value: '' },
+  'win32.extname(["C:"])': { value: '' },
+  'win32.format([{"dir":"C:","name":"foo\\\\\\\\\\\\server","ext":"share:"}])': {
+    value: 'C:\\foo\\\\\\server.share:',
+  },
+  'win32.resolve(["",":../server",":../server"])': { value: '\\:..\\server\\:..\\server' },
+  'win32.join(["",":../server"])': { value: ':..\\server' },
+  'win32.join(["",":../server",":../server"])': { value: ':..\\server\\:..\\server' },
+  'win32.relative(["",":../server"])': { value: ':..\\server' },
+  'win32.basename(["",":../server"])': { value: '' },
+  'win32.format([{"dir":"","name":":../server","ext":":../server"}])': {
+    value: ':../server.:../server',
+  },
+  'win32.resolve([":../server"])': { value: '\\:..\\server' },
+  'win32.resolve([":../server","c:CONshare..",""])': { value: 'c:\\:..\\server\\CONshare..' },
+  'win32.normalize([":../server"])': { value: ':..\\server' },
+  'win32.isAbsolute([":../server"])': { value: false },
+  'win32.join([":../server","c:CONshare.."])': { value: ':..\\server\\c:CONshare..' },
+  'win32.join([":../server","c:CONshare..",""])': { value: ':..\\server\\c:CONshare..' },
+  'win32.relative([":../server","c:CONshare.."])': { value: 'c:\\CONshare..' },
+  'win32.toNamespacedPath([":../server"])': { value: '\\:..\\server' },
+  'win32.dirname([":../server"])': { value: ':..' },
+  'win32.basename([":../server"])': { value: 'server' },
+  'win32.basename([":../server","c:CONshare.."])': { value: 'server' },
+  'win32.extname([":../server"])': { value: '' },
+  'win32.parse([":../server"])': {
+    value: { root: '', dir: ':..', base: 'server', ext: '', name: 'server' },
+  },
+  'win32.format([{"dir":":../server","name":"c:CONshare..","ext":""}])': {
+    value: ':../server\\c:CONshare..',
+  },
+  'win32.resolve(["~"])': { value: '\\~' },
+  'win32.resolve(["~","é?C:","c::.server"])': { value: 'c:\\~\\é?C:\\:.server' },
+  'win32.normalize(["~"])': { value: '~' },
+  'win32.isAbsolute(["~"])': { value: false },
+  'win32.join(["~","é?C:"])': { value: '.\\~\\é?C:' },
+  'win32.join(["~","é?C:","c::.server"])': { value: '.\\~\\é?C:\\c::.server' },
+  'win32.relative(["~","é?C:"])': { value: '\\é?C:' },
+  'win32.toNamespacedPath(["~"])': { value: '~' },
+  'win32.dirname(["~"])': { value: '.' },
+  'win32.basename(["~"])': { value: '~' },
+  'win32.basename(["~","é?C:"])': { value: '~' },
+  'win32.extname(["~"])': { value: '' },
+  'win32.parse(["~"])': { value: { root: '', dir: '', base: '~', ext: '', name: '~' } },
+  'win32.format([{"dir":"~","name":"é?C:","ext":"c::.server"}])': { value: '~\\é?C:.c::.server' },
+  'win32.resolve(["fooD:.ext"])': { value: '\\fooD:.ext' },
+  'win32.resolve(["fooD:.ext",".ext\\\\\\\\CON//foo",".ext.."])': {
+    value: '\\fooD:.ext\\.ext\\CON\\foo\\.ext..',
+  },
+  'win32.normalize(["fooD:.ext"])': { value: 'fooD:.ext' },
+  'win32.isAbsolute(["fooD:.ext"])': { value: false },
+  'win32.join(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: 'fooD:.ext\\.ext\\CON\\foo' },
+  'win32.join(["fooD:.ext",".ext\\\\\\\\CON//foo",".ext.."])': {
+    value: 'fooD:.ext\\.ext\\CON\\foo\\.ext..',
+  },
+  'win32.relative(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: '\\.ext\\CON\\foo' },
+  'win32.toNamespacedPath(["fooD:.ext"])': { value: '\\fooD:.ext' },
+  'win32.dirname(["fooD:.ext"])': { value: '.' },
+  'win32.basename(["fooD:.ext"])': { value: 'fooD:.ext' },
+  'win32.basename(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: 'fooD:.ext' },
+  'win32.extname(["fooD:.ext"])': { value: '.ext' },
+  'win32.parse(["fooD:.ext"])': {
+    value: { root: '', dir: '', base: 'fooD:.ext', ext: '.ext', name: 'fooD:' },
+  },
+  'win32.format([{"dir":"fooD:.ext","name":".ext\\\\\\\\CON//foo","ext":".ext.."}])': {
+    value: 'fooD:.ext\\.ext\\\\CON//foo.ext..',
+  },
+  'win32.resolve(["","..CON\\\\\\\\COND:/",""])': { value: '\\..CON\\COND:' },
+  'win32.join(["","..CON\\\\\\\\COND:/"])': { value: '.\\..CON\\COND:\\' },
+  'win32.join(["","..CON\\\\\\\\COND:/",""])': { value: '.\\..CON\\COND:\\' },
+  'win32.relative(["","..CON\\\\\\\\COND:/"])': { value: '..CON\\COND:' },
+  'win32.basename(["","..CON\\\\\\\\COND:/"])': { value: '' },
+  'win32.format([{"dir":"","name":"..CON\\\\\\\\COND:/","ext":""}])': { value: '..CON\\\\COND:/' },
+  'win32.resolve([":"])': { value: '\\:' },
+  'win32.resolve([":",".extC:bar.js/","~"])': { value: '\\:\\.extC:bar.js\\~' },
+  'win32.normalize([":"])': { value: ':' },
+  'win32.isAbsolute([":"])': { value: false },
+  'win32.join([":",".extC:bar.js/"])': { value: '.\\:\\.extC:bar.js\\' },
+  'win32.join([":",".extC:bar.js/","~"])': { value: '.\\:\\.extC:bar.js\\~' },
+  'win32.relative([":",".extC:bar.js/"])': { value: '\\.extC:bar.js' },
+  'win32.toNamespacedPath([":"])': { value: ':' },
+  'win32.dirname([":"])': { value: '.' },
+  'win32.basename([":"])': { value: ':' },
+  'win32.basename([":",".extC:bar.js/"])': { value: ':' },
+  'win32.extname([":"])': { value: '' },
+  'win32.parse([":"])': { value: { root: '', dir: '', base: ':', ext: '', name: ':' } },
+  'win32.format([{"dir":":","name":".extC:bar.js/","ext":"~"}])': { value: ':\\.extC:bar.js/.~' },
+  'win32.resolve(["..CON../share"])': { value: '\\..CON..\\share' },
+  'win32.resolve(["..CON../share","","é?C:"])': { value: '\\..CON..\\share\\é?C:' },
+  'win32.normalize(["..CON../share"])': { value: '..CON..\\share' },
+  'win32.isAbsolute(["..CON../share"])': { value: false },
+  'win32.join(["..CON../share",""])': { value: '..CON..\\share' },
+  'win32.join(["..CON../share","","é?C:"])': { value: '.\\..CON..\\share\\é?C:' },
+  'win32.relative(["..CON../share",""])': { value: '..\\..' },
+  'win32.toNamespacedPath(["..CON../share"])': { value: '\\..CON..\\share' },
+  'win32.dirname(["..CON../share"])': { value: '..CON..' },
+  'win32.basename(["..CON../share"])': { value: 'share' },
+  'win32.basename(["..CON../share",""])': { value: 'share' },
+  'win32.extname(["..CON../share"])': { value: '' },
+  'win32.parse(["..CON../share"])': {
+    value: { root: '', dir: '..CON..', base: 'share', ext: '', name: 'share' },
+  },
+  'win32.format([{"dir":"..CON../share","name":"","ext":"é?C:"}])': {
+    value: '..CON../share\\.é?C:',
+  },
+  'win32.resolve([""," shareé..","\\\\\\\\.extshare"])': { value: '\\.extshare' },
+  'win32.join([""," shareé.."])': { value: ' shareé..' },
+  'win32.join([""," shareé..","\\\\\\\\.extshare"])': { value: ' shareé..\\.extshare' },
+  'win32.relative([""," shareé.."])': { value: ' shareé..' },
+  'win32.basename([""," shareé.."])': { value: '' },
+  'win32.format([{"dir":"","name":" shareé..","ext":"\\\\\\\\.extshare"}])': {
+    value: ' shareé...\\\\.extshare',
+  },
+  'win32.resolve(["c:CONshare.."])': { value: 'c:\\CONshare..' },
+  'win32.resolve(["c:CONshare..","","server\\\\\\\\c:"])': { value: 'c:\\CONshare..\\server\\c:' },
+  'win32.normalize(["c:CONshare.."])': { value: 'c:CONshare..' },
+  'win32.isAbsolute(["c:CONshare.."])': { value: false },
+  'win32.join(["c:CONshare..",""])': { value: 'c:CONshare..' },
+  'win32.join(["c:CONshare..","","server\\\\\\\\c:"])': { value: 'c:CONshare..\\server\\c:' },
+  'win32.relative(["c:CONshare..",""])': { value: '..\\..' },
+  'win32.toNamespacedPath(["c:CONshare.."])': { value: '\\\\?\\c:\\CONshare..' },
+  'win32.dirname(["c:CONshare.."])': { value: 'c:' },
+  'win32.basename(["c:CONshare.."])': { value: 'CONshare..' },
+  'win32.basename(["c:CONshare..",""])': { value: 'CONshare..' },
+  'win32.extname(["c:CONshare.."])': { value: '.' },
+  'win32.parse(["c:CONshare.."])': {
+    value: { root: 'c:', dir: 'c:', base: 'CONshare..', ext: '.', name: 'CONshare.' },
+  },
+  'win32.format([{"dir":"c:CONshare..","name":"","ext":"server\\\\\\\\c:"}])': {
+    value: 'c:CONshare..\\.server\\\\c:',
+  },
+  'win32.resolve(["","","shareserver:é"])': { value: '\\shareserver:é' },
+  'win32.join(["","","shareserver:é"])': { value: 'shareserver:é' },
+  'win32.format([{"dir":"","name":"","ext":"shareserver:é"}])': { value: '.shareserver:é' },
+  'win32.resolve(["","","fooD:.ext"])': { value: '\\fooD:.ext' },
+  'win32.join(["","","fooD:.ext"])': { value: 'fooD:.ext' },
+  'win32.format([{"dir":"","name":"","ext":"fooD:.ext"}])': { value: '.fooD:.ext' },
+  'posix.resolve(["D::é"])': { value: '/D::é' },
+  'posix.resolve(["D::é","","/bar.js:"])': { value: '/bar.js:' },
+  'posix.normalize(["D::é"])': { value: 'D::é' },
+  'posix.isAbsolute(["D::é"])': { value: false },
+  'posix.join(["D::é",""])': { value: 'D::é' },
+  'posix.join(["D::é","","/bar.js:"])': { value: 'D::é/bar.js:' },
+  'posix.relative(["D::é",""])': { value: '..' },
+  'posix.toNamespacedPath(["D::é"])': { value: 'D::é' },
+  'posix.dirname(["D::é"])': { value: '.' },
+  'posix.basename(["D::é"])': { value: 'D::é' },
+  'posix.basename(["D::é",""])': { value: 'D::é' },
+  'posix.extname(["D::é"])': { value: '' },
+  'posix.parse(["D::é"])': { value: { root: '', dir: '', base: 'D::é', ext: '', name: 'D::é' } },
+  'posix.format([{"dir":"D::é","name":"","ext":"/bar.js:"}])': { value: 'D::é/./bar.js:' },
+  'posix.resolve(["é"])': { value: '/é' },
+  'posix.resolve(["é","~serverCON","..CON\\\\\\\\COND:/"])': {
+    value: '/é/~serverCON/..CON\\\\COND:',
+  },
+  'posix.normalize(["é"])': { value: 'é' },
+  'posix.isAbsolute(["é"])': { value: false },
+  'posix.join(["é","~serverCON"])': { value: 'é/~serverCON' },
+  'posix.join(["é","~serverCON","..CON\\\\\\\\COND:/"])': { value: 'é/~serverCON/..CON\\\\COND:/' },
+  'posix.relative(["é","~serverCON"])': { value: '../~serverCON' },
+  'posix.toNamespacedPath(["é"])': { value: 'é' },
+  'posix.dirname(["é"])': { value: '.' },
+  'posix.basename(["é"])': { value: 'é' },
+  'posix.basename(["é","~serverCON"])': { value: 'é' },
+  'posix.extname(["é"])': { value: '' },
+  'posix.parse(["é"])': { value: { root: '', dir: '', base: 'é', ext: '', name: 'é' } },
+  'posix.format([{"dir":"é","name":"~serverCON","ext":"..CON\\\\\\\\COND:/"}])': {
+    value: 'é/~serverCON..CON\\\\COND:/',
+  },
+  'posix.resolve(["bar.js:\\\\/~server"])': { value: '/bar.js:\\/~server' },
+  'posix.resolve(["bar.js:\\\\/~server","\\\\\\\\.extshare","..~/:"])': {
+    value: '/bar.js:\\/~server/\\\\.extshare/..~/:',
+  },
+  'posix.normalize(["bar.js:\\\\/~server"])': { value: 'bar.js:\\/~server' },
+  'posix.isAbsolute(["bar.js:\\\\/~server"])': { value: false },
+  'posix.join(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': {
+    value: 'bar.js:\\/~server/\\\\.extshare',
+  },
+  'posix.join(["bar.js:\\\\/~server","\\\\\\\\.extshare","..~/:"])': {
+    value: 'bar.js:\\/~server/\\\\.extshare/..~/:',
+  },
+  'posix.relative(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': { value: '../../\\\\.extshare' },
+  'posix.toNamespacedPath(["bar.js:\\\\/~server"])': { value: 'bar.js:\\/~server' },
+  'posix.dirname(["bar.js:\\\\/~server"])': { value: 'bar.js:\\' },
+  'posix.basename(["bar.js:\\\\/~server"])': { value: '~server' },
+  'posix.basename(["bar.js:\\\\/~server","\\\\\\\\.extshare"])': { value: '~server' },
+  'posix.extname(["bar.js:\\\\/~server"])': { value: '' },
+  'posix.parse(["bar.js:\\\\/~server"])': {
+    value: { root: '', dir: 'bar.js:\\', base: '~server', ext: '', name: '~server' },
+  },
+  'posix.format([{"dir":"bar.js:\\\\/~server","name":"\\\\\\\\.extshare","ext":"..~/:"}])': {
+    value: 'bar.js:\\/~server/\\\\.extshare..~/:',
+  },
+  'posix.resolve(["","?a.b.c//\\\\\\\\C:","~fooshare///"])': { value: '/?a.b.c/\\\\C:/~fooshare' },
+  'posix.join(["","?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c/\\\\C:' },
+  'posix.join(["","?a.b.c//\\\\\\\\C:","~fooshare///"])': { value: '?a.b.c/\\\\C:/~fooshare/' },
+  'posix.relative(["","?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c/\\\\C:' },
+  'posix.basename([""])': { value: '' },
+  'posix.basename(["","?a.b.c//\\\\\\\\C:"])': { value: '' },
+  'posix.format([{"dir":"","name":"?a.b.c//\\\\\\\\C:","ext":"~fooshare///"}])': {
+    value: '?a.b.c//\\\\C:.~fooshare///',
+  },
+  'posix.resolve(["é?C:"])': { value: '/é?C:' },
+  'posix.resolve(["é?C:","..~/:",""])': { value: '/é?C:/..~/:' },
+  'posix.normalize(["é?C:"])': { value: 'é?C:' },
+  'posix.isAbsolute(["é?C:"])': { value: false },
+  'posix.join(["é?C:","..~/:"])': { value: 'é?C:/..~/:' },
+  'posix.join(["é?C:","..~/:",""])': { value: 'é?C:/..~/:' },
+  'posix.relative(["é?C:","..~/:"])': { value: '../..~/:' },
+  'posix.toNamespacedPath(["é?C:"])': { value: 'é?C:' },
+  'posix.dirname(["é?C:"])': { value: '.' },
+  'posix.basename(["é?C:"])': { value: 'é?C:' },
+  'posix.basename(["é?C:","..~/:"])': { value: 'é?C:' },
+  'posix.extname(["é?C:"])': { value: '' },
+  'posix.parse(["é?C:"])': { value: { root: '', dir: '', base: 'é?C:', ext: '', name: 'é?C:' } },
+  'posix.format([{"dir":"é?C:","name":"..~/:","ext":""}])': { value: 'é?C:/..~/:' },
+  'posix.resolve(["/bar.js:"])': { value: '/bar.js:' },
+  'posix.resolve(["/bar.js:","bar.js","/"])': { value: '/' },
+  'posix.normalize(["/bar.js:"])': { value: '/bar.js:' },
+  'posix.isAbsolute(["/bar.js:"])': { value: true },
+  'posix.join(["/bar.js:","bar.js"])': { value: '/bar.js:/bar.js' },
+  'posix.join(["/bar.js:","bar.js","/"])': { value: '/bar.js:/bar.js/' },
+  'posix.relative(["/bar.js:","bar.js"])': { value: '../bar.js' },
+  'posix.toNamespacedPath(["/bar.js:"])': { value: '/bar.js:' },
+  'posix.dirname(["/bar.js:"])': { value: '/' },
+  'posix.basename(["/bar.js:"])': { value: 'bar.js:' },
+  'posix.basename(["/bar.js:","bar.js"])': { value: 'bar.js:' },
+  'posix.extname(["/bar.js:"])': { value: '.js:' },
+  'posix.parse(["/bar.js:"])': {
+    value: { root: '/', dir: '/', base: 'bar.js:', ext: '.js:', name: 'bar' },
+  },
+  'posix.format([{"dir":"/bar.js:","name":"bar.js","ext":"/"}])': { value: '/bar.js:/bar.js./' },
+  'posix.resolve(["/"])': { value: '/' },
+  'posix.resolve(["/","CONCONa.b.c/foo","c:."])': { value: '/CONCONa.b.c/foo/c:.' },
+  'posix.join(["/","CONCONa.b.c/foo"])': { value: '/CONCONa.b.c/foo' },
+  'posix.join(["/","CONCONa.b.c/foo","c:."])': { value: '/CONCONa.b.c/foo/c:.' },
+  'posix.relative(["/","CONCONa.b.c/foo"])': { value: 'CONCONa.b.c/foo' },
+  'posix.toNamespacedPath(["/"])': { value: '/' },
+  'posix.basename(["/"])': { value: '' },
+  'posix.basename(["/","CONCONa.b.c/foo"])': { value: '' },
+  'posix.extname(["/"])': { value: '' },
+  'posix.format([{"dir":"/","name":"CONCONa.b.c/foo","ext":"c:."}])': {
+    value: '//CONCONa.b.c/foo.c:.',
+  },
+  'posix.resolve(["CON\\\\:.."])': { value: '/CON\\:..' },
+  'posix.resolve(["CON\\\\:..","C:",""])': { value: '/CON\\:../C:' },
+  'posix.normalize(["CON\\\\:.."])': { value: 'CON\\:..' },
+  'posix.isAbsolute(["CON\\\\:.."])': { value: false },
+  'posix.join(["CON\\\\:..","C:"])': { value: 'CON\\:../C:' },
+  'posix.join(["CON\\\\:..","C:",""])': { value: 'CON\\:../C:' },
+  'posix.relative(["CON\\\\:..","C:"])': { value: '../C:' },
+  'posix.toNamespacedPath(["CON\\\\:.."])': { value: 'CON\\:..' },
+  'posix.dirname(["CON\\\\:.."])': { value: '.' },
+  'posix.basename(["CON\\\\:.."])': { value: 'CON\\:..' },
+  'posix.basename(["CON\\\\:..","C:"])': { value: 'CON\\:..' },
+  'posix.extname(["CON\\\\:.."])': { value: '.' },
+  'posix.parse(["CON\\\\:.."])': {
+    value: { root: '', dir: '', base: 'CON\\:..', ext: '.', name: 'CON\\:.' },
+  },
+  'posix.format([{"dir":"CON\\\\:..","name":"C:","ext":""}])': { value: 'CON\\:../C:' },
+  'posix.resolve([":..server"])': { value: '/:..server' },
+  'posix.resolve([":..server","..CON../share","CONCONa.b.c/foo"])': {
+    value: '/:..server/..CON../share/CONCONa.b.c/foo',
+  },
+  'posix.normalize([":..server"])': { value: ':..server' },
+  'posix.isAbsolute([":..server"])': { value: false },
+  'posix.join([":..server","..CON../share"])': { value: ':..server/..CON../share' },
+  'posix.join([":..server","..CON../share","CONCONa.b.c/foo"])': {
+    value: ':..server/..CON../share/CONCONa.b.c/foo',
+  },
+  'posix.relative([":..server","..CON../share"])': { value: '../..CON../share' },
+  'posix.toNamespacedPath([":..server"])': { value: ':..server' },
+  'posix.dirname([":..server"])': { value: '.' },
+  'posix.basename([":..server"])': { value: ':..server' },
+  'posix.basename([":..server","..CON../share"])': { value: ':..server' },
+  'posix.extname([":..server"])': { value: '.server' },
+  'posix.parse([":..server"])': {
+    value: { root: '', dir: '', base: ':..server', ext: '.server', name: ':.' },
+  },
+  'posix.format([{"dir":":..server","name":"..CON../share","ext":"CONCONa.b.c/foo"}])': {
+    value: ':..server/..CON../share.CONCONa.b.c/foo',
+  },
+  'posix.resolve(["","bar.js:\\\\/~server",":"])': { value: '/bar.js:\\/~server/:' },
+  'posix.join(["","bar.js:\\\\/~server"])': { value: 'bar.js:\\/~server' },
+  'posix.join(["","bar.js:\\\\/~server",":"])': { value: 'bar.js:\\/~server/:' },
+  'posix.relative(["","bar.js:\\\\/~server"])': { value: 'bar.js:\\/~server' },
+  'posix.basename(["","bar.js:\\\\/~server"])': { value: '' },
+  'posix.format([{"dir":"","name":"bar.js:\\\\/~server","ext":":"}])': {
+    value: 'bar.js:\\/~server.:',
+  },
+  'posix.resolve(["~serverCON"])': { value: '/~serverCON' },
+  'posix.resolve(["~serverCON","","CON\\\\:.."])': { value: '/~serverCON/CON\\:..' },
+  'posix.normalize(["~serverCON"])': { value: '~serverCON' },
+  'posix.isAbsolute(["~serverCON"])': { value: false },
+  'posix.join(["~serverCON",""])': { value: '~serverCON' },
+  'posix.join(["~serverCON","","CON\\\\:.."])': { value: '~serverCON/CON\\:..' },
+  'posix.relative(["~serverCON",""])': { value: '..' },
+  'posix.toNamespacedPath(["~serverCON"])': { value: '~serverCON' },
+  'posix.dirname(["~serverCON"])': { value: '.' },
+  'posix.basename(["~serverCON"])': { value: '~serverCON' },
+  'posix.basename(["~serverCON",""])': { value: '~serverCON' },
+  'posix.extname(["~serverCON"])': { value: '' },
+  'posix.parse(["~serverCON"])': {
+    value: { root: '', dir: '', base: '~serverCON', ext: '', name: '~serverCON' },
+  },
+  'posix.format([{"dir":"~serverCON","name":"","ext":"CON\\\\:.."}])': {
+    value: '~serverCON/.CON\\:..',
+  },
+  'posix.resolve([".ext\\\\\\\\CON//foo"])': { value: '/.ext\\\\CON/foo' },
+  'posix.resolve([".ext\\\\\\\\CON//foo","c::.server","é:"])': {
+    value: '/.ext\\\\CON/foo/c::.server/é:',
+  },
+  'posix.normalize([".ext\\\\\\\\CON//foo"])': { value: '.ext\\\\CON/foo' },
+  'posix.isAbsolute([".ext\\\\\\\\CON//foo"])': { value: false },
+  'posix.join([".ext\\\\\\\\CON//foo","c::.server"])': { value: '.ext\\\\CON/foo/c::.server' },
+  'posix.join([".ext\\\\\\\\CON//foo","c::.server","é:"])': {
+    value: '.ext\\\\CON/foo/c::.server/é:',
+  },
+  'posix.relative([".ext\\\\\\\\CON//foo","c::.server"])': { value: '../../c::.server' },
+  'posix.toNamespacedPath([".ext\\\\\\\\CON//foo"])': { value: '.ext\\\\CON//foo' },
+  'posix.dirname([".ext\\\\\\\\CON//foo"])': { value: '.ext\\\\CON/' },
+  'posix.basename([".ext\\\\\\\\CON//foo"])': { value: 'foo' },
+  'posix.basename([".ext\\\\\\\\CON//foo","c::.server"])': { value: 'foo' },
+  'posix.extname([".ext\\\\\\\\CON//foo"])': { value: '' },
+  'posix.parse([".ext\\\\\\\\CON//foo"])': {
+    value: { root: '', dir: '.ext\\\\CON/', base: 'foo', ext: '', name: 'foo' },
+  },
+  'posix.format([{"dir":".ext\\\\\\\\CON//foo","name":"c::.server","ext":"é:"}])': {
+    value: '.ext\\\\CON//foo/c::.server.é:',
+  },
+  'posix.resolve(["\\\\"])': { value: '/\\' },
+  'posix.resolve(["\\\\","share",""])': { value: '/\\/share' },
+  'posix.normalize(["\\\\"])': { value: '\\' },
+  'posix.isAbsolute(["\\\\"])': { value: false },
+  'posix.join(["\\\\","share"])': { value: '\\/share' },
+  'posix.join(["\\\\","share",""])': { value: '\\/share' },
+  'posix.relative(["\\\\","share"])': { value: '../share' },
+  'posix.toNamespacedPath(["\\\\"])': { value: '\\' },
+  'posix.basename(["\\\\"])': { value: '\\' },
+  'posix.basename(["\\\\","share"])': { value: '\\' },
+  'posix.extname(["\\\\"])': { value: '' },
+  'posix.format([{"dir":"\\\\","name":"share","ext":""}])': { value: '\\/share' },
+  'posix.resolve([".."])': { value: '/' },
+  'posix.resolve(["..","server\\\\\\\\c:",""])': { value: '/server\\\\c:' },
+  'posix.normalize([".."])': { value: '..' },
+  'posix.isAbsolute([".."])': { value: false },
+  'posix.join(["..","server\\\\\\\\c:"])': { value: '../server\\\\c:' },
+  'posix.join(["..","server\\\\\\\\c:",""])': { value: '../server\\\\c:' },
+  'posix.relative(["..","server\\\\\\\\c:"])': { value: 'server\\\\c:' },
+  'posix.toNamespacedPath([".."])': { value: '..' },
+  'posix.dirname([".."])': { value: '.' },
+  'posix.basename([".."])': { value: '..' },
+  'posix.basename(["..","server\\\\\\\\c:"])': { value: '..' },
+  'posix.format([{"dir":"..","name":"server\\\\\\\\c:","ext":""}])': { value: '../server\\\\c:' },
+  'posix.resolve(["CON/"])': { value: '/CON' },
+  'posix.resolve(["CON/"," C://\\\\foo:","..CON../share"])': {
+    value: '/CON/ C:/\\foo:/..CON../share',
+  },
+  'posix.normalize(["CON/"])': { value: 'CON/' },
+  'posix.isAbsolute(["CON/"])': { value: false },
+  'posix.join(["CON/"," C://\\\\foo:"])': { value: 'CON/ C:/\\foo:' },
+  'posix.join(["CON/"," C://\\\\foo:","..CON../share"])': { value: 'CON/ C:/\\foo:/..CON../share' },
+  'posix.relative(["CON/"," C://\\\\foo:"])': { value: '../ C:/\\foo:' },
+  'posix.toNamespacedPath(["CON/"])': { value: 'CON/' },
+  'posix.dirname(["CON/"])': { value: '.' },
+  'posix.basename(["CON/"])': { value: 'CON' },
+  'posix.basename(["CON/"," C://\\\\foo:"])': { value: 'CON' },
+  'posix.extname(["CON/"])': { value: '' },
+  'posix.parse(["CON/"])': { value: { root: '', dir: '', base: 'CON', ext: '', name: 'CON' } },
+  'posix.format([{"dir":"CON/","name":" C://\\\\foo:","ext":"..CON../share"}])': {
+    value: 'CON// C://\\foo:..CON../share',
+  },
+  'posix.resolve(["c:fooshare"])': { value: '/c:fooshare' },
+  'posix.resolve(["c:fooshare","~fooshare///",":..server"])': {
+    value: '/c:fooshare/~fooshare/:..server',
+  },
+  'posix.normalize(["c:fooshare"])': { value: 'c:fooshare' },
+  'posix.isAbsolute(["c:fooshare"])': { value: false },
+  'posix.join(["c:fooshare","~fooshare///"])': { value: 'c:fooshare/~fooshare/' },
+  'posix.join(["c:fooshare","~fooshare///",":..server"])': {
+    value: 'c:fooshare/~fooshare/:..server',
+  },
+  'posix.relative(["c:fooshare","~fooshare///"])': { value: '../~fooshare' },
+  'posix.toNamespacedPath(["c:fooshare"])': { value: 'c:fooshare' },
+  'posix.dirname(["c:fooshare"])': { value: '.' },
+  'posix.basename(["c:fooshare"])': { value: 'c:fooshare' },
+  'posix.basename(["c:fooshare","~fooshare///"])': { value: 'c:fooshare' },
+  'posix.extname(["c:fooshare"])': { value: '' },
+  'posix.parse(["c:fooshare"])': {
+    value: { root: '', dir: '', base: 'c:fooshare', ext: '', name: 'c:fooshare' },
+  },
+  'posix.format([{"dir":"c:fooshare","name":"~fooshare///","ext":":..server"}])': {
+    value: 'c:fooshare/~fooshare///.:..server',
+  },
+  'posix.resolve(["c::.server"])': { value: '/c::.server' },
+  'posix.resolve(["c::.server","foo\\\\//D:","/.."])': { value: '/' },
+  'posix.normalize(["c::.server"])': { value: 'c::.server' },
+  'posix.isAbsolute(["c::.server"])': { value: false },
+  'posix.join(["c::.server","foo\\\\//D:"])': { value: 'c::.server/foo\\/D:' },
+  'posix.join(["c::.server","foo\\\\//D:","/.."])': { value: 'c::.server/foo\\' },
+  'posix.relative(["c::.server","foo\\\\//D:"])': { value: '../foo\\/D:' },
+  'posix.toNamespacedPath(["c::.server"])': { value: 'c::.server' },
+  'posix.dirname(["c::.server"])': { value: '.' },
+  'posix.basename(["c::.server"])': { value: 'c::.server' },
+  'posix.basename(["c::.server","foo\\\\//D:"])': { value: 'c::.server' },
+  'posix.extname(["c::.server"])': { value: '.server' },
+  'posix.parse(["c::.server"])': {
+    value: { root: '', dir: '', base: 'c::.server', ext: '.server', name: 'c::' },
+  },
+  'posix.format([{"dir":"c::.server","name":"foo\\\\//D:","ext":"/.."}])': {
+    value: 'c::.server/foo\\//D:./..',
+  },
+  'posix.resolve(["\\\\\\\\.extshare"])': { value: '/\\\\.extshare' },
+  'posix.resolve(["\\\\\\\\.extshare",":","share"])': { value: '/\\\\.extshare/:/share' },
+  'posix.normalize(["\\\\\\\\.extshare"])': { value: '\\\\.extshare' },
+  'posix.isAbsolute(["\\\\\\\\.extshare"])': { value: false },
+  'posix.join(["\\\\\\\\.extshare",":"])': { value: '\\\\.extshare/:' },
+  'posix.join(["\\\\\\\\.extshare",":","share"])': { value: '\\\\.extshare/:/share' },
+  'posix.relative(["\\\\\\\\.extshare",":"])': { value: '../:' },
+  'posix.toNamespacedPath(["\\\\\\\\.extshare"])': { value: '\\\\.extshare' },
+  'posix.dirname(["\\\\\\\\.extshare"])': { value: '.' },
+  'posix.basename(["\\\\\\\\.extshare"])': { value: '\\\\.extshare' },
+  'posix.basename(["\\\\\\\\.extshare",":"])': { value: '\\\\.extshare' },
+  'posix.extname(["\\\\\\\\.extshare"])': { value: '.extshare' },
+  'posix.parse(["\\\\\\\\.extshare"])': {
+    value: { root: '', dir: '', base: '\\\\.extshare', ext: '.extshare', name: '\\\\' },
+  },
+  'posix.format([{"dir":"\\\\\\\\.extshare","name":":","ext":"share"}])': {
+    value: '\\\\.extshare/:.share',
+  },
+  'posix.resolve(["..CON\\\\\\\\COND:/"])': { value: '/..CON\\\\COND:' },
+  'posix.resolve(["..CON\\\\\\\\COND:/","é","foo\\\\\\\\\\\\server"])': {
+    value: '/..CON\\\\COND:/é/foo\\\\\\server',
+  },
+  'posix.normalize(["..CON\\\\\\\\COND:/"])': { value: '..CON\\\\COND:/' },
+  'posix.isAbsolute(["..CON\\\\\\\\COND:/"])': { value: false },
+  'posix.join(["..CON\\\\\\\\COND:/","é"])': { value: '..CON\\\\COND:/é' },
+  'posix.join(["..CON\\\\\\\\COND:/","é","foo\\\\\\\\\\\\server"])': {
+    value: '..CON\\\\COND:/é/foo\\\\\\server',
+  },
+  'posix.relative(["..CON\\\\\\\\COND:/","é"])': { value: '../é' },
+  'posix.toNamespacedPath(["..CON\\\\\\\\COND:/"])': { value: '..CON\\\\COND:/' },
+  'posix.dirname(["..CON\\\\\\\\COND:/"])': { value: '.' },
+  'posix.basename(["..CON\\\\\\\\COND:/"])': { value: '..CON\\\\COND:' },
+  'posix.basename(["..CON\\\\\\\\COND:/","é"])': { value: '..CON\\\\COND:' },
+  'posix.extname(["..CON\\\\\\\\COND:/"])': { value: '.CON\\\\COND:' },
+  'posix.parse(["..CON\\\\\\\\COND:/"])': {
+    value: { root: '', dir: '', base: '..CON\\\\COND:', ext: '.CON\\\\COND:', name: '.' },
+  },
+  'posix.format([{"dir":"..CON\\\\\\\\COND:/","name":"é","ext":"foo\\\\\\\\\\\\server"}])': {
+    value: '..CON\\\\COND://é.foo\\\\\\server',
+  },
+  'posix.resolve(["c:."])': { value: '/c:.' },
+  'posix.resolve(["c:.",":..server",""])': { value: '/c:./:..server' },
+  'posix.normalize(["c:."])': { value: 'c:.' },
+  'posix.isAbsolute(["c:."])': { value: false },
+  'posix.join(["c:.",":..server"])': { value: 'c:./:..server' },
+  'posix.join(["c:.",":..server",""])': { value: 'c:./:..server' },
+  'posix.relative(["c:.",":..server"])': { value: '../:..server' },
+  'posix.toNamespacedPath(["c:."])': { value: 'c:.' },
+  'posix.dirname(["c:."])': { value: '.' },
+  'posix.basename(["c:."])': { value: 'c:.' },
+  'posix.basename(["c:.",":..server"])': { value: 'c:.' },
+  'posix.extname(["c:."])': { value: '.' },
+  'posix.parse(["c:."])': { value: { root: '', dir: '', base: 'c:.', ext: '.', name: 'c:' } },
+  'posix.format([{"dir":"c:.","name":":..server","ext":""}])': { value: 'c:./:..server' },
+  'posix.resolve(["é:"])': { value: '/é:' },
+  'posix.resolve(["é:","c:fooshare",""])': { value: '/é:/c:fooshare' },
+  'posix.normalize(["é:"])': { value: 'é:' },
+  'posix.isAbsolute(["é:"])': { value: false },
+  'posix.join(["é:","c:fooshare"])': { value: 'é:/c:fooshare' },
+  'posix.join(["é:","c:fooshare",""])': { value: 'é:/c:fooshare' },
+  'posix.relative(["é:","c:fooshare"])': { value: '../c:fooshare' },
+  'posix.toNamespacedPath(["é:"])': { value: 'é:' },
+  'posix.dirname(["é:"])': { value: '.' },
+  'posix.basename(["é:"])': { value: 'é:' },
+  'posix.basename(["é:","c:fooshare"])': { value: 'é:' },
+  'posix.extname(["é:"])': { value: '' },
+  'posix.parse(["é:"])': { value: { root: '', dir: '', base: 'é:', ext: '', name: 'é:' } },
+  'posix.format([{"dir":"é:","name":"c:fooshare","ext":""}])': { value: 'é:/c:fooshare' },
+  'posix.resolve(["/.."])': { value: '/' },
+  'posix.resolve(["/..","\\\\\\\\é\\\\\\\\/","\\\\\\\\é\\\\\\\\/"])': {
+    value: '/\\\\é\\\\/\\\\é\\\\',
+  },
+  'posix.normalize(["/.."])': { value: '/' },
+  'posix.isAbsolute(["/.."])': { value: true },
+  'posix.join(["/..","\\\\\\\\é\\\\\\\\/"])': { value: '/\\\\é\\\\/' },
+  'posix.join(["/..","\\\\\\\\é\\\\\\\\/","\\\\\\\\é\\\\\\\\/"])': {
+    value: '/\\\\é\\\\/\\\\é\\\\/',
+  },
+  'posix.relative(["/..","\\\\\\\\é\\\\\\\\/"])': { value: '\\\\é\\\\' },
+  'posix.toNamespacedPath(["/.."])': { value: '/..' },
+  'posix.dirname(["/.."])': { value: '/' },
+  'posix.basename(["/.."])': { value: '..' },
+  'posix.basename(["/..","\\\\\\\\é\\\\\\\\/"])': { value: '..' },
+  'posix.extname(["/.."])': { value: '' },
+  'posix.parse(["/.."])': { value: { root: '/', dir: '/', base: '..', ext: '.', name: '.' } },
+  'posix.format([{"dir":"/..","name":"\\\\\\\\é\\\\\\\\/","ext":"\\\\\\\\é\\\\\\\\/"}])': {
+    value: '/../\\\\é\\\\/.\\\\é\\\\/',
+  },
+  'posix.resolve(["\\\\\\\\é\\\\\\\\/"])': { value: '/\\\\é\\\\' },
+  'posix.resolve(["\\\\\\\\é\\\\\\\\/",".ext..","c: ?.."])': { value: '/\\\\é\\\\/.ext../c: ?..' },
+  'posix.normalize(["\\\\\\\\é\\\\\\\\/"])': { value: '\\\\é\\\\/' },
+  'posix.isAbsolute(["\\\\\\\\é\\\\\\\\/"])': { value: false },
+  'posix.join(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: '\\\\é\\\\/.ext..' },
+  'posix.join(["\\\\\\\\é\\\\\\\\/",".ext..","c: ?.."])': { value: '\\\\é\\\\/.ext../c: ?..' },
+  'posix.relative(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: '../.ext..' },
+  'posix.toNamespacedPath(["\\\\\\\\é\\\\\\\\/"])': { value: '\\\\é\\\\/' },
+  'posix.dirname(["\\\\\\\\é\\\\\\\\/"])': { value: '.' },
+  'posix.basename(["\\\\\\\\é\\\\\\\\/"])': { value: '\\\\é\\\\' },
+  'posix.basename(["\\\\\\\\é\\\\\\\\/",".ext.."])': { value: '\\\\é\\\\' },
+  'posix.extname(["\\\\\\\\é\\\\\\\\/"])': { value: '' },
+  'posix.parse(["\\\\\\\\é\\\\\\\\/"])': {
+    value: { root: '', dir: '', base: '\\\\é\\\\', ext: '', name: '\\\\é\\\\' },
+  },
+  'posix.format([{"dir":"\\\\\\\\é\\\\\\\\/","name":".ext..","ext":"c: ?.."}])': {
+    value: '\\\\é\\\\//.ext...c: ?..',
+  },
+  'posix.resolve(["share"])': { value: '/share' },
+  'posix.resolve(["share",".ext~.~.exté","?//"])': { value: '/share/.ext~.~.exté/?' },
+  'posix.normalize(["share"])': { value: 'share' },
+  'posix.isAbsolute(["share"])': { value: false },
+  'posix.join(["share",".ext~.~.exté"])': { value: 'share/.ext~.~.exté' },
+  'posix.join(["share",".ext~.~.exté","?//"])': { value: 'share/.ext~.~.exté/?/' },
+  'posix.relative(["share",".ext~.~.exté"])': { value: '../.ext~.~.exté' },
+  'posix.toNamespacedPath(["share"])': { value: 'share' },
+  'posix.dirname(["share"])': { value: '.' },
+  'posix.basename(["share"])': { value: 'share' },
+  'posix.basename(["share",".ext~.~.exté"])': { value: 'share' },
+  'posix.extname(["share"])': { value: '' },
+  'posix.parse(["share"])': { value: { root: '', dir: '', base: 'share', ext: '', name: 'share' } },
+  'posix.format([{"dir":"share","name":".ext~.~.exté","ext":"?//"}])': {
+    value: 'share/.ext~.~.exté.?//',
+  },
+  'posix.resolve(["?a.b.c//\\\\\\\\C:"])': { value: '/?a.b.c/\\\\C:' },
+  'posix.resolve(["?a.b.c//\\\\\\\\C:","shareserver:é","c:CONshare.."])': {
+    value: '/?a.b.c/\\\\C:/shareserver:é/c:CONshare..',
+  },
+  'posix.normalize(["?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c/\\\\C:' },
+  'posix.isAbsolute(["?a.b.c//\\\\\\\\C:"])': { value: false },
+  'posix.join(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: '?a.b.c/\\\\C:/shareserver:é' },
+  'posix.join(["?a.b.c//\\\\\\\\C:","shareserver:é","c:CONshare.."])': {
+    value: '?a.b.c/\\\\C:/shareserver:é/c:CONshare..',
+  },
+  'posix.relative(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: '../../shareserver:é' },
+  'posix.toNamespacedPath(["?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c//\\\\C:' },
+  'posix.dirname(["?a.b.c//\\\\\\\\C:"])': { value: '?a.b.c/' },
+  'posix.basename(["?a.b.c//\\\\\\\\C:"])': { value: '\\\\C:' },
+  'posix.basename(["?a.b.c//\\\\\\\\C:","shareserver:é"])': { value: '\\\\C:' },
+  'posix.extname(["?a.b.c//\\\\\\\\C:"])': { value: '' },
+  'posix.parse(["?a.b.c//\\\\\\\\C:"])': {
+    value: { root: '', dir: '?a.b.c/', base: '\\\\C:', ext: '', name: '\\\\C:' },
+  },
+  'posix.format([{"dir":"?a.b.c//\\\\\\\\C:","name":"shareserver:é","ext":"c:CONshare.."}])': {
+    value: '?a.b.c//\\\\C:/shareserver:é.c:CONshare..',
+  },
+  'posix.resolve([".extC:bar.js/"])': { value: '/.extC:bar.js' },
+  'posix.resolve([".extC:bar.js/","","~serverCON"])': { value: '/.extC:bar.js/~serverCON' },
+  'posix.normalize([".extC:bar.js/"])': { value: '.extC:bar.js/' },
+  'posix.isAbsolute([".extC:bar.js/"])': { value: false },
+  'posix.join([".extC:bar.js/",""])': { value: '.extC:bar.js/' },
+  'posix.join([".extC:bar.js/","","~serverCON"])': { value: '.extC:bar.js/~serverCON' },
+  'posix.relative([".extC:bar.js/",""])': { value: '..' },
+  'posix.toNamespacedPath([".extC:bar.js/"])': { value: '.extC:bar.js/' },
+  'posix.dirname([".extC:bar.js/"])': { value: '.' },
+  'posix.basename([".extC:bar.js/"])': { value: '.extC:bar.js' },
+  'posix.basename([".extC:bar.js/",""])': { value: '.extC:bar.js' },
+  'posix.extname([".extC:bar.js/"])': { value: '.js' },
+  'posix.parse([".extC:bar.js/"])': {
+    value: { root: '', dir: '', base: '.extC:bar.js', ext: '.js', name: '.extC:bar' },
+  },
+  'posix.format([{"dir":".extC:bar.js/","name":"","ext":"~serverCON"}])': {
+    value: '.extC:bar.js//.~serverCON',
+  },
+  'posix.resolve(["//..\\\\\\\\D:bar.js "])': { value: '/..\\\\D:bar.js ' },
+  'posix.resolve(["//..\\\\\\\\D:bar.js ","","share"])': { value: '/..\\\\D:bar.js /share' },
+  'posix.normalize(["//..\\\\\\\\D:bar.js "])': { value: '/..\\\\D:bar.js ' },
+  'posix.isAbsolute(["//..\\\\\\\\D:bar.js "])': { value: true },
+  'posix.join(["//..\\\\\\\\D:bar.js ",""])': { value: '/..\\\\D:bar.js ' },
+  'posix.join(["//..\\\\\\\\D:bar.js ","","share"])': { value: '/..\\\\D:bar.js /share' },
+  'posix.relative(["//..\\\\\\\\D:bar.js ",""])': { value: '..' },
+  'posix.toNamespacedPath(["//..\\\\\\\\D:bar.js "])': { value: '//..\\\\D:bar.js ' },
+  'posix.dirname(["//..\\\\\\\\D:bar.js "])': { value: '//' },
+  'posix.basename(["//..\\\\\\\\D:bar.js "])': { value: '..\\\\D:bar.js ' },
+  'posix.basename(["//..\\\\\\\\D:bar.js ",""])': { value: '..\\\\D:bar.js ' },
+  'posix.extname(["//..\\\\\\\\D:bar.js "])': { value: '.js ' },
+  'posix.parse(["//..\\\\\\\\D:bar.js "])': {
+    value: { root: '/', dir: '/', base: '..\\\\D:bar.js ', ext: '.js ', name: '..\\\\D:bar' },
+  },
+  'posix.format([{"dir":"//..\\\\\\\\D:bar.js ","name":"","ext":"share"}])': {
+    value: '//..\\\\D:bar.js /.share',
+  },
+  'posix.resolve([".\\\\fooa.b.c//"])': { value: '/.\\fooa.b.c' },
+  'posix.resolve([".\\\\fooa.b.c//","D::é",".ext~.~.exté"])': {
+    value: '/.\\fooa.b.c/D::é/.ext~.~.exté',
+  },
+  'posix.normalize([".\\\\fooa.b.c//"])': { value: '.\\fooa.b.c/' },
+  'posix.isAbsolute([".\\\\fooa.b.c//"])': { value: false },
+  'posix.join([".\\\\fooa.b.c//","D::é"])': { value: '.\\fooa.b.c/D::é' },
+  'posix.join([".\\\\fooa.b.c//","D::é",".ext~.~.exté"])': {
+    value: '.\\fooa.b.c/D::é/.ext~.~.exté',
+  },
+  'posix.relative([".\\\\fooa.b.c//","D::é"])': { value: '../D::é' },
+  'posix.toNamespacedPath([".\\\\fooa.b.c//"])': { value: '.\\fooa.b.c//' },
+  'posix.dirname([".\\\\fooa.b.c//"])': { value: '.' },
+  'posix.basename([".\\\\fooa.b.c//"])': { value: '.\\fooa.b.c' },
+  'posix.basename([".\\\\fooa.b.c//","D::é"])': { value: '.\\fooa.b.c' },
+  'posix.extname([".\\\\fooa.b.c//"])': { value: '.c' },
+  'posix.parse([".\\\\fooa.b.c//"])': {
+    value: { root: '', dir: '', base: '.\\fooa.b.c', ext: '.c', name: '.\\fooa.b' },
+  },
+  'posix.format([{"dir":".\\\\fooa.b.c//","name":"D::é","ext":".ext~.~.exté"}])': {
+    value: '.\\fooa.b.c///D::é.ext~.~.exté',
+  },
+  'posix.resolve(["bar.js\\\\\\\\"])': { value: '/bar.js\\\\' },
+  'posix.resolve(["bar.js\\\\\\\\","CON\\\\:..","server~"])': {
+    value: '/bar.js\\\\/CON\\:../server~',
+  },
+  'posix.normalize(["bar.js\\\\\\\\"])': { value: 'bar.js\\\\' },
+  'posix.isAbsolute(["bar.js\\\\\\\\"])': { value: false },
+  'posix.join(["bar.js\\\\\\\\","CON\\\\:.."])': { value: 'bar.js\\\\/CON\\:..' },
+  'posix.join(["bar.js\\\\\\\\","CON\\\\:..","server~"])': { value: 'bar.js\\\\/CON\\:../server~' },
+  'posix.relative(["bar.js\\\\\\\\","CON\\\\:.."])': { value: '../CON\\:..' },
+  'posix.toNamespacedPath(["bar.js\\\\\\\\"])': { value: 'bar.js\\\\' },
+  'posix.dirname(["bar.js\\\\\\\\"])': { value: '.' },
+  'posix.basename(["bar.js\\\\\\\\"])': { value: 'bar.js\\\\' },
+  'posix.basename(["bar.js\\\\\\\\","CON\\\\:.."])': { value: 'bar.js\\\\' },
+  'posix.extname(["bar.js\\\\\\\\"])': { value: '.js\\\\' },
+  'posix.parse(["bar.js\\\\\\\\"])': {
+    value: { root: '', dir: '', base: 'bar.js\\\\', ext: '.js\\\\', name: 'bar' },
+  },
+  'posix.format([{"dir":"bar.js\\\\\\\\","name":"CON\\\\:..","ext":"server~"}])': {
+    value: 'bar.js\\\\/CON\\:...server~',
+  },
+  'posix.resolve([".ext.."])': { value: '/.ext..' },
+  'posix.resolve([".ext..","CON/",""])': { value: '/.ext../CON' },
+  'posix.normalize([".ext.."])': { value: '.ext..' },
+  'posix.isAbsolute([".ext.."])': { value: false },
+  'posix.join([".ext..","CON/"])': { value: '.ext../CON/' },
+  'posix.join([".ext..","CON/",""])': { value: '.ext../CON/' },
+  'posix.relative([".ext..","CON/"])': { value: '../CON' },
+  'posix.toNamespacedPath([".ext.."])': { value: '.ext..' },
+  'posix.dirname([".ext.."])': { value: '.' },
+  'posix.basename([".ext.."])': { value: '.ext..' },
+  'posix.basename([".ext..","CON/"])': { value: '.ext..' },
+  'posix.extname([".ext.."])': { value: '.' },
+  'posix.parse([".ext.."])': {
+    value: { root: '', dir: '', base: '.ext..', ext: '.', name: '.ext.' },
+  },
+  'posix.format([{"dir":".ext..","name":"CON/","ext":""}])': { value: '.ext../CON/' },
+  'posix.resolve(["server\\\\\\\\c:"])': { value: '/server\\\\c:' },
+  'posix.resolve(["server\\\\\\\\c:","/..",".ext\\\\\\\\CON//foo"])': { value: '/.ext\\\\CON/foo' },
+  'posix.normalize(["server\\\\\\\\c:"])': { value: 'server\\\\c:' },
+  'posix.isAbsolute(["server\\\\\\\\c:"])': { value: false },
+  'posix.join(["server\\\\\\\\c:","/.."])': { value: '.' },
+  'posix.join(["server\\\\\\\\c:","/..",".ext\\\\\\\\CON//foo"])': { value: '.ext\\\\CON/foo' },
+  'posix.relative(["server\\\\\\\\c:","/.."])': { value: '..' },
+  'posix.toNamespacedPath(["server\\\\\\\\c:"])': { value: 'server\\\\c:' },
+  'posix.dirname(["server\\\\\\\\c:"])': { value: '.' },
+  'posix.basename(["server\\\\\\\\c:"])': { value: 'server\\\\c:' },
+  'posix.basename(["server\\\\\\\\c:","/.."])': { value: 'server\\\\c:' },
+  'posix.extname(["server\\\\\\\\c:"])': { value: '' },
+  'posix.parse(["server\\\\\\\\c:"])': {
+    value: { root: '', dir: '', base: 'server\\\\c:', ext: '', name: 'server\\\\c:' },
+  },
+  'posix.format([{"dir":"server\\\\\\\\c:","name":"/..","ext":".ext\\\\\\\\CON//foo"}])': {
+    value: 'server\\\\c://...ext\\\\CON//foo',
+  },
+  'posix.resolve(["..~/:"])': { value: '/..~/:' },
+  'posix.resolve(["..~/:","bar.js\\\\\\\\","?a.b.c//\\\\\\\\C:"])': {
+    value: '/..~/:/bar.js\\\\/?a.b.c/\\\\C:',
+  },
+  'posix.normalize(["..~/:"])': { value: '..~/:' },
+  'posix.isAbsolute(["..~/:"])': { value: false },
+  'posix.join(["..~/:","bar.js\\\\\\\\"])': { value: '..~/:/bar.js\\\\' },
+  'posix.join(["..~/:","bar.js\\\\\\\\","?a.b.c//\\\\\\\\C:"])': {
+    value: '..~/:/bar.js\\\\/?a.b.c/\\\\C:',
+  },
+  'posix.relative(["..~/:","bar.js\\\\\\\\"])': { value: '../../bar.js\\\\' },
+  'posix.toNamespacedPath(["..~/:"])': { value: '..~/:' },
+  'posix.dirname(["..~/:"])': { value: '..~' },
+  'posix.basename(["..~/:"])': { value: ':' },
+  'posix.basename(["..~/:","bar.js\\\\\\\\"])': { value: ':' },
+  'posix.extname(["..~/:"])': { value: '' },
+  'posix.parse(["..~/:"])': { value: { root: '', dir: '..~', base: ':', ext: '', name: ':' } },
+  'posix.format([{"dir":"..~/:","name":"bar.js\\\\\\\\","ext":"?a.b.c//\\\\\\\\C:"}])': {
+    value: '..~/:/bar.js\\\\.?a.b.c//\\\\C:',
+  },
+  'posix.resolve(["","c: ?.."," C://\\\\foo:"])': { value: '/c: ?../ C:/\\foo:' },
+  'posix.join(["","c: ?.."])': { value: 'c: ?..' },
+  'posix.join(["","c: ?.."," C://\\\\foo:"])': { value: 'c: ?../ C:/\\foo:' },
+  'posix.relative(["","c: ?.."])': { value: 'c: ?..' },
+  'posix.basename(["","c: ?.."])': { value: '' },
+  'posix.format([{"dir":"","name":"c: ?..","ext":" C://\\\\foo:"}])': {
+    value: 'c: ?... C://\\foo:',
+  },
+  'posix.resolve(["","",""])': { value: '/' },
+  'posix.join(["","",""])': { value: '.' },
+  'posix.basename(["",""])': { value: '' },
+  'posix.format([{"dir":"","name":"","ext":""}])': { value: '' },
+  'posix.resolve(["share","server~",""])': { value: '/share/server~' },
+  'posix.join(["share","server~"])': { value: 'share/server~' },
+  'posix.join(["share","server~",""])': { value: 'share/server~' },
+  'posix.relative(["share","server~"])': { value: '../server~' },
+  'posix.basename(["share","server~"])': { value: 'share' },
+  'posix.format([{"dir":"share","name":"server~","ext":""}])': { value: 'share/server~' },
+  'posix.resolve(["c: ?.."])': { value: '/c: ?..' },
+  'posix.resolve(["c: ?..","fooD:.ext","\\\\"])': { value: '/c: ?../fooD:.ext/\\' },
+  'posix.normalize(["c: ?.."])': { value: 'c: ?..' },
+  'posix.isAbsolute(["c: ?.."])': { value: false },
+  'posix.join(["c: ?..","fooD:.ext"])': { value: 'c: ?../fooD:.ext' },
+  'posix.join(["c: ?..","fooD:.ext","\\\\"])': { value: 'c: ?../fooD:.ext/\\' },
+  'posix.relative(["c: ?..","fooD:.ext"])': { value: '../fooD:.ext' },
+  'posix.toNamespacedPath(["c: ?.."])': { value: 'c: ?..' },
+  'posix.dirname(["c: ?.."])': { value: '.' },
+  'posix.basename(["c: ?.."])': { value: 'c: ?..' },
+  'posix.basename(["c: ?..","fooD:.ext"])': { value: 'c: ?..' },
+  'posix.extname(["c: ?.."])': { value: '.' },
+  'posix.parse(["c: ?.."])': {
+    value: { root: '', dir: '', base: 'c: ?..', ext: '.', name: 'c: ?.' },
+  },
+  'posix.format([{"dir":"c: ?..","name":"fooD:.ext","ext":"\\\\"}])': {
+    value: 'c: ?../fooD:.ext.\\',
+  },
+  'posix.resolve([".ext~.~.exté"])': { value: '/.ext~.~.exté' },
+  'posix.resolve([".ext~.~.exté","",".extC:bar.js/"])': { value: '/.ext~.~.exté/.extC:bar.js' },
+  'posix.normalize([".ext~.~.exté"])': { value: '.ext~.~.exté' },
+  'posix.isAbsolute([".ext~.~.exté"])': { value: false },
+  'posix.join([".ext~.~.exté",""])': { value: '.ext~.~.exté' },
+  'posix.join([".ext~.~.exté","",".extC:bar.js/"])': { value: '.ext~.~.exté/.extC:bar.js/' },
+  'posix.relative([".ext~.~.exté",""])': { value: '..' },
+  'posix.toNamespacedPath([".ext~.~.exté"])': { value: '.ext~.~.exté' },
+  'posix.dirname([".ext~.~.exté"])': { value: '.' },
+  'posix.basename([".ext~.~.exté"])': { value: '.ext~.~.exté' },
+  'posix.basename([".ext~.~.exté",""])': { value: '.ext~.~.exté' },
+  'posix.extname([".ext~.~.exté"])': { value: '.exté' },
+  'posix.parse([".ext~.~.exté"])': {
+    value: { root: '', dir: '', base: '.ext~.~.exté', ext: '.exté', name: '.ext~.~' },
+  },
+  'posix.format([{"dir":".ext~.~.exté","name":"","ext":".extC:bar.js/"}])': {
+    value: '.ext~.~.exté/.extC:bar.js/',
+  },
+  'posix.resolve([" C://\\\\foo:"])': { value: '/ C:/\\foo:' },
+  'posix.resolve([" C://\\\\foo:","/","bar.js"])': { value: '/bar.js' },
+  'posix.normalize([" C://\\\\foo:"])': { value: ' C:/\\foo:' },
+  'posix.isAbsolute([" C://\\\\foo:"])': { value: false },
+  'posix.join([" C://\\\\foo:","/"])': { value: ' C:/\\foo:/' },
+  'posix.join([" C://\\\\foo:","/","bar.js"])': { value: ' C:/\\foo:/bar.js' },
+  'posix.relative([" C://\\\\foo:","/"])': { value: '../..' },
+  'posix.toNamespacedPath([" C://\\\\foo:"])': { value: ' C://\\foo:' },
+  'posix.dirname([" C://\\\\foo:"])': { value: ' C:/' },
+  'posix.basename([" C://\\\\foo:"])': { value: '\\foo:' },
+  'posix.basename([" C://\\\\foo:","/"])': { value: '\\foo:' },
+  'posix.extname([" C://\\\\foo:"])': { value: '' },
+  'posix.parse([" C://\\\\foo:"])': {
+    value: { root: '', dir: ' C:/', base: '\\foo:', ext: '', name: '\\foo:' },
+  },
+  'posix.format([{"dir":" C://\\\\foo:","name":"/","ext":"bar.js"}])': {
+    value: ' C://\\foo://.bar.js',
+  },
+  'posix.resolve(["bar.js"])': { value: '/bar.js' },
+  'posix.resolve(["bar.js","..","foo\\\\//D:"])': { value: '/foo\\/D:' },
+  'posix.normalize(["bar.js"])': { value: 'bar.js' },
+  'posix.isAbsolute(["bar.js"])': { value: false },
+  'posix.join(["bar.js",".."])': { value: '.' },
+  'posix.join(["bar.js","..","foo\\\\//D:"])': { value: 'foo\\/D:' },
+  'posix.relative(["bar.js",".."])': { value: '..' },
+  'posix.toNamespacedPath(["bar.js"])': { value: 'bar.js' },
+  'posix.dirname(["bar.js"])': { value: '.' },
+  'posix.basename(["bar.js"])': { value: 'bar.js' },
+  'posix.basename(["bar.js",".."])': { value: 'bar.js' },
+  'posix.extname(["bar.js"])': { value: '.js' },
+  'posix.parse(["bar.js"])': {
+    value: { root: '', dir: '', base: 'bar.js', ext: '.js', name: 'bar' },
+  },
+  'posix.format([{"dir":"bar.js","name":"..","ext":"foo\\\\//D:"}])': {
+    value: 'bar.js/...foo\\//D:',
+  },
+  'posix.resolve([" shareé.."])': { value: '/ shareé..' },
+  'posix.resolve([" shareé..","é:","D::é"])': { value: '/ shareé../é:/D::é' },
+  'posix.normalize([" shareé.."])': { value: ' shareé..' },
+  'posix.isAbsolute([" shareé.."])': { value: false },
+  'posix.join([" shareé..","é:"])': { value: ' shareé../é:' },
+  'posix.join([" shareé..","é:","D::é"])': { value: ' shareé../é:/D::é' },
+  'posix.relative([" shareé..","é:"])': { value: '../é:' },
+  'posix.toNamespacedPath([" shareé.."])': { value: ' shareé..' },
+  'posix.dirname([" shareé.."])': { value: '.' },
+  'posix.basename([" shareé.."])': { value: ' shareé..' },
+  'posix.basename([" shareé..","é:"])': { value: ' shareé..' },
+  'posix.extname([" shareé.."])': { value: '.' },
+  'posix.parse([" shareé.."])': {
+    value: { root: '', dir: '', base: ' shareé..', ext: '.', name: ' shareé.' },
+  },
+  'posix.format([{"dir":" shareé..","name":"é:","ext":"D::é"}])': { value: ' shareé../é:.D::é' },
+  'posix.resolve(["c:C:..D:"])': { value: '/c:C:..D:' },
+  'posix.resolve(["c:C:..D:",".\\\\fooa.b.c//",".."])': { value: '/c:C:..D:' },
+  'posix.normalize(["c:C:..D:"])': { value: 'c:C:..D:' },
+  'posix.isAbsolute(["c:C:..D:"])': { value: false },
+  'posix.join(["c:C:..D:",".\\\\fooa.b.c//"])': { value: 'c:C:..D:/.\\fooa.b.c/' },
+  'posix.join(["c:C:..D:",".\\\\fooa.b.c//",".."])': { value: 'c:C:..D:' },
+  'posix.relative(["c:C:..D:",".\\\\fooa.b.c//"])': { value: '../.\\fooa.b.c' },
+  'posix.toNamespacedPath(["c:C:..D:"])': { value: 'c:C:..D:' },
+  'posix.dirname(["c:C:..D:"])': { value: '.' },
+  'posix.basename(["c:C:..D:"])': { value: 'c:C:..D:' },
+  'posix.basename(["c:C:..D:",".\\\\fooa.b.c//"])': { value: 'c:C:..D:' },
+  'posix.extname(["c:C:..D:"])': { value: '.D:' },
+  'posix.parse(["c:C:..D:"])': {
+    value: { root: '', dir: '', base: 'c:C:..D:', ext: '.D:', name: 'c:C:.' },
+  },
+  'posix.format([{"dir":"c:C:..D:","name":".\\\\fooa.b.c//","ext":".."}])': {
+    value: 'c:C:..D:/.\\fooa.b.c//..',
+  },
+  'posix.resolve(["share:"])': { value: '/share:' },
+  'posix.resolve(["share:","share","//..\\\\\\\\D:bar.js "])': { value: '/..\\\\D:bar.js ' },
+  'posix.normalize(["share:"])': { value: 'share:' },
+  'posix.isAbsolute(["share:"])': { value: false },
+  'posix.join(["share:","share"])': { value: 'share:/share' },
+  'posix.join(["share:","share","//..\\\\\\\\D:bar.js "])': {
+    value: 'share:/share/..\\\\D:bar.js ',
+  },
+  'posix.relative(["share:","share"])': { value: '../share' },
+  'posix.toNamespacedPath(["share:"])': { value: 'share:' },
+  'posix.dirname(["share:"])': { value: '.' },
+  'posix.basename(["share:"])': { value: 'share:' },
+  'posix.basename(["share:","share"])': { value: 'share:' },
+  'posix.extname(["share:"])': { value: '' },
+  'posix.parse(["share:"])': {
+    value: { root: '', dir: '', base: 'share:', ext: '', name: 'share:' },
+  },
+  'posix.format([{"dir":"share:","name":"share","ext":"//..\\\\\\\\D:bar.js "}])': {
+    value: 'share:/share.//..\\\\D:bar.js ',
+  },
+  'posix.resolve(["","share:"," shareé.."])': { value: '/share:/ shareé..' },
+  'posix.join(["","share:"])': { value: 'share:' },
+  'posix.join(["","share:"," shareé.."])': { value: 'share:/ shareé..' },
+  'posix.relative(["","share:"])': { value: 'share:' },
+  'posix.basename(["","share:"])': { value: '' },
+  'posix.format([{"dir":"","name":"share:","ext":" shareé.."}])': { value: 'share:. shareé..' },
+  'posix.resolve(["shareserver:é"])': { value: '/shareserver:é' },
+  'posix.resolve(["shareserver:é","?//","C:"])': { value: '/shareserver:é/?/C:' },
+  'posix.normalize(["shareserver:é"])': { value: 'shareserver:é' },
+  'posix.isAbsolute(["shareserver:é"])': { value: false },
+  'posix.join(["shareserver:é","?//"])': { value: 'shareserver:é/?/' },
+  'posix.join(["shareserver:é","?//","C:"])': { value: 'shareserver:é/?/C:' },
+  'posix.relative(["shareserver:é","?//"])': { value: '../?' },
+  'posix.toNamespacedPath(["shareserver:é"])': { value: 'shareserver:é' },
+  'posix.dirname(["shareserver:é"])': { value: '.' },
+  'posix.basename(["shareserver:é"])': { value: 'shareserver:é' },
+  'posix.basename(["shareserver:é","?//"])': { value: 'shareserver:é' },
+  'posix.extname(["shareserver:é"])': { value: '' },
+  'posix.parse(["shareserver:é"])': {
+    value: { root: '', dir: '', base: 'shareserver:é', ext: '', name: 'shareserver:é' },
+  },
+  'posix.format([{"dir":"shareserver:é","name":"?//","ext":"C:"}])': {
+    value: 'shareserver:é/?//.C:',
+  },
+  'posix.resolve(["~fooshare///"])': { value: '/~fooshare' },
+  'posix.resolve(["~fooshare///","~","é"])': { value: '/~fooshare/~/é' },
+  'posix.normalize(["~fooshare///"])': { value: '~fooshare/' },
+  'posix.isAbsolute(["~fooshare///"])': { value: false },
+  'posix.join(["~fooshare///","~"])': { value: '~fooshare/~' },
+  'posix.join(["~fooshare///","~","é"])': { value: '~fooshare/~/é' },
+  'posix.relative(["~fooshare///","~"])': { value: '../~' },
+  'posix.toNamespacedPath(["~fooshare///"])': { value: '~fooshare///' },
+  'posix.dirname(["~fooshare///"])': { value: '.' },
+  'posix.basename(["~fooshare///"])': { value: '~fooshare' },
+  'posix.basename(["~fooshare///","~"])': { value: '~fooshare' },
+  'posix.extname(["~fooshare///"])': { value: '' },
+  'posix.parse(["~fooshare///"])': {
+    value: { root: '', dir: '', base: '~fooshare', ext: '', name: '~fooshare' },
+  },
+  'posix.format([{"dir":"~fooshare///","name":"~","ext":"é"}])': { value: '~fooshare////~.é' },
+  'posix.resolve(["CONCONa.b.c/foo"])': { value: '/CONCONa.b.c/foo' },
+  'posix.resolve(["CONCONa.b.c/foo","","CON/"])': { value: '/CONCONa.b.c/foo/CON' },
+  'posix.normalize(["CONCONa.b.c/foo"])': { value: 'CONCONa.b.c/foo' },
+  'posix.isAbsolute(["CONCONa.b.c/foo"])': { value: false },
+  'posix.join(["CONCONa.b.c/foo",""])': { value: 'CONCONa.b.c/foo' },
+  'posix.join(["CONCONa.b.c/foo","","CON/"])': { value: 'CONCONa.b.c/foo/CON/' },
+  'posix.relative(["CONCONa.b.c/foo",""])': { value: '../..' },
+  'posix.toNamespacedPath(["CONCONa.b.c/foo"])': { value: 'CONCONa.b.c/foo' },
+  'posix.dirname(["CONCONa.b.c/foo"])': { value: 'CONCONa.b.c' },
+  'posix.basename(["CONCONa.b.c/foo"])': { value: 'foo' },
+  'posix.basename(["CONCONa.b.c/foo",""])': { value: 'foo' },
+  'posix.extname(["CONCONa.b.c/foo"])': { value: '' },
+  'posix.parse(["CONCONa.b.c/foo"])': {
+    value: { root: '', dir: 'CONCONa.b.c', base: 'foo', ext: '', name: 'foo' },
+  },
+  'posix.format([{"dir":"CONCONa.b.c/foo","name":"","ext":"CON/"}])': {
+    value: 'CONCONa.b.c/foo/.CON/',
+  },
+  'posix.resolve(["","/bar.js:",".\\\\fooa.b.c//"])': { value: '/bar.js:/.\\fooa.b.c' },
+  'posix.join(["","/bar.js:"])': { value: '/bar.js:' },
+  'posix.join(["","/bar.js:",".\\\\fooa.b.c//"])': { value: '/bar.js:/.\\fooa.b.c/' },
+  'posix.relative(["","/bar.js:"])': { value: 'bar.js:' },
+  'posix.basename(["","/bar.js:"])': { value: '' },
+  'posix.format([{"dir":"","name":"/bar.js:","ext":".\\\\fooa.b.c//"}])': {
+    value: '/bar.js:.\\fooa.b.c//',
+  },
+  'posix.resolve(["foo\\\\\\\\\\\\server"])': { value: '/foo\\\\\\server' },
+  'posix.resolve(["foo\\\\\\\\\\\\server","\\\\","c:C:..D:"])': {
+    value: '/foo\\\\\\server/\\/c:C:..D:',
+  },
+  'posix.normalize(["foo\\\\\\\\\\\\server"])': { value: 'foo\\\\\\server' },
+  'posix.isAbsolute(["foo\\\\\\\\\\\\server"])': { value: false },
+  'posix.join(["foo\\\\\\\\\\\\server","\\\\"])': { value: 'foo\\\\\\server/\\' },
+  'posix.join(["foo\\\\\\\\\\\\server","\\\\","c:C:..D:"])': {
+    value: 'foo\\\\\\server/\\/c:C:..D:',
+  },
+  'posix.relative(["foo\\\\\\\\\\\\server","\\\\"])': { value: '../\\' },
+  'posix.toNamespacedPath(["foo\\\\\\\\\\\\server"])': { value: 'foo\\\\\\server' },
+  'posix.dirname(["foo\\\\\\\\\\\\server"])': { value: '.' },
+  'posix.basename(["foo\\\\\\\\\\\\server"])': { value: 'foo\\\\\\server' },
+  'posix.basename(["foo\\\\\\\\\\\\server","\\\\"])': { value: 'foo\\\\\\server' },
+  'posix.extname(["foo\\\\\\\\\\\\server"])': { value: '' },
+  'posix.parse(["foo\\\\\\\\\\\\server"])': {
+    value: { root: '', dir: '', base: 'foo\\\\\\server', ext: '', name: 'foo\\\\\\server' },
+  },
+  'posix.format([{"dir":"foo\\\\\\\\\\\\server","name":"\\\\","ext":"c:C:..D:"}])': {
+    value: 'foo\\\\\\server/\\.c:C:..D:',
+  },
+  'posix.resolve(["?//"])': { value: '/?' },
+  'posix.resolve(["?//","c:.",""])': { value: '/?/c:.' },
+  'posix.normalize(["?//"])': { value: '?/' },
+  'posix.isAbsolute(["?//"])': { value: false },
+  'posix.join(["?//","c:."])': { value: '?/c:.' },
+  'posix.join(["?//","c:.",""])': { value: '?/c:.' },
+  'posix.relative(["?//","c:."])': { value: '../c:.' },
+  'posix.toNamespacedPath(["?//"])': { value: '?//' },
+  'posix.dirname(["?//"])': { value: '.' },
+  'posix.basename(["?//"])': { value: '?' },
+  'posix.basename(["?//","c:."])': { value: '?' },
+  'posix.extname(["?//"])': { value: '' },
+  'posix.parse(["?//"])': { value: { root: '', dir: '', base: '?', ext: '', name: '?' } },
+  'posix.format([{"dir":"?//","name":"c:.","ext":""}])': { value: '?///c:.' },
+  'posix.resolve(["server~"])': { value: '/server~' },
+  'posix.resolve(["server~","//..\\\\\\\\D:bar.js ","bar.js:\\\\/~server"])': {
+    value: '/..\\\\D:bar.js /bar.js:\\/~server',
+  },
+  'posix.normalize(["server~"])': { value: 'server~' },
+  'posix.isAbsolute(["server~"])': { value: false },
+  'posix.join(["server~","//..\\\\\\\\D:bar.js "])': { value: 'server~/..\\\\D:bar.js ' },
+  'posix.join(["server~","//..\\\\\\\\D:bar.js ","bar.js:\\\\/~server"])': {
+    value: 'server~/..\\\\D:bar.js /bar.js:\\/~server',
+  },
+  'posix.relative(["server~","//..\\\\\\\\D:bar.js "])': { value: '../..\\\\D:bar.js ' },
+  'posix.toNamespacedPath(["server~"])': { value: 'server~' },
+  'posix.dirname(["server~"])': { value: '.' },
+  'posix.basename(["server~"])': { value: 'server~' },
+  'posix.basename(["server~","//..\\\\\\\\D:bar.js "])': { value: 'server~' },
+  'posix.extname(["server~"])': { value: '' },
+  'posix.parse(["server~"])': {
+    value: { root: '', dir: '', base: 'server~', ext: '', name: 'server~' },
+  },
+  'posix.format([{"dir":"server~","name":"//..\\\\\\\\D:bar.js ","ext":"bar.js:\\\\/~server"}])': {
+    value: 'server~///..\\\\D:bar.js .bar.js:\\/~server',
+  },
+  'posix.resolve(["","","c:fooshare"])': { value: '/c:fooshare' },
+  'posix.join(["","","c:fooshare"])': { value: 'c:fooshare' },
+  'posix.format([{"dir":"","name":"","ext":"c:fooshare"}])': { value: '.c:fooshare' },
+  'posix.resolve(["foo\\\\//D:"])': { value: '/foo\\/D:' },
+  'posix.resolve(["foo\\\\//D:","c:C:..D:","bar.js\\\\\\\\"])': {
+    value: '/foo\\/D:/c:C:..D:/bar.js\\\\',
+  },
+  'posix.normalize(["foo\\\\//D:"])': { value: 'foo\\/D:' },
+  'posix.isAbsolute(["foo\\\\//D:"])': { value: false },
+  'posix.join(["foo\\\\//D:","c:C:..D:"])': { value: 'foo\\/D:/c:C:..D:' },
+  'posix.join(["foo\\\\//D:","c:C:..D:","bar.js\\\\\\\\"])': {
+    value: 'foo\\/D:/c:C:..D:/bar.js\\\\',
+  },
+  'posix.relative(["foo\\\\//D:","c:C:..D:"])': { value: '../../c:C:..D:' },
+  'posix.toNamespacedPath(["foo\\\\//D:"])': { value: 'foo\\//D:' },
+  'posix.dirname(["foo\\\\//D:"])': { value: 'foo\\/' },
+  'posix.basename(["foo\\\\//D:"])': { value: 'D:' },
+  'posix.basename(["foo\\\\//D:","c:C:..D:"])': { value: 'D:' },
+  'posix.extname(["foo\\\\//D:"])': { value: '' },
+  'posix.parse(["foo\\\\//D:"])': {
+    value: { root: '', dir: 'foo\\/', base: 'D:', ext: '', name: 'D:' },
+  },
+  'posix.format([{"dir":"foo\\\\//D:","name":"c:C:..D:","ext":"bar.js\\\\\\\\"}])': {
+    value: 'foo\\//D:/c:C:..D:.bar.js\\\\',
+  },
+  'posix.resolve(["C:"])': { value: '/C:' },
+  'posix.resolve(["C:","foo\\\\\\\\\\\\server","share:"])': { value: '/C:/foo\\\\\\server/share:' },
+  'posix.isAbsolute(["C:"])': { value: false },
+  'posix.join(["C:","foo\\\\\\\\\\\\server"])': { value: 'C:/foo\\\\\\server' },
+  'posix.join(["C:","foo\\\\\\\\\\\\server","share:"])': { value: 'C:/foo\\\\\\server/share:' },
+  'posix.relative(["C:","foo\\\\\\\\\\\\server"])': { value: '../foo\\\\\\server' },
+  'posix.dirname(["C:"])': { value: '.' },
+  'posix.basename(["C:","foo\\\\\\\\\\\\server"])': { value: 'C:' },
+  'posix.extname(["C:"])': { value: '' },
+  'posix.format([{"dir":"C:","name":"foo\\\\\\\\\\\\server","ext":"share:"}])': {
+    value: 'C:/foo\\\\\\server.share:',
+  },
+  'posix.resolve(["",":../server",":../server"])': { value: '/:../server/:../server' },
+  'posix.join(["",":../server"])': { value: ':../server' },
+  'posix.join(["",":../server",":../server"])': { value: ':../server/:../server' },
+  'posix.relative(["",":../server"])': { value: ':../server' },
+  'posix.basename(["",":../server"])': { value: '' },
+  'posix.format([{"dir":"","name":":../server","ext":":../server"}])': {
+    value: ':../server.:../server',
+  },
+  'posix.resolve([":../server"])': { value: '/:../server' },
+  'posix.resolve([":../server","c:CONshare..",""])': { value: '/:../server/c:CONshare..' },
+  'posix.normalize([":../server"])': { value: ':../server' },
+  'posix.isAbsolute([":../server"])': { value: false },
+  'posix.join([":../server","c:CONshare.."])': { value: ':../server/c:CONshare..' },
+  'posix.join([":../server","c:CONshare..",""])': { value: ':../server/c:CONshare..' },
+  'posix.relative([":../server","c:CONshare.."])': { value: '../../c:CONshare..' },
+  'posix.toNamespacedPath([":../server"])': { value: ':../server' },
+  'posix.dirname([":../server"])': { value: ':..' },
+  'posix.basename([":../server"])': { value: 'server' },
+  'posix.basename([":../server","c:CONshare.."])': { value: 'server' },
+  'posix.extname([":../server"])': { value: '' },
+  'posix.parse([":../server"])': {
+    value: { root: '', dir: ':..', base: 'server', ext: '', name: 'server' },
+  },
+  'posix.format([{"dir":":../server","name":"c:CONshare..","ext":""}])': {
+    value: ':../server/c:CONshare..',
+  },
+  'posix.resolve(["~"])': { value: '/~' },
+  'posix.resolve(["~","é?C:","c::.server"])': { value: '/~/é?C:/c::.server' },
+  'posix.normalize(["~"])': { value: '~' },
+  'posix.isAbsolute(["~"])': { value: false },
+  'posix.join(["~","é?C:"])': { value: '~/é?C:' },
+  'posix.join(["~","é?C:","c::.server"])': { value: '~/é?C:/c::.server' },
+  'posix.relative(["~","é?C:"])': { value: '../é?C:' },
+  'posix.toNamespacedPath(["~"])': { value: '~' },
+  'posix.dirname(["~"])': { value: '.' },
+  'posix.basename(["~"])': { value: '~' },
+  'posix.basename(["~","é?C:"])': { value: '~' },
+  'posix.extname(["~"])': { value: '' },
+  'posix.parse(["~"])': { value: { root: '', dir: '', base: '~', ext: '', name: '~' } },
+  'posix.format([{"dir":"~","name":"é?C:","ext":"c::.server"}])': { value: '~/é?C:.c::.server' },
+  'posix.resolve(["fooD:.ext"])': { value: '/fooD:.ext' },
+  'posix.resolve(["fooD:.ext",".ext\\\\\\\\CON//foo",".ext.."])': {
+    value: '/fooD:.ext/.ext\\\\CON/foo/.ext..',
+  },
+  'posix.normalize(["fooD:.ext"])': { value: 'fooD:.ext' },
+  'posix.isAbsolute(["fooD:.ext"])': { value: false },
+  'posix.join(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: 'fooD:.ext/.ext\\\\CON/foo' },
+  'posix.join(["fooD:.ext",".ext\\\\\\\\CON//foo",".ext.."])': {
+    value: 'fooD:.ext/.ext\\\\CON/foo/.ext..',
+  },
+  'posix.relative(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: '../.ext\\\\CON/foo' },
+  'posix.toNamespacedPath(["fooD:.ext"])': { value: 'fooD:.ext' },
+  'posix.dirname(["fooD:.ext"])': { value: '.' },
+  'posix.basename(["fooD:.ext"])': { value: 'fooD:.ext' },
+  'posix.basename(["fooD:.ext",".ext\\\\\\\\CON//foo"])': { value: 'fooD:.ext' },
+  'posix.extname(["fooD:.ext"])': { value: '.ext' },
+  'posix.parse(["fooD:.ext"])': {
+    value: { root: '', dir: '', base: 'fooD:.ext', ext: '.ext', name: 'fooD:' },
+  },
+  'posix.format([{"dir":"fooD:.ext","name":".ext\\\\\\\\CON//foo","ext":".ext.."}])': {
+    value: 'fooD:.ext/.ext\\\\CON//foo.ext..',
+  },
+  'posix.resolve(["","..CON\\\\\\\\COND:/",""])': { value: '/..CON\\\\COND:' },
+  'posix.join(["","..CON\\\\\\\\COND:/"])': { value: '..CON\\\\COND:/' },
+  'posix.join(["","..CON\\\\\\\\COND:/",""])': { value: '..CON\\\\COND:/' },
+  'posix.relative(["","..CON\\\\\\\\COND:/"])': { value: '..CON\\\\COND:' },
+  'posix.basename(["","..CON\\\\\\\\COND:/"])': { value: '' },
+  'posix.format([{"dir":"","name":"..CON\\\\\\\\COND:/","ext":""}])': { value: '..CON\\\\COND:/' },
+  'posix.resolve([":"])': { value: '/:' },
+  'posix.resolve([":",".extC:bar.js/","~"])': { value: '/:/.extC:bar.js/~' },
+  'posix.normalize([":"])': { value: ':' },
+  'posix.isAbsolute([":"])': { value: false },
+  'posix.join([":",".extC:bar.js/"])': { value: ':/.extC:bar.js/' },
+  'posix.join([":",".extC:bar.js/","~"])': { value: ':/.extC:bar.js/~' },
+  'posix.relative([":",".extC:bar.js/"])': { value: '../.extC:bar.js' },
+  'posix.toNamespacedPath([":"])': { value: ':' },
+  'posix.dirname([":"])': { value: '.' },
+  'posix.basename([":"])': { value: ':' },
+  'posix.basename([":",".extC:bar.js/"])': { value: ':' },
+  'posix.extname([":"])': { value: '' },
+  'posix.parse([":"])': { value: { root: '', dir: '', base: ':', ext: '', name: ':' } },
+  'posix.format([{"dir":":","name":".extC:bar.js/","ext":"~"}])': { value: ':/.extC:bar.js/.~' },
+  'posix.resolve(["..CON../share"])': { value: '/..CON../share' },
+  'posix.resolve(["..CON../share","","é?C:"])': { value: '/..CON../share/é?C:' },
+  'posix.normalize(["..CON../share"])': { value: '..CON../share' },
+  'posix.isAbsolute(["..CON../share"])': { value: false },
+  'posix.join(["..CON../share",""])': { value: '..CON../share' },
+  'posix.join(["..CON../share","","é?C:"])': { value: '..CON../share/é?C:' },
+  'posix.relative(["..CON../share",""])': { value: '../..' },
+  'posix.toNamespacedPath(["..CON../share"])': { value: '..CON../share' },
+  'posix.dirname(["..CON../share"])': { value: '..CON..' },
+  'posix.basename(["..CON../share"])': { value: 'share' },
+  'posix.basename(["..CON../share",""])': { value: 'share' },
+  'posix.extname(["..CON../share"])': { value: '' },
+  'posix.parse(["..CON../share"])': {
+    value: { root: '', dir: '..CON..', base: 'share', ext: '', name: 'share' },
+  },
+  'posix.format([{"dir":"..CON../share","name":"","ext":"é?C:"}])': {
+    value: '..CON../share/.é?C:',
+  },
+  'posix.resolve([""," shareé..","\\\\\\\\.extshare"])': { value: '/ shareé../\\\\.extshare' },
+  'posix.join([""," shareé.."])': { value: ' shareé..' },
+  'posix.join([""," shareé..","\\\\\\\\.extshare"])': { value: ' shareé../\\\\.extshare' },
+  'posix.relative([""," shareé.."])': { value: ' shareé..' },
+  'posix.basename([""," shareé.."])': { value: '' },
+  'posix.format([{"dir":"","name":" shareé..","ext":"\\\\\\\\.extshare"}])': {
+    value: ' shareé...\\\\.extshare',
+  },
+  'posix.resolve(["c:CONshare.."])': { value: '/c:CONshare..' },
+  'posix.resolve(["c:CONshare..","","server\\\\\\\\c:"])': { value: '/c:CONshare../server\\\\c:' },
+  'posix.normalize(["c:CONshare.."])': { value: 'c:CONshare..' },
+  'posix.isAbsolute(["c:CONshare.."])': { value: false },
+  'posix.join(["c:CONshare..",""])': { value: 'c:CONshare..' },
+  'posix.join(["c:CONshare..","","server\\\\\\\\c:"])': { value: 'c:CONshare../server\\\\c:' },
+  'posix.relative(["c:CONshare..",""])': { value: '..' },
+  'posix.toNamespacedPath(["c:CONshare.."])': { value: 'c:CONshare..' },
+  'posix.dirname(["c:CONshare.."])': { value: '.' },
+  'posix.basename(["c:CONshare.."])': { value: 'c:CONshare..' },
+  'posix.basename(["c:CONshare..",""])': { value: 'c:CONshare..' },
+  'posix.extname(["c:CONshare.."])': { value: '.' },
+  'posix.parse(["c:CONshare.."])': {
+    value: { root: '', dir: '', base: 'c:CONshare..', ext: '.', name: 'c:CONshare.' },
+  },
+  'posix.format([{"dir":"c:CONshare..","name":"","ext":"server\\\\\\\\c:"}])': {
+    value: 'c:CONshare../.server\\\\c:',
+  },
+  'posix.resolve(["","","shareserver:é"])': { value: '/shareserver:é' },
+  'posix.join(["","","shareserver:é"])': { value: 'shareserver:é' },
+  'posix.format([{"dir":"","name":"","ext":"shareserver:é"}])': { value: '.shareserver:é' },
+  'posix.resolve(["","","fooD:.ext"])': { value: '/fooD:.ext' },
+  'posix.join(["","","fooD:.ext"])': { value: 'fooD:.ext' },
+  'posix.format([{"dir":"","name":"","ext":"fooD:.ext"}])': { value: '.fooD:.ext' },
+};
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { toPosix, toWin32 } from '../src/index.js';
+
+describe('toPosix / toWin32', () => {
+  it('maps drive roots to /x/ by default', () => {
+    expect(toPosix('C:\\foo\\bar')).to.equal('/c/foo/bar');
+    expect(toPosix('c:/foo/bar/')).to.equal('/c/foo/bar/');
+    expect(toPosix('D:\\')).to.equal('/d/');
+    expect(toWin32('/c/foo/bar')).to.equal('C:\\foo\\bar');
+    expect(toWin32('/d')).to.equal('D:\\');
+    expect(toWin32('/d/')).to.equal('D:\\');
+  });
+
+  it('maps drive roots to a configurable mount point', () => {
+    expect(toPosix('C:\\foo', { mountPoint: '/mnt' })).to.equal('/mnt/c/foo');
+    expect(toPosix('C:\\foo', { mountPoint: '/mnt/' })).to.equal('/mnt/c/foo');
+    expect(toWin32('/mnt/c/foo', { mountPoint: '/mnt' })).to.equal('C:\\foo');
+    // only single letter directories in the mount point are drives
+    expect(toWin32('/c/foo', { mountPoint: '/mnt' })).to.equal('\\c\\foo');
+    expect(toWin32('/mnt/cd/foo', { mountPoint: '/mnt' })).to.equal('\\mnt\\cd\\foo');
+    expect(toWin32('/mntc/foo', { mountPoint: '/mnt' })).to.equal('\\mntc\\foo');
+  });
+
+  it('keeps UNC and device roots', () => {
+    expect(toPosix('\\\\server\\share\\foo')).to.equal('//server/share/foo');
+    expect(toPosix('\\\\?\\C:\\foo')).to.equal('//?/C:/foo');
+    expect(toPosix('\\\\?\\UNC\\server\\share\\foo')).to.equal('//?/UNC/server/share/foo');
+    expect(toPosix('\\\\.\\COM1')).to.equal('//./COM1');
+    expect(toWin32('//server/share/foo')).to.equal('\\\\server\\share\\foo');
+    expect(toWin32('//?/C:/foo')).to.equal('\\\\?\\C:\\foo');
+  });
+
+  it('converts relative and rooted paths by swapping separators', () => {
+    expect(toPosix('foo\\bar\\..\\baz')).to.equal('foo/bar/../baz');
+    expect(toPosix('\\foo')).to.equal('/foo');
+    expect(toPosix('')).to.equal('');
+    expect(toWin32('foo/bar')).to.equal('foo\\bar');
+    expect(toWin32('/foo/bar')).to.equal('\\foo\\bar');
+  });
+
+  it('round-trips losslessly', () => {
+    const winPaths = [
+      'C:\\foo\\bar',
+      'C:\\',
+      'Z:\\a b\\',
+      '\\\\server\\share\\foo',
+      '\\\\?\\C:\\foo',
+      '\\\\.\\COM1',
+      'foo\\bar',
+      '..\\foo',
+    ];
+    for (const path of winPaths) {
+      expect(toWin32(toPosix(path))).to.equal(path);
+      expect(toWin32(toPosix(path, { mountPoint: '/mnt' }), { mountPoint: '/mnt' })).to.equal(path);
+    }
+    const posixPaths = ['/c/foo/bar', '/c/', '//server/share/foo', 'foo/bar', '../foo', '/foo'];
+    for (const path of posixPaths) {
+      expect(toPosix(toWin32(path))).to.equal(path);
+    }
+  });
+
+  it('rejects drive-relative paths', () => {
+    expect(() => toPosix('C:foo')).to.throw(
+      "The argument 'path' must not be drive-relative. Received 'C:foo'",
+    );
+    expect(() => toPosix('C:')).to.throw('must not be drive-relative');
+  });
+
+  it('validates its arguments', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => toPosix(1)).to.throw('The "path" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => toWin32('/c', null)).to.throw('The "options" argument must be of type object');
+    // @ts-expect-error testing invalid input
+    expect(() => toWin32('/c', { mountPoint: 1 })).to.throw(
+      'The "options.mountPoint" property must be of type string',
+    );
+    expect(() => toPosix('C:\\', { mountPoint: 'mnt' })).to.throw(
+      "The property 'options.mountPoint' must be an absolute path. Received 'mnt'",
+    );
+  });
+});
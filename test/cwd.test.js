@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import { posix, win32, setCwd, setDriveCwd } from '../src/index.js';
+
+describe('cwd', () => {
+  afterEach(() => {
+    setCwd(undefined);
+    setDriveCwd('C:', undefined);
+    setDriveCwd('D:', undefined);
+  });
+
+  it('resolves posix paths against the configured cwd', () => {
+    setCwd('/projects/app');
+    expect(posix.resolve('foo')).to.equal('/projects/app/foo');
+    expect(posix.resolve('../lib', 'bar')).to.equal('/projects/lib/bar');
+    expect(posix.resolve('/abs', 'foo')).to.equal('/abs/foo');
+  });
+
+  it('resolves win32 paths against the configured cwd', () => {
+    setCwd('C:\\projects\\app');
+    expect(win32.resolve('foo')).to.equal('C:\\projects\\app\\foo');
+    expect(win32.resolve('D:\\abs', 'foo')).to.equal('D:\\abs\\foo');
+  });
+
+  it('computes relative paths against the configured cwd', () => {
+    setCwd('/projects/app');
+    expect(posix.relative('src', '/projects/lib')).to.equal('../../lib');
+    setCwd('C:\\projects\\app');
+    expect(win32.relative('src', 'C:\\projects\\lib')).to.equal('..\\..\\lib');
+  });
+
+  it('picks up changes to the cwd after import', () => {
+    setCwd('/one');
+    expect(posix.resolve('foo')).to.equal('/one/foo');
+    setCwd('/two');
+    expect(posix.resolve('foo')).to.equal('/two/foo');
+  });
+
+  it('falls back to the environment cwd when reset', () => {
+    setCwd('/projects/app');
+    setCwd(undefined);
+    expect(posix.resolve('foo')).to.not.equal('/projects/app/foo');
+  });
+
+  it('uses drive-specific cwds for drive-relative win32 paths', () => {
+    setCwd('C:\\projects\\app');
+    setDriveCwd('d:', 'D:\\work');
+    expect(win32.resolve('D:foo')).to.equal('D:\\work\\foo');
+    expect(win32.resolve('d:foo')).to.equal('d:\\work\\foo');
+    // the cwd is used for its own drive
+    expect(win32.resolve('C:foo')).to.equal('C:\\projects\\app\\foo');
+  });
+
+  it("falls back to the drive's root when no cwd is known for that drive", () => {
+    setCwd('C:\\projects\\app');
+    expect(win32.resolve('E:foo')).to.equal('E:\\foo');
+  });
+
+  it('validates its arguments', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => setCwd(42)).to.throw('The "cwd" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => setDriveCwd(undefined, 'C:\\')).to.throw(
+      'The "drive" argument must be of type string',
+    );
+    for (const drive of ['', 'DD', 'D:\\', 'D:foo', '1:', 'Ä']) {
+      expect(() => setDriveCwd(drive, 'D:\\'), drive)
+        .to.throw("The argument 'drive' must be a drive letter, like 'D' or 'D:'")
+        .with.property('code', 'ERR_INVALID_ARG_VALUE');
+    }
+  });
+});
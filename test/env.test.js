@@ -0,0 +1,141 @@
+import { expect } from 'chai';
+import { envCwd, envIsWindows, envVar } from '../src/env.js';
+import { isWindows } from '../src/isWindows.js';
+
+/**
+ * @param {string} message
+ * @returns {() => never}
+ */
+const throws = (message) => () => {
+  throw new Error(message);
+};
+
+const runtimes = {
+  nodeLinux: { process: { platform: 'linux', cwd: () => '/home/me', env: { FOO: 'node' } } },
+  nodeWindows: {
+    process: { platform: 'win32', cwd: () => 'C:\\Users\\me', env: { '=D:': 'D:\\work' } },
+  },
+  // Bun implements Node's process global
+  bunMac: { process: { platform: 'darwin', cwd: () => '/Users/me', env: { FOO: 'bun' } } },
+  denoWindows: {
+    Deno: { build: { os: 'windows' }, cwd: () => 'C:\\deno', env: { get: () => 'deno' } },
+    // Deno's Node compat process, should not take precedence
+    process: { platform: 'linux', cwd: () => '/wrong', env: { FOO: 'wrong' } },
+  },
+  denoLinuxNoPermissions: {
+    Deno: {
+      build: { os: 'linux' },
+      cwd: throws('PermissionDenied'),
+      env: { get: throws('PermissionDenied') },
+    },
+  },
+  browserWindows: {
+    navigator: { userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' },
+  },
+  browserUserAgentData: {
+    navigator: { userAgent: 'Mozilla/5.0', userAgentData: { platform: 'Windows' } },
+  },
+  // process polyfills from bundlers don't have a platform
+  browserWithProcessPolyfill: {
+    navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64)' },
+    process: { env: {} },
+  },
+  webWorkerWindows: { navigator: { userAgent: 'Mozilla/5.0 (Windows NT 10.0)' } },
+  edgeRuntime: { navigator: { userAgent: 'Cloudflare-Workers' } },
+  edgeRuntimeWithoutNavigator: {},
+};
+
+describe('env', () => {
+  it('does not create or modify a global process on import', async () => {
+    const processBefore = globalThis.process;
+    const cwdBefore = processBefore?.cwd;
+    // query string forces a fresh evaluation of the module
+    await import(new URL('../src/path.js?side-effects', import.meta.url).href);
+    expect(globalThis.process).to.equal(processBefore);
+    expect(globalThis.process?.cwd).to.equal(cwdBefore);
+  });
+
+  describe('detects the platform', () => {
+    const expected = {
+      nodeLinux: false,
+      nodeWindows: true,
+      bunMac: false,
+      denoWindows: true,
+      denoLinuxNoPermissions: false,
+      browserWindows: true,
+      browserUserAgentData: true,
+      browserWithProcessPolyfill: false,
+      webWorkerWindows: true,
+      edgeRuntime: false,
+      edgeRuntimeWithoutNavigator: false,
+    };
+    for (const [runtime, scope] of Object.entries(runtimes)) {
+      it(runtime, () => {
+        const result = expected[/** @type {keyof typeof expected} */ (runtime)];
+        expect(envIsWindows(scope)).to.equal(result);
+        expect(isWindows(scope)).to.equal(result);
+      });
+    }
+
+    it('for the current runtime by default', () => {
+      expect(isWindows()).to.equal(envIsWindows(globalThis));
+    });
+  });
+
+  describe('detects the cwd', () => {
+    const expected = {
+      nodeLinux: '/home/me',
+      nodeWindows: 'C:\\Users\\me',
+      bunMac: '/Users/me',
+      denoWindows: 'C:\\deno',
+      denoLinuxNoPermissions: '/',
+      browserWindows: '/',
+      browserUserAgentData: '/',
+      browserWithProcessPolyfill: '/',
+      webWorkerWindows: '/',
+      edgeRuntime: '/',
+      edgeRuntimeWithoutNavigator: '/',
+    };
+    for (const [runtime, scope] of Object.entries(runtimes)) {
+      it(runtime, () => {
+        expect(envCwd(scope)).to.equal(expected[/** @type {keyof typeof expected} */ (runtime)]);
+      });
+    }
+
+    it('for the current runtime by default', () => {
+      if (typeof process === 'object') {
+        expect(envCwd()).to.equal(process.cwd());
+      } else {
+        expect(envCwd()).to.equal('/');
+      }
+    });
+  });
+
+  describe('reads environment variables', () => {
+    it('from process.env', () => {
+      expect(envVar('FOO', runtimes.nodeLinux)).to.equal('node');
+      expect(envVar('FOO', runtimes.bunMac)).to.equal('bun');
+      expect(envVar('=D:', runtimes.nodeWindows)).to.equal('D:\\work');
+      expect(envVar('BAR', runtimes.nodeLinux)).to.be.undefined;
+    });
+
+    it('from Deno.env', () => {
+      expect(envVar('FOO', runtimes.denoWindows)).to.equal('deno');
+      expect(envVar('FOO', runtimes.denoLinuxNoPermissions)).to.be.undefined;
+    });
+
+    it('returns undefined when there is no environment', () => {
+      expect(envVar('FOO', runtimes.browserWindows)).to.be.undefined;
+      expect(envVar('FOO', runtimes.edgeRuntimeWithoutNavigator)).to.be.undefined;
+    });
+
+    it('for the current runtime by default', () => {
+      if (typeof process === 'object' && process.env) {
+        process.env.PATH_UNIFIED_TEST = 'foo';
+        expect(envVar('PATH_UNIFIED_TEST')).to.equal('foo');
+        delete process.env.PATH_UNIFIED_TEST;
+      }
+      expect(envVar('PATH_UNIFIED_DOES_NOT_EXIST')).to.be.undefined;
+    });
+  });
+});
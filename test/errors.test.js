@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { posix, win32 } from '../src/index.js';
+import { createPath } from '../src/auto.js';
+import { catchError } from './catchError.js';
+
+describe('errors', () => {
+  describe('ERR_INVALID_ARG_TYPE', () => {
+    it('is a TypeError with a code, like Node', () => {
+      // @ts-expect-error testing invalid input
+      const err = catchError(() => posix.join(42));
+      expect(err).to.be.an.instanceOf(TypeError);
+      expect(err.name).to.equal('TypeError');
+      expect(err.code).to.equal('ERR_INVALID_ARG_TYPE');
+      expect(Object.keys(err)).to.eql(['code']);
+    });
+
+    it('formats as "name [code]: message"', () => {
+      // @ts-expect-error testing invalid input
+      const err = catchError(() => win32.basename('foo', 5));
+      const expected =
+        'TypeError [ERR_INVALID_ARG_TYPE]: The "suffix" argument must be of type string. Received type number (5)';
+      expect(err.toString()).to.equal(expected);
+      // Firefox and Safari don't include the message in the stack trace
+      if (err.stack?.startsWith('TypeError')) {
+        expect(err.stack.split('\n')[0]).to.equal(expected);
+      }
+    });
+
+    it('describes the received value', () => {
+      /** @type {Array<[unknown, string]>} */
+      const cases = [
+        [42, 'type number (42)'],
+        [-0, 'type number (-0)'],
+        [NaN, 'type number (NaN)'],
+        [true, 'type boolean (true)'],
+        [10n, 'type bigint (10n)'],
+        [Symbol('foo'), 'type symbol (Symbol(foo))'],
+        [null, 'null'],
+        [undefined, 'undefined'],
+        [[], 'an instance of Array'],
+        [{}, 'an instance of Object'],
+        [new Map(), 'an instance of Map'],
+        [Object.create(null), '[Object: null prototype] {}'],
+        [function foo() {}, 'function foo'],
+      ];
+      for (const [value, received] of cases) {
+        // @ts-expect-error testing invalid input
+        const err = catchError(() => posix.dirname(value));
+        expect(err.message).to.equal(
+          `The "path" argument must be of type string. Received ${received}`,
+        );
+      }
+    });
+
+    it('describes received strings, truncating long ones', () => {
+      const err = catchError(() => posix.format(/** @type {any} */ ('a'.repeat(30))));
+      expect(err.message).to.equal(
+        `The "pathObject" argument must be of type object. Received type string ('${'a'.repeat(
+          25,
+        )}...')`,
+      );
+      const quoted = catchError(() => posix.format(/** @type {any} */ ("it's")));
+      expect(quoted.message).to.equal(
+        `The "pathObject" argument must be of type object. Received type string ("it's")`,
+      );
+    });
+  });
+
+  describe('ERR_INVALID_ARG_VALUE', () => {
+    it('is a TypeError with a code, like Node', () => {
+      // @ts-expect-error testing invalid input
+      const err = catchError(() => createPath({ platform: 'darwin' }));
+      expect(err).to.be.an.instanceOf(TypeError);
+      expect(err.name).to.equal('TypeError');
+      expect(err.code).to.equal('ERR_INVALID_ARG_VALUE');
+      expect(err.toString()).to.equal(
+        "TypeError [ERR_INVALID_ARG_VALUE]: The property 'options.platform' must be one of: 'posix', 'win32', 'auto'. Received 'darwin'",
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { extnames, replaceExt, stem } from '../src/index.js';
+import {
+  posExtnames,
+  posReplaceExt,
+  posStem,
+  winExtnames,
+  winReplaceExt,
+  winStem,
+} from '../src/extnames.js';
+import { catchError } from './catchError.js';
+
+describe('extnames / stem / replaceExt', () => {
+  it('picks the variants for the detected platform', () => {
+    expect([posExtnames, winExtnames]).to.include(extnames);
+    expect([posStem, winStem]).to.include(stem);
+    expect([posReplaceExt, winReplaceExt]).to.include(replaceExt);
+  });
+
+  it('returns all extensions', () => {
+    expect(posExtnames('/foo/archive.tar.gz')).to.eql(['.tar', '.gz']);
+    expect(posExtnames('component.stories.tsx')).to.eql(['.stories', '.tsx']);
+    expect(posExtnames('/foo/bar.txt/')).to.eql(['.txt']);
+    expect(posExtnames('/foo/bar')).to.eql([]);
+    expect(posExtnames('/')).to.eql([]);
+    expect(winExtnames('C:\\foo\\index.d.ts')).to.eql(['.d', '.ts']);
+    expect(winExtnames('C:index.d.ts')).to.eql(['.d', '.ts']);
+    // backslashes are file name characters on posix
+    expect(posExtnames('a.b\\c.d')).to.eql(['.b\\c', '.d']);
+    expect(winExtnames('a.b\\c.d')).to.eql(['.d']);
+  });
+
+  it('follows the dot-file rules of extname', () => {
+    expect(posExtnames('.eslintrc.json')).to.eql(['.json']);
+    expect(posExtnames('.bashrc')).to.eql([]);
+    expect(posExtnames('..')).to.eql([]);
+    expect(posExtnames('file.')).to.eql(['.']);
+    expect(posExtnames('a..gz')).to.eql(['.', '.gz']);
+    expect(posStem('.eslintrc.json')).to.equal('.eslintrc');
+    expect(posStem('.bashrc')).to.equal('.bashrc');
+  });
+
+  it('returns the file name without extensions', () => {
+    expect(posStem('/foo/archive.tar.gz')).to.equal('archive');
+    expect(posStem('/foo/bar/')).to.equal('bar');
+    expect(winStem('C:\\foo\\index.d.ts')).to.equal('index');
+    expect(winStem('C:index.d.ts')).to.equal('index');
+  });
+
+  it('replaces the last extension', () => {
+    expect(posReplaceExt('/foo/archive.tar.gz', '.zip')).to.equal('/foo/archive.tar.zip');
+    expect(posReplaceExt('/foo/bar.txt', 'md')).to.equal('/foo/bar.md');
+    expect(posReplaceExt('/foo/bar.txt', '')).to.equal('/foo/bar');
+    expect(posReplaceExt('/foo/bar', '.md')).to.equal('/foo/bar.md');
+    expect(posReplaceExt('.bashrc', '.bak')).to.equal('.bashrc.bak');
+    expect(posReplaceExt('.eslintrc.json', '.yml')).to.equal('.eslintrc.yml');
+    // the rest of the path is kept as is
+    expect(posReplaceExt('./foo//bar.txt/', '.md')).to.equal('./foo//bar.md/');
+    expect(winReplaceExt('C:/foo\\bar.txt\\', '.md')).to.equal('C:/foo\\bar.md\\');
+  });
+
+  it('replaces all extensions', () => {
+    expect(posReplaceExt('/foo/archive.tar.gz', '.zip', { all: true })).to.equal(
+      '/foo/archive.zip',
+    );
+    expect(posReplaceExt('/foo/archive.tar.gz', '', { all: true })).to.equal('/foo/archive');
+    expect(winReplaceExt('C:\\foo\\index.d.ts', '.js', { all: true })).to.equal(
+      'C:\\foo\\index.js',
+    );
+  });
+
+  it('validates the arguments', () => {
+    expect(catchError(() => posReplaceExt('/', '.md')).message).to.equal(
+      "The argument 'path' must end with a file name. Received '/'",
+    );
+    expect(catchError(() => posReplaceExt('..', '.md')).code).to.equal('ERR_INVALID_ARG_VALUE');
+    expect(catchError(() => posReplaceExt('a.txt', '.a/b')).code).to.equal('ERR_INVALID_ARG_VALUE');
+    expect(catchError(() => winReplaceExt('a.txt', '.a\\b')).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+    expect(catchError(() => posReplaceExt('a.txt', '.')).code).to.equal('ERR_INVALID_ARG_VALUE');
+    expect(
+      catchError(() => posReplaceExt('a.txt', '.md', { all: /** @type {any} */ (1) })).message,
+    ).to.equal('The "options.all" property must be of type boolean. Received type number (1)');
+    expect(catchError(() => posExtnames(/** @type {any} */ (null))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+  });
+});
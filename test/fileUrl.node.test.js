@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import nodeUrl from 'node:url';
+import {
+  posFileURLToPath,
+  posPathToFileURL,
+  winFileURLToPath,
+  winPathToFileURL,
+} from '../src/fileUrl.js';
+import { setCwd } from '../src/cwd.js';
+
+/**
+ * Differential tests against node:url, using its `windows` option to pick the flavor.
+ * @param {Function} fn
+ * @param {unknown[]} args
+ */
+function run(fn, args) {
+  try {
+    const value = fn(...args);
+    return { value: value instanceof URL ? value.href : value };
+  } catch (e) {
+    return { error: /** @type {{ code?: string }} */ (e).code };
+  }
+}
+
+const posixPaths = ['/', '/foo', '/foo/', '/foo bar', '/%#?\n\r\t', '/a\\b', '/€', '/a//b/../c'];
+// Drive roots like C:\ are left out: on POSIX hosts Node checks for a trailing path.sep
+// of the host instead of the flavor, and turns them into file:///C://
+const win32Paths = [
+  'C:\\foo\\',
+  'c:/foo/bar',
+  'C:\\foo bar\\%#?\n\t',
+  'C:\\€',
+  '\\\\server\\share\\foo',
+  '\\\\?\\UNC\\server\\share\\foo',
+  '\\\\server',
+  '\\\\\\share',
+];
+const urls = [
+  'file:///foo',
+  'file://localhost/foo',
+  'file://server/share/foo',
+  'file:///C:/foo%20bar',
+  'file:///c:/%E2%82%AC',
+  'file:///a%2fb',
+  'file:///C:/a%5Cb',
+  'file:///foo/bar',
+  'http://example.com/foo',
+];
+
+describe('conformance with node:url', () => {
+  before(() => {
+    // win32 relative paths can't be compared on a POSIX host, but absolute ones don't use the cwd
+    setCwd(process.cwd());
+  });
+
+  after(() => {
+    setCwd(undefined);
+  });
+
+  it('converts posix paths to file URLs like pathToFileURL', () => {
+    for (const path of posixPaths) {
+      const expected = run(nodeUrl.pathToFileURL, [path, { windows: false }]);
+      expect(run(posPathToFileURL, [path]), path).to.eql(expected);
+    }
+  });
+
+  it('converts win32 paths to file URLs like pathToFileURL', () => {
+    for (const path of win32Paths) {
+      const expected = run(nodeUrl.pathToFileURL, [path, { windows: true }]);
+      expect(run(winPathToFileURL, [path]), path).to.eql(expected);
+    }
+  });
+
+  it('converts file URLs to paths like fileURLToPath', () => {
+    for (const url of urls) {
+      expect(run(posFileURLToPath, [url]), url).to.eql(
+        run(nodeUrl.fileURLToPath, [url, { windows: false }]),
+      );
+      expect(run(winFileURLToPath, [url]), url).to.eql(
+        run(nodeUrl.fileURLToPath, [url, { windows: true }]),
+      );
+    }
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import { fileURLToPath, pathToFileURL, setCwd, setDriveCwd } from '../src/index.js';
+import {
+  posFileURLToPath,
+  posPathToFileURL,
+  winFileURLToPath,
+  winPathToFileURL,
+} from '../src/fileUrl.js';
+import { catchError } from './catchError.js';
+
+describe('file URLs', () => {
+  afterEach(() => {
+    setCwd(undefined);
+    setDriveCwd('C:', undefined);
+  });
+
+  it('picks the variants for the detected platform', () => {
+    expect([posFileURLToPath, winFileURLToPath]).to.include(fileURLToPath);
+    expect([posPathToFileURL, winPathToFileURL]).to.include(pathToFileURL);
+  });
+
+  describe('fileURLToPath', () => {
+    it('accepts strings and URL instances', () => {
+      expect(posFileURLToPath('file:///foo/bar')).to.equal('/foo/bar');
+      expect(posFileURLToPath(new URL('file:///foo/bar'))).to.equal('/foo/bar');
+      expect(winFileURLToPath(new URL('file:///C:/foo/bar'))).to.equal('C:\\foo\\bar');
+    });
+
+    it('decodes percent-encoded characters', () => {
+      expect(posFileURLToPath('file:///foo%20bar/%25%23%3F%0A%09')).to.equal('/foo bar/%#?\n\t');
+      expect(posFileURLToPath('file:///a%5Cb')).to.equal('/a\\b');
+      expect(winFileURLToPath('file:///C:/foo%20bar/%E2%82%AC')).to.equal('C:\\foo bar\\€');
+    });
+
+    it('converts hosts to UNC paths on win32', () => {
+      expect(winFileURLToPath('file://server/share/foo')).to.equal('\\\\server\\share\\foo');
+      expect(winFileURLToPath('file://localhost/C:/foo')).to.equal('C:\\foo');
+    });
+
+    it('rejects hosts other than localhost on posix', () => {
+      expect(posFileURLToPath('file://localhost/foo')).to.equal('/foo');
+      const err = catchError(() => posFileURLToPath('file://server/foo'));
+      expect(err).to.be.an.instanceOf(TypeError);
+      expect(err.code).to.equal('ERR_INVALID_FILE_URL_HOST');
+      expect(err.message).to.equal('File URL host must be "localhost" or empty on posix');
+    });
+
+    it('rejects encoded separators', () => {
+      const posErr = catchError(() => posFileURLToPath('file:///a%2Fb'));
+      expect(posErr.code).to.equal('ERR_INVALID_FILE_URL_PATH');
+      expect(posErr.message).to.equal('File URL path must not include encoded / characters');
+      const winErr = catchError(() => winFileURLToPath('file:///C:/a%5cb'));
+      expect(winErr.code).to.equal('ERR_INVALID_FILE_URL_PATH');
+      expect(winErr.message).to.equal('File URL path must not include encoded \\ or / characters');
+    });
+
+    it('requires a drive letter on win32', () => {
+      const err = catchError(() => winFileURLToPath('file:///foo/bar'));
+      expect(err.code).to.equal('ERR_INVALID_FILE_URL_PATH');
+      expect(err.message).to.equal('File URL path must be absolute');
+    });
+
+    it('validates its argument', () => {
+      // @ts-expect-error testing invalid input
+      const typeErr = catchError(() => posFileURLToPath(5));
+      expect(typeErr.code).to.equal('ERR_INVALID_ARG_TYPE');
+      expect(typeErr.message).to.equal(
+        'The "path" argument must be of type string or an instance of URL. Received type number (5)',
+      );
+      const schemeErr = catchError(() => winFileURLToPath('https://example.com/foo'));
+      expect(schemeErr.code).to.equal('ERR_INVALID_URL_SCHEME');
+      expect(schemeErr.message).to.equal('The URL must be of scheme file');
+    });
+  });
+
+  describe('pathToFileURL', () => {
+    it('returns URL instances', () => {
+      expect(posPathToFileURL('/foo')).to.be.an.instanceOf(URL);
+      expect(posPathToFileURL('/foo').href).to.equal('file:///foo');
+    });
+
+    it('resolves relative paths against the configured cwd', () => {
+      setCwd('/projects/app');
+      expect(posPathToFileURL('src/index.js').href).to.equal('file:///projects/app/src/index.js');
+      setCwd('C:\\projects\\app');
+      expect(winPathToFileURL('src\\index.js').href).to.equal(
+        'file:///C:/projects/app/src/index.js',
+      );
+    });
+
+    it('keeps trailing separators', () => {
+      expect(posPathToFileURL('/foo/').href).to.equal('file:///foo/');
+      expect(winPathToFileURL('C:\\foo\\').href).to.equal('file:///C:/foo/');
+      expect(winPathToFileURL('C:\\').href).to.equal('file:///C:/');
+    });
+
+    it('percent-encodes characters that have a meaning in URLs', () => {
+      expect(posPathToFileURL('/foo bar/%#?\n\r\t').href).to.equal(
+        'file:///foo%20bar/%25%23%3F%0A%0D%09',
+      );
+      expect(winPathToFileURL('C:\\foo bar\\%#?').href).to.equal('file:///C:/foo%20bar/%25%23%3F');
+    });
+
+    it('treats backslashes as separators on win32 only', () => {
+      expect(posPathToFileURL('/a\\b').href).to.equal('file:///a%5Cb');
+      expect(winPathToFileURL('C:\\a\\b').href).to.equal('file:///C:/a/b');
+    });
+
+    it('converts UNC paths to hosts on win32', () => {
+      expect(winPathToFileURL('\\\\server\\share\\foo bar').href).to.equal(
+        'file://server/share/foo%20bar',
+      );
+      expect(winPathToFileURL('\\\\?\\UNC\\server\\share\\foo').href).to.equal(
+        'file://server/share/foo',
+      );
+    });
+
+    it('rejects incomplete UNC paths', () => {
+      const missing = catchError(() => winPathToFileURL('\\\\server'));
+      expect(missing.code).to.equal('ERR_INVALID_ARG_VALUE');
+      expect(missing.message).to.equal(
+        "The argument 'path' Missing UNC resource path. Received '\\\\\\\\server'",
+      );
+      const empty = catchError(() => winPathToFileURL('\\\\\\share'));
+      expect(empty.code).to.equal('ERR_INVALID_ARG_VALUE');
+      expect(empty.message).to.equal(
+        "The argument 'path' Empty UNC servername. Received '\\\\\\\\\\\\share'",
+      );
+    });
+
+    it('validates its argument', () => {
+      // @ts-expect-error testing invalid input
+      expect(() => winPathToFileURL(null)).to.throw('The "path" argument must be of type string');
+    });
+
+    it('round-trips with fileURLToPath', () => {
+      for (const path of ['/foo bar/%#?/baz', '/€/a\\b', '/tmp/']) {
+        expect(posFileURLToPath(posPathToFileURL(path))).to.equal(path);
+      }
+      for (const path of ['C:\\foo bar\\%#?', 'D:\\€', '\\\\server\\share\\x y']) {
+        expect(winFileURLToPath(winPathToFileURL(path))).to.equal(path);
+      }
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import { matchesGlob, posix, win32 } from '../src/index.js';
+import { posMatchesGlob, winMatchesGlob } from '../src/path.js';
+
+describe('matchesGlob', () => {
+  it('is exposed on the namespaces and as tree-shakeable functions', () => {
+    expect(posix.matchesGlob).to.equal(posMatchesGlob);
+    expect(win32.matchesGlob).to.equal(winMatchesGlob);
+    expect([posMatchesGlob, winMatchesGlob]).to.include(matchesGlob);
+  });
+
+  it('validates its arguments', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => posMatchesGlob(1, '*')).to.throw('The "path" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => winMatchesGlob('a', null)).to.throw(
+      'The "pattern" argument must be of type string',
+    );
+  });
+
+  describe('posix', () => {
+    it('matches * and ? within a single segment', () => {
+      expect(posMatchesGlob('foo.js', '*.js')).to.be.true;
+      expect(posMatchesGlob('src/foo.js', '*.js')).to.be.false;
+      expect(posMatchesGlob('abc', 'a?c')).to.be.true;
+      expect(posMatchesGlob('ac', 'a?c')).to.be.false;
+    });
+
+    it('matches ** across segments', () => {
+      expect(posMatchesGlob('src/a/b/c.test.js', 'src/**/*.test.js')).to.be.true;
+      expect(posMatchesGlob('src/c.test.js', 'src/**/*.test.js')).to.be.true;
+      expect(posMatchesGlob('b', '**/b')).to.be.true;
+      expect(posMatchesGlob('a/b/c/', 'a/**')).to.be.true;
+      expect(posMatchesGlob('a', 'a/**')).to.be.false;
+    });
+
+    it('does not match dot files unless the pattern starts with a dot', () => {
+      expect(posMatchesGlob('a/.b', 'a/*')).to.be.false;
+      expect(posMatchesGlob('a/.b', 'a/.*')).to.be.true;
+      expect(posMatchesGlob('a/.x/c', 'a/**/c')).to.be.false;
+      expect(posMatchesGlob('a/..', 'a/*')).to.be.false;
+      expect(posMatchesGlob('a/.', 'a/.*')).to.be.false;
+    });
+
+    it('supports character classes', () => {
+      expect(posMatchesGlob('ab', '[a-c]b')).to.be.true;
+      expect(posMatchesGlob('db', '[a-c]b')).to.be.false;
+      expect(posMatchesGlob('ab', '[!a]b')).to.be.false;
+      expect(posMatchesGlob('cb', '[^a]b')).to.be.true;
+      expect(posMatchesGlob('a1', 'a[[:digit:]]')).to.be.true;
+      expect(posMatchesGlob('a/]', 'a/[]]')).to.be.true;
+      expect(posMatchesGlob('a/[b', 'a/[b')).to.be.true;
+    });
+
+    it('supports brace expansion', () => {
+      expect(posMatchesGlob('a.ts', '*.{js,ts}')).to.be.true;
+      expect(posMatchesGlob('a.md', '*.{js,ts}')).to.be.false;
+      expect(posMatchesGlob('a/x/y/c', 'a/{b,x/y}/c')).to.be.true;
+      expect(posMatchesGlob('a.d.ts', 'a.{js,{d.,}ts}')).to.be.true;
+      expect(posMatchesGlob('a3', 'a{1..5}')).to.be.true;
+      expect(posMatchesGlob('a7', 'a{1..5}')).to.be.false;
+      expect(posMatchesGlob('a05', 'a{01..10}')).to.be.true;
+      expect(posMatchesGlob('b', '{a..c}')).to.be.true;
+      expect(posMatchesGlob('a/{x}', 'a/{x}')).to.be.true;
+    });
+
+    it('supports negating the pattern', () => {
+      expect(posMatchesGlob('foo.js', '!*.js')).to.be.false;
+      expect(posMatchesGlob('foo.ts', '!*.js')).to.be.true;
+      expect(posMatchesGlob('foo.js', '!!*.js')).to.be.true;
+    });
+
+    it('treats backslashes as escapes and matches case-sensitively', () => {
+      expect(posMatchesGlob('a*', 'a\\*')).to.be.true;
+      expect(posMatchesGlob('ab', 'a\\*')).to.be.false;
+      expect(posMatchesGlob('foo.txt', '*.TXT')).to.be.false;
+    });
+
+    it('ignores repeated separators and resolves parent segments in the path', () => {
+      expect(posMatchesGlob('a//b', 'a/b')).to.be.true;
+      expect(posMatchesGlob('a/b/../c', 'a/c')).to.be.true;
+      expect(posMatchesGlob('./a', 'a')).to.be.false;
+    });
+  });
+
+  describe('win32', () => {
+    it('treats both slashes as separators in path and pattern', () => {
+      expect(winMatchesGlob('foo\\bar.js', 'foo/*.js')).to.be.true;
+      expect(winMatchesGlob('foo/bar.js', 'foo\\*.js')).to.be.true;
+      expect(winMatchesGlob('C:\\src\\a\\b.js', 'C:\\src\\**\\*.js')).to.be.true;
+      expect(winMatchesGlob('\\\\server\\share\\x', '//server/share/*')).to.be.true;
+    });
+
+    it('matches case-insensitively', () => {
+      expect(winMatchesGlob('C:\\Foo\\bar.JS', 'c:/foo/*.js')).to.be.true;
+      expect(winMatchesGlob('FOO.TXT', 'foo.txt')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { createRequire } from 'node:module';
+import nodePath, * as nodePathModule from 'node:path';
+import nodePosix from 'node:path/posix';
+import nodeWin32 from 'node:path/win32';
+import path, * as pathModule from '../src/index.js';
+import posix from '../src/posix.js';
+import win32 from '../src/win32.js';
+
+// Requires the build output through the package's own "exports" map, see "test:node" script
+const require = createRequire(import.meta.url);
+
+const apiKeys = [
+  'resolve',
+  'normalize',
+  'isAbsolute',
+  'join',
+  'relative',
+  'toNamespacedPath',
+  'dirname',
+  'basename',
+  'extname',
+  'format',
+  'parse',
+  'matchesGlob',
+];
+const namespacePaths = [[], ['posix'], ['win32'], ['posix', 'posix'], ['posix', 'win32']];
+namespacePaths.push(['win32', 'posix'], ['win32', 'win32'], ['posix', 'win32', 'posix']);
+
+/**
+ * Groups the namespaces and functions that are reachable from the entrypoints
+ * by identity, e.g. [['path', 'path.posix', 'path.posix.posix'], ...] on POSIX hosts
+ * @param {Record<string, any>} entrypoints
+ * @param {{ entrypointObjects?: boolean }} [options] whether to group the entrypoints themselves
+ * @returns {string[][]}
+ */
+function identityGroups(entrypoints, { entrypointObjects = true } = {}) {
+  /** @type {Map<unknown, string[]>} */
+  const groups = new Map();
+  /**
+   * @param {string} name
+   * @param {unknown} value
+   */
+  const add = (name, value) => groups.set(value, [...(groups.get(value) ?? []), name]);
+  for (const [entrypoint, value] of Object.entries(entrypoints)) {
+    for (const keys of namespacePaths) {
+      const name = [entrypoint, ...keys].join('.');
+      const namespace = keys.reduce((obj, key) => obj[key], value);
+      if (entrypointObjects || keys.length > 0) add(name, namespace);
+      for (const key of apiKeys) {
+        add(`${name}.${key}`, namespace[key]);
+      }
+    }
+  }
+  return [...groups.values()].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+}
+
+describe('namespaces', () => {
+  it('have the same object graph as node:path for imports', () => {
+    expect(
+      identityGroups({
+        path,
+        '* as path': pathModule,
+        'path/posix': posix,
+        'path/win32': win32,
+      }),
+    ).to.eql(
+      identityGroups({
+        path: nodePath,
+        '* as path': nodePathModule,
+        'path/posix': nodePosix,
+        'path/win32': nodeWin32,
+      }),
+    );
+  });
+
+  it('have the same object graph as node:path for requires', () => {
+    // module.exports also carries the named exports, so it's a separate object, see rollup.config.js
+    expect(
+      identityGroups(
+        {
+          path: require('path-unified'),
+          'path/posix': require('path-unified/posix'),
+          'path/win32': require('path-unified/win32'),
+        },
+        { entrypointObjects: false },
+      ),
+    ).to.eql(
+      identityGroups(
+        {
+          path: require('node:path'),
+          'path/posix': require('node:path/posix'),
+          'path/win32': require('node:path/win32'),
+        },
+        { entrypointObjects: false },
+      ),
+    );
+  });
+
+  it('have the same keys as node:path for imports', () => {
+    const keys = Object.keys(nodePath).sort();
+    for (const namespace of [path, path.posix, path.win32, posix, win32]) {
+      expect(Object.keys(namespace).sort()).to.eql(keys);
+    }
+  });
+
+  it('have the same keys as node:path for requires', () => {
+    const cjs = require('path-unified');
+    const keys = Object.keys(require('node:path')).sort();
+    for (const namespace of [cjs.posix, cjs.win32, require('path-unified/posix').win32]) {
+      expect(Object.keys(namespace).sort()).to.eql(keys);
+    }
+    // module.exports also carries the named exports, see rollup.config.js
+    for (const entrypoint of ['path-unified', 'path-unified/posix', 'path-unified/win32']) {
+      expect(Object.keys(require(entrypoint))).to.include.members(keys);
+    }
+  });
+
+  it('can be told apart by identity, like in Node', () => {
+    expect(path.posix.posix).to.equal(path.posix);
+    expect(path.win32.win32).to.equal(path.win32);
+    expect(path === path.posix).to.equal(nodePath === nodePath.posix);
+    expect(path === path.win32).to.equal(nodePath === nodePath.win32);
+  });
+});
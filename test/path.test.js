@@ -1,6 +1,8 @@
 import { expect } from 'chai';
 import { isWindows } from '../src/isWindows.js';
 import { resolve, posix, win32 } from '../src/index.js';
+import win32Default from '../src/win32.js';
+import posixDefault from '../src/posix.js';
 
 // Couple of smoke tests that are ran in Node LTS both windows & linux
 // Would be nice to add more tests
@@ -37,4 +39,11 @@ describe('path', () => {
       expect(resolved.startsWith('/')).to.be.true;
     });
   });
+
+  it('exposes complete win32 and posix namespaces on each other, like Node', () => {
+    expect(win32.posix).to.equal(posix);
+    expect(posix.win32.posix.join('foo', 'bar')).to.equal('foo/bar');
+    expect(win32Default).to.equal(win32);
+    expect(posixDefault).to.equal(posix);
+  });
 });
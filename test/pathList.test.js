@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import { dedupePathList, formatPathList, parsePathList, prependPathList } from '../src/index.js';
+import {
+  posDedupePathList,
+  posFormatPathList,
+  posParsePathList,
+  posPrependPathList,
+  winDedupePathList,
+  winFormatPathList,
+  winParsePathList,
+  winPrependPathList,
+} from '../src/pathList.js';
+import { catchError } from './catchError.js';
+
+describe('PATH lists', () => {
+  it('picks the variants for the detected platform', () => {
+    expect([posParsePathList, winParsePathList]).to.include(parsePathList);
+    expect([posFormatPathList, winFormatPathList]).to.include(formatPathList);
+    expect([posDedupePathList, winDedupePathList]).to.include(dedupePathList);
+    expect([posPrependPathList, winPrependPathList]).to.include(prependPathList);
+  });
+
+  describe('win32', () => {
+    it('parses quoted entries and skips empty ones', () => {
+      expect(winParsePathList('C:\\Windows;"C:\\Program Files;x\\bin";;C:/Tools/;')).to.eql([
+        'C:\\Windows',
+        'C:\\Program Files;x\\bin',
+        'C:\\Tools\\',
+      ]);
+      expect(winParsePathList('"C:\\Program Files"\\bin')).to.eql(['C:\\Program Files\\bin']);
+      expect(winParsePathList('')).to.eql([]);
+      expect(winParsePathList(';;')).to.eql([]);
+    });
+
+    it('formats entries, quoting the ones containing ;', () => {
+      expect(winFormatPathList(['C:\\Windows', 'C:/Program Files;x/bin'])).to.equal(
+        'C:\\Windows;"C:\\Program Files;x\\bin"',
+      );
+      expect(winFormatPathList([])).to.equal('');
+      expect(catchError(() => winFormatPathList(['C:\\a"b'])).message).to.equal(
+        `The argument 'entries[0]' must not contain ". Received 'C:\\\\a"b'`,
+      );
+    });
+
+    it('round-trips', () => {
+      const value = 'C:\\Windows;"C:\\Program Files;x\\bin";C:\\Tools\\';
+      expect(winFormatPathList(winParsePathList(value))).to.equal(value);
+    });
+
+    it('removes duplicates case-insensitively, keeping the first one', () => {
+      expect(winDedupePathList('C:\\Windows;C:\\Tools;c:\\windows\\;C:\\;c:/')).to.equal(
+        'C:\\Windows;C:\\Tools;C:\\',
+      );
+    });
+
+    it('prepends entries, moving existing ones to the front', () => {
+      expect(
+        winPrependPathList('C:\\Windows;C:\\Tools', 'c:\\tools', 'node_modules\\.bin'),
+      ).to.equal('c:\\tools;node_modules\\.bin;C:\\Windows');
+      expect(winPrependPathList('', 'C:\\Tools')).to.equal('C:\\Tools');
+    });
+  });
+
+  describe('posix', () => {
+    it('parses empty entries as the cwd', () => {
+      expect(posParsePathList('/usr/bin::/usr/local//bin/:')).to.eql([
+        '/usr/bin',
+        '.',
+        '/usr/local/bin/',
+        '.',
+      ]);
+      expect(posParsePathList('')).to.eql([]);
+      // quotes have no special meaning
+      expect(posParsePathList('"/a":/b')).to.eql(['"/a"', '/b']);
+    });
+
+    it('formats entries', () => {
+      expect(posFormatPathList(['/usr/bin', '', './node_modules/.bin'])).to.equal(
+        '/usr/bin:.:node_modules/.bin',
+      );
+      expect(catchError(() => posFormatPathList(['/a:b'])).message).to.equal(
+        "The argument 'entries[0]' must not contain :. Received '/a:b'",
+      );
+    });
+
+    it('round-trips', () => {
+      const value = '/usr/bin:.:/usr/local/bin/';
+      expect(posFormatPathList(posParsePathList(value))).to.equal(value);
+    });
+
+    it('removes duplicates, keeping the first one', () => {
+      expect(posDedupePathList('/usr/bin::/usr/local/bin:/usr/bin/:.:/USR/BIN')).to.equal(
+        '/usr/bin:.:/usr/local/bin:/USR/BIN',
+      );
+    });
+
+    it('prepends entries, moving existing ones to the front', () => {
+      expect(posPrependPathList('/usr/bin:/bin', './node_modules/.bin', '/bin/')).to.equal(
+        'node_modules/.bin:/bin/:/usr/bin',
+      );
+    });
+  });
+
+  it('validates the arguments', () => {
+    expect(catchError(() => posParsePathList(/** @type {any} */ (undefined))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+    expect(catchError(() => posFormatPathList(/** @type {any} */ ('/a'))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+    expect(catchError(() => winPrependPathList('', /** @type {any} */ (1))).message).to.equal(
+      'The "entries[0]" argument must be of type string. Received type number (1)',
+    );
+  });
+});
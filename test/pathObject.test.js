@@ -0,0 +1,163 @@
+import { expect } from 'chai';
+import { Path, PosixPath, Win32Path, setCwd } from '../src/index.js';
+import { catchError } from './catchError.js';
+
+describe('PosixPath / Win32Path', () => {
+  afterEach(() => {
+    setCwd(undefined);
+  });
+
+  it('picks the class for the detected platform', () => {
+    expect([PosixPath, Win32Path]).to.include(Path);
+  });
+
+  it('joins and normalizes segments, without trailing separators', () => {
+    expect(new PosixPath('a//b/../c/').toString()).to.equal('a/c');
+    expect(new PosixPath('/foo', 'bar', '/baz/').toString()).to.equal('/foo/bar/baz');
+    expect(new PosixPath('/').toString()).to.equal('/');
+    expect(new PosixPath().toString()).to.equal('.');
+    expect(new Win32Path('C:/foo', 'bar\\').toString()).to.equal('C:\\foo\\bar');
+    expect(new Win32Path('C:\\').toString()).to.equal('C:\\');
+    expect(new Win32Path('\\\\server\\share\\').toString()).to.equal('\\\\server\\share\\');
+    expect(new PosixPath(new PosixPath('/a'), 'b').toString()).to.equal('/a/b');
+    expect(`${new PosixPath('/a')}`).to.equal('/a');
+    expect(JSON.stringify({ path: new PosixPath('/a') })).to.equal('{"path":"/a"}');
+  });
+
+  it('validates segments', () => {
+    const err = catchError(() => new PosixPath('a', /** @type {any} */ (1)));
+    expect(err.code).to.equal('ERR_INVALID_ARG_TYPE');
+    expect(err.message).to.equal(
+      'The "segments[1]" argument must be of type string or an instance of PathObject. Received type number (1)',
+    );
+  });
+
+  it('is immutable', () => {
+    const path = new PosixPath('/a/b');
+    expect(Object.isFrozen(path)).to.be.true;
+    expect(Object.isFrozen(new Win32Path('C:\\a'))).to.be.true;
+    expect(path.join('c').toString()).to.equal('/a/b/c');
+    expect(path.toString()).to.equal('/a/b');
+  });
+
+  it('can be extended', () => {
+    class SourcePath extends PosixPath {
+      isTest = this.name.endsWith('.test');
+
+      /**
+       * @param {...(string|PosixPath)} segments
+       */
+      constructor(...segments) {
+        super(...segments);
+        Object.freeze(this);
+      }
+    }
+    const path = new SourcePath('/src', 'a.test.js');
+    expect(path.isTest).to.be.true;
+    expect(Object.isFrozen(path)).to.be.true;
+    const sibling = path.withName('a');
+    expect(sibling).to.be.an.instanceOf(SourcePath);
+    expect(sibling.isTest).to.be.false;
+    expect(sibling.toString()).to.equal('/src/a.js');
+
+    class DrivePath extends Win32Path {
+      drive = this.root.slice(0, 2);
+    }
+    expect(new DrivePath('D:\\a', 'b').parent.drive).to.equal('D:');
+  });
+
+  it('exposes the parsed parts', () => {
+    const path = new PosixPath('/a/b.tar.gz');
+    expect(path.root).to.equal('/');
+    expect(path.dir).to.equal('/a');
+    expect(path.base).to.equal('b.tar.gz');
+    expect(path.name).to.equal('b.tar');
+    expect(path.ext).to.equal('.gz');
+    expect(path.isAbsolute()).to.be.true;
+    expect(new Win32Path('C:\\a\\b.txt').root).to.equal('C:\\');
+    expect(new Win32Path('a\\b.txt').isAbsolute()).to.be.false;
+  });
+
+  it('returns the parent directory', () => {
+    const parent = new PosixPath('/a/b').parent;
+    expect(parent).to.be.an.instanceOf(PosixPath);
+    expect(parent.toString()).to.equal('/a');
+    expect(new PosixPath('/').parent.toString()).to.equal('/');
+    expect(new PosixPath('a').parent.toString()).to.equal('.');
+    expect(new Win32Path('C:\\a').parent.toString()).to.equal('C:\\');
+    expect(new Win32Path('C:\\').parent.toString()).to.equal('C:\\');
+  });
+
+  it('returns the segments', () => {
+    expect(new PosixPath('/a/b').segments).to.eql(['/', 'a', 'b']);
+    expect(new PosixPath('a/b').segments).to.eql(['a', 'b']);
+    expect(new PosixPath('../a').segments).to.eql(['..', 'a']);
+    expect(new PosixPath('.').segments).to.eql([]);
+    expect(new PosixPath('/').segments).to.eql(['/']);
+    expect(new Win32Path('C:/a/b').segments).to.eql(['C:\\', 'a', 'b']);
+    expect(new Win32Path('\\\\server\\share\\a').segments).to.eql(['\\\\server\\share\\', 'a']);
+  });
+
+  it('replaces the extension', () => {
+    expect(new PosixPath('/a/b.txt').withExt('.md').toString()).to.equal('/a/b.md');
+    expect(new PosixPath('/a/b.txt').withExt('md').toString()).to.equal('/a/b.md');
+    expect(new PosixPath('/a/b.txt').withExt('').toString()).to.equal('/a/b');
+    expect(new PosixPath('b').withExt('.md').toString()).to.equal('b.md');
+    expect(new PosixPath('/b').withExt('.md').toString()).to.equal('/b.md');
+    expect(new PosixPath('.bashrc').withExt('.bak').toString()).to.equal('.bashrc.bak');
+    expect(new Win32Path('C:\\b.txt').withExt('.md').toString()).to.equal('C:\\b.md');
+    expect(catchError(() => new PosixPath('a').withExt('.a/b')).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+    expect(catchError(() => new Win32Path('a').withExt('.a\\b')).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+  });
+
+  it('replaces the name or base', () => {
+    expect(new PosixPath('/a/b.txt').withName('c').toString()).to.equal('/a/c.txt');
+    expect(new PosixPath('/a/b.txt').withBase('c.md').toString()).to.equal('/a/c.md');
+    expect(new Win32Path('C:\\a\\b.txt').withName('c').toString()).to.equal('C:\\a\\c.txt');
+    const err = catchError(() => new PosixPath('/a/b').withName('c/d'));
+    expect(err.code).to.equal('ERR_INVALID_ARG_VALUE');
+    expect(err.message).to.equal(
+      "The argument 'name' must be a file name without separators. Received 'c/d'",
+    );
+    expect(catchError(() => new Win32Path('a').withBase('c/d')).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+    expect(catchError(() => new PosixPath('a').withBase('..')).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+  });
+
+  it('throws when there is no file name to replace', () => {
+    const err = catchError(() => new PosixPath('/').withName('a'));
+    expect(err.code).to.equal('ERR_INVALID_STATE');
+    expect(err.message).to.equal("Invalid state: cannot set the name of '/'");
+    expect(catchError(() => new PosixPath('.').withExt('.md')).code).to.equal('ERR_INVALID_STATE');
+    expect(catchError(() => new Win32Path('a\\..\\..').withBase('b')).code).to.equal(
+      'ERR_INVALID_STATE',
+    );
+  });
+
+  it('returns the path relative to another path', () => {
+    expect(new PosixPath('/a/b/c').relativeTo('/a').toString()).to.equal('b/c');
+    expect(new PosixPath('/a').relativeTo(new PosixPath('/a/b')).toString()).to.equal('..');
+    expect(new PosixPath('/a').relativeTo('/a').toString()).to.equal('.');
+    setCwd('/home');
+    expect(new PosixPath('/home/a').relativeTo('.').toString()).to.equal('a');
+    expect(new Win32Path('C:\\a\\b').relativeTo('c:\\A').toString()).to.equal('b');
+  });
+
+  it('compares paths', () => {
+    expect(new PosixPath('/a/b').equals('/a/b/')).to.be.true;
+    expect(new PosixPath('/a/b').equals(new PosixPath('/a', 'b'))).to.be.true;
+    expect(new PosixPath('/a/b').equals('/A/b')).to.be.false;
+    expect(new Win32Path('C:\\a\\b').equals('c:/A/B')).to.be.true;
+    expect(new PosixPath('a').equals(new Win32Path('a'))).to.be.false;
+    expect(catchError(() => new PosixPath('a').equals(/** @type {any} */ (null))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+  });
+});
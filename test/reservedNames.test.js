@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { setCwd, win32 } from '../src/index.js';
+
+// Regression tests for device path traversal through win32.normalize/join,
+// see CVE-2024-36139 and CVE-2025-27210
+
+describe('win32 reserved device names', () => {
+  afterEach(() => {
+    setCwd(undefined);
+  });
+
+  it('does not let relative paths normalize into a drive path', () => {
+    expect(win32.normalize('test/../C:/Windows')).to.equal('.\\C:\\Windows');
+    expect(win32.normalize('test/../C:Windows')).to.equal('.\\C:Windows');
+    expect(win32.normalize('./upload/../C:x')).to.equal('.\\C:x');
+    expect(win32.normalize('test/C:/../../F:')).to.equal('.\\F:');
+    expect(win32.normalize('test/../??/D:/Test')).to.equal('.\\??\\D:\\Test');
+    expect(win32.join('test', '../C:/Windows')).to.equal('.\\C:\\Windows');
+  });
+
+  it('prefixes reserved names followed by a colon', () => {
+    for (const name of [
+      'CON',
+      'PRN',
+      'AUX',
+      'NUL',
+      'COM1',
+      'COM9',
+      'COM¹',
+      'LPT1',
+      'LPT9',
+      'LPT³',
+    ]) {
+      expect(win32.normalize(`${name}:../foo`)).to.equal(`.\\${name}:..\\foo`);
+      expect(win32.normalize(`${name}:..\\x`)).to.equal(`.\\${name}:..\\x`);
+      expect(win32.normalize(`${name.toLowerCase()}:foo`)).to.equal(`.\\${name.toLowerCase()}:foo`);
+    }
+    expect(win32.normalize('NUL:\\x')).to.equal('.\\NUL:x');
+    expect(win32.normalize('PRN:')).to.equal('.\\PRN:.');
+  });
+
+  it('leaves joined paths with reserved names as they are, apart from the separators', () => {
+    expect(win32.join('CON:', 'x')).to.equal('CON:\\x');
+    expect(win32.join('uploads', 'CON:\\x')).to.equal('uploads\\CON:\\x');
+    expect(win32.join('uploads/a', 'CON:/x')).to.equal('uploads\\a\\CON:\\x');
+  });
+
+  it('does not traverse out of the directory through a reserved name in a later segment', () => {
+    // the .. is part of the CON:.. segment, which is not a device root
+    expect(win32.join('uploads', 'CON:../foo')).to.equal('uploads\\CON:..\\foo');
+    expect(win32.join('uploads', 'AUX:..\\x')).to.equal('uploads\\AUX:..\\x');
+    expect(win32.normalize('C:\\CON:..\\x')).to.equal('C:\\CON:..\\x');
+  });
+
+  it('leaves names that are not reserved alone', () => {
+    expect(win32.normalize('COM0:../a')).to.equal('COM0:..\\a');
+    expect(win32.normalize('CONSOLE:x')).to.equal('CONSOLE:x');
+  });
+
+  it('keeps device namespace paths and joined device paths as they are', () => {
+    expect(win32.normalize('\\\\.\\CON')).to.equal('\\\\.\\CON');
+    expect(win32.normalize('//?/C:/a/../b')).to.equal('\\\\?\\C:\\b');
+    // the leading slashes of later arguments are collapsed
+    expect(win32.join('uploads', '\\\\.\\CON')).to.equal('uploads\\CON');
+  });
+
+  it('resolves reserved names against the cwd', () => {
+    setCwd('C:\\uploads');
+    expect(win32.resolve('CON:../foo')).to.equal('C:\\uploads\\CON:..\\foo');
+    expect(win32.resolve('AUX:..\\x')).to.equal('C:\\uploads\\AUX:..\\x');
+  });
+});
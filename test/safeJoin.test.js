@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { UnsafePathError, isInside, safeJoin, setCwd } from '../src/index.js';
+import { posIsInside, posSafeJoin, winIsInside, winSafeJoin } from '../src/safeJoin.js';
+import { catchError } from './catchError.js';
+
+describe('safeJoin / isInside', () => {
+  afterEach(() => {
+    setCwd(undefined);
+  });
+
+  it('picks the variants for the detected platform', () => {
+    expect([posSafeJoin, winSafeJoin]).to.include(safeJoin);
+    expect([posIsInside, winIsInside]).to.include(isInside);
+  });
+
+  it('throws a typed error with a code', () => {
+    const err = catchError(() => posSafeJoin('/srv', '..'));
+    expect(err).to.be.an.instanceOf(UnsafePathError);
+    expect(err).to.be.an.instanceOf(Error);
+    expect(err.name).to.equal('Error');
+    expect(err.code).to.equal('ERR_UNSAFE_PATH');
+    expect(err.toString()).to.equal("Error [ERR_UNSAFE_PATH]: The path '/' must not escape /srv");
+  });
+
+  describe('posix', () => {
+    it('resolves untrusted paths inside of the root', () => {
+      expect(posSafeJoin('/srv/uploads', 'a/b.txt')).to.equal('/srv/uploads/a/b.txt');
+      expect(posSafeJoin('/srv/uploads', 'a', '../b.txt')).to.equal('/srv/uploads/b.txt');
+      expect(posSafeJoin('/srv/uploads', '..foo')).to.equal('/srv/uploads/..foo');
+      expect(posSafeJoin('/srv/uploads', '/srv/uploads/a')).to.equal('/srv/uploads/a');
+      expect(posSafeJoin('/srv/uploads')).to.equal('/srv/uploads');
+      expect(posSafeJoin('/', 'etc')).to.equal('/etc');
+    });
+
+    it('resolves a relative root against the cwd', () => {
+      setCwd('/srv');
+      expect(posSafeJoin('uploads', 'a')).to.equal('/srv/uploads/a');
+    });
+
+    it('throws on escape attempts', () => {
+      for (const paths of [
+        ['..'],
+        ['a/../../b'],
+        ['/etc/passwd'],
+        ['a', '../../b'],
+        ['../uploads2'],
+      ]) {
+        expect(() => posSafeJoin('/srv/uploads', ...paths)).to.throw(UnsafePathError);
+      }
+      expect(() => posSafeJoin('/srv/uploads', 'a', '/etc')).to.throw(
+        "The path '/etc' must not escape /srv/uploads",
+      );
+    });
+
+    it('throws on null bytes', () => {
+      expect(() => posSafeJoin('/srv', 'a\u0000.txt')).to.throw(
+        "The path 'a\\x00.txt' must not contain null bytes",
+      );
+    });
+
+    it('checks whether a path is inside of the root', () => {
+      expect(posIsInside('/srv', '/srv')).to.be.true;
+      expect(posIsInside('/srv', '/srv/a/b')).to.be.true;
+      expect(posIsInside('/srv/', '/srv/a/../b')).to.be.true;
+      expect(posIsInside('/srv', '/srv2')).to.be.false;
+      expect(posIsInside('/srv', '/srv/..')).to.be.false;
+      expect(posIsInside('/srv', '/')).to.be.false;
+      expect(posIsInside('/srv', '/srv/a\u0000')).to.be.false;
+    });
+  });
+
+  describe('win32', () => {
+    it('resolves untrusted paths inside of the root', () => {
+      expect(winSafeJoin('C:\\srv', 'a/b.txt')).to.equal('C:\\srv\\a\\b.txt');
+      expect(winSafeJoin('C:\\srv', 'a\\..\\b.txt')).to.equal('C:\\srv\\b.txt');
+      expect(winSafeJoin('C:\\srv', 'C:\\SRV\\a')).to.equal('C:\\SRV\\a');
+      expect(winSafeJoin('\\\\server\\share\\srv', 'a')).to.equal('\\\\server\\share\\srv\\a');
+    });
+
+    it('throws on escape attempts', () => {
+      for (const paths of [['..\\x'], ['a/../../x'], ['\\Windows'], ['C:\\Windows'], ['C:..\\x']]) {
+        expect(() => winSafeJoin('C:\\srv', ...paths)).to.throw(UnsafePathError, 'must not escape');
+      }
+    });
+
+    it('throws on cross-device segments', () => {
+      for (const path of ['D:\\srv', 'D:srv', 'd:', '\\\\server\\share\\srv', '//server/share/x']) {
+        expect(() => winSafeJoin('C:\\srv', path)).to.throw(
+          UnsafePathError,
+          'must not switch to another device than C:\\srv',
+        );
+      }
+      expect(() => winSafeJoin('\\\\server\\share\\srv', '\\\\other\\share\\srv')).to.throw(
+        UnsafePathError,
+        'must not switch to another device',
+      );
+    });
+
+    it('throws on null bytes', () => {
+      expect(() => winSafeJoin('C:\\srv', 'a\u0000')).to.throw(UnsafePathError, 'null bytes');
+    });
+
+    it('checks whether a path is inside of the root', () => {
+      expect(winIsInside('C:\\srv', 'c:\\SRV\\a')).to.be.true;
+      expect(winIsInside('C:\\srv', 'C:/srv/a')).to.be.true;
+      expect(winIsInside('C:\\srv', 'D:\\srv\\a')).to.be.false;
+      expect(winIsInside('C:\\srv', 'C:\\srv2')).to.be.false;
+      expect(winIsInside('\\\\server\\share', '\\\\server\\share\\a')).to.be.true;
+      expect(winIsInside('\\\\server\\share', '\\\\other\\share\\a')).to.be.false;
+    });
+  });
+
+  it('validates its arguments', () => {
+    // @ts-expect-error testing invalid input
+    expect(() => posSafeJoin(null, 'a')).to.throw('The "root" argument must be of type string');
+    // @ts-expect-error testing invalid input
+    expect(() => winSafeJoin('C:\\', 'a', 1)).to.throw(
+      'The "paths[1]" argument must be of type string',
+    );
+    // @ts-expect-error testing invalid input
+    expect(() => posIsInside('/', undefined)).to.throw(
+      'The "candidate" argument must be of type string',
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import { fromSegments, segments, split } from '../src/index.js';
+import {
+  posFromSegments,
+  posSegments,
+  posSplit,
+  winFromSegments,
+  winSegments,
+  winSplit,
+} from '../src/segments.js';
+import { catchError } from './catchError.js';
+
+describe('split / segments / fromSegments', () => {
+  it('picks the variants for the detected platform', () => {
+    expect([posSplit, winSplit]).to.include(split);
+    expect([posSegments, winSegments]).to.include(segments);
+    expect([posFromSegments, winFromSegments]).to.include(fromSegments);
+  });
+
+  it('splits posix paths', () => {
+    expect(posSplit('/foo/bar')).to.eql({ root: '/', segments: ['foo', 'bar'] });
+    expect(posSplit('foo//bar/')).to.eql({ root: '', segments: ['foo', 'bar'] });
+    expect(posSplit('../foo/./bar')).to.eql({ root: '', segments: ['..', 'foo', '.', 'bar'] });
+    expect(posSplit('/')).to.eql({ root: '/', segments: [] });
+    expect(posSplit('')).to.eql({ root: '', segments: [] });
+    // backslashes are file name characters on posix
+    expect(posSplit('/foo\\bar')).to.eql({ root: '/', segments: ['foo\\bar'] });
+  });
+
+  it('splits win32 paths', () => {
+    expect(winSplit('C:\\foo/bar')).to.eql({ root: 'C:\\', segments: ['foo', 'bar'] });
+    expect(winSplit('C:foo\\bar')).to.eql({ root: 'C:', segments: ['foo', 'bar'] });
+    expect(winSplit('\\foo')).to.eql({ root: '\\', segments: ['foo'] });
+    expect(winSplit('\\\\server\\share\\foo\\\\bar\\')).to.eql({
+      root: '\\\\server\\share\\',
+      segments: ['foo', 'bar'],
+    });
+    expect(winSplit('\\\\server\\share')).to.eql({ root: '\\\\server\\share', segments: [] });
+    expect(winSplit('\\\\?\\C:\\foo')).to.eql({ root: '\\\\?\\C:\\', segments: ['foo'] });
+  });
+
+  it('iterates lazily', () => {
+    const iterator = posSegments('/foo/bar/baz');
+    expect(iterator.next()).to.eql({ value: 'foo', done: false });
+    expect([...iterator]).to.eql(['bar', 'baz']);
+    expect([...winSegments('C:foo\\\\bar')]).to.eql(['foo', 'bar']);
+    // arguments are validated when called, not on the first iteration
+    expect(catchError(() => posSegments(/** @type {any} */ (1))).code).to.equal(
+      'ERR_INVALID_ARG_TYPE',
+    );
+  });
+
+  it('joins segments back together', () => {
+    expect(posFromSegments('/', ['foo', 'bar'])).to.equal('/foo/bar');
+    expect(posFromSegments('', ['foo', 'bar'])).to.equal('foo/bar');
+    expect(posFromSegments('/', [])).to.equal('/');
+    expect(winFromSegments('C:\\', ['foo', 'bar'])).to.equal('C:\\foo\\bar');
+    expect(winFromSegments('C:', ['foo'])).to.equal('C:foo');
+    expect(winFromSegments('\\\\server\\share', ['foo'])).to.equal('\\\\server\\share\\foo');
+    expect(winFromSegments('\\\\server\\share', [])).to.equal('\\\\server\\share');
+    for (const path of ['C:foo\\bar', '\\\\server\\share\\foo', '\\\\?\\C:\\foo', '..\\foo']) {
+      const { root, segments } = winSplit(path);
+      expect(winFromSegments(root, segments)).to.equal(path);
+    }
+  });
+
+  it('validates the arguments of fromSegments', () => {
+    expect(catchError(() => posFromSegments('foo', ['bar'])).message).to.equal(
+      "The argument 'root' must be a root like the one returned by split. Received 'foo'",
+    );
+    expect(catchError(() => posFromSegments('/', ['foo/bar'])).message).to.equal(
+      "The argument 'segments[0]' must be a non-empty segment without separators. Received 'foo/bar'",
+    );
+    expect(catchError(() => winFromSegments('C:\\', ['foo\\bar'])).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+    expect(catchError(() => posFromSegments('/', ['foo', ''])).code).to.equal(
+      'ERR_INVALID_ARG_VALUE',
+    );
+    expect(catchError(() => winFromSegments('', ['C:foo'])).message).to.equal(
+      "The argument 'segments[0]' must not start with a root. Received 'C:foo'",
+    );
+    expect(catchError(() => posFromSegments('/', /** @type {any} */ ('foo'))).message).to.equal(
+      'The "segments" argument must be an instance of Array. Received type string (\'foo\')',
+    );
+  });
+});
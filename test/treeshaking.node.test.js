@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import * as esbuild from 'esbuild';
+import { fileURLToPath } from 'node:url';
+import { rollup } from 'rollup';
+
+/**
+ * Minified bytes that each import pattern may add to a bundle.
+ * These have some headroom, update them when a change adds code on purpose.
+ * @type {Record<string, number>}
+ */
+const budgets = {
+  "import 'path-unified';": 0,
+  "import { join } from 'path-unified/posix';": 3500,
+  "import { join } from 'path-unified/win32';": 5500,
+  "import { join } from 'path-unified';": 6000,
+  "import { toPosix } from 'path-unified';": 5200,
+  "import { PosixPath } from 'path-unified/posix';": 10500,
+  "import path from 'path-unified';": 20000,
+  "import { createPath } from 'path-unified/auto';": 21000,
+  "import { join } from 'path-unified/url';": 4800,
+};
+
+/**
+ * Resolves path-unified through its own "exports" map, with the "import" condition
+ * @param {string} specifier
+ */
+const resolve = (specifier) => fileURLToPath(import.meta.resolve(specifier));
+
+/**
+ * Entry code that uses what it imports, so that only unused code can be left out
+ * @param {string} pattern
+ */
+function toEntry(pattern) {
+  const bindings = pattern.match(/import (?:\{ (\w+) \}|(\w+)) from/);
+  const used = bindings ? `console.log(${bindings[1] ?? bindings[2]});` : '';
+  return `${pattern}\n${used}`;
+}
+
+/**
+ * Bundles the entry and returns its minified size
+ * @type {Record<string, (entry: string) => Promise<number>>}
+ */
+const bundlers = {
+  rollup: async (entry) => {
+    const bundle = await rollup({
+      input: 'entry',
+      plugins: [
+        {
+          name: 'entry',
+          resolveId: (source) => {
+            if (source === 'entry') return source;
+            return source.startsWith('path-unified') ? resolve(source) : null;
+          },
+          load: (id) => (id === 'entry' ? entry : null),
+        },
+      ],
+      onwarn: (warning, warn) => {
+        // that's the point of import 'path-unified'
+        if (warning.code !== 'EMPTY_BUNDLE') warn(warning);
+      },
+    });
+    const { output } = await bundle.generate({ format: 'es' });
+    await bundle.close();
+    // rollup doesn't minify, but esbuild can without bundling again
+    const { code } = await esbuild.transform(output[0].code, { minify: true, format: 'esm' });
+    return code.length;
+  },
+  esbuild: async (entry) => {
+    const { outputFiles } = await esbuild.build({
+      stdin: { contents: entry, resolveDir: fileURLToPath(new URL('.', import.meta.url)) },
+      bundle: true,
+      minify: true,
+      format: 'esm',
+      write: false,
+      // warns that bare imports of side effect free modules are left out
+      logLevel: 'silent',
+    });
+    return outputFiles[0].text.length;
+  },
+};
+
+describe('tree-shaking', () => {
+  for (const [name, bundle] of Object.entries(bundlers)) {
+    describe(name, () => {
+      for (const [pattern, budget] of Object.entries(budgets)) {
+        it(`${pattern} stays within ${budget} bytes`, async function () {
+          this.timeout(30000);
+          const size = await bundle(toEntry(pattern));
+          expect(size, `${size} bytes`).to.be.at.most(budget);
+        });
+      }
+    });
+  }
+});
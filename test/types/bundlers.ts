@@ -0,0 +1,22 @@
+// The plugins are typed structurally, so the declarations don't depend on the bundlers' types,
+// these check that they are accepted by each bundler's own plugin type.
+import type { Plugin as EsbuildPlugin } from 'esbuild';
+import type { Plugin as RollupPlugin } from 'rollup';
+import type { Plugin as VitePlugin } from 'vite';
+import type { WebpackPluginInstance } from 'webpack';
+import {
+  esbuildPlugin,
+  importMap,
+  rollupPlugin,
+  vitePlugin,
+  webpackPlugin,
+} from 'path-unified/alias';
+
+export const rollup: RollupPlugin = rollupPlugin();
+export const vite: VitePlugin = vitePlugin();
+export const esbuild: EsbuildPlugin = esbuildPlugin();
+export const webpack: WebpackPluginInstance = webpackPlugin();
+export const imports: Record<string, string> = importMap({ base: '/vendor/path-unified/' }).imports;
+
+// @ts-expect-error base must be a string
+importMap({ base: new URL('https://example.com') });
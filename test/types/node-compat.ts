@@ -0,0 +1,92 @@
+// Type-level tests, checked by `npm run test:types` against the emitted declarations.
+// They import the package by name, so they also cover the "types" conditions in package.json.
+import type {
+  FormatInputPathObject as NodeFormatInputPathObject,
+  ParsedPath as NodeParsedPath,
+  PlatformPath as NodePlatformPath,
+} from 'node:path';
+import path, {
+  basename,
+  delimiter,
+  format,
+  join,
+  parse,
+  posix,
+  resolve,
+  sep,
+  win32,
+  type FormatInputPathObject,
+  type ParsedPath,
+  type PlatformPath,
+} from 'path-unified';
+import win32Path, {
+  sep as win32Sep,
+  type PlatformPath as Win32PlatformPath,
+} from 'path-unified/win32';
+import posixPath, { sep as posixSep } from 'path-unified/posix';
+import { createPath } from 'path-unified/auto';
+
+// path-unified can be used wherever node:path is expected
+const nodePaths: NodePlatformPath[] = [
+  path,
+  win32,
+  posix,
+  path.win32.posix,
+  win32Path,
+  posixPath,
+  createPath({ platform: 'win32' }),
+];
+
+// and node:path wherever path-unified's PlatformPath is expected, apart from matchesGlob
+const fromNode: Omit<PlatformPath, 'matchesGlob' | 'posix' | 'win32'> = {} as NodePlatformPath;
+
+// the named exports have the same signatures as Node's
+const nodeJoin: NodePlatformPath['join'] = join;
+const nodeResolve: NodePlatformPath['resolve'] = resolve;
+const nodeBasename: NodePlatformPath['basename'] = basename;
+const nodeParse: NodePlatformPath['parse'] = parse;
+const nodeFormat: NodePlatformPath['format'] = format;
+const nodeSep: NodePlatformPath['sep'] = sep;
+const nodeDelimiter: NodePlatformPath['delimiter'] = delimiter;
+
+// the parse and format types are interchangeable with Node's
+const parsed: NodeParsedPath = parse('/home/user/file.txt');
+const parsedFromNode: ParsedPath = {} as NodeParsedPath;
+const formatInput: FormatInputPathObject = {} as NodeFormatInputPathObject;
+format({} as NodeFormatInputPathObject);
+format({ dir: '/home/user', base: 'file.txt' });
+
+// the types are exported from every entrypoint
+const win32Platform: Win32PlatformPath = win32Path;
+
+// the flavor entrypoints have literal separators
+const backslash: '\\' = win32Sep;
+const slash: '/' = posixSep;
+// @ts-expect-error win32's sep is a backslash
+const notSlash: '/' = win32Sep;
+
+// @ts-expect-error paths are strings
+join('foo', 1);
+// @ts-expect-error basename takes at most a suffix
+basename('foo.js', '.js', 'bar');
+// @ts-expect-error format needs an object
+format('foo');
+
+export {
+  nodePaths,
+  fromNode,
+  nodeJoin,
+  nodeResolve,
+  nodeBasename,
+  nodeParse,
+  nodeFormat,
+  nodeSep,
+  nodeDelimiter,
+  parsed,
+  parsedFromNode,
+  formatInput,
+  win32Platform,
+  backslash,
+  slash,
+  notSlash,
+};
@@ -0,0 +1,19 @@
+// Type-level tests for the "require" conditions, which point to the .d.cts declarations.
+import type { PlatformPath as NodePlatformPath } from 'node:path';
+import path = require('path-unified');
+import win32 = require('path-unified/win32');
+import posix = require('path-unified/posix');
+import auto = require('path-unified/auto');
+import url = require('path-unified/url');
+
+// module.exports is the default export, with the named exports as properties
+const nodePaths: NodePlatformPath[] = [path.default, path.win32, win32.default, posix.default];
+const joined: string = path.join('foo', 'bar');
+const windowsEOL: '\r\n' = win32.EOL;
+const created: NodePlatformPath = auto.createPath({ platform: 'posix' });
+const urlJoined: string = url.default.join('/api/', 'users?page=2');
+
+// @ts-expect-error paths are strings
+posix.join('foo', 1);
+
+export { nodePaths, joined, windowsEOL, created, urlJoined };
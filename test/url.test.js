@@ -0,0 +1,288 @@
+import { expect } from 'chai';
+import url, {
+  basename,
+  dirname,
+  extname,
+  isAbsolute,
+  join,
+  normalize,
+  relative,
+  resolve,
+  sep,
+} from '../src/url.js';
+import { catchError } from './catchError.js';
+
+// RFC 3986 section 5.4, the examples of resolving relative URLs
+const rfcBase = 'http://a/b/c/d;p?q';
+const rfcExamples = {
+  'g:h': 'g:h',
+  g: 'http://a/b/c/g',
+  './g': 'http://a/b/c/g',
+  'g/': 'http://a/b/c/g/',
+  '/g': 'http://a/g',
+  '//g': 'http://g',
+  '?y': 'http://a/b/c/d;p?y',
+  'g?y': 'http://a/b/c/g?y',
+  '#s': 'http://a/b/c/d;p?q#s',
+  'g#s': 'http://a/b/c/g#s',
+  'g?y#s': 'http://a/b/c/g?y#s',
+  ';x': 'http://a/b/c/;x',
+  'g;x': 'http://a/b/c/g;x',
+  'g;x?y#s': 'http://a/b/c/g;x?y#s',
+  '': 'http://a/b/c/d;p?q',
+  '.': 'http://a/b/c/',
+  './': 'http://a/b/c/',
+  '..': 'http://a/b/',
+  '../': 'http://a/b/',
+  '../g': 'http://a/b/g',
+  '../..': 'http://a/',
+  '../../': 'http://a/',
+  '../../g': 'http://a/g',
+  '../../../g': 'http://a/g',
+  '../../../../g': 'http://a/g',
+  '/./g': 'http://a/g',
+  '/../g': 'http://a/g',
+  'g.': 'http://a/b/c/g.',
+  '.g': 'http://a/b/c/.g',
+  'g..': 'http://a/b/c/g..',
+  '..g': 'http://a/b/c/..g',
+  './../g': 'http://a/b/g',
+  './g/.': 'http://a/b/c/g/',
+  'g/./h': 'http://a/b/c/g/h',
+  'g/../h': 'http://a/b/c/h',
+  'g;x=1/./y': 'http://a/b/c/g;x=1/y',
+  'g;x=1/../y': 'http://a/b/c/y',
+  'g?y/./x': 'http://a/b/c/g?y/./x',
+  'g?y/../x': 'http://a/b/c/g?y/../x',
+  'g#s/./x': 'http://a/b/c/g#s/./x',
+  'g#s/../x': 'http://a/b/c/g#s/../x',
+  'http:g': 'http:g',
+};
+
+describe('url', () => {
+  it('exposes the same functions on the default export', () => {
+    expect(url).to.eql({
+      resolve,
+      normalize,
+      isAbsolute,
+      join,
+      relative,
+      dirname,
+      basename,
+      extname,
+      sep,
+    });
+    expect(sep).to.equal('/');
+  });
+
+  describe('resolve', () => {
+    it('resolves relative URLs like RFC 3986', () => {
+      for (const [ref, expected] of Object.entries(rfcExamples)) {
+        expect(resolve(rfcBase, ref), ref).to.equal(expected);
+      }
+    });
+
+    it('resolves against the directory of the base, which depends on its trailing slash', () => {
+      expect(resolve('/docs/guide', 'intro')).to.equal('/docs/intro');
+      expect(resolve('/docs/guide/', 'intro')).to.equal('/docs/guide/intro');
+      expect(resolve('/docs/', 'guide/')).to.equal('/docs/guide/');
+      expect(resolve('https://example.com', 'a')).to.equal('https://example.com/a');
+    });
+
+    it('resolves against / for a base with an authority and no path, like browsers', () => {
+      expect(resolve('https://example.com', '?y')).to.equal('https://example.com/?y');
+      expect(resolve('https://example.com', '#f')).to.equal('https://example.com/#f');
+      expect(resolve('https://example.com?x', '')).to.equal('https://example.com/?x');
+      expect(resolve('//example.com', '../a')).to.equal('//example.com/a');
+    });
+
+    it('resolves each path against the previous one, starting at /', () => {
+      expect(resolve()).to.equal('/');
+      expect(resolve('a/b')).to.equal('/a/b');
+      expect(resolve('https://example.com/a/', 'b/', '../c?page=2')).to.equal(
+        'https://example.com/a/c?page=2',
+      );
+      expect(resolve('https://example.com/a', '//cdn.example.com/b')).to.equal(
+        'https://cdn.example.com/b',
+      );
+    });
+
+    it('never decodes percent-encoded characters', () => {
+      expect(resolve('/files/a%2Fb/', '../c%20d')).to.equal('/files/c%20d');
+      expect(resolve('/files/', 'a%2F..%2Fb')).to.equal('/files/a%2F..%2Fb');
+    });
+  });
+
+  describe('normalize', () => {
+    it('resolves dot segments, keeping the trailing slash, query and hash', () => {
+      expect(normalize('/a/./b/../c?x=/../#/y/..')).to.equal('/a/c?x=/../#/y/..');
+      expect(normalize('/a/b/')).to.equal('/a/b/');
+      expect(normalize('/a/b/..')).to.equal('/a/');
+      expect(normalize('/../a')).to.equal('/a');
+      expect(normalize('https://example.com/a/../b?c#d')).to.equal('https://example.com/b?c#d');
+    });
+
+    it('keeps empty segments, which are significant in URLs', () => {
+      expect(normalize('/a//b')).to.equal('/a//b');
+      expect(normalize('/a//../b')).to.equal('/a/b');
+    });
+
+    it('keeps leading .. segments of relative paths', () => {
+      expect(normalize('a/../../b')).to.equal('../b');
+      expect(normalize('..')).to.equal('..');
+      expect(normalize('a/..')).to.equal('./');
+      expect(normalize('a/../')).to.equal('./');
+      expect(normalize('.')).to.equal('./');
+      expect(normalize('a/.')).to.equal('a/');
+      expect(normalize('')).to.equal('.');
+      expect(normalize('?q')).to.equal('?q');
+    });
+
+    it('keeps ./ where the path would otherwise be read as absolute or as a scheme', () => {
+      expect(normalize('./a:b')).to.equal('./a:b');
+      expect(normalize('.//a')).to.equal('.//a');
+    });
+
+    it('never decodes %2F', () => {
+      expect(normalize('/a%2F..%2Fb/../c')).to.equal('/c');
+      expect(normalize('/a%2F%2E%2E')).to.equal('/a%2F%2E%2E');
+    });
+  });
+
+  describe('join', () => {
+    it('joins with a single / and normalizes', () => {
+      expect(join('/api/', '/users/', 'me')).to.equal('/api/users/me');
+      expect(join('a', 'b/', '..', 'c')).to.equal('a/c');
+      expect(join('a', '', 'b')).to.equal('a/b');
+      expect(join()).to.equal('.');
+      expect(join('', '')).to.equal('.');
+    });
+
+    it('keeps the trailing slash, and the query and hash of the last path', () => {
+      expect(join('/a', 'b/')).to.equal('/a/b/');
+      expect(join('/api', 'users?page=2#top')).to.equal('/api/users?page=2#top');
+      expect(join('/api/users', '?page=2')).to.equal('/api/users?page=2');
+    });
+
+    it('keeps the scheme and authority of the first path', () => {
+      expect(join('https://example.com', 'api', 'users')).to.equal('https://example.com/api/users');
+      expect(join('//example.com/api/', '../users')).to.equal('//example.com/users');
+    });
+
+    it('never decodes %2F', () => {
+      expect(join('/api', 'a%2Fb', '..')).to.equal('/api/');
+    });
+
+    it('keeps colons in the paths after the first as part of a segment', () => {
+      expect(join('/v1', 'projects:list')).to.equal('/v1/projects:list');
+      expect(join('a', 'b:c')).to.equal('a/b:c');
+      expect(join('', 'a', 'b:c', 'd:e/f')).to.equal('a/b:c/d:e/f');
+      expect(join('https://example.com', 'v1:beta', 'x:y?z:w')).to.equal(
+        'https://example.com/v1:beta/x:y?z:w',
+      );
+      // a colon in the first segment of the result needs ./ to not be read as a scheme
+      expect(join('a', '..', 'b:c')).to.equal('./b:c');
+    });
+
+    it('throws for an authority after the first path', () => {
+      const error = catchError(() => join('/api', '//example.com'));
+      expect(error.code).to.equal('ERR_INVALID_ARG_VALUE');
+      expect(error.message).to.equal(
+        "The argument 'paths[1]' must be relative, only the first path can be an absolute URL. Received '//example.com'",
+      );
+    });
+
+    it('throws for a query or hash before the last path', () => {
+      const error = catchError(() => join('/api?page=2', '', 'users'));
+      expect(error.code).to.equal('ERR_INVALID_ARG_VALUE');
+      expect(error.message).to.equal(
+        "The argument 'paths[0]' must not have a query or hash, only the last path can. Received '/api?page=2'",
+      );
+      expect(join('/api', 'users?page=2', '')).to.equal('/api/users?page=2');
+    });
+  });
+
+  describe('relative', () => {
+    it('returns the relative URL from the directory of from', () => {
+      expect(relative('/docs/guide/', '/docs/api')).to.equal('../api');
+      expect(relative('/docs/guide', '/docs/api')).to.equal('api');
+      expect(relative('/a/b/c', '/a/b/c')).to.equal('c');
+      expect(relative('/a/b', '/a/')).to.equal('./');
+      expect(relative('/a/b/c', '/a/')).to.equal('../');
+      expect(relative('/', '/')).to.equal('./');
+    });
+
+    it('keeps the query and hash of to', () => {
+      expect(relative('/a/b?x', '/a/b?y#z')).to.equal('b?y#z');
+      expect(relative('/a/b', '/c/d#top')).to.equal('../c/d#top');
+    });
+
+    it('returns to for a different scheme or authority', () => {
+      expect(relative('https://example.com/a', 'https://cdn.example.com/b')).to.equal(
+        'https://cdn.example.com/b',
+      );
+      expect(relative('https://example.com/a/', 'HTTPS://example.com/b')).to.equal('../b');
+    });
+
+    it('resolves to against from', () => {
+      expect(relative('https://example.com/a/b', '../c')).to.equal('../c');
+      expect(relative('https://example.com', '/a')).to.equal('a');
+    });
+
+    it('returns URLs that resolve to the same as to', () => {
+      const urls = ['/', '/a', '/a/', '/a/b', '/a//b', '/a/b/c?q#h', '/x:y', '/a/%2F/b/', '/c'];
+      for (const from of urls) {
+        for (const to of urls) {
+          expect(resolve(from, relative(from, to)), `${from} ${to}`).to.equal(resolve(from, to));
+        }
+      }
+      // a base with only an authority
+      for (const from of ['https://a.com', 'https://a.com?x', '//a.com']) {
+        for (const to of ['?y', '#f', '//g', '', 'b', '/c?q', 'https://a.com', 'https://a.com/d']) {
+          expect(resolve(from, relative(from, to)), `${from} ${to}`).to.equal(resolve(from, to));
+        }
+      }
+    });
+  });
+
+  describe('dirname / basename / extname', () => {
+    it('use the pathname, without query and hash', () => {
+      expect(dirname('/a/b.js?v=1#x')).to.equal('/a');
+      expect(dirname('https://example.com/a/b?q')).to.equal('https://example.com/a');
+      expect(dirname('https://example.com')).to.equal('https://example.com');
+      expect(basename('/a/b.js?v=1#x')).to.equal('b.js');
+      expect(basename('/a/b.js?v=1#x', '.js')).to.equal('b');
+      expect(extname('/a.tar.gz?x#y.z')).to.equal('.gz');
+      expect(extname('https://example.com')).to.equal('');
+    });
+
+    it('never decode %2F', () => {
+      expect(dirname('/x/a%2Fb')).to.equal('/x');
+      expect(basename('/x/a%2Fb.txt')).to.equal('a%2Fb.txt');
+    });
+  });
+
+  it('isAbsolute', () => {
+    expect(isAbsolute('/a')).to.be.true;
+    expect(isAbsolute('https://example.com')).to.be.true;
+    expect(isAbsolute('//example.com/a')).to.be.true;
+    expect(isAbsolute('a/b')).to.be.false;
+    expect(isAbsolute('?q')).to.be.false;
+    expect(isAbsolute('')).to.be.false;
+  });
+
+  it('validates its arguments', () => {
+    for (const fn of [normalize, isAbsolute, dirname, basename, extname]) {
+      // @ts-expect-error testing invalid input
+      expect(catchError(() => fn(1)).code).to.equal('ERR_INVALID_ARG_TYPE');
+    }
+    // @ts-expect-error testing invalid input
+    expect(catchError(() => join('a', 1)).message).to.include('"paths[1]"');
+    // @ts-expect-error testing invalid input
+    expect(catchError(() => resolve(null)).message).to.include('"paths[0]"');
+    // @ts-expect-error testing invalid input
+    expect(catchError(() => relative('/', undefined)).message).to.include('"to"');
+    // @ts-expect-error testing invalid input
+    expect(catchError(() => basename('/a', 1)).message).to.include('"suffix"');
+  });
+});
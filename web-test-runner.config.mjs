@@ -2,7 +2,8 @@ import { playwrightLauncher } from '@web/test-runner-playwright';
 
 export default {
   nodeResolve: true,
-  files: ['test/**/*.test.js'],
+  // *.node.test.js files rely on Node builtins
+  files: ['test/**/*.test.js', '!test/**/*.node.test.js'],
   browsers: [
     playwrightLauncher({
       product: 'chromium',